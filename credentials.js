@@ -0,0 +1,103 @@
+/**
+ * Script para salvar as credenciais do re-login automático em arquivo criptografado.
+ *
+ * Uso: node credentials.js   (ou npm run credentials)
+ *      node credentials.js --profile=suporte   (com perfis em profiles.json)
+ *
+ * Pede email, senha e (opcional) o segredo TOTP do 2FA, e grava tudo em
+ * data/credentials.enc (ou CHATGURU_CREDENTIALS_FILE / credentials_file do perfil)
+ * criptografado com uma senha mestra. O MCP server abre o arquivo com
+ * CHATGURU_CREDENTIALS_PASSPHRASE (ou credentials_passphrase do perfil) e faz
+ * login sozinho (headless) quando a sessão expira.
+ */
+
+import { createInterface } from "readline";
+import { writeFile, mkdir } from "fs/promises";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { encryptCredentials } from "./lib/credentials.js";
+import { generateTotp } from "./lib/totp.js";
+import { loadProfiles, selectProfile, profileArg } from "./lib/profiles.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const DATA_DIR = process.env.CHATGURU_DATA_DIR || join(__dirname, "data");
+
+// Só o caminho do arquivo e a senha mestra do perfil importam aqui: o servidor não é exigido
+let profiles, profile;
+try {
+  profiles = await loadProfiles({ env: { CHATGURU_SERVER: "0", ...process.env }, baseDir: __dirname, dataDir: DATA_DIR, requireApi: false });
+  profile = selectProfile(profiles, profileArg());
+} catch (err) {
+  console.error(`ERRO: ${err.message}`);
+  process.exit(1);
+}
+const CREDENTIALS_PATH = profile.credentials_path;
+const PASSPHRASE_SOURCE = profiles.source === "file" ? `credentials_passphrase do perfil ${profile.name}` : "CHATGURU_CREDENTIALS_PASSPHRASE";
+
+const rl = createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+
+// Enquanto muted, o que é digitado não aparece no terminal (senhas)
+let muted = false;
+rl._writeToOutput = (text) => {
+  if (!muted) rl.output.write(text);
+};
+
+function ask(question, { hidden = false } = {}) {
+  return new Promise((resolve) => {
+    rl.question(`${question}: `, (answer) => {
+      if (hidden) {
+        muted = false;
+        rl.output.write("\n");
+      }
+      resolve(answer.trim());
+    });
+    muted = hidden;
+  });
+}
+
+console.log("\n=== Credenciais para re-login automático do ChatGuru ===\n");
+if (profiles.source === "file") console.log(`Perfil: ${profile.name}`);
+console.log(`Arquivo: ${CREDENTIALS_PATH}\n`);
+
+const email = await ask("Email de login do painel");
+const password = await ask("Senha", { hidden: true });
+const totpSecret = await ask("Segredo TOTP do 2FA (deixe vazio se a conta não usa 2FA)", { hidden: true });
+
+if (!email || !password) {
+  console.error("ERRO: Email e senha são obrigatórios.");
+  process.exit(1);
+}
+
+if (totpSecret) {
+  try {
+    console.log(`Código TOTP atual: ${generateTotp(totpSecret)} (confira com o app autenticador)`);
+  } catch (err) {
+    console.error(`ERRO: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+let passphrase = profile.credentials_passphrase;
+if (passphrase) {
+  console.log(`Usando a senha mestra de ${PASSPHRASE_SOURCE}.`);
+} else {
+  passphrase = await ask("Senha mestra (para criptografar o arquivo)", { hidden: true });
+  const confirmation = await ask("Repita a senha mestra", { hidden: true });
+  if (!passphrase || passphrase !== confirmation) {
+    console.error("ERRO: Senhas mestras vazias ou diferentes.");
+    process.exit(1);
+  }
+}
+rl.close();
+
+await mkdir(dirname(CREDENTIALS_PATH), { recursive: true });
+await writeFile(
+  CREDENTIALS_PATH,
+  encryptCredentials({ email, password, totp_secret: totpSecret || null }, passphrase),
+  { mode: 0o600 }
+);
+
+console.log(`\nCredenciais salvas em: ${CREDENTIALS_PATH}`);
+console.log(`Defina ${PASSPHRASE_SOURCE} na configuração do MCP server para habilitar o re-login automático.`);
+process.exit(0);
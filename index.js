@@ -1,314 +1,1018 @@
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { completable } from "@modelcontextprotocol/sdk/server/completable.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
-import { chromium } from "playwright";
-import { readFile } from "fs/promises";
-import { existsSync } from "fs";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
+import { homedir, tmpdir } from "os";
+import { createHash, randomBytes } from "crypto";
+import { createBrowserPool, SessionMissingError } from "./lib/browser-pool.js";
+import { createDeliveryTracker, normalizeMessageStatus } from "./lib/delivery-tracker.js";
+import { createAuditLog } from "./lib/audit-log.js";
+import { createConfirmationStore } from "./lib/confirmations.js";
+import * as phone from "./lib/phone.js";
+import { DEFAULT_TIME_ZONE, ageInDays, parseSendDate, parseDateBound, formatInTimeZone } from "./lib/dates.js";
+import { SELECTORS, createChatListPage, createChatViewPage, probeSelectors } from "./lib/scraper/index.js";
+import { loadCredentials } from "./lib/credentials.js";
+import { createSessionRefresher } from "./lib/session-refresh.js";
+import { loadProfiles, selectProfile, profileCredentialsSource } from "./lib/profiles.js";
+import { createWebhookEventStore, normalizeWebhookPayload } from "./lib/webhook-events.js";
+import { createWebhookServer, WebhookRequestError } from "./lib/webhook-server.js";
+import { createHttpTransportServer, LOOPBACK_HOSTS } from "./lib/http-transport.js";
+import { createQueryTemplate, queryFlag, queryLimit } from "./lib/resource-uris.js";
+import { loadPrompts, renderPrompt, formatTranscript } from "./lib/prompts.js";
+import * as output from "./lib/output-schemas.js";
+import { createRateLimiter, parseRateLimits } from "./lib/rate-limiter.js";
+import { createIdempotencyStore, fingerprint } from "./lib/idempotency.js";
+import { createScheduler, SCHEDULE_STATUSES, OPEN_STATUSES } from "./lib/scheduler.js";
+import { readLocalFile, decodeBase64File, validateMedia, formatSize } from "./lib/file-upload.js";
+import { createLocalFileStorage, createS3Storage } from "./lib/file-storage.js";
+import { detectMediaType, saveMedia } from "./lib/media-store.js";
+import { ChatGuruError, describeError, toChatGuruError } from "./lib/errors.js";
+import { sendChatguruRequest } from "./lib/api-client.js";
+import { planBulkSend } from "./lib/bulk-send.js";
 
 // ─── CONFIGURAÇÃO ────────────────────────────────────────────────────────────
 
-const API_KEY = process.env.CHATGURU_API_KEY;
-const ACCOUNT_ID = process.env.CHATGURU_ACCOUNT_ID;
-const PHONE_ID = process.env.CHATGURU_PHONE_ID;
-const SERVER = process.env.CHATGURU_SERVER;
-const BASE_URL = `https://s${SERVER}.expertintegrado.app/api/v1`;
+// País usado para interpretar números digitados sem DDI (ISO 3166 alfa-2)
+const DEFAULT_COUNTRY = (process.env.CHATGURU_DEFAULT_COUNTRY || "BR").toUpperCase();
+
+// Fuso usado para converter as datas do painel ("Hoje", "há 3 dias") em ISO-8601
+const TIME_ZONE = process.env.CHATGURU_TIMEZONE || DEFAULT_TIME_ZONE;
+
+// Pool de browser: páginas abertas simultaneamente e tempo ocioso até fechar o Chromium
+const BROWSER_POOL_SIZE = parseInt(process.env.CHATGURU_BROWSER_POOL_SIZE || "2", 10);
+const BROWSER_IDLE_MS = parseInt(process.env.CHATGURU_BROWSER_IDLE_SECONDS || "300", 10) * 1000;
+const BROWSER_TIMEOUT_MS = parseInt(process.env.CHATGURU_BROWSER_TIMEOUT_SECONDS || "180", 10) * 1000;
+
+// Modo simulação: ações de escrita são validadas e exibidas como prévia, mas não enviadas
+const DRY_RUN = /^(1|true|yes|sim)$/i.test(process.env.CHATGURU_DRY_RUN || "");
+// Exige confirmação por token antes de envios (mensagem, arquivo, diálogo, envio em massa)
+const REQUIRE_CONFIRMATION = /^(1|true|yes|sim)$/i.test(process.env.CHATGURU_REQUIRE_CONFIRMATION || "");
+const CONFIRMATION_TTL_MS = parseInt(process.env.CHATGURU_CONFIRMATION_TTL_SECONDS || "600", 10) * 1000;
+
+// Limite de chamadas à API por conta (requisições/minuto; 0 = sem limite) e orçamento por
+// classe (send, update, read) ou action, ex: "send=20,message_status=10"
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.CHATGURU_RATE_LIMIT_PER_MINUTE || "60", 10);
+const RATE_LIMIT_MAX_WAIT_MS = parseInt(process.env.CHATGURU_RATE_LIMIT_MAX_WAIT_SECONDS || "60", 10) * 1000;
+let RATE_LIMITS;
+try {
+  RATE_LIMITS = parseRateLimits(process.env.CHATGURU_RATE_LIMITS);
+} catch (err) {
+  console.error(`ERRO: CHATGURU_RATE_LIMITS: ${err.message}`);
+  process.exit(1);
+}
+
+// Janela em que envios com a mesma idempotency_key devolvem o resultado original
+const IDEMPOTENCY_WINDOW_MS = parseFloat(process.env.CHATGURU_IDEMPOTENCY_WINDOW_HOURS || "24") * 60 * 60 * 1000;
+
+// Agendamento local: o próprio servidor dispara os envios com send_date (permite cancelar e remarcar,
+// mas exige o processo rodando no horário). Desligado: send_date vai para a API do ChatGuru.
+const LOCAL_SCHEDULER = /^(1|true|yes|sim)$/i.test(process.env.CHATGURU_LOCAL_SCHEDULER || "");
+
+// Envios agendados vencidos com o servidor parado: disparados ao reiniciar se o atraso for até N minutos
+const SCHEDULE_GRACE_MS = parseFloat(process.env.CHATGURU_SCHEDULE_GRACE_MINUTES || "60") * 60 * 1000;
+
+// Recursos de conversas assinados: sem webhooks, só são atualizados relendo o painel (0 = desligado)
+const RESOURCE_POLL_MS = parseInt(process.env.CHATGURU_RESOURCE_POLL_SECONDS || "0", 10) * 1000;
+
+// Webhooks (opcional): listener HTTP que recebe os eventos do ChatGuru (mensagens recebidas etc.)
+const WEBHOOK_PORT = process.env.CHATGURU_WEBHOOK_PORT ? parseInt(process.env.CHATGURU_WEBHOOK_PORT, 10) : null;
+const WEBHOOK_HOST = process.env.CHATGURU_WEBHOOK_HOST || "127.0.0.1";
+const WEBHOOK_PATH = process.env.CHATGURU_WEBHOOK_PATH || "/webhook/chatguru";
+const WEBHOOK_SECRET = process.env.CHATGURU_WEBHOOK_SECRET || "";
+
+// Arquivos locais no chatguru_send_file: publicados por URL assinada (servidor embutido ou S3) para o ChatGuru baixar
+const UPLOAD_STORAGE = (process.env.CHATGURU_UPLOAD_STORAGE || "local").toLowerCase();
+const UPLOAD_PORT = process.env.CHATGURU_UPLOAD_PORT ? parseInt(process.env.CHATGURU_UPLOAD_PORT, 10) : null;
+const UPLOAD_HOST = process.env.CHATGURU_UPLOAD_HOST || "127.0.0.1";
+const UPLOAD_PUBLIC_URL = process.env.CHATGURU_UPLOAD_PUBLIC_URL || "";
+// Sem segredo fixo, as URLs assinadas deixam de valer quando o servidor reinicia (são de curta duração mesmo)
+const UPLOAD_SECRET = process.env.CHATGURU_UPLOAD_SECRET || randomBytes(32).toString("hex");
+const UPLOAD_URL_TTL_MS = parseFloat(process.env.CHATGURU_UPLOAD_URL_TTL_MINUTES || "60") * 60 * 1000;
+const S3_CONFIG = {
+  endpoint: process.env.CHATGURU_S3_ENDPOINT || "",
+  region: process.env.CHATGURU_S3_REGION || "us-east-1",
+  bucket: process.env.CHATGURU_S3_BUCKET || "",
+  accessKeyId: process.env.CHATGURU_S3_ACCESS_KEY_ID || "",
+  secretAccessKey: process.env.CHATGURU_S3_SECRET_ACCESS_KEY || "",
+  prefix: process.env.CHATGURU_S3_PREFIX ?? "chatguru-uploads/",
+};
+
+// Transporte MCP: stdio (padrão, processo iniciado pelo cliente) ou http (instância compartilhada pela equipe).
+// Linha de comando (--transport=http ou --http) tem precedência sobre CHATGURU_TRANSPORT.
+const TRANSPORT_ARG = process.argv.includes("--http") ? "http"
+  : process.argv.find((arg) => arg.startsWith("--transport="))?.slice("--transport=".length);
+const TRANSPORT = (TRANSPORT_ARG || process.env.CHATGURU_TRANSPORT || "stdio").toLowerCase();
+const HTTP_PORT = parseInt(process.env.CHATGURU_HTTP_PORT || "3000", 10);
+const HTTP_HOST = process.env.CHATGURU_HTTP_HOST || "127.0.0.1";
+const HTTP_PATH = process.env.CHATGURU_HTTP_PATH || "/mcp";
+// Tokens Bearer aceitos, separados por vírgula (um por pessoa facilita revogar acessos)
+const HTTP_TOKENS = (process.env.CHATGURU_HTTP_TOKEN || "").split(",").map((t) => t.trim()).filter(Boolean);
+const HTTP_SESSION_IDLE_MS = parseInt(process.env.CHATGURU_HTTP_SESSION_IDLE_MINUTES || "30", 10) * 60 * 1000;
+
+if (!["stdio", "http"].includes(TRANSPORT)) {
+  console.error(`ERRO: transporte "${TRANSPORT}" inválido. Use stdio ou http (--transport=http ou CHATGURU_TRANSPORT).`);
+  process.exit(1);
+}
+
+if (TRANSPORT === "http" && !(HTTP_PORT > 0 && HTTP_PORT < 65536)) {
+  console.error(`ERRO: CHATGURU_HTTP_PORT="${process.env.CHATGURU_HTTP_PORT}" não é uma porta válida.`);
+  process.exit(1);
+}
+
+// Fora do loopback, qualquer um na rede poderia enviar mensagens pelo servidor
+if (TRANSPORT === "http" && HTTP_TOKENS.length === 0 && !LOOPBACK_HOSTS.includes(HTTP_HOST)) {
+  console.error(`ERRO: CHATGURU_HTTP_HOST="${HTTP_HOST}" exige CHATGURU_HTTP_TOKEN.`);
+  process.exit(1);
+}
+
+if (!(RATE_LIMIT_PER_MINUTE >= 0) || !(RATE_LIMIT_MAX_WAIT_MS > 0)) {
+  console.error("ERRO: CHATGURU_RATE_LIMIT_PER_MINUTE e CHATGURU_RATE_LIMIT_MAX_WAIT_SECONDS devem ser números (0 desliga o limite).");
+  process.exit(1);
+}
+
+if (!(IDEMPOTENCY_WINDOW_MS > 0)) {
+  console.error(`ERRO: CHATGURU_IDEMPOTENCY_WINDOW_HOURS="${process.env.CHATGURU_IDEMPOTENCY_WINDOW_HOURS}" deve ser um número de horas maior que zero.`);
+  process.exit(1);
+}
+
+if (!(SCHEDULE_GRACE_MS >= 0)) {
+  console.error(`ERRO: CHATGURU_SCHEDULE_GRACE_MINUTES="${process.env.CHATGURU_SCHEDULE_GRACE_MINUTES}" deve ser um número de minutos.`);
+  process.exit(1);
+}
 
-if (!API_KEY || !ACCOUNT_ID || !PHONE_ID || !SERVER) {
+if (!phone.COUNTRIES[DEFAULT_COUNTRY]) {
   console.error(
-    "ERRO: Variáveis de ambiente obrigatórias não definidas.\n" +
-    "Defina: CHATGURU_API_KEY, CHATGURU_ACCOUNT_ID, CHATGURU_PHONE_ID, CHATGURU_SERVER"
+    `ERRO: CHATGURU_DEFAULT_COUNTRY="${DEFAULT_COUNTRY}" não suportado.\n` +
+    `Use um de: ${Object.keys(phone.COUNTRIES).join(", ")}`
   );
   process.exit(1);
 }
 
-// Caminho do session.json relativo a este arquivo
+if (WEBHOOK_PORT !== null && !(WEBHOOK_PORT > 0 && WEBHOOK_PORT < 65536)) {
+  console.error(`ERRO: CHATGURU_WEBHOOK_PORT="${process.env.CHATGURU_WEBHOOK_PORT}" não é uma porta válida.`);
+  process.exit(1);
+}
+
+// Fora do loopback, qualquer um na rede poderia injetar eventos falsos
+if (WEBHOOK_PORT !== null && !WEBHOOK_SECRET && !LOOPBACK_HOSTS.includes(WEBHOOK_HOST)) {
+  console.error(`ERRO: CHATGURU_WEBHOOK_HOST="${WEBHOOK_HOST}" exige CHATGURU_WEBHOOK_SECRET.`);
+  process.exit(1);
+}
+
+if (!["local", "s3"].includes(UPLOAD_STORAGE)) {
+  console.error(`ERRO: CHATGURU_UPLOAD_STORAGE="${UPLOAD_STORAGE}" inválido. Use local ou s3.`);
+  process.exit(1);
+}
+
+if (UPLOAD_PORT !== null && !(UPLOAD_PORT > 0 && UPLOAD_PORT < 65536)) {
+  console.error(`ERRO: CHATGURU_UPLOAD_PORT="${process.env.CHATGURU_UPLOAD_PORT}" não é uma porta válida.`);
+  process.exit(1);
+}
+
+// O ChatGuru baixa o arquivo pela internet: sem endereço público, a URL gerada não serviria
+if (UPLOAD_STORAGE === "local" && UPLOAD_PORT !== null && !/^https?:\/\//i.test(UPLOAD_PUBLIC_URL)) {
+  console.error("ERRO: CHATGURU_UPLOAD_PORT exige CHATGURU_UPLOAD_PUBLIC_URL (endereço http(s) pelo qual o ChatGuru alcança o servidor de arquivos).");
+  process.exit(1);
+}
+
+if (UPLOAD_STORAGE === "s3") {
+  const missing = ["endpoint", "bucket", "accessKeyId", "secretAccessKey"].filter((k) => !S3_CONFIG[k]);
+  if (missing.length) {
+    const names = { endpoint: "CHATGURU_S3_ENDPOINT", bucket: "CHATGURU_S3_BUCKET", accessKeyId: "CHATGURU_S3_ACCESS_KEY_ID", secretAccessKey: "CHATGURU_S3_SECRET_ACCESS_KEY" };
+    console.error(`ERRO: CHATGURU_UPLOAD_STORAGE=s3 exige ${missing.map((k) => names[k]).join(", ")}.`);
+    process.exit(1);
+  }
+}
+
+if (!(UPLOAD_URL_TTL_MS > 0)) {
+  console.error(`ERRO: CHATGURU_UPLOAD_URL_TTL_MINUTES="${process.env.CHATGURU_UPLOAD_URL_TTL_MINUTES}" deve ser um número de minutos maior que zero.`);
+  process.exit(1);
+}
+
+try {
+  new Intl.DateTimeFormat("pt-BR", { timeZone: TIME_ZONE });
+} catch {
+  console.error(`ERRO: CHATGURU_TIMEZONE="${TIME_ZONE}" não é um fuso IANA válido (ex: America/Sao_Paulo).`);
+  process.exit(1);
+}
+
+// Caminhos relativos a este arquivo (session.json, profiles.json)
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
-const SESSION_PATH = join(__dirname, "session.json");
 
-// ─── HELPERS ─────────────────────────────────────────────────────────────────
+// Diretório de dados locais (histórico de envios, etc.)
+const DATA_DIR = process.env.CHATGURU_DATA_DIR || join(__dirname, "data");
 
-const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
-
-function friendlyError(status, defaultMsg) {
-  const messages = {
-    401: "Chave de API inválida. Verifique a variável CHATGURU_API_KEY.",
-    403: "Sem permissão para acessar este recurso no ChatGuru.",
-    404: "Recurso não encontrado no ChatGuru.",
-    429: "Limite de requisições atingido. Tente novamente em alguns segundos.",
-    500: "Erro interno do servidor ChatGuru. Tente novamente.",
-    502: "ChatGuru temporariamente indisponível. Tente novamente.",
-    503: "ChatGuru em manutenção. Tente novamente em instantes.",
-  };
-  return messages[status] || defaultMsg || `Erro ${status} na API do ChatGuru.`;
+// Anexos baixados por chatguru_download_media (nome = hash do conteúdo)
+const MEDIA_DIR = process.env.CHATGURU_MEDIA_DIR || join(DATA_DIR, "media");
+const MEDIA_MAX_BYTES = parseFloat(process.env.CHATGURU_MEDIA_MAX_MB || "100") * 1024 * 1024;
+
+if (!(MEDIA_MAX_BYTES > 0)) {
+  console.error(`ERRO: CHATGURU_MEDIA_MAX_MB="${process.env.CHATGURU_MEDIA_MAX_MB}" deve ser um número de megabytes maior que zero.`);
+  process.exit(1);
 }
 
+// Pastas de onde chatguru_send_file pode ler file_path (separadas por vírgula). No HTTP, quem chama
+// é um cliente remoto: por padrão nenhuma pasta é liberada e só file_base64 é aceito.
+const UPLOAD_DIRS = process.env.CHATGURU_UPLOAD_DIRS !== undefined
+  ? process.env.CHATGURU_UPLOAD_DIRS.split(",").map((d) => d.trim()).filter(Boolean)
+  : TRANSPORT === "stdio" ? [homedir(), tmpdir()] : [];
+
+// Perfis (conta/número): profiles.json ou, sem ele, o perfil único das variáveis CHATGURU_*
+const PROFILES = await loadProfiles({ baseDir: __dirname, dataDir: DATA_DIR }).catch((err) => {
+  console.error(`ERRO: ${err.message}`);
+  process.exit(1);
+});
+const PROFILE_NAMES = PROFILES.profiles.map((p) => p.name);
+
+// Prompts MCP: textos padrão, ajustáveis por equipe em prompts.json (CHATGURU_PROMPTS_FILE)
+const PROMPTS = await loadPrompts({ baseDir: __dirname }).catch((err) => {
+  console.error(`ERRO: ${err.message}`);
+  process.exit(1);
+});
+
+// Re-login automático (opcional): credenciais de cada perfil, por env/perfil ou arquivo criptografado
+const LOGIN_CREDENTIALS = new Map();
+for (const profile of PROFILES.profiles) {
+  const credentials = await loadCredentials(profileCredentialsSource(profile)).catch((err) => {
+    console.error(`ERRO${PROFILES.source === "file" ? ` (perfil ${profile.name})` : ""}: ${err.message}`);
+    process.exit(1);
+  });
+  LOGIN_CREDENTIALS.set(profile.name, credentials);
+}
+
+// ─── HELPERS ─────────────────────────────────────────────────────────────────
+
 async function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
 /**
- * Normaliza número de telefone para formato DDI+DDD+NÚMERO (somente dígitos).
- * Aceita: +55 (81) 91095702, 55 81 9109-5702, 81991095702, 5581991095702
- *
- * Regra do 9º dígito (celulares brasileiros):
- * - DDDs 11-30 (SP, RJ, ES, MG parcial): celulares têm 9 dígitos (ex: 11 9XXXX-XXXX)
- * - DDDs 31+ (restante do Brasil): celulares têm 8 dígitos (ex: 31 XXXX-XXXX)
- * O ChatGuru armazena o número SEM o 9 extra para DDDs >= 31.
- * Exemplo: 5531912345678 → 553112345678 (remove o 9 após DDD)
+ * Normaliza número de telefone para DDI + número (somente dígitos).
+ * Números sem DDI são interpretados no país padrão (CHATGURU_DEFAULT_COUNTRY).
+ * Regras por país (9º dígito no Brasil, etc.) em lib/phone.js.
+ * Lança PhoneValidationError para números impossíveis.
  */
 function normalizePhone(input) {
-  // Remove tudo que não é dígito
-  let digits = input.replace(/\D/g, "");
+  return phone.normalizePhone(input, { defaultCountry: DEFAULT_COUNTRY });
+}
 
-  // Se não começa com 55, adiciona DDI
-  if (!digits.startsWith("55") && digits.length >= 10 && digits.length <= 11) {
-    digits = "55" + digits;
-  }
+/**
+ * Gera variantes de busca para um número (normalizado + variantes aceitas pelo WhatsApp).
+ * Útil para busca no Playwright onde o formato exato pode variar.
+ */
+function phoneSearchVariants(input) {
+  return phone.phoneSearchVariants(input, { defaultCountry: DEFAULT_COUNTRY });
+}
 
-  // Aplica regra do 9º dígito para DDDs >= 31
-  // Formato esperado: 55 + DD + NÚMERO
-  if (digits.startsWith("55") && digits.length === 13) {
-    const ddd = parseInt(digits.substring(2, 4), 10);
-    const ninthDigit = digits[4];
-    // DDDs 31+ com 9 dígitos no celular: remover o 9 extra
-    if (ddd >= 31 && ninthDigit === "9") {
-      digits = digits.substring(0, 4) + digits.substring(5); // remove o 5º char (o "9")
+// Actions da API que alteram algo no ChatGuru — toda chamada a elas vai para a auditoria
+const WRITE_ACTIONS = new Set([
+  "message_send",
+  "message_file_send",
+  "chat_add",
+  "chat_update_custom_fields",
+  "chat_update_name",
+  "chat_update_context",
+  "note_add",
+  "dialog_execute",
+]);
+
+const auditLog = createAuditLog({ logPath: join(DATA_DIR, "audit-log.jsonl"), defaultProfile: PROFILES.defaultName });
+const idempotency = createIdempotencyStore({ storePath: join(DATA_DIR, "idempotency-keys.json"), windowMs: IDEMPOTENCY_WINDOW_MS });
+
+/**
+ * Valida os parâmetros de uma ação de escrita sem chamar a API.
+ * Retorna uma lista de avisos (vazia se tudo parece correto).
+ */
+function validateWriteParams(action, params) {
+  const warnings = [];
+  const number = params.chat_number;
+  if (number !== undefined) {
+    if (!/^\d{10,15}$/.test(number)) {
+      warnings.push(`Número "${number}" fora do formato esperado (10 a 15 dígitos com DDI).`);
+    } else if (number.startsWith("55") && ![12, 13].includes(number.length)) {
+      warnings.push(`Número brasileiro "${number}" com ${number.length} dígitos (esperado 12 ou 13).`);
     }
   }
+  for (const key of ["text", "note_text", "name", "dialog_id", "file_url"]) {
+    if (key in params && !String(params[key] ?? "").trim()) warnings.push(`Campo ${key} está vazio.`);
+  }
+  if (params.file_url && !/^https?:\/\//i.test(params.file_url)) {
+    warnings.push("file_url deve ser uma URL pública http(s).");
+  }
+  if (params.file && !uploadStorage) {
+    warnings.push("Envio de arquivos locais não está configurado (CHATGURU_UPLOAD_PORT ou CHATGURU_UPLOAD_STORAGE=s3).");
+  }
+  // send_date já chega interpretado (parseScheduleDate); a prévia pode ser confirmada bem depois
+  if (params.send_date && Date.parse(params.send_date) < Date.now()) {
+    warnings.push(`send_date "${params.send_date}" está no passado.`);
+  }
+  if (action === "chat_update_custom_fields" && !Object.keys(params).some((k) => k.startsWith("field__"))) {
+    warnings.push("Nenhum campo customizado informado.");
+  }
+  return warnings;
+}
 
-  return digits;
+/**
+ * Monta a prévia de uma ação de escrita (o que seria enviado à API).
+ */
+function buildWritePreview(tool, action, params, profile) {
+  return {
+    dry_run: true,
+    tool: tool || null,
+    profile: profile.name,
+    action,
+    number: params.chat_number || null,
+    params,
+    warnings: validateWriteParams(action, params),
+  };
 }
 
 /**
- * Gera variantes de busca para um número brasileiro.
- * Retorna array com o número normalizado + variante com/sem 9º dígito.
- * Útil para busca no Playwright onde o formato exato pode variar.
+ * Formata a prévia para o texto de resposta da ferramenta.
+ * inputNumber é o número como o usuário digitou, para mostrar a normalização.
  */
-function phoneSearchVariants(input) {
-  const normalized = normalizePhone(input);
-  const variants = [normalized];
+function formatPreview(preview, inputNumber) {
+  let msg = `[SIMULAÇÃO] Nada foi enviado ao ChatGuru.\nAção: ${preview.action}${preview.tool ? ` (${preview.tool})` : ""}`;
+  if (PROFILES.source === "file") msg += `\nPerfil: ${preview.profile}`;
+  if (preview.number) {
+    const from = inputNumber && inputNumber !== preview.number ? `${inputNumber} → ` : "";
+    msg += `\nNúmero: ${from}${preview.number} (normalizado)`;
+  }
+  msg += `\nParâmetros: ${JSON.stringify(preview.params, null, 2)}`;
+  msg += preview.warnings.length ? `\nAvisos:\n- ${preview.warnings.join("\n- ")}` : "\nValidação: OK";
+  return msg;
+}
 
-  if (normalized.startsWith("55") && normalized.length >= 12) {
-    const ddd = parseInt(normalized.substring(2, 4), 10);
-    const rest = normalized.substring(4);
+/**
+ * Resultado de ferramenta: o texto para leitura e o mesmo resultado em
+ * structuredContent (validado contra o outputSchema da ferramenta).
+ */
+function toolResult(text, structuredContent) {
+  return { content: [{ type: "text", text }], structuredContent };
+}
 
-    if (ddd >= 31) {
-      // Se tem 8 dígitos após DDD, tentar com 9 na frente
-      if (rest.length === 8) {
-        variants.push(normalized.substring(0, 4) + "9" + rest);
-      }
-      // Se tem 9 dígitos após DDD e começa com 9, tentar sem
-      if (rest.length === 9 && rest[0] === "9") {
-        variants.push(normalized.substring(0, 4) + rest.substring(1));
-      }
-    } else {
-      // DDDs 11-30: celular sempre tem 9 dígitos
-      // Se tem 8 dígitos, adicionar 9
-      if (rest.length === 8) {
-        variants.push(normalized.substring(0, 4) + "9" + rest);
-      }
-    }
-  }
+/**
+ * Resultado de erro da ferramenta: isError, texto com código e dica, e o erro
+ * classificado em _meta.error (lib/errors.js). Não leva structuredContent.
+ */
+function toolError(err) {
+  const error = describeError(err);
+  if (error.code === "internal") console.error(`[ChatGuru] Erro inesperado: ${err?.stack || error.message}`);
+  let text = `Erro [${error.code}]: ${error.message}`;
+  if (error.retry_after_seconds !== null) text += `\nPode tentar de novo em ${error.retry_after_seconds}s.`;
+  text += `\n${error.hint}`;
+  return { content: [{ type: "text", text }], isError: true, _meta: { error } };
+}
 
-  return [...new Set(variants)];
+function previewSummary({ action, number, params, warnings }) {
+  return { action, number, params, warnings };
 }
 
 /**
- * Faz requisição à API do ChatGuru com retry automático.
- * Body é form-encoded (application/x-www-form-urlencoded), NÃO JSON.
+ * Resultado de uma ação de escrita em dry_run (nada foi enviado).
  */
-async function chatguruRequest(action, params = {}, { retries = 3, paramsInUrl = false } = {}) {
-  const urlParams = new URLSearchParams({
-    key: API_KEY,
-    account_id: ACCOUNT_ID,
-    phone_id: PHONE_ID,
-    action: action,
+function previewResult(preview, inputNumber) {
+  return toolResult(formatPreview(preview, inputNumber), {
+    outcome: "dry_run",
+    tool: preview.tool,
+    profile: preview.profile,
+    chat_number: preview.number,
+    preview: previewSummary(preview),
   });
+}
 
-  let body = "";
-  if (paramsInUrl) {
-    // Enviar todos os params na query string (ex: chat_update_custom_fields)
-    for (const [key, value] of Object.entries(params)) {
-      if (value !== undefined && value !== null) urlParams.append(key, String(value));
-    }
-  } else {
-    // Enviar params no body (padrão para a maioria dos endpoints)
-    const bodyParams = new URLSearchParams();
-    for (const [key, value] of Object.entries(params)) {
-      if (value !== undefined && value !== null) bodyParams.append(key, String(value));
-    }
-    body = bodyParams.toString();
+/**
+ * Resultado de uma ação de escrita executada; fields traz o que é próprio da ferramenta.
+ */
+function writeResult(text, { tool, profile, number }, fields = {}) {
+  return toolResult(text, { outcome: "success", tool, profile: profile.name, chat_number: number, ...fields });
+}
+
+/**
+ * Faz requisição à API do ChatGuru com retry automático, com as credenciais do perfil.
+ * Chamadas a WRITE_ACTIONS são registradas na auditoria (tool = ferramenta MCP de origem).
+ * Com dryRun (padrão: CHATGURU_DRY_RUN), ações de escrita não são enviadas: retorna a prévia.
+ * Com idempotencyKey, repetir a mesma chamada na janela devolve a resposta original
+ * (com `idempotency.replayed`) em vez de chamar a API de novo. fingerprintParams substitui
+ * params na comparação, quando algum parâmetro muda a cada chamada (ex: URL assinada).
+ */
+async function chatguruRequest(action, params = {}, { profile, retries = 3, paramsInUrl = false, tool, dryRun = DRY_RUN, idempotencyKey, fingerprintParams = params }) {
+  if (!WRITE_ACTIONS.has(action)) {
+    return sendChatguruRequest(profile, action, params, { retries, paramsInUrl });
   }
 
-  const url = `${BASE_URL}?${urlParams.toString()}`;
+  const record = { tool: tool || null, profile: profile.name, action, number: params.chat_number || null, payload: params };
+  if (dryRun) {
+    const preview = buildWritePreview(tool, action, params, profile);
+    auditLog.append({ ...record, outcome: "dry_run", warnings: preview.warnings });
+    return preview;
+  }
 
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    let response;
+  const send = async () => {
     try {
-      response = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/x-www-form-urlencoded" },
-        body,
-      });
+      const data = await sendChatguruRequest(profile, action, params, { retries, paramsInUrl });
+      auditLog.append({ ...record, outcome: "success", response: data, ...(idempotencyKey && { idempotency_key: idempotencyKey }) });
+      return data;
     } catch (err) {
-      if (attempt < retries) {
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 8000);
-        console.error(`[ChatGuru] Erro de rede (tentativa ${attempt}/${retries}): ${err.message}. Retry em ${delay}ms...`);
-        await sleep(delay);
-        continue;
-      }
-      throw new Error(`Erro de conexão com ChatGuru após ${retries} tentativas: ${err.message}`);
+      auditLog.append({ ...record, outcome: "error", error: err.message });
+      throw err;
     }
+  };
+  if (!idempotencyKey) return send();
 
-    if (!response.ok && RETRYABLE_STATUSES.includes(response.status) && attempt < retries) {
-      const delay = Math.min(1000 * Math.pow(2, attempt - 1), 8000);
-      console.error(`[ChatGuru] HTTP ${response.status} (tentativa ${attempt}/${retries}). Retry em ${delay}ms...`);
-      await sleep(delay);
-      continue;
-    }
+  const call = { scope: profile.name, key: idempotencyKey, fingerprint: fingerprint({ action, params: fingerprintParams }) };
+  const { result, replayed, created_at } = await idempotency.run(call, send);
+  if (replayed) auditLog.append({ ...record, outcome: "replayed", idempotency_key: idempotencyKey, first_sent_at: created_at });
+  return { ...result, idempotency: { key: idempotencyKey, replayed, first_sent_at: created_at } };
+}
 
-    if (!response.ok) {
-      throw new Error(friendlyError(response.status));
-    }
+/**
+ * Linha do texto de resposta para um envio repetido com a mesma idempotency_key.
+ */
+function replayNote(data) {
+  return data.idempotency?.replayed
+    ? `\n[REPETIÇÃO] idempotency_key "${data.idempotency.key}" já usada em ${data.idempotency.first_sent_at}: nada foi enviado de novo, este é o resultado original.`
+    : "";
+}
+
+// ─── PERFIS ──────────────────────────────────────────────────────────────────
+
+/** account_id → limitador de requisições à API (lib/rate-limiter.js) */
+const rateLimiters = new Map();
 
-    const data = await response.json();
-    if (data.success === false) {
-      throw new Error(data.error || data.message || "Erro desconhecido na API do ChatGuru.");
+/**
+ * Estado de cada perfil em execução: URLs do servidor, histórico de envios,
+ * browser com a sessão do painel e re-login automático. Tudo é independente
+ * entre perfis (a sessão de um número nunca é usada para outro), exceto o limite
+ * de requisições, dividido pelos perfis da mesma conta.
+ */
+function createProfileRuntime(config) {
+  const host = `https://s${config.server}.expertintegrado.app`;
+  const credentials = LOGIN_CREDENTIALS.get(config.name);
+  const profile = {
+    ...config,
+    host,
+    baseUrl: `${host}/api/v1`,
+    panelUrl: `${host}/chats`,
+    credentials,
+  };
+
+  // Perfis da mesma conta dividem o limite de requisições
+  if (RATE_LIMIT_PER_MINUTE > 0) {
+    const key = config.account_id ?? config.name;
+    if (!rateLimiters.has(key)) {
+      rateLimiters.set(key, createRateLimiter({
+        perMinute: RATE_LIMIT_PER_MINUTE,
+        limits: RATE_LIMITS,
+        maxWaitMs: RATE_LIMIT_MAX_WAIT_MS,
+      }));
     }
+    profile.rateLimiter = rateLimiters.get(key);
+  }
+
+  // O perfil padrão mantém o arquivo de sempre (histórico anterior aos perfis)
+  profile.deliveryTracker = createDeliveryTracker({
+    storePath: join(DATA_DIR, config.is_default ? "sent-messages.json" : `sent-messages-${config.name}.json`),
+    fetchStatus: (messageId) => chatguruRequest("message_status", { message_id: messageId }, { profile }),
+  });
+
+  profile.browserPool = createBrowserPool({
+    sessionPath: config.session_path,
+    size: BROWSER_POOL_SIZE,
+    idleMs: BROWSER_IDLE_MS,
+    timeoutMs: BROWSER_TIMEOUT_MS,
+    // Com re-login automático, a falta do arquivo de sessão só leva à tela de login
+    allowMissingSession: Boolean(credentials),
+  });
+
+  profile.sessionRefresher = createSessionRefresher({
+    credentials,
+    loginUrl: host,
+    saveSession: (page) => profile.browserPool.saveSession(page),
+    label: PROFILES.source === "file" ? `perfil ${config.name}` : "",
+  });
+
+  return profile;
+}
+
+const profileRuntimes = new Map(PROFILES.profiles.map((config) => [config.name, createProfileRuntime(config)]));
+
+/**
+ * Perfil pelo nome informado na ferramenta (sem nome: o perfil padrão).
+ * @throws {ProfileError} se o perfil não existe
+ */
+function getProfile(name) {
+  return profileRuntimes.get(selectProfile(PROFILES, name).name);
+}
+
+// Parâmetro `profile` comum a todas as ferramentas
+const profileParam = z.enum(PROFILE_NAMES).optional()
+  .describe(`Perfil (conta/número do ChatGuru) a usar. Disponíveis: ${PROFILE_NAMES.join(", ")}. Padrão: ${PROFILES.defaultName}.`);
+
+// Parâmetro `idempotency_key` das ferramentas de envio e registro
+const idempotencyKeyParam = z.string().trim().min(1).max(200).optional()
+  .describe(`Chave única deste envio (ex: UUID ou ID do pedido). Repetir a chamada com a mesma chave em até ${IDEMPOTENCY_WINDOW_MS / 3600000}h devolve o resultado original sem enviar de novo.`);
+
+// ─── CONFIRMAÇÃO DE ENVIOS ───────────────────────────────────────────────────
+
+const confirmations = createConfirmationStore({ ttlMs: CONFIRMATION_TTL_MS });
+
+/**
+ * Guarda um envio para aprovação humana em vez de executá-lo.
+ * previews: prévias das chamadas à API que serão feitas; run: executa o envio de fato.
+ * O envio fica preso à sessão de extra (transporte HTTP): outros clientes não o veem nem confirmam.
+ */
+function holdForConfirmation(tool, summary, previews, run, profile, extra) {
+  const { token, expires_at } = confirmations.prepare({ tool, profile: profile.name, summary, previews }, run, extra?.sessionId ?? null);
+  const warnings = previews.flatMap((p) => p.warnings);
+  let msg = `Envio preparado e NÃO enviado: ${summary}`;
+  if (PROFILES.source === "file") msg += `\nPerfil: ${profile.name}`;
+  msg += `\nToken de confirmação: ${token} (válido até ${expires_at})`;
+  msg += `\nPrévia: ${JSON.stringify(previews.map(({ action, number, params }) => ({ action, number, params })), null, 2)}`;
+  if (warnings.length) msg += `\nAvisos:\n- ${warnings.join("\n- ")}`;
+  msg += `\nApós aprovação humana, chame chatguru_confirm_send com token="${token}".`;
+  return toolResult(msg, {
+    outcome: "pending_confirmation",
+    tool,
+    profile: profile.name,
+    chat_number: previews.length === 1 ? previews[0].number : null,
+    confirmation: { token, expires_at, summary, previews: previews.map(previewSummary) },
+  });
+}
+
+// ─── AGENDAMENTOS ────────────────────────────────────────────────────────────
+
+// Envios com send_date ficam registrados em lib/scheduler.js: disparados por ele na hora marcada
+// (CHATGURU_LOCAL_SCHEDULER) ou já entregues à API com send_date, só para listar
+const scheduler = createScheduler({
+  storePath: join(DATA_DIR, "scheduled-messages.json"),
+  graceMs: SCHEDULE_GRACE_MS,
+  dispatch: async (entry) => {
+    const profile = profileRuntimes.get(entry.profile);
+    if (!profile) throw new ChatGuruError("validation", `Perfil ${entry.profile} não existe mais em profiles.json.`);
+    // Chave estável: se o mesmo agendamento for disparado de novo, a API não recebe a mensagem duas vezes
+    const data = await chatguruRequest("message_send", entry.params, { profile, tool: entry.tool, dryRun: false, idempotencyKey: `schedule:${entry.id}` });
+    profile.deliveryTracker.track(data.message_id, { number: entry.number, kind: "text", preview: entry.params.text });
     return data;
+  },
+});
+
+/**
+ * Interpreta o send_date informado na ferramenta (no fuso CHATGURU_TIMEZONE).
+ * @throws {ChatGuruError} validation se não for reconhecido ou estiver no passado
+ */
+function parseScheduleDate(sendDate) {
+  const date = parseSendDate(sendDate, { timeZone: TIME_ZONE });
+  if (!date) {
+    throw new ChatGuruError("validation",
+      `send_date "${sendDate}" não reconhecido. Use ISO (2026-03-12 14:00), pt-BR (12/03/2026 14:00) ou relativo (amanhã 9h, sexta 14h30, em 2 horas).`);
+  }
+  if (date.getTime() <= Date.now()) {
+    throw new ChatGuruError("validation", `send_date "${sendDate}" (${formatInTimeZone(date, TIME_ZONE)}) está no passado.`);
   }
+  return date;
+}
+
+// Como o send_date é tratado, para as descrições das ferramentas
+const SCHEDULE_NOTE = LOCAL_SCHEDULER
+  ? "O envio fica agendado neste servidor e pode ser listado, cancelado e remarcado."
+  : "O envio é agendado na API do ChatGuru e aparece em chatguru_list_scheduled (não pode ser cancelado nem remarcado).";
+
+/**
+ * send_date no formato da API (YYYY-MM-DD HH:MM, no fuso configurado).
+ */
+function apiSendDate(date) {
+  return formatInTimeZone(date, TIME_ZONE).slice(0, 16).replace("T", " ");
+}
+
+/**
+ * Agendamento como exibido ao cliente: horários no fuso configurado.
+ */
+function scheduleView(entry) {
+  const local = (iso) => (iso ? formatInTimeZone(new Date(iso), TIME_ZONE) : null);
+  return {
+    ...entry,
+    mode: entry.mode ?? "local",
+    due_at: local(entry.due_at),
+    created_at: local(entry.created_at),
+    updated_at: local(entry.updated_at),
+    sent_at: local(entry.sent_at),
+  };
+}
+
+/**
+ * Agenda uma mensagem de texto: no agendador local ou, sem CHATGURU_LOCAL_SCHEDULER,
+ * enviando à API com send_date (o registro local serve só para listar). Com
+ * idempotencyKey, repetir a chamada devolve o agendamento original em vez de criar outro.
+ *
+ * @returns {Promise<{ entry: object, idempotency?: object }>}
+ */
+async function scheduleTextMessage({ tool, profile, number, text, sendDate, dueAt, batchId, idempotencyKey }) {
+  const params = { chat_number: number, text };
+  const create = async () => {
+    if (LOCAL_SCHEDULER) return scheduler.schedule({ profile: profile.name, tool, number, params, dueAt, batchId });
+    // A API agenda por minuto: arredonda para cima para não cair no passado
+    const apiDueAt = new Date(Math.ceil(dueAt.getTime() / 60000) * 60000);
+    const data = await chatguruRequest("message_send", { ...params, send_date: apiSendDate(apiDueAt) }, { profile, tool, dryRun: false });
+    profile.deliveryTracker.track(data.message_id, { number, kind: "text", preview: text, scheduledFor: formatInTimeZone(apiDueAt, TIME_ZONE) });
+    return scheduler.schedule({ profile: profile.name, tool, number, params, dueAt: apiDueAt, batchId, mode: "api", messageId: data.message_id || null });
+  };
+  if (!idempotencyKey) return { entry: await create() };
+
+  const call = { scope: profile.name, key: idempotencyKey, fingerprint: fingerprint({ action: "schedule", params: { chat_number: number, text, send_date: sendDate } }) };
+  const { result, replayed, created_at } = await idempotency.run(call, create);
+  return {
+    entry: scheduler.get(result.id) ?? result,
+    idempotency: { key: idempotencyKey, replayed, first_sent_at: created_at },
+  };
 }
 
 // ─── MCP SERVER ──────────────────────────────────────────────────────────────
 
-const server = new McpServer({
-  name: "chatguru-mcp",
-  version: "1.0.0",
-});
+// Ferramentas, recursos e prompts são registrados uma vez em `server` e aplicados a cada
+// McpServer criado por createMcpServer(): um só no stdio, um por sessão no HTTP.
+const registrations = [];
+const server = {
+  registerTool: (name, config, handler) => {
+    const run = withErrorResult(handler);
+    registrations.push((instance) => instance.registerTool(name, config, run));
+  },
+  resource: (...args) => registrations.push((instance) => instance.resource(...args)),
+  prompt: (...args) => registrations.push((instance) => instance.prompt(...args)),
+};
+
+/**
+ * Erros lançados pela ferramenta viram resultado isError com código e dica de retry.
+ */
+function withErrorResult(handler) {
+  return async (...args) => {
+    try {
+      return await handler(...args);
+    } catch (err) {
+      return toolError(err);
+    }
+  };
+}
+
+/** McpServer conectado → URIs de recursos que o cliente assinou (resources/subscribe) */
+const connectedServers = new Map();
+
+function createMcpServer() {
+  const instance = new McpServer({
+    name: "chatguru-mcp",
+    version: "1.0.0",
+  });
+  for (const register of registrations) register(instance);
+
+  const subscriptions = new Set();
+  instance.server.registerCapabilities({ resources: { subscribe: true } });
+  instance.server.setRequestHandler(SubscribeRequestSchema, async ({ params }) => {
+    subscriptions.add(params.uri);
+    return {};
+  });
+  instance.server.setRequestHandler(UnsubscribeRequestSchema, async ({ params }) => {
+    subscriptions.delete(params.uri);
+    return {};
+  });
+
+  connectedServers.set(instance, subscriptions);
+  instance.server.onclose = () => connectedServers.delete(instance);
+  return instance;
+}
+
+/**
+ * Avisa os clientes que assinaram o recurso. `matches` é a URI exata ou um filtro
+ * (uri) => boolean, para recursos de template (ex: todas as URIs de um chat).
+ */
+function notifyResourceUpdated(matches) {
+  const test = typeof matches === "function" ? matches : (uri) => uri === matches;
+  for (const [instance, subscriptions] of connectedServers) {
+    for (const uri of subscriptions) {
+      if (test(uri)) instance.server.sendResourceUpdated({ uri }).catch(() => {});
+    }
+  }
+}
 
 // ─── TOOL 1: ENVIAR MENSAGEM ────────────────────────────────────────────────
 
-server.tool(
+async function sendTextMessage({ chat_number, text, send_date, dry_run, idempotency_key, profile: profileName }, tool = "chatguru_send_message") {
+  const profile = getProfile(profileName);
+  const number = normalizePhone(chat_number);
+  const params = { chat_number: number, text };
+  if (send_date) {
+    const dueAt = parseScheduleDate(send_date);
+    if (!(dry_run ?? DRY_RUN)) {
+      return scheduledResult(await scheduleTextMessage({ tool, profile, number, text, sendDate: send_date, dueAt, idempotencyKey: idempotency_key }), profile);
+    }
+    params.send_date = formatInTimeZone(dueAt, TIME_ZONE);
+  }
+  const data = await chatguruRequest("message_send", params, { profile, tool, dryRun: dry_run, idempotencyKey: idempotency_key });
+  if (data.dry_run) return previewResult(data, chat_number);
+  if (!data.idempotency?.replayed) {
+    profile.deliveryTracker.track(data.message_id, { number, kind: "text", preview: text });
+  }
+  let msg = `Mensagem enviada para ${number}.`;
+  if (data.message_id) msg += ` ID: ${data.message_id}`;
+  msg += replayNote(data);
+  return writeResult(msg, { tool, profile, number },
+    { message_id: data.message_id || null, send_date: null, idempotency: data.idempotency });
+}
+
+/**
+ * Resultado de uma mensagem agendada (outcome scheduled).
+ */
+function scheduledResult({ entry, idempotency: idem }, profile) {
+  const view = scheduleView(entry);
+  let msg = `Mensagem agendada para ${entry.number} em ${view.due_at}. ID do agendamento: ${entry.id}`;
+  if (entry.mode === "api") {
+    if (entry.message_id) msg += `\nID da mensagem: ${entry.message_id}`;
+    msg += "\nAgendada na API do ChatGuru: aparece em chatguru_list_scheduled, mas não pode ser cancelada nem remarcada por aqui.";
+  } else {
+    msg += "\nAté lá, use chatguru_list_scheduled, chatguru_cancel_scheduled ou chatguru_reschedule para gerenciar.";
+    msg += "\nO envio é feito por este servidor MCP: ele precisa estar rodando no horário marcado.";
+  }
+  if (entry.status !== "scheduled") msg += `\nSituação atual do agendamento: ${entry.status}.`;
+  msg += replayNote({ idempotency: idem });
+  return toolResult(msg, {
+    outcome: "scheduled",
+    tool: entry.tool,
+    profile: profile.name,
+    chat_number: entry.number,
+    message_id: entry.message_id,
+    send_date: view.due_at,
+    schedule_id: entry.id,
+    ...(idem && { idempotency: idem }),
+  });
+}
+
+server.registerTool(
   "chatguru_send_message",
-  "Envia mensagem de texto via WhatsApp pelo ChatGuru. Suporta agendamento opcional.",
   {
-    chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702). Aceita formatos variados."),
-    text: z.string().describe("Texto da mensagem a enviar"),
-    send_date: z.string().optional().describe("Data/hora para agendamento (YYYY-MM-DD HH:MM). Se omitido, envia imediatamente."),
+    description: "Envia mensagem de texto via WhatsApp pelo ChatGuru. Suporta agendamento opcional (send_date), gerenciado por chatguru_list_scheduled, chatguru_cancel_scheduled e chatguru_reschedule. Com dry_run, apenas valida e mostra a prévia. Se o servidor exigir confirmação, retorna um token para chatguru_confirm_send.",
+    inputSchema: {
+      chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702, +351 912 345 678). Aceita formatos variados; sem DDI, usa o país padrão."),
+      text: z.string().describe("Texto da mensagem a enviar"),
+      send_date: z.string().optional().describe(`Data/hora do agendamento no fuso CHATGURU_TIMEZONE: ISO (2026-03-12 14:00), pt-BR (12/03/2026 14:00) ou relativa (amanhã 9h, sexta 14h30, em 2 horas). ${SCHEDULE_NOTE} Se omitido, envia imediatamente.`),
+      dry_run: z.boolean().optional().describe("Se true, valida e mostra a prévia sem enviar (padrão: CHATGURU_DRY_RUN)."),
+      idempotency_key: idempotencyKeyParam,
+      profile: profileParam,
+    },
+    outputSchema: output.sendMessageOutput,
   },
-  async ({ chat_number, text, send_date }) => {
-    const number = normalizePhone(chat_number);
-    const params = { chat_number: number, text };
-    if (send_date) params.send_date = send_date;
-    const data = await chatguruRequest("message_send", params);
-    let msg = `Mensagem enviada para ${number}.`;
-    if (data.message_id) msg += ` ID: ${data.message_id}`;
-    if (send_date) msg += ` (agendada para ${send_date})`;
-    return { content: [{ type: "text", text: msg }] };
+  async (args, extra) => {
+    if (REQUIRE_CONFIRMATION && !(args.dry_run ?? DRY_RUN)) {
+      const number = normalizePhone(args.chat_number);
+      // Data relativa ("em 2 horas") vale a partir de agora, não de quando for confirmada
+      const sendDate = args.send_date ? formatInTimeZone(parseScheduleDate(args.send_date), TIME_ZONE) : undefined;
+      const params = { chat_number: number, text: args.text, ...(sendDate && { send_date: sendDate }) };
+      const profile = getProfile(args.profile);
+      return holdForConfirmation("chatguru_send_message", `mensagem de texto para ${number}${sendDate ? ` agendada para ${sendDate}` : ""}.`,
+        [buildWritePreview("chatguru_send_message", "message_send", params, profile)], () => sendTextMessage({ ...args, send_date: sendDate, dry_run: false }), profile, extra);
+    }
+    return sendTextMessage(args);
   }
 );
 
 // ─── TOOL 2: ENVIAR ARQUIVO ─────────────────────────────────────────────────
 
-server.tool(
+// Onde ficam os arquivos enviados por file_path/file_base64 até o ChatGuru baixar (null = desligado)
+const uploadStorage = UPLOAD_STORAGE === "s3"
+  ? createS3Storage({ ...S3_CONFIG, ttlMs: UPLOAD_URL_TTL_MS })
+  : UPLOAD_PORT === null ? null : createLocalFileStorage({
+    dir: join(DATA_DIR, "uploads"),
+    publicUrl: UPLOAD_PUBLIC_URL,
+    port: UPLOAD_PORT,
+    host: UPLOAD_HOST,
+    secret: UPLOAD_SECRET,
+    ttlMs: UPLOAD_URL_TTL_MS,
+  });
+let uploadServerListening = false;
+
+/**
+ * Lê e valida o arquivo de file_path ou file_base64. Exatamente uma fonte (com file_url)
+ * deve ser informada.
+ * @returns {Promise<object | null>}  null quando o envio é por file_url
+ */
+async function loadUpload({ file_url, file_path, file_base64, file_name }) {
+  const sources = [file_url, file_path, file_base64].filter(Boolean);
+  if (sources.length !== 1) {
+    throw new ChatGuruError("validation", "Informe exatamente um entre file_url (URL pública), file_path (arquivo local) e file_base64 (conteúdo).");
+  }
+  if (file_url) return null;
+  const file = file_path ? await readLocalFile(file_path, { allowedDirs: UPLOAD_DIRS }) : decodeBase64File(file_base64, file_name);
+  const { mime } = validateMedia(file);
+  return { ...file, mime, sha256: createHash("sha256").update(file.buffer).digest("hex") };
+}
+
+function uploadInfo(upload) {
+  return { name: upload.filename, mime_type: upload.mime, size: upload.buffer.length };
+}
+
+/**
+ * Publica o arquivo no armazenamento configurado e devolve a URL assinada para file_url.
+ */
+async function publishUpload(upload) {
+  if (!uploadStorage) {
+    throw new ChatGuruError("validation", "Envio de arquivos locais não está configurado neste servidor.", {
+      hint: "Defina CHATGURU_UPLOAD_PORT e CHATGURU_UPLOAD_PUBLIC_URL (servidor embutido) ou CHATGURU_UPLOAD_STORAGE=s3; ou envie por file_url.",
+    });
+  }
+  if (UPLOAD_STORAGE === "local" && !uploadServerListening) {
+    throw new ChatGuruError("internal", `O servidor de arquivos não conseguiu abrir a porta ${UPLOAD_PORT} (veja o log de inicialização).`);
+  }
+  return uploadStorage.put({ buffer: upload.buffer, filename: upload.filename, mime: upload.mime });
+}
+
+/**
+ * Envia o arquivo. approvedUpload (confirmação) é o arquivo lido na prévia: o que o humano
+ * aprovou é o que sai, mesmo que o file_path tenha mudado depois.
+ */
+async function sendFileMessage({ chat_number, file_url, file_path, file_base64, file_name, caption, dry_run, idempotency_key, profile: profileName }, tool = "chatguru_send_file", approvedUpload) {
+  const profile = getProfile(profileName);
+  const number = normalizePhone(chat_number);
+  const upload = approvedUpload !== undefined ? approvedUpload : await loadUpload({ file_url, file_path, file_base64, file_name });
+  const options = { profile, tool, dryRun: dry_run, idempotencyKey: idempotency_key };
+  // Na prévia o arquivo ainda não foi publicado: mostra o que seria enviado no lugar da URL
+  let params = { chat_number: number, ...(upload ? { file: uploadInfo(upload) } : { file_url }) };
+  let published = null;
+  if (upload && !(dry_run ?? DRY_RUN)) {
+    published = await publishUpload(upload);
+    params = { chat_number: number, file_url: published.url };
+    // A URL assinada muda a cada chamada: a idempotência compara o conteúdo do arquivo
+    options.fingerprintParams = { ...params, file_url: `sha256:${upload.sha256}`, ...(caption && { caption }) };
+  }
+  if (caption) params.caption = caption;
+  const data = await chatguruRequest("message_file_send", params, options);
+  if (data.dry_run) return previewResult(data, chat_number);
+  if (!data.idempotency?.replayed) {
+    profile.deliveryTracker.track(data.message_id, { number, kind: "file", preview: caption || upload?.filename || file_url });
+  }
+  let msg = upload
+    ? `Arquivo ${upload.filename} (${upload.mime}, ${formatSize(upload.buffer.length)}) enviado para ${number}.`
+    : `Arquivo enviado para ${number}.`;
+  if (data.message_id) msg += ` ID: ${data.message_id}`;
+  // Na repetição o ChatGuru não baixa nada: o link recém-gerado não é usado
+  const expiresAt = published && !data.idempotency?.replayed ? published.expires_at : null;
+  if (expiresAt) msg += `\nLink temporário válido até ${formatInTimeZone(new Date(expiresAt), TIME_ZONE)}.`;
+  msg += replayNote(data);
+  return writeResult(msg, { tool, profile, number }, {
+    message_id: data.message_id || null,
+    ...(upload && { file: { ...uploadInfo(upload), url_expires_at: expiresAt } }),
+    idempotency: data.idempotency,
+  });
+}
+
+server.registerTool(
   "chatguru_send_file",
-  "Envia arquivo (imagem, PDF, documento) via URL pelo ChatGuru.",
   {
-    chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702)"),
-    file_url: z.string().describe("URL pública do arquivo a enviar"),
-    caption: z.string().optional().describe("Legenda do arquivo (opcional)"),
+    description: "Envia arquivo (imagem, vídeo, áudio, PDF, documento) pelo ChatGuru. Informe uma fonte: file_url (URL pública), file_path (arquivo local) ou file_base64 (conteúdo). Arquivos locais são validados pelos limites do WhatsApp (imagem JPEG/PNG até 5 MB, vídeo MP4/3GP e áudio até 16 MB, documentos até 100 MB) e publicados por um link temporário para o ChatGuru baixar. Com dry_run, apenas valida e mostra a prévia. Se o servidor exigir confirmação, retorna um token para chatguru_confirm_send.",
+    inputSchema: {
+      chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702)"),
+      file_url: z.string().optional().describe("URL pública do arquivo a enviar"),
+      file_path: z.string().optional().describe(`Caminho absoluto de um arquivo local${UPLOAD_DIRS.length ? ` (dentro de: ${UPLOAD_DIRS.join(", ")})` : " (desativado neste servidor: use file_base64)"}`),
+      file_base64: z.string().optional().describe("Conteúdo do arquivo em base64 (ou data URL). Exige file_name, exceto em data URL."),
+      file_name: z.string().optional().describe("Nome do arquivo com extensão (ex: orcamento.pdf), usado com file_base64"),
+      caption: z.string().optional().describe("Legenda do arquivo (opcional)"),
+      dry_run: z.boolean().optional().describe("Se true, valida e mostra a prévia sem enviar (padrão: CHATGURU_DRY_RUN)."),
+      idempotency_key: idempotencyKeyParam,
+      profile: profileParam,
+    },
+    outputSchema: output.sendFileOutput,
   },
-  async ({ chat_number, file_url, caption }) => {
-    const number = normalizePhone(chat_number);
-    const params = { chat_number: number, file_url };
-    if (caption) params.caption = caption;
-    const data = await chatguruRequest("message_file_send", params);
-    let msg = `Arquivo enviado para ${number}.`;
-    if (data.message_id) msg += ` ID: ${data.message_id}`;
-    return { content: [{ type: "text", text: msg }] };
+  async (args, extra) => {
+    if (REQUIRE_CONFIRMATION && !(args.dry_run ?? DRY_RUN)) {
+      const number = normalizePhone(args.chat_number);
+      // Lê e valida o arquivo já na prévia; a confirmação envia esse conteúdo, sem reler o file_path
+      const upload = await loadUpload(args);
+      const params = {
+        chat_number: number,
+        ...(upload ? { file: uploadInfo(upload) } : { file_url: args.file_url }),
+        ...(args.caption && { caption: args.caption }),
+      };
+      const profile = getProfile(args.profile);
+      return holdForConfirmation("chatguru_send_file", `arquivo${upload ? ` ${upload.filename}` : ""} para ${number}.`,
+        [buildWritePreview("chatguru_send_file", "message_file_send", params, profile)], () => sendFileMessage({ ...args, dry_run: false }, "chatguru_send_file", upload), profile, extra);
+    }
+    return sendFileMessage(args);
   }
 );
 
 // ─── TOOL 3: STATUS DA MENSAGEM ─────────────────────────────────────────────
 
-server.tool(
+server.registerTool(
   "chatguru_get_message_status",
-  "Consulta o status de entrega de uma mensagem enviada pelo ChatGuru.",
   {
-    message_id: z.string().describe("ID da mensagem retornado pelo envio"),
+    description: "Consulta o status de entrega de uma mensagem enviada pelo ChatGuru. Retorna o status normalizado (pending, scheduled, sent, delivered, read, failed, unknown) e a resposta bruta da API.",
+    inputSchema: {
+      message_id: z.string().describe("ID da mensagem retornado pelo envio"),
+      profile: profileParam,
+    },
+    outputSchema: output.messageStatusOutput,
   },
-  async ({ message_id }) => {
-    const data = await chatguruRequest("message_status", { message_id });
-    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+  async ({ message_id, profile: profileName }) => {
+    const profile = getProfile(profileName);
+    const data = await chatguruRequest("message_status", { message_id }, { profile });
+    profile.deliveryTracker.record(message_id, data);
+    const result = { message_id, status: normalizeMessageStatus(data), raw: data };
+    return toolResult(JSON.stringify(result, null, 2), result);
   }
 );
 
 // ─── TOOL 4: REGISTRAR CHAT ─────────────────────────────────────────────────
 
-server.tool(
+server.registerTool(
   "chatguru_register_chat",
-  "Registra um novo contato no ChatGuru (operação assíncrona). Retorna chat_add_id (hash interno). Use chatguru_get_chat_status para acompanhar.",
   {
-    chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702)"),
-    name: z.string().describe("Nome do contato a registrar"),
-    text: z.string().describe("Mensagem inicial a enviar (obrigatório pela API)"),
-    user_id: z.string().optional().describe("ID do usuário/atendente (opcional)"),
-    dialog_id: z.string().optional().describe("ID do diálogo/fluxo a executar após registro (opcional)"),
+    description: "Registra um novo contato no ChatGuru (operação assíncrona). Retorna chat_add_id (hash interno). Use chatguru_get_chat_status para acompanhar.",
+    inputSchema: {
+      chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702)"),
+      name: z.string().describe("Nome do contato a registrar"),
+      text: z.string().describe("Mensagem inicial a enviar (obrigatório pela API)"),
+      user_id: z.string().optional().describe("ID do usuário/atendente (opcional)"),
+      dialog_id: z.string().optional().describe("ID do diálogo/fluxo a executar após registro (opcional)"),
+      dry_run: z.boolean().optional().describe("Se true, valida e mostra a prévia sem enviar (padrão: CHATGURU_DRY_RUN)."),
+      idempotency_key: idempotencyKeyParam,
+      profile: profileParam,
+    },
+    outputSchema: output.registerChatOutput,
   },
-  async ({ chat_number, name, text, user_id, dialog_id }) => {
+  async ({ chat_number, name, text, user_id, dialog_id, dry_run, idempotency_key, profile: profileName }) => {
+    const profile = getProfile(profileName);
     const number = normalizePhone(chat_number);
     const params = { chat_number: number, name, text };
     if (user_id) params.user_id = user_id;
     if (dialog_id) params.dialog_id = dialog_id;
-    const data = await chatguruRequest("chat_add", params);
+    const data = await chatguruRequest("chat_add", params, { profile, tool: "chatguru_register_chat", dryRun: dry_run, idempotencyKey: idempotency_key });
+    if (data.dry_run) return previewResult(data, chat_number);
+    const link = data.chat_add_id ? `${profile.panelUrl}#${data.chat_add_id}` : null;
     let msg = `Chat registrado para ${number} (${name}).`;
     if (data.chat_add_id) {
       msg += ` chat_add_id: ${data.chat_add_id}`;
-      msg += `\nLink: https://s${SERVER}.expertintegrado.app/chats#${data.chat_add_id}`;
+      msg += `\nLink: ${link}`;
     }
     msg += "\nStatus: operação assíncrona. Use chatguru_get_chat_status para acompanhar.";
-    return { content: [{ type: "text", text: msg }] };
+    msg += replayNote(data);
+    return writeResult(msg, { tool: "chatguru_register_chat", profile, number },
+      { name, chat_add_id: data.chat_add_id || null, link, idempotency: data.idempotency });
   }
 );
 
 // ─── TOOL 5: STATUS DO REGISTRO ─────────────────────────────────────────────
 
-server.tool(
+server.registerTool(
   "chatguru_get_chat_status",
-  "Verifica o status do registro de um chat no ChatGuru. Retorna: pending, fetched, done ou error. Quando done, inclui link do chat.",
   {
-    chat_add_id: z.string().describe("ID retornado pelo chatguru_register_chat ou chatguru_get_chat_link (ex: 699ce2eab27ac598c766e752)"),
+    description: "Verifica o status do registro de um chat no ChatGuru. Retorna: pending, fetched, done ou error. Quando done, inclui link do chat.",
+    inputSchema: {
+      chat_add_id: z.string().describe("ID retornado pelo chatguru_register_chat ou chatguru_get_chat_link (ex: 699ce2eab27ac598c766e752)"),
+      profile: profileParam,
+    },
+    outputSchema: output.chatStatusOutput,
   },
-  async ({ chat_add_id }) => {
-    const data = await chatguruRequest("chat_add_status", { chat_add_id });
+  async ({ chat_add_id, profile: profileName }) => {
+    const profile = getProfile(profileName);
+    const data = await chatguruRequest("chat_add_status", { chat_add_id }, { profile });
+    const link = `${profile.panelUrl}#${chat_add_id}`;
     let msg = `Status: ${data.chat_add_status || "desconhecido"}`;
     msg += `\nchat_add_id: ${chat_add_id}`;
-    msg += `\nLink: https://s${SERVER}.expertintegrado.app/chats#${chat_add_id}`;
+    msg += `\nLink: ${link}`;
     if (data.chat_add_status_description) msg += `\nDescrição: ${data.chat_add_status_description}`;
-    return { content: [{ type: "text", text: msg }] };
+    return toolResult(msg, {
+      chat_add_id,
+      status: data.chat_add_status || null,
+      description: data.chat_add_status_description || null,
+      link,
+    });
   }
 );
 
 // ─── TOOL 6: ATUALIZAR CAMPOS CUSTOMIZADOS ──────────────────────────────────
 
-server.tool(
+server.registerTool(
   "chatguru_update_custom_fields",
-  "Atualiza campos customizados de um chat no ChatGuru. Passe os campos como JSON string.",
   {
-    chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702)"),
-    custom_fields: z.string().describe('JSON string com campos a atualizar. Ex: {"campo1": "valor1", "campo2": "valor2"}'),
+    description: "Atualiza campos customizados de um chat no ChatGuru. Passe os campos como JSON string.",
+    inputSchema: {
+      chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702)"),
+      custom_fields: z.string().describe('JSON string com campos a atualizar. Ex: {"campo1": "valor1", "campo2": "valor2"}'),
+      dry_run: z.boolean().optional().describe("Se true, valida e mostra a prévia sem enviar (padrão: CHATGURU_DRY_RUN)."),
+      profile: profileParam,
+    },
+    outputSchema: output.updateCustomFieldsOutput,
   },
-  async ({ chat_number, custom_fields }) => {
+  async ({ chat_number, custom_fields, dry_run, profile: profileName }) => {
+    const profile = getProfile(profileName);
     const number = normalizePhone(chat_number);
     // Validar que é JSON válido
     let fields;
     try {
       fields = JSON.parse(custom_fields);
     } catch {
-      return { content: [{ type: "text", text: "Erro: custom_fields deve ser um JSON válido." }] };
+      throw new ChatGuruError("validation", "custom_fields deve ser um JSON válido.");
     }
     // API espera cada campo como field__VARIAVEL=valor na query string (não no body)
     // Variáveis conforme cadastro: Nome, Email, Instagram, Empresa, Dores, CRM__Link_negocio, etc.
@@ -316,516 +1020,1722 @@ server.tool(
     for (const [key, value] of Object.entries(fields)) {
       params[`field__${key}`] = value;
     }
-    const data = await chatguruRequest("chat_update_custom_fields", params, { paramsInUrl: true });
-    return { content: [{ type: "text", text: `Campos customizados atualizados para ${number}: ${Object.keys(fields).join(", ")}` }] };
+    const data = await chatguruRequest("chat_update_custom_fields", params, { profile, paramsInUrl: true, tool: "chatguru_update_custom_fields", dryRun: dry_run });
+    if (data.dry_run) return previewResult(data, chat_number);
+    return writeResult(`Campos customizados atualizados para ${number}: ${Object.keys(fields).join(", ")}`,
+      { tool: "chatguru_update_custom_fields", profile, number }, { fields: Object.keys(fields) });
   }
 );
 
 // ─── TOOL 7: ATUALIZAR NOME DO CHAT ─────────────────────────────────────────
 
-server.tool(
+server.registerTool(
   "chatguru_update_chat_name",
-  "Atualiza o nome de um contato no ChatGuru.",
   {
-    chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702)"),
-    name: z.string().describe("Novo nome do contato"),
+    description: "Atualiza o nome de um contato no ChatGuru.",
+    inputSchema: {
+      chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702)"),
+      name: z.string().describe("Novo nome do contato"),
+      dry_run: z.boolean().optional().describe("Se true, valida e mostra a prévia sem enviar (padrão: CHATGURU_DRY_RUN)."),
+      profile: profileParam,
+    },
+    outputSchema: output.updateChatNameOutput,
   },
-  async ({ chat_number, name }) => {
+  async ({ chat_number, name, dry_run, profile: profileName }) => {
+    const profile = getProfile(profileName);
     const number = normalizePhone(chat_number);
-    await chatguruRequest("chat_update_name", { chat_number: number, name });
-    return { content: [{ type: "text", text: `Nome do chat ${number} atualizado para "${name}".` }] };
+    const data = await chatguruRequest("chat_update_name", { chat_number: number, name }, { profile, tool: "chatguru_update_chat_name", dryRun: dry_run });
+    if (data.dry_run) return previewResult(data, chat_number);
+    return writeResult(`Nome do chat ${number} atualizado para "${name}".`, { tool: "chatguru_update_chat_name", profile, number }, { name });
   }
 );
 
 // ─── TOOL 8: ATUALIZAR CONTEXTO ─────────────────────────────────────────────
 
-server.tool(
+server.registerTool(
   "chatguru_update_context",
-  "Atualiza o contexto de um chat no ChatGuru (dados livres sobre a conversa).",
   {
-    chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702)"),
-    context: z.string().describe("Texto do contexto a definir"),
+    description: "Atualiza o contexto de um chat no ChatGuru (dados livres sobre a conversa).",
+    inputSchema: {
+      chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702)"),
+      context: z.string().describe("Texto do contexto a definir"),
+      dry_run: z.boolean().optional().describe("Se true, valida e mostra a prévia sem enviar (padrão: CHATGURU_DRY_RUN)."),
+      profile: profileParam,
+    },
+    outputSchema: output.updateContextOutput,
   },
-  async ({ chat_number, context }) => {
+  async ({ chat_number, context, dry_run, profile: profileName }) => {
+    const profile = getProfile(profileName);
     const number = normalizePhone(chat_number);
-    await chatguruRequest("chat_update_context", { chat_number: number, context });
-    return { content: [{ type: "text", text: `Contexto do chat ${number} atualizado.` }] };
+    const data = await chatguruRequest("chat_update_context", { chat_number: number, context }, { profile, tool: "chatguru_update_context", dryRun: dry_run });
+    if (data.dry_run) return previewResult(data, chat_number);
+    return writeResult(`Contexto do chat ${number} atualizado.`, { tool: "chatguru_update_context", profile, number });
   }
 );
 
 // ─── TOOL 9: ADICIONAR NOTA ─────────────────────────────────────────────────
 
-server.tool(
+server.registerTool(
   "chatguru_add_note",
-  "Adiciona uma anotação interna a um chat no ChatGuru (visível apenas para a equipe).",
   {
-    chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702)"),
-    note_text: z.string().describe("Texto da nota interna"),
+    description: "Adiciona uma anotação interna a um chat no ChatGuru (visível apenas para a equipe).",
+    inputSchema: {
+      chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702)"),
+      note_text: z.string().describe("Texto da nota interna"),
+      dry_run: z.boolean().optional().describe("Se true, valida e mostra a prévia sem enviar (padrão: CHATGURU_DRY_RUN)."),
+      profile: profileParam,
+    },
+    outputSchema: output.addNoteOutput,
   },
-  async ({ chat_number, note_text }) => {
+  async ({ chat_number, note_text, dry_run, profile: profileName }) => {
+    const profile = getProfile(profileName);
     const number = normalizePhone(chat_number);
-    await chatguruRequest("note_add", { chat_number: number, note_text });
-    return { content: [{ type: "text", text: `Nota adicionada ao chat ${number}.` }] };
+    const data = await chatguruRequest("note_add", { chat_number: number, note_text }, { profile, tool: "chatguru_add_note", dryRun: dry_run });
+    if (data.dry_run) return previewResult(data, chat_number);
+    return writeResult(`Nota adicionada ao chat ${number}.`, { tool: "chatguru_add_note", profile, number });
   }
 );
 
 // ─── TOOL 10: EXECUTAR DIÁLOGO ──────────────────────────────────────────────
 
-server.tool(
+async function executeDialog({ chat_number, dialog_id, dry_run, idempotency_key, profile: profileName }) {
+  const profile = getProfile(profileName);
+  const number = normalizePhone(chat_number);
+  const data = await chatguruRequest("dialog_execute", { chat_number: number, dialog_id },
+    { profile, tool: "chatguru_execute_dialog", dryRun: dry_run, idempotencyKey: idempotency_key });
+  if (data.dry_run) return previewResult(data, chat_number);
+  return writeResult(`Diálogo ${dialog_id} executado no chat ${number}.${replayNote(data)}`,
+    { tool: "chatguru_execute_dialog", profile, number }, { dialog_id, idempotency: data.idempotency });
+}
+
+server.registerTool(
   "chatguru_execute_dialog",
-  "Dispara um fluxo de automação/diálogo do chatbot em uma conversa existente no ChatGuru.",
   {
-    chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702)"),
-    dialog_id: z.string().describe("ID do diálogo/fluxo a executar"),
+    description: "Dispara um fluxo de automação/diálogo do chatbot em uma conversa existente no ChatGuru. Com dry_run, apenas valida e mostra a prévia. Se o servidor exigir confirmação, retorna um token para chatguru_confirm_send.",
+    inputSchema: {
+      chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702)"),
+      dialog_id: z.string().describe("ID do diálogo/fluxo a executar"),
+      dry_run: z.boolean().optional().describe("Se true, valida e mostra a prévia sem enviar (padrão: CHATGURU_DRY_RUN)."),
+      idempotency_key: idempotencyKeyParam,
+      profile: profileParam,
+    },
+    outputSchema: output.executeDialogOutput,
   },
-  async ({ chat_number, dialog_id }) => {
-    const number = normalizePhone(chat_number);
-    await chatguruRequest("dialog_execute", { chat_number: number, dialog_id });
-    return { content: [{ type: "text", text: `Diálogo ${dialog_id} executado no chat ${number}.` }] };
+  async (args, extra) => {
+    if (REQUIRE_CONFIRMATION && !(args.dry_run ?? DRY_RUN)) {
+      const number = normalizePhone(args.chat_number);
+      const params = { chat_number: number, dialog_id: args.dialog_id };
+      const profile = getProfile(args.profile);
+      return holdForConfirmation("chatguru_execute_dialog", `diálogo ${args.dialog_id} no chat ${number}.`,
+        [buildWritePreview("chatguru_execute_dialog", "dialog_execute", params, profile)], () => executeDialog(args), profile, extra);
+    }
+    return executeDialog(args);
   }
 );
 
-// ─── HELPER: ABRIR BROWSER COM SESSÃO ────────────────────────────────────────
+// ─── HELPER: BROWSER COMPARTILHADO ───────────────────────────────────────────
 
-async function openBrowserWithSession() {
-  if (!existsSync(SESSION_PATH)) {
-    return { error: `Sessão não encontrada. Execute \`CHATGURU_SERVER=${SERVER} node login.js\` para fazer login.` };
-  }
-  const storageState = JSON.parse(await readFile(SESSION_PATH, "utf-8"));
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({ storageState, permissions: ["notifications"] });
-  const page = await context.newPage();
-  return { browser, context, page };
+/**
+ * Comando para gravar a sessão do painel do perfil (login manual com browser visível).
+ */
+function loginCommand(profile) {
+  return PROFILES.source === "file"
+    ? `node login.js --profile=${profile.name}`
+    : `CHATGURU_SERVER=${profile.server} node login.js`;
 }
 
-function isLoginPage(url) {
-  return url.includes("login") || url.includes("signin") || url.endsWith("/");
+function sessionMissingMessage(profile) {
+  const label = PROFILES.source === "file" ? ` do perfil ${profile.name}` : "";
+  return `Sessão${label} não encontrada. Execute \`${loginCommand(profile)}\` para fazer login.`;
 }
 
-// ─── TOOL 11: BUSCAR CHAT POR TELEFONE (PLAYWRIGHT) ─────────────────────────
+const DRIFT_HINT = "Se o resultado parecer errado, rode chatguru_health_check para ver se o HTML do painel mudou.";
 
-server.tool(
-  "chatguru_get_chat_link",
-  "Busca um contato existente no ChatGuru pelo número de telefone via Playwright (web scraping). Retorna chat_id e link direto. NÃO envia mensagem. Requer session.json (execute login.js primeiro). Latência: 5-15s.",
-  {
-    chat_number: z.string().describe("Número do telefone para buscar (ex: 5511996647492). Aceita formatos variados."),
-  },
-  async ({ chat_number }) => {
-    const variants = phoneSearchVariants(chat_number);
-    const session = await openBrowserWithSession();
-    if (session.error) return { content: [{ type: "text", text: session.error }] };
+/**
+ * Mensagem de sessão expirada, com o motivo da falha do re-login automático (se houve).
+ */
+function sessionExpiredMessage(profile) {
+  const label = PROFILES.source === "file" ? ` do perfil ${profile.name}` : "";
+  const msg = `Sessão${label} expirada. Execute \`${loginCommand(profile)}\` para renovar.`;
+  const failure = profile.sessionRefresher.status().last_failure;
+  return failure ? `${msg}\n${failure.message}` : msg;
+}
 
-    const { browser, page } = session;
-    try {
-      // Abrir o painel de chats
-      const panelUrl = `https://s${SERVER}.expertintegrado.app/chats`;
-      await page.goto(panelUrl, { waitUntil: "domcontentloaded", timeout: 30000 });
-      await sleep(5000); // Aguardar SPA carregar (WebSocket mantém networkidle ativo)
-
-      // Verificar sessão expirada
-      if (isLoginPage(page.url())) {
-        await browser.close();
-        return { content: [{ type: "text", text: `Sessão expirada. Execute \`CHATGURU_SERVER=${SERVER} node login.js\` para renovar.` }] };
-      }
+// A mensagem já diz como fazer login; a dica só lembra de repetir a chamada
+const SESSION_HINT = "Depois do login, repita a chamada.";
 
-      // Tentar cada variante de número até encontrar
-      let chatItem = null;
-      let usedVariant = variants[0];
-      const phoneInput = await page.waitForSelector("#inChatsWhatsappNum", { timeout: 10000 });
-
-      for (const variant of variants) {
-        await phoneInput.fill("");
-        await phoneInput.fill(variant);
-        await page.keyboard.press("Enter");
-        await sleep(3000);
-        chatItem = await page.$(".list__user-card");
-        if (chatItem) {
-          usedVariant = variant;
-          break;
-        }
-      }
+function sessionMissingError(profile) {
+  return new ChatGuruError("session_expired", sessionMissingMessage(profile), { hint: SESSION_HINT });
+}
 
-      if (!chatItem) {
-        await browser.close();
-        return { content: [{ type: "text", text: `Nenhum chat encontrado para ${variants.join(" / ")}. O contato pode não existir no ChatGuru.` }] };
-      }
+function sessionExpiredError(profile) {
+  return new ChatGuruError("session_expired", sessionExpiredMessage(profile), { hint: SESSION_HINT });
+}
 
-      await chatItem.click();
-      await sleep(2000); // Aguardar navegação para o chat
+function isLoginPage(url) {
+  return url.includes("login") || url.includes("signin") || url.endsWith("/");
+}
 
-      // Extrair chat_id da URL (formato: /chats#hash)
-      const currentUrl = page.url();
-      const hashMatch = currentUrl.match(/#([a-f0-9]{24})/);
+/**
+ * Executa fn(page) com uma página do browser do perfil.
+ * Sessão ausente vira erro session_expired com o comando de login do perfil.
+ */
+async function withChatguruPage(profile, fn) {
+  try {
+    return await profile.browserPool.withPage(fn);
+  } catch (err) {
+    if (err instanceof SessionMissingError) {
+      throw sessionMissingError(profile);
+    }
+    throw err;
+  }
+}
 
-      await browser.close();
+/**
+ * Leva a página até o painel /chats (opcionalmente já com #chat_id).
+ *
+ * - fresh: força recarregar o SPA, descartando filtros deixados por chamadas anteriores.
+ * - Sem fresh, se a página já está no painel, só troca o hash (sem recarregar).
+ *
+ * Se caiu na tela de login (sessão expirada) e há credenciais configuradas, faz o
+ * login automático nesta mesma página e repete a navegação: a ferramenta segue
+ * normalmente, como se a sessão nunca tivesse expirado.
+ *
+ * Retorna false se a sessão expirou e não foi possível renovar; nesse caso o contexto
+ * é descartado para que a próxima chamada releia o arquivo de sessão do perfil.
+ */
+async function openPanel(page, profile, { hash = "", fresh = false, relogin = true } = {}) {
+  const { panelUrl, sessionRefresher } = profile;
+  const target = hash ? `${panelUrl}#${hash}` : panelUrl;
+  const onPanel = page.url().startsWith(panelUrl);
+
+  if (onPanel && !fresh) {
+    await page.evaluate((h) => { window.location.hash = h; }, hash);
+    await sleep(1000);
+    return true;
+  }
 
-      if (hashMatch) {
-        const chatId = hashMatch[1];
-        const link = `https://s${SERVER}.expertintegrado.app/chats#${chatId}`;
-        return { content: [{ type: "text", text: `Chat encontrado!\nchat_id: ${chatId}\nLink: ${link}` }] };
+  // about:blank garante carga completa mesmo quando só o hash mudaria
+  if (onPanel) await page.goto("about:blank");
+  await page.goto(target, { waitUntil: "domcontentloaded", timeout: 30000 });
+
+  // Aguardar SPA carregar (WebSocket mantém networkidle ativo) ou redirecionar para login
+  await page.waitForFunction(
+    (phoneInput) => /login|signin/.test(window.location.href) || document.querySelector(phoneInput),
+    SELECTORS.chatList.phoneInput,
+    { timeout: 15000 }
+  ).catch(() => null);
+  await sleep(1000);
+
+  if (isLoginPage(page.url())) {
+    if (relogin && sessionRefresher.enabled) {
+      try {
+        await sessionRefresher.refresh(page);
+        return openPanel(page, profile, { hash, fresh: true, relogin: false });
+      } catch {
+        // Falha já registrada pelo refresher; sessionExpiredMessage() inclui o motivo
       }
-
-      return { content: [{ type: "text", text: `Chat encontrado mas não foi possível extrair o ID da URL: ${currentUrl}\nTente abrir manualmente no painel.` }] };
-    } catch (err) {
-      await browser.close().catch(() => {});
-      return { content: [{ type: "text", text: `Erro ao buscar chat: ${err.message}` }] };
     }
+    await profile.browserPool.invalidateSession();
+    return false;
   }
-);
+  return true;
+}
 
-// ─── TOOL 12: LER MENSAGENS (PLAYWRIGHT) ────────────────────────────────────
+// ─── TOOL 11: BUSCAR CHAT POR TELEFONE (PLAYWRIGHT) ─────────────────────────
 
-server.tool(
-  "chatguru_read_messages",
-  "Lê o histórico de mensagens de um chat no ChatGuru via Playwright (web scraping). Requer session.json válido (execute login.js primeiro). Latência: 5-15s.",
+server.registerTool(
+  "chatguru_get_chat_link",
   {
-    chat_id: z.string().describe("ID do chat (hash, ex: 686ede5b2333cb755c57d1a5). Obtido via chatguru_get_chat_link ou chatguru_get_chat_status."),
-    limit: z.number().optional().default(50).describe("Quantidade máxima de mensagens a retornar (padrão: 50)"),
+    description: "Busca um contato existente no ChatGuru pelo número de telefone via Playwright (web scraping). Retorna chat_id e link direto. NÃO envia mensagem. Requer session.json (execute login.js primeiro). Latência: 5-15s.",
+    inputSchema: {
+      chat_number: z.string().describe("Número do telefone para buscar (ex: 5511996647492). Aceita formatos variados."),
+      profile: profileParam,
+    },
+    outputSchema: output.chatLinkOutput,
   },
-  async ({ chat_id, limit }) => {
-    const session = await openBrowserWithSession();
-    if (session.error) return { content: [{ type: "text", text: session.error }] };
-
-    const { browser, page } = session;
-    try {
-      const chatUrl = `https://s${SERVER}.expertintegrado.app/chats#${chat_id}`;
-      await page.goto(chatUrl, { waitUntil: "domcontentloaded", timeout: 30000 });
-      await sleep(5000); // Aguardar SPA carregar (WebSocket mantém networkidle ativo)
-
-      // Verificar se sessão expirou
-      if (isLoginPage(page.url())) {
-        await browser.close();
-        return { content: [{ type: "text", text: `Sessão expirada. Execute \`CHATGURU_SERVER=${SERVER} node login.js\` para renovar.` }] };
+  async ({ chat_number, profile: profileName }) => {
+    const profile = getProfile(profileName);
+    const variants = phoneSearchVariants(chat_number);
+    const lookup = (found, chatId) => ({
+      profile: profile.name,
+      found,
+      searched: variants,
+      chat_id: chatId || null,
+      link: chatId ? `${profile.panelUrl}#${chatId}` : null,
+    });
+    return withChatguruPage(profile, async (page) => {
+      // Abrir o painel de chats (recarregado para não herdar filtros de outra chamada)
+      if (!(await openPanel(page, profile, { fresh: true }))) {
+        throw sessionExpiredError(profile);
       }
 
-      // Aguardar container de mensagens carregar
-      await page.waitForSelector("#chat_messages_app", { timeout: 15000 }).catch(() => null);
-      await sleep(2000); // Aguardar mensagens renderizarem
+      // Tentar cada variante de número até encontrar
+      const chatList = createChatListPage(page, { timeZone: TIME_ZONE });
+      if (!(await chatList.searchByNumber(variants))) {
+        return toolResult(`Nenhum chat encontrado para ${variants.join(" / ")}. O contato pode não existir no ChatGuru.`, lookup(false));
+      }
 
-      // Remover modais que possam bloquear scroll
-      await page.evaluate(() => {
-        const beamer = document.querySelector("#beamerPushModal");
-        if (beamer) beamer.remove();
-        document.querySelectorAll(".modal.show, .modal.active, [role='dialog'].active").forEach(el => el.remove());
-        document.querySelectorAll(".modal-backdrop, .push-overlay").forEach(el => el.remove());
-      });
+      // Abrir o primeiro card e extrair chat_id da URL (formato: /chats#hash)
+      const chatId = await chatList.openChat();
 
-      // Scroll para CIMA para carregar mais mensagens (mouse.wheel real)
-      let msgCountBefore = 0;
-      for (let scrollAttempt = 0; scrollAttempt < 10; scrollAttempt++) {
-        const currentCount = await page.evaluate(() => document.querySelectorAll(".row_msg").length);
-        if (currentCount >= limit) break;
-        if (currentCount === msgCountBefore && scrollAttempt > 1) break;
-        msgCountBefore = currentCount;
-
-        await page.evaluate(() => {
-          const beamer = document.querySelector("#beamerPushModal");
-          if (beamer) beamer.remove();
-          document.querySelectorAll(".modal-backdrop, .push-overlay").forEach(el => el.remove());
+      if (!chatId) {
+        throw new ChatGuruError("selector_missing", `Chat encontrado mas não foi possível extrair o ID da URL: ${page.url()}`, {
+          hint: `Tente abrir manualmente no painel. ${DRIFT_HINT}`,
         });
-
-        const chatContainer = await page.$("#chat_messages_app");
-        if (chatContainer) {
-          const box = await chatContainer.boundingBox();
-          if (box) {
-            await page.mouse.move(box.x + box.width / 2, box.y + 50);
-            await page.mouse.wheel(0, -3000);
-          }
-        }
-        await sleep(2500);
       }
+      const result = lookup(true, chatId);
+      return toolResult(`Chat encontrado!\nchat_id: ${chatId}\nLink: ${result.link}`, result);
+    });
+  }
+);
 
-      // Extrair mensagens do DOM (pega as últimas N)
-      const messages = await page.evaluate((maxMessages) => {
-        let currentDate = "";
-        const container = document.querySelector("#chat_messages_app > div");
-        if (!container) return [];
-
-        const allMsgs = [];
-        for (const child of container.children) {
-          if (child.classList.contains("msg-data")) {
-            currentDate = child.textContent.trim();
-            continue;
-          }
-          if (!child.classList.contains("row_msg")) continue;
-
-          const msgContainer = child.querySelector(".msg-container");
-          if (!msgContainer) continue;
-
-          const isOutgoing = msgContainer.classList.contains("bg-sent-msg");
-          const remetente = isOutgoing ? "atendente" : "cliente";
-          const textEl = msgContainer.querySelector("span.msg-contentT");
-          const texto = textEl?.innerText?.trim() || "";
-
-          if (!texto) {
-            const audioEl = msgContainer.querySelector("audio");
-            if (audioEl) {
-              const timeEl = msgContainer.querySelector("span.msg-timestamp");
-              allMsgs.push({ remetente, horario: timeEl?.textContent?.trim() || "", data: currentDate, texto: "[Áudio]" });
-            }
-            continue;
-          }
-
-          const timeEl = msgContainer.querySelector("span.msg-timestamp");
-          allMsgs.push({ remetente, horario: timeEl?.textContent?.trim() || "", data: currentDate, texto });
-        }
-
-        return allMsgs.slice(-maxMessages);
-      }, limit);
-
-      await browser.close();
-
-      if (messages.length === 0) {
-        return {
-          content: [{ type: "text", text: `Nenhuma mensagem encontrada no chat ${chat_id}. O chat pode estar vazio ou a estrutura da página mudou.` }],
-        };
-      }
+// ─── TOOL 12: LER MENSAGENS (PLAYWRIGHT) ────────────────────────────────────
 
-      return {
-        content: [{ type: "text", text: JSON.stringify(messages, null, 2) }],
-      };
-    } catch (err) {
-      await browser.close().catch(() => {});
-      return { content: [{ type: "text", text: `Erro ao ler mensagens: ${err.message}` }] };
+const MAX_HISTORY_SCROLLS = 60;
+
+/**
+ * Lê o histórico de um chat no painel (usado por chatguru_read_messages e pelo recurso
+ * chatguru://chat/{chat_id}/messages). Retorna null se a sessão expirou.
+ */
+async function scrapeChatMessages(page, profile, { chat_id, limit, since, before, maxScrolls }) {
+  const cursor = since || before;
+
+  // Abrir o chat direto pelo hash (reaproveita o SPA se a página já estiver no painel)
+  if (!(await openPanel(page, profile, { hash: chat_id }))) return null;
+
+  // Aguardar container de mensagens carregar (e remover modais que bloqueiam o scroll)
+  const chatView = createChatViewPage(page, { timeZone: TIME_ZONE });
+  await chatView.waitLoaded();
+
+  // Carregar histórico até ter o suficiente para o modo pedido
+  const reachedTop = await chatView.scrollUp({
+    maxScrolls,
+    shouldStop: async (count) => {
+      if (!cursor) return count >= limit;
+      const loaded = await chatView.extractMessages();
+      const idx = loaded.findIndex((m) => m.key === cursor);
+      // since: basta achar o cursor; before: precisa de `limit` mensagens antes dele
+      return idx !== -1 && (Boolean(since) || idx >= limit);
+    },
+  });
+
+  const all = await chatView.extractMessages();
+  const result = { chat_id, messages: [], cursor: null, before_cursor: null, has_more_before: false };
+
+  if (since) {
+    const idx = all.findIndex((m) => m.key === since);
+    result.cursor_found = idx !== -1;
+    // Cursor fora do histórico carregado: devolve as últimas `limit` para o cliente se ressincronizar
+    result.messages = idx === -1 ? all.slice(-limit) : all.slice(idx + 1, idx + 1 + limit);
+    result.has_more_after = idx !== -1 && all.length > idx + 1 + limit;
+  } else if (before) {
+    const idx = all.findIndex((m) => m.key === before);
+    result.cursor_found = idx !== -1;
+    if (idx !== -1) result.messages = all.slice(Math.max(0, idx - limit), idx);
+  } else {
+    result.messages = all.slice(-limit);
+  }
+
+  const first = result.messages[0];
+  const last = result.messages[result.messages.length - 1];
+  result.cursor = last?.key || since || null;
+  result.before_cursor = first?.key || before || null;
+  result.has_more_before = first ? all.indexOf(first) > 0 || !reachedTop : false;
+  return result;
+}
+
+server.registerTool(
+  "chatguru_read_messages",
+  {
+    description: "Lê o histórico de mensagens de um chat no ChatGuru via Playwright (web scraping). Cada mensagem traz kind (text, audio, image, video, document, sticker, location, contact, note), direção, autor/atendente, texto ou legenda, mídia (URL/arquivo; baixe o conteúdo com chatguru_download_media), mensagem citada, anotações internas (is_note) e status dos ticks de entrega. Cada mensagem traz data/horario como exibidos no painel e timestamp em ISO-8601. Leitura incremental: o resultado traz `cursor` (mensagem mais nova) e `before_cursor` (mais antiga); passe `since` para receber só mensagens novas ou `before` para paginar o histórico para trás. Requer session.json válido (execute login.js primeiro). Latência: 5-15s.",
+    inputSchema: {
+      chat_id: z.string().describe("ID do chat (hash, ex: 686ede5b2333cb755c57d1a5). Obtido via chatguru_get_chat_link ou chatguru_get_chat_status."),
+      limit: z.number().optional().default(50).describe("Quantidade máxima de mensagens a retornar (padrão: 50)"),
+      since: z.string().optional().describe("Cursor de uma leitura anterior: retorna apenas mensagens mais novas que ele."),
+      before: z.string().optional().describe("Cursor (before_cursor de uma leitura anterior): retorna as mensagens anteriores a ele, carregando histórico mais antigo."),
+      max_scrolls: z.number().min(1).max(MAX_HISTORY_SCROLLS).optional()
+        .describe(`Máximo de rolagens para carregar histórico (padrão: 10; com before, 30; máximo: ${MAX_HISTORY_SCROLLS}).`),
+      profile: profileParam,
+    },
+    outputSchema: output.readMessagesOutput,
+  },
+  async ({ chat_id, limit, since, before, max_scrolls, profile: profileName }) => {
+    if (since && before) {
+      throw new ChatGuruError("validation", "Use since OU before, não os dois.");
     }
+    const cursor = since || before;
+    const maxScrolls = max_scrolls ?? (before ? 30 : 10);
+    const profile = getProfile(profileName);
+
+    return withChatguruPage(profile, async (page) => {
+      const scraped = await scrapeChatMessages(page, profile, { chat_id, limit, since, before, maxScrolls });
+      if (!scraped) throw sessionExpiredError(profile);
+      const result = { profile: profile.name, link: `${profile.panelUrl}#${chat_id}`, ...scraped };
+
+      if (result.messages.length === 0) {
+        let msg;
+        if (since && result.cursor_found) msg = `Nenhuma mensagem nova no chat ${chat_id} desde o cursor.`;
+        else if (cursor && !result.cursor_found) msg = `Cursor ${cursor} não encontrado no histórico carregado do chat ${chat_id} (aumente max_scrolls).`;
+        else if (before) msg = `Não há mensagens anteriores ao cursor no chat ${chat_id}.`;
+        else msg = `Nenhuma mensagem encontrada no chat ${chat_id}. O chat pode estar vazio. ${DRIFT_HINT}`;
+        return toolResult(msg + "\n\n" + JSON.stringify(result, null, 2), result);
+      }
+
+      return toolResult(JSON.stringify(result, null, 2), result);
+    });
   }
 );
 
 // ─── TOOL 13: LISTAR CHATS COM FILTROS (PLAYWRIGHT) ─────────────────────────
 
-server.tool(
+/**
+ * Aplica os filtros na lista de chats do painel e lê até `limit` cards (usado por
+ * chatguru_list_chats e pelo recurso chatguru://chats). Retorna null se a sessão expirou.
+ */
+async function scrapeChatList(page, profile, filters, limit) {
+  // Recarregar o painel: filtros de chamadas anteriores não podem vazar para esta
+  if (!(await openPanel(page, profile, { fresh: true }))) return null;
+
+  const chatList = createChatListPage(page, { timeZone: TIME_ZONE });
+  await chatList.removeModals();
+  await chatList.applyFilters({ ...filters, whatsapp_number: filters.whatsapp_number && normalizePhone(filters.whatsapp_number) });
+  return chatList.loadCards(limit);
+}
+
+const CHAT_STATUSES = ["ABERTO", "EM ATENDIMENTO", "AGUARDANDO", "RESOLVIDO", "FECHADO", "INDEFINIDO"];
+
+server.registerTool(
   "chatguru_list_chats",
-  "Lista e filtra chats do painel ChatGuru via Playwright. Permite filtrar por status (ABERTO, EM ATENDIMENTO, AGUARDANDO, RESOLVIDO, FECHADO), não lidas, arquivados, favoritos, departamento, nome e número. Retorna lista com nome, status, última mensagem, timestamp e contagem de não lidas. Máximo 100 resultados. Latência: 10-20s.",
   {
-    status: z.enum(["ABERTO", "EM ATENDIMENTO", "AGUARDANDO", "RESOLVIDO", "FECHADO", "INDEFINIDO"])
-      .optional()
-      .describe("Filtrar por status do chat."),
-    unread_only: z.boolean().optional().default(false)
-      .describe("Se true, mostra apenas chats com mensagens não lidas."),
-    archived: z.boolean().optional().default(false)
-      .describe("Se true, inclui chats arquivados (FECHADO/RESOLVIDO)."),
-    favorited: z.boolean().optional().default(false)
-      .describe("Se true, mostra apenas chats favoritados."),
-    order_by: z.enum(["-updated", "updated", "-created", "created", "-new_messages", "new_messages", "-date_last_message", "date_last_message"])
-      .optional()
-      .describe("Ordenação. Padrão: -updated (mais recentes). Use -new_messages para ordenar por não lidas."),
-    department: z.string().optional()
-      .describe("Nome do departamento/usuário (ex: 'Super SDR', 'Vendas', 'Eric Luciano')."),
-    name: z.string().optional()
-      .describe("Filtrar por nome do contato (busca parcial)."),
-    whatsapp_number: z.string().optional()
-      .describe("Filtrar por número WhatsApp (ex: 5581991095702)."),
-    limit: z.number().optional().default(50)
-      .describe("Máximo de chats a retornar (padrão: 50, máximo: 100)."),
-  },
-  async ({ status, unread_only, archived, favorited, order_by, department, name, whatsapp_number, limit }) => {
+    description: "Lista e filtra chats do painel ChatGuru via Playwright. Permite filtrar por status (ABERTO, EM ATENDIMENTO, AGUARDANDO, RESOLVIDO, FECHADO), não lidas, arquivados, favoritos, departamento, nome e número. Retorna lista com nome, status, última mensagem, timestamp (texto do painel + timestamp_iso e timestamp_precision: minute, day ou approximate) e contagem de não lidas. Máximo 100 resultados. Latência: 10-20s.",
+    inputSchema: {
+      status: z.enum(CHAT_STATUSES)
+        .optional()
+        .describe("Filtrar por status do chat."),
+      unread_only: z.boolean().optional().default(false)
+        .describe("Se true, mostra apenas chats com mensagens não lidas."),
+      archived: z.boolean().optional().default(false)
+        .describe("Se true, inclui chats arquivados (FECHADO/RESOLVIDO)."),
+      favorited: z.boolean().optional().default(false)
+        .describe("Se true, mostra apenas chats favoritados."),
+      order_by: z.enum(["-updated", "updated", "-created", "created", "-new_messages", "new_messages", "-date_last_message", "date_last_message"])
+        .optional()
+        .describe("Ordenação. Padrão: -updated (mais recentes). Use -new_messages para ordenar por não lidas."),
+      department: z.string().optional()
+        .describe("Nome do departamento/usuário (ex: 'Super SDR', 'Vendas', 'Eric Luciano')."),
+      name: z.string().optional()
+        .describe("Filtrar por nome do contato (busca parcial)."),
+      whatsapp_number: z.string().optional()
+        .describe("Filtrar por número WhatsApp (ex: 5581991095702)."),
+      limit: z.number().optional().default(50)
+        .describe("Máximo de chats a retornar (padrão: 50, máximo: 100)."),
+      profile: profileParam,
+    },
+    outputSchema: output.listChatsOutput,
+  },
+  async ({ profile: profileName, ...filters }) => {
+    const { status, unread_only, archived, favorited, order_by, department, name, whatsapp_number, limit } = filters;
     const effectiveLimit = Math.min(limit, 100);
-    const session = await openBrowserWithSession();
-    if (session.error) return { content: [{ type: "text", text: session.error }] };
+    const profile = getProfile(profileName);
+    return withChatguruPage(profile, async (page) => {
+      const chats = await scrapeChatList(page, profile, filters, effectiveLimit);
+      if (!chats) throw sessionExpiredError(profile);
 
-    const { browser, page } = session;
-    try {
-      const panelUrl = `https://s${SERVER}.expertintegrado.app/chats`;
-      await page.goto(panelUrl, { waitUntil: "domcontentloaded", timeout: 30000 });
-      await sleep(5000);
+      const applied = Object.fromEntries(Object.entries(filters).filter(([, v]) => v));
+      if (whatsapp_number) applied.whatsapp_number = normalizePhone(whatsapp_number);
+      applied.limit = effectiveLimit;
+      const result = { profile: profile.name, filters: applied, count: chats.length, chats };
 
-      if (isLoginPage(page.url())) {
-        await browser.close();
-        return { content: [{ type: "text", text: `Sessão expirada. Execute \`CHATGURU_SERVER=${SERVER} node login.js\` para renovar.` }] };
+      if (chats.length === 0) {
+        return toolResult(`Nenhum chat encontrado com os filtros aplicados. ${DRIFT_HINT}`, result);
       }
 
-      // Remover modais (Beamer push, etc.)
-      await page.evaluate(() => {
-        const beamer = document.querySelector("#beamerPushModal");
-        if (beamer) beamer.remove();
-        document.querySelectorAll(".modal.show, .modal.active, [role='dialog'].active").forEach(el => el.remove());
-        document.querySelectorAll(".modal-backdrop, .push-overlay").forEach(el => el.remove());
-      });
+      // Resumo dos filtros aplicados
+      const filtersApplied = [];
+      if (status) filtersApplied.push(`status=${status}`);
+      if (name) filtersApplied.push(`nome="${name}"`);
+      if (whatsapp_number) filtersApplied.push(`numero=${whatsapp_number}`);
+      if (unread_only) filtersApplied.push("apenas_nao_lidas");
+      if (archived) filtersApplied.push("arquivados");
+      if (favorited) filtersApplied.push("favoritos");
+      if (department) filtersApplied.push(`departamento="${department}"`);
+      if (order_by) filtersApplied.push(`ordenacao=${order_by}`);
 
-      // ── Aplicar filtros ──
+      const summary = `Encontrados ${chats.length} chat(s)${filtersApplied.length ? ` (filtros: ${filtersApplied.join(", ")})` : ""}.`;
 
-      // Nome
-      if (name) {
-        const nameInput = await page.$("#inChatsName");
-        if (nameInput) {
-          await nameInput.fill(name);
-          await page.keyboard.press("Enter");
-          await sleep(2000);
-        }
-      }
+      return toolResult(summary + "\n\n" + JSON.stringify(chats, null, 2), result);
+    });
+  }
+);
 
-      // Número WhatsApp
-      if (whatsapp_number) {
-        const phoneInput = await page.$("#inChatsWhatsappNum");
-        if (phoneInput) {
-          await phoneInput.fill(normalizePhone(whatsapp_number));
-          await page.keyboard.press("Enter");
-          await sleep(2000);
-        }
-      }
+// ─── TOOL 14: ENVIO EM MASSA ────────────────────────────────────────────────
+
+const BULK_MAX_RECIPIENTS = 200;
+
+async function runBulkSend(plan, { messages_per_minute, send_date, dry_run, idempotency_key, profile: profileName }, extra) {
+  const profile = getProfile(profileName);
+  const intervalMs = Math.round(60000 / messages_per_minute);
+  const progressToken = extra?._meta?.progressToken;
+  const dryRun = dry_run ?? DRY_RUN;
+  // Com send_date, cada destinatário vira um agendamento do lote, espaçado pela cadência
+  // (confirmado tarde demais, o horário já passou: parseScheduleDate recusa)
+  const firstDueAt = send_date && !dryRun ? parseScheduleDate(send_date).getTime() : null;
+  const batchId = firstDueAt ? randomBytes(4).toString("hex") : null;
+  const report = [];
+  let lastSendAt = 0;
+  let position = 0;
+
+  for (let i = 0; i < plan.length; i++) {
+    const { chat_number, number, params, skip } = plan[i];
+    const entry = { chat_number, number, status: "", message_id: null, error: null };
+    report.push(entry);
+
+    if (skip) {
+      Object.assign(entry, skip);
+      continue;
+    }
+
+    if (extra?.signal?.aborted) {
+      entry.status = "cancelado";
+      continue;
+    }
 
-      // Status
-      if (status) {
-        await page.selectOption("#selChatsStatus", status).catch(() => {});
-        await sleep(2000);
+    // Uma chave por destinatário: repetir o lote só envia para quem ainda não recebeu
+    const idempotencyKey = idempotency_key ? `${idempotency_key}:${number}` : undefined;
+    try {
+      if (firstDueAt) {
+        const { entry: scheduled, idempotency: idem } = await scheduleTextMessage({
+          tool: "chatguru_bulk_send", profile, number, text: params.text, sendDate: send_date,
+          dueAt: new Date(firstDueAt + position++ * intervalMs), batchId, idempotencyKey,
+        });
+        entry.status = "agendado";
+        entry.schedule_id = scheduled.id;
+        entry.send_date = scheduleView(scheduled).due_at;
+        if (idem?.replayed) entry.replayed = true;
+        continue;
       }
 
-      // Ordenação
-      if (order_by) {
-        await page.selectOption("#selChatsOrder", order_by).catch(() => {});
-        await sleep(2000);
+      // Cadência: respeitar o intervalo mínimo entre envios (com pequena variação aleatória)
+      const wait = lastSendAt + intervalMs - Date.now();
+      if (!dryRun && wait > 0) await sleep(wait + Math.floor(Math.random() * Math.min(1000, intervalMs / 4)));
+
+      const data = await chatguruRequest("message_send", params, { profile, tool: "chatguru_bulk_send", dryRun, idempotencyKey });
+      if (data.dry_run) {
+        entry.status = "simulado";
+        entry.text = params.text;
+        if (data.warnings.length) entry.error = data.warnings.join(" ");
+      } else {
+        entry.status = "enviado";
+        entry.message_id = data.message_id || null;
+        if (data.idempotency?.replayed) entry.replayed = true;
+        else profile.deliveryTracker.track(data.message_id, { number, kind: "text", preview: params.text });
+      }
+    } catch (err) {
+      entry.status = "erro";
+      entry.error = err.message;
+      entry.error_code = toChatGuruError(err).code;
+    } finally {
+      // Repetição e agendamento não chamaram a API: não contam para a cadência
+      if (!entry.replayed && entry.status !== "agendado") lastSendAt = Date.now();
+
+      // Progresso para o cliente MCP (evita timeout em listas longas)
+      if (progressToken !== undefined) {
+        await extra.sendNotification({
+          method: "notifications/progress",
+          params: { progressToken, progress: i + 1, total: plan.length },
+        }).catch(() => {});
       }
+    }
+  }
+
+  const count = (status) => report.filter((r) => r.status === status).length;
+  const sent = count("enviado");
+  const simulated = count("simulado");
+  const scheduled = count("agendado");
+  const failed = count("erro");
+  const skipped = report.length - sent - simulated - scheduled - failed;
+  let summary;
+  if (simulated) {
+    summary = `[SIMULAÇÃO] Nada foi enviado. ${simulated} mensagem(ns) seriam enviadas, ${failed} erro(s), ${report.length - simulated - failed} ignorada(s) de ${report.length}.`;
+    if (send_date) summary += ` (agendadas a partir de ${send_date})`;
+  } else if (firstDueAt) {
+    summary = `Envio em massa agendado: ${scheduled} mensagem(ns) a partir de ${send_date}, uma a cada ${Math.round(intervalMs / 1000)}s (lote ${batchId}), ${failed} erro(s), ${skipped} ignorada(s) de ${report.length}.`;
+    summary += LOCAL_SCHEDULER
+      ? "\nUse chatguru_list_scheduled ou chatguru_cancel_scheduled com o batch_id para acompanhar ou cancelar o lote."
+      : "\nAgendado na API do ChatGuru: use chatguru_list_scheduled com o batch_id para acompanhar o lote.";
+  } else {
+    summary = `Envio em massa concluído: ${sent} enviada(s), ${failed} erro(s), ${skipped} ignorada(s) de ${report.length}.`;
+  }
+  const replayed = report.filter((r) => r.replayed).length;
+  if (replayed) summary += `\n[REPETIÇÃO] ${replayed} destinatário(s) já tinham recebido com esta idempotency_key: não foram enviados de novo.`;
+
+  let outcome = "success";
+  if (simulated) outcome = "dry_run";
+  else if (firstDueAt) outcome = "scheduled";
+  return toolResult(summary + "\n\n" + JSON.stringify(report, null, 2), {
+    outcome,
+    tool: "chatguru_bulk_send",
+    profile: profile.name,
+    chat_number: null,
+    send_date: send_date || null,
+    batch_id: batchId,
+    total: report.length,
+    sent,
+    simulated,
+    scheduled,
+    failed,
+    skipped,
+    results: report,
+  });
+}
 
-      // Toggle: Não lidas
-      if (unread_only) {
-        const unreadCb = await page.$(".list__single__filter.unread input[type='checkbox']");
-        if (unreadCb) { await unreadCb.click(); await sleep(2000); }
+server.registerTool(
+  "chatguru_bulk_send",
+  {
+    description: `Envia a mesma mensagem (template) para vários contatos, com variáveis por destinatário e envio cadenciado para evitar bloqueio do WhatsApp. Placeholders no formato {{nome}} são substituídos pelas variáveis de cada destinatário; destinatários com variável faltando não recebem a mensagem. Números repetidos são enviados só uma vez. Retorna relatório por destinatário com message_id ou erro. Máximo ${BULK_MAX_RECIPIENTS} destinatários. Com dry_run, mostra as mensagens renderizadas sem enviar. Se o servidor exigir confirmação, retorna um token para chatguru_confirm_send.`,
+    inputSchema: {
+      recipients: z.array(z.object({
+        chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702)"),
+        variables: z.record(z.union([z.string(), z.number()])).optional()
+          .describe('Variáveis do template para este destinatário. Ex: {"nome": "Ana", "empresa": "ACME"}'),
+      })).min(1).max(BULK_MAX_RECIPIENTS).describe("Lista de destinatários"),
+      template: z.string().describe("Texto da mensagem com placeholders {{variavel}}. Ex: 'Olá {{nome}}, tudo bem?'"),
+      messages_per_minute: z.number().min(1).max(60).optional().default(20)
+        .describe("Cadência de envio (padrão: 20/min). Valores baixos reduzem o risco de bloqueio."),
+      send_date: z.string().optional().describe("Data/hora do primeiro envio (mesmos formatos de chatguru_send_message); os demais seguem a cadência de messages_per_minute. Cada destinatário vira um agendamento do lote (batch_id). Se omitido, envia imediatamente."),
+      dry_run: z.boolean().optional().describe("Se true, valida e mostra as mensagens renderizadas sem enviar (padrão: CHATGURU_DRY_RUN)."),
+      idempotency_key: z.string().trim().min(1).max(200).optional()
+        .describe(`Chave única deste lote. Vale por destinatário: repetir o lote com a mesma chave em até ${IDEMPOTENCY_WINDOW_MS / 3600000}h só envia para quem ainda não recebeu (ex: depois de falhas).`),
+      profile: profileParam,
+    },
+    outputSchema: output.bulkSendOutput,
+  },
+  async (rawArgs, extra) => {
+    const { send_date: sendDate, items: plan } = planBulkSend(rawArgs, {
+      normalizePhone,
+      parseSendDate: (text) => formatInTimeZone(parseScheduleDate(text), TIME_ZONE),
+    });
+    const args = { ...rawArgs, send_date: sendDate };
+    if (REQUIRE_CONFIRMATION && !(args.dry_run ?? DRY_RUN)) {
+      const profile = getProfile(args.profile);
+      const toSend = plan.filter((item) => !item.skip);
+      const previews = toSend.map((item) => buildWritePreview("chatguru_bulk_send", "message_send", item.params, profile));
+      return holdForConfirmation("chatguru_bulk_send",
+        `envio em massa para ${toSend.length} contato(s) (${plan.length - toSend.length} ignorado(s))${sendDate ? ` agendado a partir de ${sendDate}` : ""}.`,
+        previews, (confirmExtra) => runBulkSend(plan, args, confirmExtra), profile, extra);
+    }
+    return runBulkSend(plan, args, extra);
+  }
+);
+
+// ─── TOOL 15: HISTÓRICO DE ENVIOS ───────────────────────────────────────────
+
+server.registerTool(
+  "chatguru_list_sent_messages",
+  {
+    description: "Lista as mensagens enviadas por este servidor (chatguru_send_message, chatguru_send_file, chatguru_bulk_send) pelo perfil nas últimas N horas, com o status de entrega acompanhado em segundo plano até delivered/read/failed. Status normalizados: pending, scheduled, sent, delivered, read, failed, unknown.",
+    inputSchema: {
+      hours: z.number().min(1).max(168).optional().default(24)
+        .describe("Janela de tempo em horas (padrão: 24, máximo: 168)."),
+      chat_number: z.string().optional()
+        .describe("Filtrar por número do destinatário (aceita formatos variados)."),
+      status: z.enum(["pending", "scheduled", "sent", "delivered", "read", "failed", "unknown"]).optional()
+        .describe("Filtrar por status normalizado."),
+      refresh: z.boolean().optional().default(false)
+        .describe("Se true, consulta agora o status das mensagens que ainda não chegaram a um estado final."),
+      profile: profileParam,
+    },
+    outputSchema: output.sentMessagesOutput,
+  },
+  async ({ hours, chat_number, status, refresh, profile: profileName }) => {
+    const profile = getProfile(profileName);
+    const number = chat_number ? normalizePhone(chat_number) : undefined;
+    const messages = await profile.deliveryTracker.list({ hours, number, status, refresh });
+
+    const counts = {};
+    for (const m of messages) counts[m.status] = (counts[m.status] || 0) + 1;
+    const filters = { hours, ...(number && { chat_number: number }), ...(status && { status }) };
+    const result = { profile: profile.name, filters, count: messages.length, counts, messages };
+
+    if (messages.length === 0) {
+      return toolResult(`Nenhuma mensagem enviada nas últimas ${hours}h com os filtros aplicados.`, result);
+    }
+
+    const summary = `${messages.length} mensagem(ns) nas últimas ${hours}h: ` +
+      Object.entries(counts).map(([k, v]) => `${v} ${k}`).join(", ") + ".";
+
+    return toolResult(summary + "\n\n" + JSON.stringify(messages, null, 2), result);
+  }
+);
+
+// ─── TOOL 16: AUDITORIA ─────────────────────────────────────────────────────
+
+server.registerTool(
+  "chatguru_search_audit_log",
+  {
+    description: "Pesquisa a trilha de auditoria local de todas as ações de escrita feitas por este servidor (envios, notas, campos customizados, nome, contexto, diálogos, registros de chat). Cada registro traz data/hora, ferramenta, perfil, número normalizado, payload, resposta da API e resultado. Mais recentes primeiro.",
+    inputSchema: {
+      chat_number: z.string().optional()
+        .describe("Filtrar por número (aceita formatos variados)."),
+      action: z.string().optional()
+        .describe("Filtrar por ferramenta (ex: chatguru_send_message) ou action da API (ex: note_add)."),
+      outcome: z.enum(["success", "error", "dry_run", "replayed"]).optional()
+        .describe("Filtrar por resultado."),
+      from: z.string().optional()
+        .describe("Data/hora inicial (ISO 8601, ex: 2026-03-01 ou 2026-03-01T08:00:00-03:00). Sem offset, vale o fuso CHATGURU_TIMEZONE."),
+      to: z.string().optional()
+        .describe("Data/hora final (ISO 8601). Datas sem hora incluem o dia inteiro no fuso CHATGURU_TIMEZONE."),
+      limit: z.number().min(1).max(500).optional().default(50)
+        .describe("Máximo de registros (padrão: 50, máximo: 500)."),
+      profile: z.enum(PROFILE_NAMES).optional()
+        .describe(`Filtrar por perfil (conta/número). Disponíveis: ${PROFILE_NAMES.join(", ")}. Se omitido, pesquisa todos.`),
+    },
+    outputSchema: output.auditLogOutput,
+  },
+  async ({ chat_number, action, outcome, from, to, limit, profile }) => {
+    // Sem offset, datas e horários valem no fuso CHATGURU_TIMEZONE; "to" sem hora vai até o fim desse dia
+    const fromDate = from ? parseDateBound(from, { timeZone: TIME_ZONE }) : undefined;
+    const toDate = to ? parseDateBound(to, { timeZone: TIME_ZONE, end: true }) : undefined;
+    if (fromDate === null || toDate === null) {
+      throw new ChatGuruError("validation", "from/to devem estar em formato ISO 8601 (ex: 2026-03-01).");
+    }
+
+    const number = chat_number ? normalizePhone(chat_number) : undefined;
+    const records = await auditLog.search({ number, action, outcome, profile, from: fromDate, to: toDate, limit });
+    const filters = Object.fromEntries(Object.entries({
+      chat_number: number, action, outcome, profile, from: fromDate?.toISOString(), to: toDate?.toISOString(), limit,
+    }).filter(([, v]) => v !== undefined));
+    const result = { filters, count: records.length, records };
+
+    if (records.length === 0) {
+      return toolResult("Nenhum registro de auditoria encontrado com os filtros aplicados.", result);
+    }
+    return toolResult(`${records.length} registro(s) encontrado(s).\n\n` + JSON.stringify(records, null, 2), result);
+  }
+);
+
+// ─── TOOL 17: PREPARAR ENVIO ────────────────────────────────────────────────
+
+server.registerTool(
+  "chatguru_prepare_send",
+  {
+    description: "Prepara o envio de uma mensagem de texto ou arquivo SEM enviar: valida, mostra a prévia (com o número normalizado) e retorna um token. O envio só acontece quando um humano aprovar e chatguru_confirm_send for chamado com o token. Use sempre que houver dúvida sobre o destinatário ou o conteúdo.",
+    inputSchema: {
+      chat_number: z.string().describe("Número do telefone com DDI (ex: 5581991095702, +351 912 345 678). Aceita formatos variados; sem DDI, usa o país padrão."),
+      text: z.string().optional().describe("Texto da mensagem (para envio de texto)"),
+      file_url: z.string().optional().describe("URL pública do arquivo (para envio de arquivo; text vira a legenda)"),
+      send_date: z.string().optional().describe(`Data/hora do agendamento no fuso CHATGURU_TIMEZONE: ISO (2026-03-12 14:00), pt-BR (12/03/2026 14:00) ou relativa (amanhã 9h, sexta 14h30, em 2 horas). ${SCHEDULE_NOTE} Apenas para texto.`),
+      idempotency_key: idempotencyKeyParam,
+      profile: profileParam,
+    },
+    outputSchema: output.prepareSendOutput,
+  },
+  async ({ chat_number, text, file_url, send_date, idempotency_key, profile: profileName }, extra) => {
+    if (!text && !file_url) {
+      throw new ChatGuruError("validation", "Informe text (mensagem) ou file_url (arquivo).");
+    }
+    const profile = getProfile(profileName);
+    const number = normalizePhone(chat_number);
+    // A aprovação humana libera o envio, não o modo simulação do servidor: com CHATGURU_DRY_RUN,
+    // a confirmação só mostra a prévia (e o resumo avisa disso)
+    const simulated = DRY_RUN ? " [SIMULAÇÃO: CHATGURU_DRY_RUN ativo, a confirmação não envia nada]" : "";
+
+    if (file_url) {
+      const params = { chat_number: number, file_url, ...(text && { caption: text }) };
+      return holdForConfirmation("chatguru_send_file", `arquivo para ${number}.${simulated}`,
+        [buildWritePreview("chatguru_send_file", "message_file_send", params, profile)],
+        () => sendFileMessage({ chat_number, file_url, caption: text, dry_run: DRY_RUN, idempotency_key, profile: profile.name }), profile, extra);
+    }
+
+    const sendDate = send_date ? formatInTimeZone(parseScheduleDate(send_date), TIME_ZONE) : undefined;
+    const params = { chat_number: number, text, ...(sendDate && { send_date: sendDate }) };
+    return holdForConfirmation("chatguru_send_message", `mensagem de texto para ${number}${sendDate ? ` agendada para ${sendDate}` : ""}.${simulated}`,
+      [buildWritePreview("chatguru_send_message", "message_send", params, profile)],
+      () => sendTextMessage({ chat_number, text, send_date: sendDate, dry_run: DRY_RUN, idempotency_key, profile: profile.name }), profile, extra);
+  }
+);
+
+// ─── TOOL 18: CONFIRMAR ENVIO ───────────────────────────────────────────────
+
+server.registerTool(
+  "chatguru_confirm_send",
+  {
+    description: "Confirma (ou cancela) um envio preparado por chatguru_prepare_send ou retido por exigência de confirmação. Só chame depois que um humano aprovar a prévia. Sem token, lista os envios aguardando confirmação.",
+    inputSchema: {
+      token: z.string().optional().describe("Token retornado na preparação do envio. Se omitido, lista os envios pendentes."),
+      cancel: z.boolean().optional().default(false).describe("Se true, descarta o envio em vez de executá-lo."),
+      profile: z.enum(PROFILE_NAMES).optional()
+        .describe("Sem token: lista só os envios deste perfil. Com token: recusa a confirmação se o envio for de outro perfil."),
+    },
+    outputSchema: output.confirmSendOutput,
+  },
+  async ({ token, cancel, profile }, extra) => {
+    const owner = extra?.sessionId ?? null;
+    if (!token) {
+      const pending = confirmations.list(owner).filter((p) => !profile || p.profile === profile);
+      if (pending.length === 0) {
+        return toolResult("Nenhum envio aguardando confirmação.", { pending });
       }
+      return toolResult(`${pending.length} envio(s) aguardando confirmação.\n\n` + JSON.stringify(pending, null, 2), { pending });
+    }
+
+    // Perfil divergente: recusa sem consumir o token
+    const pending = confirmations.list(owner).find((p) => p.token === token.trim());
+    if (profile && pending && pending.profile !== profile) {
+      throw new ChatGuruError("validation", `Token ${token} pertence ao perfil ${pending.profile}, não a ${profile}. Nada foi enviado.`);
+    }
 
-      // Toggle: Arquivados
-      if (archived) {
-        const archivedCb = await page.$(".list__single__filter.archived input[type='checkbox']");
-        if (archivedCb) { await archivedCb.click(); await sleep(2000); }
+    const item = confirmations.take(token.trim(), owner);
+    if (!item) {
+      throw new ChatGuruError("not_found", `Token ${token} inválido, já usado ou expirado.`, {
+        hint: "Prepare o envio novamente.",
+      });
+    }
+    if (cancel) {
+      const { tool, profile: itemProfile, summary, previews } = item.preview;
+      return toolResult(`Envio cancelado: ${summary}`, {
+        outcome: "cancelled",
+        tool,
+        profile: itemProfile,
+        chat_number: previews.length === 1 ? previews[0].number : null,
+      });
+    }
+    return item.run(extra);
+  }
+);
+
+// ─── TOOL 19: TRIAGEM DE NÃO LIDAS (PLAYWRIGHT) ─────────────────────────────
+
+/**
+ * Abre os chats com não lidas mais recentes e lê as últimas mensagens de cada um (usado
+ * por chatguru_scan_unread e pelo prompt triage_unread). Retorna null se a sessão expirou.
+ *
+ * @returns {Promise<{ cards: object[], recent: object[], results: object[] } | null>}
+ */
+async function scanUnreadChats(page, profile, { max_age_days, max_chats, messages_per_chat, status, department }, { signal, onProgress } = {}) {
+  if (!(await openPanel(page, profile, { fresh: true }))) return null;
+
+  const chatList = createChatListPage(page, { timeZone: TIME_ZONE });
+  const chatView = createChatViewPage(page, { timeZone: TIME_ZONE });
+  await chatList.waitForCards();
+  await chatList.removeModals();
+
+  // Passo 1: apenas não lidas, ordenadas pela última mensagem (mais recente primeiro)
+  await chatList.applyFilters({ unread_only: true, order_by: "-date_last_message", status, department });
+  const cards = await chatList.loadCards(100);
+
+  // Passo 2: descartar chats antigos (timestamp não reconhecido é mantido)
+  const recent = cards.filter((c) => !c.timestamp_iso || ageInDays(c.timestamp_iso) <= max_age_days);
+  const selected = recent.slice(0, max_chats);
+
+  // Passo 3: abrir cada chat e ler as mensagens
+  const results = [];
+  for (let i = 0; i < selected.length; i++) {
+    const chat = selected[i];
+    const entry = { ...chat, link: null, awaiting_reply: null, messages: [], error: null };
+    results.push(entry);
+
+    if (signal?.aborted) {
+      entry.error = "Cancelado.";
+      continue;
+    }
+
+    const chatId = await chatList.openChat(chat.contact_name);
+    if (chatId === null) {
+      entry.error = "Card do chat não encontrado na lista.";
+      continue;
+    }
+    if (chatId) {
+      entry.chat_id = chatId;
+      entry.link = `${profile.panelUrl}#${chatId}`;
+    }
+
+    await chatView.waitLoaded(10000);
+    await chatView.scrollUp({ maxScrolls: 10, shouldStop: (count) => count >= messages_per_chat });
+
+    const messages = await chatView.extractMessages(messages_per_chat);
+    entry.messages = messages;
+
+    // Aguardando resposta: a última mensagem (fora anotações) veio do cliente
+    const lastReal = [...messages].reverse().find((m) => !m.is_note);
+    entry.awaiting_reply = lastReal ? lastReal.direction === "in" : null;
+
+    await chatList.backToList();
+
+    await onProgress?.(i + 1, selected.length);
+  }
+  return { cards, recent, results };
+}
+
+server.registerTool(
+  "chatguru_scan_unread",
+  {
+    description: "Triagem da caixa de entrada: filtra chats com mensagens não lidas (mais recentes primeiro), abre cada um e lê as últimas mensagens. Retorna, por chat: nome, status, não lidas, última atividade (ISO), chat_id, link, se está aguardando resposta e as mensagens no mesmo formato de chatguru_read_messages. Ideal para resumir pendências. Requer session.json válido. Latência: ~10s por chat.",
+    inputSchema: {
+      max_age_days: z.number().min(1).max(365).optional().default(30)
+        .describe("Ignora chats cuja última mensagem é mais antiga que isso (padrão: 30 dias)."),
+      max_chats: z.number().min(1).max(50).optional().default(10)
+        .describe("Máximo de chats a abrir (padrão: 10, máximo: 50)."),
+      messages_per_chat: z.number().min(1).max(100).optional().default(40)
+        .describe("Mensagens lidas por chat (padrão: 40, máximo: 100)."),
+      status: z.enum(CHAT_STATUSES).optional()
+        .describe("Filtrar por status do chat."),
+      department: z.string().optional()
+        .describe("Nome do departamento/usuário (ex: 'Super SDR', 'Vendas')."),
+      profile: profileParam,
+    },
+    outputSchema: output.scanUnreadOutput,
+  },
+  async ({ max_age_days, max_chats, messages_per_chat, status, department, profile: profileName }, extra) => {
+    const progressToken = extra?._meta?.progressToken;
+    const profile = getProfile(profileName);
+
+    return withChatguruPage(profile, async (page) => {
+      const scan = await scanUnreadChats(page, profile, { max_age_days, max_chats, messages_per_chat, status, department }, {
+        signal: extra?.signal,
+        onProgress: progressToken === undefined ? undefined : (progress, total) => extra.sendNotification({
+          method: "notifications/progress",
+          params: { progressToken, progress, total },
+        }).catch(() => {}),
+      });
+      if (!scan) throw sessionExpiredError(profile);
+      const { cards, recent, results } = scan;
+
+      const filtersApplied = [`ultimos_${max_age_days}_dias`];
+      if (status) filtersApplied.push(`status=${status}`);
+      if (department) filtersApplied.push(`departamento="${department}"`);
+
+      const awaiting = results.filter((r) => r.awaiting_reply).length;
+      const summary = `Triagem: ${cards.length} chat(s) com não lidas, ${recent.length} dentro do período, ` +
+        `${results.length} lido(s), ${awaiting} aguardando resposta (filtros: ${filtersApplied.join(", ")}).`;
+
+      return toolResult(summary + "\n\n" + JSON.stringify(results, null, 2), {
+        profile: profile.name,
+        filters: { max_age_days, max_chats, messages_per_chat, ...(status && { status }), ...(department && { department }) },
+        unread_chats: cards.length,
+        within_period: recent.length,
+        awaiting_reply: awaiting,
+        chats: results,
+      });
+    });
+  }
+);
+
+// ─── TOOL 20: DIAGNÓSTICO ───────────────────────────────────────────────────
+
+// ID de chat inexistente: a API autentica a chamada e só recusa o ID, sem efeito colateral
+const HEALTH_CHECK_CHAT_ADD_ID = "000000000000000000000000";
+
+/**
+ * Verifica as credenciais da API com uma consulta inofensiva (status de um registro inexistente).
+ */
+async function checkApiCredentials(profile) {
+  try {
+    await chatguruRequest("chat_add_status", { chat_add_id: HEALTH_CHECK_CHAT_ADD_ID }, { profile, retries: 1 });
+    return { status: "ok", message: "API respondeu e aceitou as credenciais." };
+  } catch (err) {
+    // HTTP de erro, falha de rede ou recusa explícita das credenciais
+    const { code } = toChatGuruError(err);
+    if (err.status || !["not_found", "validation"].includes(code)) {
+      return { status: "error", code, message: err.message };
+    }
+    // Erro de negócio (registro inexistente) é a resposta esperada: a chamada foi autenticada
+    return { status: "ok", message: `API respondeu e aceitou as credenciais (resposta ao teste: "${err.message}").` };
+  }
+}
+
+/**
+ * Abre o painel com a sessão salva e verifica os seletores dos scrapers.
+ */
+async function checkPanel(profile, { openChat }) {
+  try {
+    return await profile.browserPool.withPage(async (page) => {
+      if (!(await openPanel(page, profile, { fresh: true }))) {
+        return { session: { status: "expired", message: sessionExpiredMessage(profile) }, selectors: null };
       }
+      await createChatListPage(page).waitForCards();
+      const checks = await probeSelectors(page, { openChat });
+      return { session: { status: "ok", message: "Sessão válida: painel /chats carregado." }, selectors: checks };
+    });
+  } catch (err) {
+    if (err instanceof SessionMissingError) {
+      return { session: { status: "missing", message: sessionMissingMessage(profile) }, selectors: null };
+    }
+    return { session: { status: "error", message: `Falha ao abrir o painel: ${err.message}` }, selectors: null };
+  }
+}
 
-      // Toggle: Favoritos
-      if (favorited) {
-        const favCb = await page.$(".list__single__filter.favorited input[type='checkbox']");
-        if (favCb) { await favCb.click(); await sleep(2000); }
+server.registerTool(
+  "chatguru_health_check",
+  {
+    description: "Diagnóstico da integração: verifica as credenciais da API (consulta inofensiva), se a sessão do Playwright é válida e se cada seletor usado pelos scrapers ainda existe no painel (filtros, cards, chat aberto, mensagens). Use quando chatguru_list_chats ou chatguru_read_messages voltarem vazios sem motivo: o relatório diz exatamente quais seletores sumiram. Não altera nada. Latência: 1s (só API) a 30s (com painel).",
+    inputSchema: {
+      check_panel: z.boolean().optional().default(true)
+        .describe("Se false, verifica só a API (rápido, sem Playwright)."),
+      open_chat: z.boolean().optional().default(true)
+        .describe("Abrir o primeiro chat da lista para verificar os seletores de mensagens."),
+      profile: profileParam,
+    },
+    outputSchema: output.healthCheckOutput,
+  },
+  async ({ check_panel, open_chat, profile: profileName }) => {
+    const profile = getProfile(profileName);
+    const report = {
+      checked_at: new Date().toISOString(),
+      profile: profile.name,
+      server: String(profile.server),
+      api: await checkApiCredentials(profile),
+      session: null,
+      selectors: null,
+      auto_login: profile.sessionRefresher.status(),
+      rate_limiter: profile.rateLimiter?.stats() ?? null,
+    };
+
+    if (check_panel) Object.assign(report, await checkPanel(profile, { openChat: open_chat }));
+
+    const missing = (report.selectors || []).filter((c) => c.status === "missing");
+    report.ok = report.api.status === "ok"
+      && (!check_panel || report.session.status === "ok")
+      && missing.length === 0;
+
+    const target = PROFILES.source === "file" ? `perfil ${profile.name}, s${profile.server}` : `s${profile.server}`;
+    const lines = [`Diagnóstico ChatGuru (${target}): ${report.ok ? "OK" : "PROBLEMAS ENCONTRADOS"}`];
+    lines.push(`API: ${report.api.status === "ok" ? "OK" : "FALHOU"} — ${report.api.message}`);
+    if (report.rate_limiter) {
+      const { per_minute, queued, throttled, avg_wait_ms, paused_until } = report.rate_limiter;
+      lines.push(`Fila da API: ${queued} aguardando, espera média ${avg_wait_ms}ms, ${throttled} resposta(s) 429 (limite ${per_minute}/min)` +
+        (paused_until ? `, pausada até ${paused_until}.` : "."));
+    }
+    if (!check_panel) {
+      lines.push("Sessão/seletores: não verificados (check_panel=false).");
+    } else {
+      lines.push(`Sessão: ${report.session.status === "ok" ? "OK" : "FALHOU"} — ${report.session.message}`);
+      if (report.selectors) {
+        const verified = report.selectors.filter((c) => c.status !== "skipped");
+        const okCount = verified.filter((c) => c.status !== "missing").length;
+        lines.push(`Seletores: ${okCount}/${verified.length} OK.`);
+        for (const c of missing) lines.push(`  FALTANDO: ${c.name} (${[].concat(c.selector).join(" | ")})`);
+        const skipped = report.selectors.filter((c) => c.status === "skipped");
+        if (skipped.length) lines.push(`  Não verificados (sem chat para abrir ou etapa anterior falhou): ${skipped.map((c) => c.name).join(", ")}`);
       }
+    }
 
-      // Departamento (busca checkbox por label dentro da seção de departamentos)
-      if (department) {
-        await page.evaluate((deptName) => {
-          // Procura em todos os labels visíveis de checkbox
-          const allLabels = document.querySelectorAll("label");
-          for (const label of allLabels) {
-            const text = label.textContent?.trim();
-            if (text && text.toLowerCase() === deptName.toLowerCase()) {
-              const cb = label.querySelector("input[type='checkbox']");
-              if (cb) { cb.click(); return; }
-            }
-          }
-          // Fallback: busca parcial
-          for (const label of allLabels) {
-            const text = label.textContent?.trim();
-            if (text && text.toLowerCase().includes(deptName.toLowerCase())) {
-              const cb = label.querySelector("input[type='checkbox']");
-              if (cb) { cb.click(); return; }
-            }
-          }
-        }, department);
-        await sleep(2000);
+    return toolResult(lines.join("\n") + "\n\n" + JSON.stringify(report, null, 2), report);
+  }
+);
+
+// ─── WEBHOOKS: EVENTOS RECEBIDOS ─────────────────────────────────────────────
+
+const WEBHOOK_EVENTS_URI = "chatguru://webhook/events";
+
+const webhookEvents = createWebhookEventStore({
+  storePath: join(DATA_DIR, "webhook-events.jsonl"),
+  onAppend: (event) => {
+    notifyResourceUpdated(WEBHOOK_EVENTS_URI);
+    notifyChatResources(event);
+  },
+});
+
+/**
+ * Recebe um payload do listener: normaliza, identifica o perfil e guarda o evento.
+ * Perfil: o do caminho (/webhook/chatguru/<perfil>), o dono do phone_id ou o padrão.
+ */
+function receiveWebhook(payload, { profile: pathProfile }) {
+  if (pathProfile && !PROFILE_NAMES.includes(pathProfile)) {
+    throw new WebhookRequestError(404, `Perfil "${pathProfile}" não existe.`);
+  }
+
+  let event;
+  try {
+    event = normalizeWebhookPayload(payload, { timeZone: TIME_ZONE });
+  } catch (err) {
+    throw new WebhookRequestError(422, err.message);
+  }
+
+  const profile = getProfile(pathProfile
+    || PROFILES.profiles.find((p) => event.phone_id && p.phone_id === event.phone_id)?.name);
+  if (event.chat_number) {
+    try {
+      event.chat_number = normalizePhone(event.chat_number);
+    } catch {
+      // Número fora do padrão: mantém só os dígitos recebidos
+    }
+  }
+  if (!event.link && event.chat_id) event.link = `${profile.panelUrl}#${event.chat_id}`;
+
+  const { event: stored, duplicate } = webhookEvents.append(event, { profile: profile.name });
+  return { id: stored?.id ?? null, duplicate };
+}
+
+const webhookServer = WEBHOOK_PORT === null ? null : createWebhookServer({
+  port: WEBHOOK_PORT,
+  host: WEBHOOK_HOST,
+  path: WEBHOOK_PATH,
+  secret: WEBHOOK_SECRET,
+  onPayload: receiveWebhook,
+});
+let webhookListening = false;
+
+server.resource(
+  "webhook-events",
+  WEBHOOK_EVENTS_URI,
+  {
+    description: "Últimos 50 eventos recebidos por webhook do ChatGuru (mensagens e mudanças de chat), mais antigos primeiro. Assine o recurso para ser notificado a cada evento novo.",
+    mimeType: "application/json",
+  },
+  async (uri) => ({
+    contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(webhookEvents.list({ limit: 50 }), null, 2) }],
+  })
+);
+
+// ─── TOOL 21: MENSAGENS RECEBIDAS (WEBHOOK) ─────────────────────────────────
+
+server.registerTool(
+  "chatguru_list_inbound_messages",
+  {
+    description: "Lista as mensagens recebidas de clientes que chegaram pelos webhooks do ChatGuru, sem scraping e sem latência. Leitura incremental: o resultado traz `cursor`; passe-o em `since` na próxima chamada para receber só o que chegou depois. Cada evento traz id, perfil, chat_id, link, número, nome do contato, kind, texto, mídia e timestamp ISO. Requer o listener de webhooks (CHATGURU_WEBHOOK_PORT) e o webhook cadastrado no ChatGuru.",
+    inputSchema: {
+      since: z.string().optional()
+        .describe("Cursor de uma leitura anterior: retorna apenas eventos mais novos que ele. Se omitido, retorna os mais recentes."),
+      chat_number: z.string().optional()
+        .describe("Filtrar por número do contato (aceita formatos variados)."),
+      chat_id: z.string().optional()
+        .describe("Filtrar por chat_id."),
+      include_all_events: z.boolean().optional().default(false)
+        .describe("Se true, inclui todos os eventos (mudanças de chat, mensagens enviadas), não só mensagens recebidas."),
+      limit: z.number().min(1).max(500).optional().default(50)
+        .describe("Máximo de eventos (padrão: 50, máximo: 500)."),
+      profile: z.enum(PROFILE_NAMES).optional()
+        .describe(`Filtrar por perfil (conta/número). Disponíveis: ${PROFILE_NAMES.join(", ")}. Se omitido, lista todos.`),
+    },
+    outputSchema: output.inboundMessagesOutput,
+  },
+  async ({ since, chat_number, chat_id, include_all_events, limit, profile }) => {
+    const number = chat_number ? normalizePhone(chat_number) : undefined;
+    let result;
+    try {
+      result = webhookEvents.list({
+        since,
+        profile,
+        number,
+        chatId: chat_id,
+        limit,
+        ...(!include_all_events && { types: ["message"], direction: "in" }),
+      });
+    } catch (err) {
+      throw new ChatGuruError("validation", err.message);
+    }
+    const listener = !webhookServer ? "disabled" : webhookListening ? "listening" : "failed";
+
+    if (result.events.length === 0) {
+      let msg = since ? "Nenhum evento novo desde o cursor." : "Nenhum evento recebido por webhook.";
+      if (listener === "disabled") msg += " O listener de webhooks está desligado: defina CHATGURU_WEBHOOK_PORT e cadastre a URL no ChatGuru.";
+      else if (listener === "failed") msg += ` O listener de webhooks não conseguiu abrir a porta ${WEBHOOK_PORT} (veja o log de inicialização).`;
+      return toolResult(msg + "\n\n" + JSON.stringify(result, null, 2), { ...result, listener });
+    }
+
+    const summary = `${result.events.length} evento(s)${result.has_more ? " (há mais: chame de novo com o cursor)" : ""}.`;
+    return toolResult(summary + "\n\n" + JSON.stringify(result, null, 2), { ...result, listener });
+  }
+);
+
+// ─── TOOL 22: LISTAR AGENDAMENTOS ───────────────────────────────────────────
+
+server.registerTool(
+  "chatguru_list_scheduled",
+  {
+    description: "Lista as mensagens agendadas (send_date) de chatguru_send_message, chatguru_prepare_send e chatguru_bulk_send, pelo horário de envio. Sem status, mostra as que ainda vão sair (scheduled) e as que venceram com o servidor parado (missed). mode indica quem envia: local (este servidor) ou api (ChatGuru).",
+    inputSchema: {
+      status: z.enum(SCHEDULE_STATUSES).optional()
+        .describe("scheduled (aguardando), sending, sent, failed, cancelled ou missed (venceu com o servidor parado). Se omitido: scheduled e missed."),
+      chat_number: z.string().optional().describe("Filtrar por número (aceita formatos variados)."),
+      batch_id: z.string().optional().describe("Filtrar pelo lote de um envio em massa agendado."),
+      profile: z.enum(PROFILE_NAMES).optional()
+        .describe(`Filtrar por perfil (conta/número). Disponíveis: ${PROFILE_NAMES.join(", ")}. Se omitido, lista todos.`),
+    },
+    outputSchema: output.listScheduledOutput,
+  },
+  async ({ status, chat_number, batch_id, profile }) => {
+    const number = chat_number ? normalizePhone(chat_number) : undefined;
+    const scheduled = scheduler.list({ profile, statuses: status ? [status] : OPEN_STATUSES, number, batchId: batch_id })
+      .map(scheduleView);
+    const filters = { status: status || OPEN_STATUSES.join(","), chat_number: number, batch_id, profile };
+    if (scheduled.length === 0) {
+      return toolResult("Nenhum agendamento encontrado.", { filters, count: 0, scheduled });
+    }
+    return toolResult(`${scheduled.length} agendamento(s).\n\n` + JSON.stringify(scheduled, null, 2), { filters, count: scheduled.length, scheduled });
+  }
+);
+
+/**
+ * Agendamentos alvo de cancelar/remarcar: um ID ou todos os abertos de um lote.
+ * @throws {ChatGuruError} not_found se nada corresponde; validation se é de outro perfil ou foi agendado na API
+ */
+function findScheduled({ schedule_id, batch_id, profile }) {
+  if (!schedule_id === !batch_id) {
+    throw new ChatGuruError("validation", "Informe schedule_id OU batch_id.");
+  }
+  const entries = schedule_id
+    ? [scheduler.get(schedule_id)].filter(Boolean)
+    : scheduler.list({ batchId: batch_id.trim() });
+  if (entries.length === 0) {
+    throw new ChatGuruError("not_found", `Agendamento ${schedule_id || `do lote ${batch_id}`} não encontrado.`, {
+      hint: "Use chatguru_list_scheduled para ver os IDs.",
+    });
+  }
+  const other = entries.find((e) => profile && e.profile !== profile);
+  if (other) {
+    throw new ChatGuruError("validation", `Agendamento ${other.id} pertence ao perfil ${other.profile}, não a ${profile}. Nada foi alterado.`);
+  }
+  const remote = entries.find((e) => e.mode === "api");
+  if (remote) {
+    throw new ChatGuruError("validation", `Agendamento ${remote.id} foi feito na API do ChatGuru, que não permite cancelar nem remarcar. Nada foi alterado.`, {
+      hint: "Com CHATGURU_LOCAL_SCHEDULER=true os próximos agendamentos ficam neste servidor e podem ser cancelados e remarcados.",
+    });
+  }
+  return entries;
+}
+
+function scheduleChangeResult(verb, entries, changed, profile) {
+  const unchanged = entries.filter((e) => !changed.includes(e));
+  let msg = `${changed.length} agendamento(s) ${verb}.`;
+  for (const e of unchanged) msg += `\n- ${e.id} (${e.number}) não foi alterado: está ${e.status}.`;
+  return toolResult(msg + (changed.length ? "\n\n" + JSON.stringify(changed.map(scheduleView), null, 2) : ""), {
+    profile: profile || null,
+    changed: changed.map(scheduleView),
+    unchanged: unchanged.map(scheduleView),
+  });
+}
+
+// ─── TOOL 23: CANCELAR AGENDAMENTO ──────────────────────────────────────────
+
+server.registerTool(
+  "chatguru_cancel_scheduled",
+  {
+    description: "Cancela uma mensagem agendada antes do envio (schedule_id), ou todas as pendentes de um envio em massa agendado (batch_id). Mensagens já enviadas, ou agendadas na API do ChatGuru (sem CHATGURU_LOCAL_SCHEDULER), não podem ser canceladas.",
+    inputSchema: {
+      schedule_id: z.string().optional().describe("ID do agendamento (retornado no envio ou por chatguru_list_scheduled)."),
+      batch_id: z.string().optional().describe("Lote de um envio em massa agendado: cancela todos os destinatários que ainda não receberam."),
+      profile: z.enum(PROFILE_NAMES).optional()
+        .describe("Recusa o cancelamento se o agendamento for de outro perfil."),
+    },
+    outputSchema: output.scheduleChangeOutput,
+  },
+  async ({ schedule_id, batch_id, profile }) => {
+    const entries = findScheduled({ schedule_id, batch_id, profile });
+    const changed = entries.filter((e) => OPEN_STATUSES.includes(e.status)).map((e) => scheduler.cancel(e.id));
+    return scheduleChangeResult("cancelado(s)", entries, changed, profile);
+  }
+);
+
+// ─── TOOL 24: REMARCAR AGENDAMENTO ──────────────────────────────────────────
+
+server.registerTool(
+  "chatguru_reschedule",
+  {
+    description: "Muda o horário de uma mensagem agendada ainda não enviada (também reativa uma que venceu com o servidor parado). Com batch_id, remarca o lote inteiro mantendo o intervalo entre os envios. Só vale para agendamentos deste servidor (CHATGURU_LOCAL_SCHEDULER).",
+    inputSchema: {
+      schedule_id: z.string().optional().describe("ID do agendamento."),
+      batch_id: z.string().optional().describe("Lote de um envio em massa agendado: o primeiro envio pendente vai para send_date e os demais mantêm o espaçamento."),
+      send_date: z.string().describe("Novo horário no fuso CHATGURU_TIMEZONE: ISO (2026-03-12 14:00), pt-BR (12/03/2026 14:00) ou relativo (amanhã 9h, em 2 horas)."),
+      profile: z.enum(PROFILE_NAMES).optional()
+        .describe("Recusa a alteração se o agendamento for de outro perfil."),
+    },
+    outputSchema: output.scheduleChangeOutput,
+  },
+  async ({ schedule_id, batch_id, send_date, profile }) => {
+    const dueAt = parseScheduleDate(send_date);
+    const entries = findScheduled({ schedule_id, batch_id, profile });
+    const open = entries.filter((e) => OPEN_STATUSES.includes(e.status));
+    // O lote anda junto: o deslocamento do primeiro pendente vale para todos
+    const shift = open.length ? dueAt.getTime() - Math.min(...open.map((e) => Date.parse(e.due_at))) : 0;
+    const changed = open.map((e) => scheduler.reschedule(e.id, new Date(Date.parse(e.due_at) + shift)));
+    return scheduleChangeResult(`remarcado(s) a partir de ${formatInTimeZone(dueAt, TIME_ZONE)}`, entries, changed, profile);
+  }
+);
+
+// ─── TOOL 25: BAIXAR ANEXO (PLAYWRIGHT) ─────────────────────────────────────
+
+/**
+ * Baixa o anexo com a sessão do painel: URLs http(s) pelo contexto do browser (mesmos
+ * cookies); blob: e data: (players de áudio) são lidos de dentro da página.
+ * @returns {Promise<{ buffer: Buffer, contentType: string | null }>}
+ */
+async function fetchMediaWithSession(page, profile, url) {
+  const tooLarge = (size) => new ChatGuruError("validation",
+    `Anexo com ${formatSize(size)} passa do limite de ${formatSize(MEDIA_MAX_BYTES)} (CHATGURU_MEDIA_MAX_MB).`);
+
+  if (/^(blob|data):/i.test(url)) {
+    const { base64, type, size } = await page.evaluate(async ({ src, maxBytes }) => {
+      const blob = await (await fetch(src)).blob();
+      if (blob.size > maxBytes) return { size: blob.size };
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      let binary = "";
+      for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+      return { base64: btoa(binary), type: blob.type, size: blob.size };
+    }, { src: url, maxBytes: MEDIA_MAX_BYTES });
+    if (base64 === undefined) throw tooLarge(size);
+    return { buffer: Buffer.from(base64, "base64"), contentType: type || null };
+  }
+
+  let res;
+  try {
+    res = await page.request.get(url, { timeout: 60000 });
+  } catch (err) {
+    throw new ChatGuruError("network", `Falha ao baixar o anexo: ${err.message}`);
+  }
+  const status = res.status();
+  if (status === 401 || status === 403) throw sessionExpiredError(profile);
+  if (status === 404 || status === 410) {
+    throw new ChatGuruError("not_found", `O anexo não está mais disponível (HTTP ${status}).`, { status });
+  }
+  if (status >= 400) throw new ChatGuruError("network", `Falha ao baixar o anexo (HTTP ${status}).`, { status });
+  const headers = res.headers();
+  if (Number(headers["content-length"]) > MEDIA_MAX_BYTES) throw tooLarge(Number(headers["content-length"]));
+  const buffer = await res.body();
+  if (buffer.length > MEDIA_MAX_BYTES) throw tooLarge(buffer.length);
+  return { buffer, contentType: headers["content-type"] || null };
+}
+
+server.registerTool(
+  "chatguru_download_media",
+  {
+    description: "Baixa o anexo (áudio, imagem, vídeo, documento, figurinha) de uma mensagem lida por chatguru_read_messages, usando a sessão do painel (Playwright). Salva em CHATGURU_MEDIA_DIR com o hash SHA-256 do conteúdo como nome e retorna caminho, tipo MIME e tamanho, para outras ferramentas (transcrição, OCR) processarem o arquivo. O caminho é da máquina onde o servidor MCP roda. Requer session.json válido. Latência: 5-20s.",
+    inputSchema: {
+      chat_id: z.string().describe("ID do chat (hash, ex: 686ede5b2333cb755c57d1a5)."),
+      message_key: z.string().describe("Campo key da mensagem, como retornado por chatguru_read_messages."),
+      max_scrolls: z.number().min(1).max(MAX_HISTORY_SCROLLS).optional()
+        .describe(`Máximo de rolagens para achar mensagens antigas (padrão: 10; máximo: ${MAX_HISTORY_SCROLLS}).`),
+      profile: profileParam,
+    },
+    outputSchema: output.downloadMediaOutput,
+  },
+  async ({ chat_id, message_key, max_scrolls, profile: profileName }) => {
+    const profile = getProfile(profileName);
+    return withChatguruPage(profile, async (page) => {
+      if (!(await openPanel(page, profile, { hash: chat_id }))) throw sessionExpiredError(profile);
+      const chatView = createChatViewPage(page, { timeZone: TIME_ZONE });
+      await chatView.waitLoaded();
+      await chatView.scrollUp({
+        maxScrolls: max_scrolls ?? 10,
+        shouldStop: async () => (await chatView.extractMessages()).some((m) => m.key === message_key),
+      });
+
+      const message = (await chatView.extractMessages()).find((m) => m.key === message_key);
+      if (!message) {
+        throw new ChatGuruError("not_found", `Mensagem ${message_key} não encontrada no histórico carregado do chat ${chat_id}.`, {
+          hint: "Use a key de uma leitura recente de chatguru_read_messages; para mensagens antigas, aumente max_scrolls.",
+        });
+      }
+      if (!message.media?.url) {
+        throw new ChatGuruError("validation", `A mensagem ${message_key} (${message.kind}) não tem anexo para baixar.`);
       }
 
-      // Aguardar lista estabilizar
-      await sleep(1000);
-
-      // ── Scroll para carregar cards lazy-loaded ──
-      await page.evaluate(async (targetCount) => {
-        const container = document.querySelector(".list__user-cards")
-          || document.querySelector(".list__container")
-          || document.querySelector("[class*='chat-list']");
-        if (!container) return;
-        let prevCount = 0;
-        for (let i = 0; i < 10; i++) {
-          const cards = document.querySelectorAll(".list__user-card");
-          if (cards.length >= targetCount || cards.length === prevCount) break;
-          prevCount = cards.length;
-          container.scrollTop = container.scrollHeight;
-          await new Promise(r => setTimeout(r, 800));
-        }
-      }, effectiveLimit);
-      await sleep(1000);
-
-      // ── Extrair dados dos chat cards ──
-      const chats = await page.evaluate((maxChats) => {
-        const result = [];
-        const cards = document.querySelectorAll(".list__user-card");
-
-        for (const card of cards) {
-          if (result.length >= maxChats) break;
-
-          // Nome do contato
-          const nameEl = card.querySelector(".user-name");
-          const contactName = nameEl?.textContent?.trim() || "";
-
-          // Prévia da última mensagem (texto completo no atributo title)
-          const msgEl = card.querySelector(".user-msg span[title]");
-          const lastMessage = msgEl?.getAttribute("title") || msgEl?.textContent?.trim() || "";
-
-          // Status (span.attendance__status com texto ABERTO/AGUARDANDO/EM ATENDI/etc)
-          const statusEl = card.querySelector("span.attendance__status");
-          let chatStatus = statusEl?.textContent?.trim() || "";
-          if (chatStatus === "EM ATENDI") chatStatus = "EM ATENDIMENTO";
-
-          // Contagem de não lidas (span.attendance__number)
-          const unreadEl = card.querySelector("span.attendance__number");
-          const unreadCount = unreadEl ? parseInt(unreadEl.textContent.trim(), 10) || 0 : 0;
-
-          // Timestamp (.attendance__hour span)
-          const timeEl = card.querySelector(".attendance__hour span");
-          const timestamp = timeEl?.textContent?.trim() || "";
-
-          // chat_id: tentar extrair do Vue component data ou data attributes
-          let chatId = "";
-          chatId = card.getAttribute("data-id")
-            || card.getAttribute("data-chat-id")
-            || card.getAttribute("data-chat")
-            || "";
-
-          if (!chatId) {
-            try {
-              const vue = card.__vue__;
-              if (vue) {
-                chatId = vue.chat?._id || vue.chat?.id || vue.$props?.chatId || vue.$props?.chat?._id || "";
-              }
-            } catch (e) { /* ignore */ }
-          }
-
-          result.push({
-            contact_name: contactName,
-            status: chatStatus,
-            last_message: lastMessage,
-            timestamp,
-            unread_count: unreadCount,
-            chat_id: chatId,
-          });
-        }
-
-        return result;
-      }, effectiveLimit);
-
-      await browser.close();
+      const { buffer, contentType } = await fetchMediaWithSession(page, profile, message.media.url);
+      const filename = message.media.filename || null;
+      const mime = detectMediaType({ buffer, contentType, declaredType: message.media.mime_type, filename });
+      const saved = await saveMedia({ dir: MEDIA_DIR, buffer, mime, filename });
 
-      if (chats.length === 0) {
-        return { content: [{ type: "text", text: "Nenhum chat encontrado com os filtros aplicados." }] };
+      const result = { profile: profile.name, chat_id, message_key, kind: message.kind, filename, ...saved };
+      let msg = `Anexo (${message.kind}, ${mime}, ${formatSize(saved.size)}) salvo em ${saved.path}.`;
+      if (saved.already_saved) msg += " O mesmo arquivo já tinha sido baixado antes.";
+      return toolResult(msg, result);
+    });
+  }
+);
+
+// ─── RECURSOS: CHATS E CONVERSAS (PLAYWRIGHT) ───────────────────────────────
+
+// Conversas e listas de chats como recursos MCP, lidos pelos mesmos scrapers de
+// chatguru_read_messages e chatguru_list_chats: o cliente anexa uma conversa ao
+// contexto sem que o assistente precise chamar ferramentas.
+const CHAT_MESSAGES_TEMPLATE = createQueryTemplate("chatguru://chat/{chat_id}/messages{?limit,profile}");
+const CHATS_TEMPLATE = createQueryTemplate("chatguru://chats{?status,unread_only,department,name,limit,profile}");
+
+/**
+ * Executa fn(page) no browser do perfil para um recurso. Recursos não têm resultado
+ * de ferramenta para devolver: sessão ausente ou expirada vira erro da leitura.
+ */
+async function readPanel(profile, fn) {
+  let result;
+  try {
+    result = await profile.browserPool.withPage(fn);
+  } catch (err) {
+    if (err instanceof SessionMissingError) throw sessionMissingError(profile);
+    throw err;
+  }
+  if (result === null) throw sessionExpiredError(profile);
+  return result;
+}
+
+async function readChatMessagesResource({ chat_id, limit, profile: profileName }) {
+  const profile = getProfile(profileName);
+  const max = queryLimit(limit, { fallback: 50, max: 200 });
+  const result = await readPanel(profile, (page) => scrapeChatMessages(page, profile, { chat_id, limit: max, maxScrolls: 10 }));
+  return { profile: profile.name, link: `${profile.panelUrl}#${chat_id}`, ...result };
+}
+
+async function readChatsResource({ status, unread_only, department, name, limit, profile: profileName }) {
+  const profile = getProfile(profileName);
+  if (status && !CHAT_STATUSES.includes(status)) {
+    throw new ChatGuruError("validation", `status "${status}" inválido. Use: ${CHAT_STATUSES.join(", ")}.`);
+  }
+  const filters = { status, unread_only: queryFlag(unread_only), department, name };
+  const chats = await readPanel(profile, (page) => scrapeChatList(page, profile, filters, queryLimit(limit, { fallback: 50, max: 100 })));
+  return { profile: profile.name, filters: Object.fromEntries(Object.entries(filters).filter(([, v]) => v)), chats };
+}
+
+// fingerprint: o que precisa mudar para o recurso ser considerado atualizado (textos
+// relativos como "há 3 min" mudam sozinhos e não contam)
+const PANEL_RESOURCES = [
+  {
+    template: CHAT_MESSAGES_TEMPLATE,
+    read: readChatMessagesResource,
+    fingerprint: (data) => data.cursor,
+  },
+  {
+    template: CHATS_TEMPLATE,
+    read: readChatsResource,
+    fingerprint: (data) => JSON.stringify(data.chats.map((c) => [c.chat_id || c.name, c.status, c.last_message, c.unread_count])),
+  },
+];
+
+function jsonContents(uri, data) {
+  return { contents: [{ uri, mimeType: "application/json", text: JSON.stringify(data, null, 2) }] };
+}
+
+/**
+ * Chats com eventos recentes de webhook (mais recentes primeiro): a lista barata
+ * de conversas para resources/list e para completar chat_id, sem abrir o painel.
+ */
+function recentWebhookChats(limit = 20) {
+  const chats = new Map();
+  for (const event of webhookEvents.list({ limit: 500 }).events.reverse()) {
+    if (!event.chat_id || chats.has(event.chat_id)) continue;
+    chats.set(event.chat_id, event);
+    if (chats.size >= limit) break;
+  }
+  return [...chats.values()];
+}
+
+// Com um perfil só, a URI fica sem ?profile=
+function profileQuery(profileName) {
+  return PROFILES.source === "file" && profileName !== PROFILES.defaultName ? profileName : undefined;
+}
+
+const completeProfile = (value) => PROFILE_NAMES.filter((name) => name.startsWith(value || ""));
+
+server.resource(
+  "chat-messages",
+  new ResourceTemplate(CHAT_MESSAGES_TEMPLATE, {
+    list: async () => ({
+      resources: recentWebhookChats().map((event) => ({
+        uri: CHAT_MESSAGES_TEMPLATE.expand({ chat_id: event.chat_id, profile: profileQuery(event.profile) }),
+        name: `Conversa com ${event.contact_name || event.chat_number || event.chat_id}`,
+        mimeType: "application/json",
+      })),
+    }),
+    complete: {
+      chat_id: (value) => recentWebhookChats().map((event) => event.chat_id).filter((id) => id.startsWith(value || "")),
+      profile: completeProfile,
+    },
+  }),
+  {
+    description: "Últimas mensagens de um chat (mesmo formato de chatguru_read_messages), lidas do painel via Playwright. Parâmetros opcionais: limit (padrão 50, máximo 200) e profile. A listagem mostra os chats com eventos recentes de webhook. Assinaturas são notificadas quando chega um webhook do chat ou, com CHATGURU_RESOURCE_POLL_SECONDS, quando uma releitura do painel encontra mensagens novas. Latência: 5-15s.",
+    mimeType: "application/json",
+  },
+  async (uri, variables) => jsonContents(uri.href, await readChatMessagesResource(variables))
+);
+
+server.resource(
+  "chats",
+  new ResourceTemplate(CHATS_TEMPLATE, {
+    list: async () => ({
+      resources: [
+        { uri: "chatguru://chats", name: "Chats recentes", mimeType: "application/json" },
+        ...["ABERTO", "AGUARDANDO", "EM ATENDIMENTO"].map((status) => ({
+          uri: CHATS_TEMPLATE.expand({ status }),
+          name: `Chats ${status}`,
+          mimeType: "application/json",
+        })),
+        { uri: CHATS_TEMPLATE.expand({ unread_only: "true" }), name: "Chats com mensagens não lidas", mimeType: "application/json" },
+      ],
+    }),
+    complete: {
+      status: (value) => CHAT_STATUSES.filter((status) => status.startsWith((value || "").toUpperCase())),
+      unread_only: () => ["true", "false"],
+      profile: completeProfile,
+    },
+  }),
+  {
+    description: "Lista de chats do painel com filtros opcionais na query (status, unread_only, department, name, limit até 100, profile), no mesmo formato de chatguru_list_chats. Ex: chatguru://chats?status=ABERTO. Latência: 10-20s.",
+    mimeType: "application/json",
+  },
+  async (uri, variables) => jsonContents(uri.href, await readChatsResource(variables))
+);
+
+/**
+ * Webhook recebido: avisa quem assinou a conversa do chat ou uma lista de chats do mesmo perfil.
+ */
+function notifyChatResources(event) {
+  notifyResourceUpdated((uri) => {
+    const chat = CHAT_MESSAGES_TEMPLATE.match(uri);
+    if (chat) return chat.chat_id === event.chat_id && (chat.profile || PROFILES.defaultName) === event.profile;
+    const list = CHATS_TEMPLATE.match(uri);
+    return Boolean(list) && (list.profile || PROFILES.defaultName) === event.profile;
+  });
+}
+
+// Última leitura de cada recurso assinado (URI → fingerprint), para o polling
+const resourceFingerprints = new Map();
+let pollingResources = false;
+
+/**
+ * Relê os recursos do painel assinados por algum cliente e notifica os que mudaram.
+ * A primeira leitura de cada URI só registra o estado.
+ */
+async function pollSubscribedResources() {
+  if (pollingResources) return;
+  pollingResources = true;
+  try {
+    const subscribed = new Set([...connectedServers.values()].flatMap((subscriptions) => [...subscriptions]));
+    for (const uri of resourceFingerprints.keys()) {
+      if (!subscribed.has(uri)) resourceFingerprints.delete(uri);
+    }
+    for (const uri of subscribed) {
+      const resource = PANEL_RESOURCES.find(({ template }) => template.match(uri));
+      if (!resource) continue;
+      let fingerprint;
+      try {
+        fingerprint = resource.fingerprint(await resource.read(resource.template.match(uri)));
+      } catch (err) {
+        console.error(`[ChatGuru] Não foi possível reler ${uri}: ${err.message}`);
+        continue;
       }
+      const previous = resourceFingerprints.get(uri);
+      resourceFingerprints.set(uri, fingerprint);
+      if (previous !== undefined && previous !== fingerprint) notifyResourceUpdated(uri);
+    }
+  } finally {
+    pollingResources = false;
+  }
+}
 
-      // Resumo dos filtros aplicados
-      const filtersApplied = [];
-      if (status) filtersApplied.push(`status=${status}`);
-      if (name) filtersApplied.push(`nome="${name}"`);
-      if (whatsapp_number) filtersApplied.push(`numero=${whatsapp_number}`);
-      if (unread_only) filtersApplied.push("apenas_nao_lidas");
-      if (archived) filtersApplied.push("arquivados");
-      if (favorited) filtersApplied.push("favoritos");
-      if (department) filtersApplied.push(`departamento="${department}"`);
-      if (order_by) filtersApplied.push(`ordenacao=${order_by}`);
+// ─── PROMPTS: FLUXOS DE ATENDIMENTO ──────────────────────────────────────────
 
-      const summary = `Encontrados ${chats.length} chat(s)${filtersApplied.length ? ` (filtros: ${filtersApplied.join(", ")})` : ""}.`;
+// chat_id do ChatGuru (ObjectId); qualquer outra coisa é tratada como número de telefone
+const CHAT_ID_RE = /^[0-9a-f]{24}$/i;
+const PROMPT_MESSAGES_LIMIT = 60;
 
-      return {
-        content: [{ type: "text", text: summary + "\n\n" + JSON.stringify(chats, null, 2) }],
-      };
+/**
+ * Lê a conversa para um prompt: pelo chat_id ou, dado um número, localizando o chat no painel.
+ */
+async function prefetchConversation(profile, chat) {
+  return readPanel(profile, async (page) => {
+    let chatId = chat;
+    if (!CHAT_ID_RE.test(chat)) {
+      if (!(await openPanel(page, profile, { fresh: true }))) return null;
+      const chatList = createChatListPage(page, { timeZone: TIME_ZONE });
+      const variants = phoneSearchVariants(chat);
+      if (!(await chatList.searchByNumber(variants))) throw new Error(`nenhum chat encontrado para ${variants.join(" / ")}`);
+      chatId = await chatList.openChat();
+      if (!chatId) throw new Error(`o chat de ${chat} foi encontrado, mas sem chat_id na URL`);
+    }
+    return scrapeChatMessages(page, profile, { chat_id: chatId, limit: PROMPT_MESSAGES_LIMIT, maxScrolls: 10 });
+  });
+}
+
+/**
+ * Bloco de texto dos chats não lidos para o prompt de triagem.
+ */
+function formatUnreadChats(results) {
+  if (!results.length) return "(nenhum chat com mensagens não lidas)";
+  return results.map((chat, i) => {
+    const flags = [chat.status, `${chat.unread_count} não lida(s)`, chat.awaiting_reply && "aguardando resposta"].filter(Boolean);
+    const header = `### ${i + 1}. ${chat.contact_name || chat.chat_id || "?"} (${flags.join(", ")})`;
+    const body = chat.error ? `(não foi possível ler: ${chat.error})` : formatTranscript(chat.messages);
+    return [header, chat.link && `Link: ${chat.link}`, body].filter(Boolean).join("\n");
+  }).join("\n\n");
+}
+
+/**
+ * Variáveis do template conforme o prefetch do prompt. Falhas de leitura não derrubam
+ * o prompt: o texto explica o que houve e qual ferramenta usar para ler manualmente.
+ */
+async function promptVariables(definition, { chat, max_chats, profile: profileName }) {
+  const profile = getProfile(profileName);
+  const vars = {
+    team_context: PROMPTS.teamContext,
+    profile: profile.name,
+    today: new Intl.DateTimeFormat("pt-BR", { timeZone: TIME_ZONE, dateStyle: "full" }).format(new Date()),
+    fields: definition.fields.join(", "),
+  };
+
+  if (definition.prefetch === "messages") {
+    const isChatId = CHAT_ID_RE.test(chat);
+    Object.assign(vars, { chat_id: chat, link: isChatId ? `${profile.panelUrl}#${chat}` : "(desconhecido)", message_count: 0 });
+    try {
+      const result = await prefetchConversation(profile, chat);
+      Object.assign(vars, {
+        chat_id: result.chat_id,
+        link: `${profile.panelUrl}#${result.chat_id}`,
+        message_count: result.messages.length,
+        conversation: formatTranscript(result.messages),
+      });
     } catch (err) {
-      await browser.close().catch(() => {});
-      return { content: [{ type: "text", text: `Erro ao listar chats: ${err.message}` }] };
+      const tool = isChatId ? `chatguru_read_messages com chat_id="${chat}"` : `chatguru_get_chat_link com chat_number="${chat}" e depois chatguru_read_messages`;
+      vars.conversation = `(Não foi possível carregar a conversa: ${err.message.replace(/\.$/, "")}. Use ${tool}${PROFILES.source === "file" ? ` e profile="${profile.name}"` : ""} para lê-la.)`;
     }
   }
+
+  if (definition.prefetch === "unread") {
+    const maxChats = Math.min(Math.max(parseInt(max_chats || "10", 10) || 10, 1), 30);
+    try {
+      const scan = await readPanel(profile, (page) => scanUnreadChats(page, profile, {
+        max_age_days: 30, max_chats: maxChats, messages_per_chat: 20,
+      }));
+      Object.assign(vars, { chat_count: scan.results.length, unread_chats: formatUnreadChats(scan.results) });
+    } catch (err) {
+      Object.assign(vars, {
+        chat_count: 0,
+        unread_chats: `(Não foi possível ler as não lidas: ${err.message.replace(/\.$/, "")}. Use chatguru_scan_unread para carregá-las.)`,
+      });
+    }
+  }
+  return vars;
+}
+
+const completeChat = (value) => {
+  const chats = recentWebhookChats();
+  return [...chats.map((event) => event.chat_id), ...chats.map((event) => event.chat_number).filter(Boolean)]
+    .filter((option) => option.startsWith(value || ""));
+};
+
+const PROMPT_ARGS = {
+  messages: {
+    chat: completable(z.string().describe("chat_id (ex: 686ede5b2333cb755c57d1a5) ou número do telefone do cliente"), completeChat),
+  },
+  unread: {
+    max_chats: z.string().optional().describe("Máximo de chats a ler (padrão: 10, máximo: 30)"),
+  },
+  none: {},
+};
+
+// completable precisa ser o schema mais externo: o SDK não o procura dentro de optional()/describe()
+const promptProfileArg = completable(
+  z.enum(PROFILE_NAMES).optional().describe(`Perfil (conta/número). Disponíveis: ${PROFILE_NAMES.join(", ")}. Padrão: ${PROFILES.defaultName}.`),
+  completeProfile
 );
 
+for (const definition of PROMPTS.prompts) {
+  server.prompt(
+    definition.name,
+    definition.description,
+    { ...PROMPT_ARGS[definition.prefetch], profile: promptProfileArg },
+    async (args) => ({
+      description: definition.description,
+      messages: [{ role: "user", content: { type: "text", text: renderPrompt(definition.template, await promptVariables(definition, args)) } }],
+    })
+  );
+}
+
 // ─── START ───────────────────────────────────────────────────────────────────
 
-const transport = new StdioServerTransport();
-await server.connect(transport);
+// HTTP: cada cliente abre sua sessão com um McpServer próprio; stdio: um único cliente
+const httpTransport = TRANSPORT === "http" ? createHttpTransportServer({
+  port: HTTP_PORT,
+  host: HTTP_HOST,
+  path: HTTP_PATH,
+  tokens: HTTP_TOKENS,
+  idleMs: HTTP_SESSION_IDLE_MS,
+  createServer: createMcpServer,
+}) : null;
+
+if (httpTransport) {
+  try {
+    const port = await httpTransport.start();
+    console.error(`[ChatGuru] Servidor MCP em http://${HTTP_HOST}:${port}${HTTP_PATH}${HTTP_TOKENS.length ? ` (${HTTP_TOKENS.length} token(s) aceito(s))` : " (sem token, só localhost)"}.`);
+  } catch (err) {
+    console.error(`ERRO: não foi possível escutar em ${HTTP_HOST}:${HTTP_PORT}: ${err.message}`);
+    process.exit(1);
+  }
+} else {
+  await createMcpServer().connect(new StdioServerTransport());
+}
+
+if (PROFILES.source === "file") {
+  console.error(`[ChatGuru] Perfis: ${PROFILE_NAMES.join(", ")} (padrão: ${PROFILES.defaultName}; arquivo: ${PROFILES.filePath}).`);
+}
+for (const profile of profileRuntimes.values()) {
+  if (!profile.sessionRefresher.enabled) continue;
+  const source = profile.credentials.source === "file" ? profile.credentials_path
+    : PROFILES.source === "file" ? "profiles.json" : "variáveis de ambiente";
+  const label = PROFILES.source === "file" ? ` no perfil ${profile.name}` : "";
+  console.error(`[ChatGuru] Re-login automático habilitado${label} (credenciais: ${source}).`);
+}
+
+// Agendamentos salvos: marca os que venceram com o servidor parado e arma o próximo envio
+scheduler.start();
+const openSchedules = scheduler.list({ statuses: OPEN_STATUSES }).filter((e) => e.mode !== "api");
+if (openSchedules.length) {
+  const missed = openSchedules.filter((e) => e.status === "missed").length;
+  console.error(`[ChatGuru] ${openSchedules.length - missed} envio(s) agendado(s) neste servidor${missed ? `, ${missed} perdido(s) com o servidor parado (chatguru_list_scheduled)` : ""}.`);
+}
+if (LOCAL_SCHEDULER) {
+  console.error("[ChatGuru] Agendamento local ativo: envios com send_date são disparados por este servidor, que precisa estar rodando no horário" +
+    (TRANSPORT === "stdio" ? " (no stdio, ele encerra junto com o cliente MCP)." : "."));
+}
+
+if (PROMPTS.source === "file") {
+  console.error(`[ChatGuru] Prompts: ${PROMPTS.prompts.map((p) => p.name).join(", ")} (arquivo: ${PROMPTS.filePath}).`);
+}
+
+if (RESOURCE_POLL_MS > 0) {
+  setInterval(pollSubscribedResources, RESOURCE_POLL_MS).unref();
+  console.error(`[ChatGuru] Recursos de chats assinados são relidos a cada ${RESOURCE_POLL_MS / 1000}s.`);
+}
+
+// Listener de webhooks: porta ocupada não derruba o servidor MCP, só desliga o recebimento
+if (webhookServer) {
+  try {
+    const port = await webhookServer.start();
+    webhookListening = true;
+    console.error(`[ChatGuru] Recebendo webhooks em http://${WEBHOOK_HOST}:${port}${WEBHOOK_PATH}${WEBHOOK_SECRET ? " (com token)" : ""}.`);
+  } catch (err) {
+    console.error(`[ChatGuru] Não foi possível iniciar o listener de webhooks na porta ${WEBHOOK_PORT}: ${err.message}`);
+  }
+}
+
+// Servidor de arquivos: porta ocupada só desliga o envio de arquivos locais
+if (uploadStorage && UPLOAD_STORAGE === "local") {
+  try {
+    const port = await uploadStorage.start();
+    uploadServerListening = true;
+    console.error(`[ChatGuru] Servidor de arquivos em http://${UPLOAD_HOST}:${port} (público: ${UPLOAD_PUBLIC_URL}).`);
+  } catch (err) {
+    console.error(`[ChatGuru] Não foi possível iniciar o servidor de arquivos na porta ${UPLOAD_PORT}: ${err.message}`);
+  }
+} else if (uploadStorage) {
+  console.error(`[ChatGuru] Arquivos locais publicados no bucket ${S3_CONFIG.bucket} (${S3_CONFIG.endpoint}).`);
+}
+
+// Encerramento: sessões HTTP, browsers dos perfis, listener de webhooks e servidor de arquivos
+let shuttingDown = false;
+async function shutdown() {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  // Cliente preso em uma chamada longa não pode segurar o processo para sempre
+  setTimeout(() => process.exit(1), 10_000).unref();
+  await httpTransport?.close();
+  await Promise.all([...profileRuntimes.values()].map((profile) => profile.browserPool.close()));
+  await webhookServer?.close();
+  if (UPLOAD_STORAGE === "local") await uploadStorage?.close();
+  await webhookEvents.flush();
+  process.exit(0);
+}
+
+for (const signal of ["SIGINT", "SIGTERM"]) process.on(signal, shutdown);
+// Cliente stdio desconectou: sem isso, o listener de webhooks manteria o processo vivo com a porta presa.
+// No HTTP o stdin não é do cliente (pode nem existir, como em um serviço do systemd).
+if (!httpTransport) process.stdin.on("end", shutdown);
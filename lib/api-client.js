@@ -0,0 +1,142 @@
+/**
+ * Requisições HTTP à API do ChatGuru (POST form-encoded, credenciais do perfil).
+ *
+ * Falhas transitórias (rede, 408, 429, 5xx) são tentadas de novo com backoff. Nas
+ * actions que criam algo a cada chamada (mensagem, arquivo, chat, diálogo, nota),
+ * só quando a falha prova que a API não processou o pedido: 429, ou conexão
+ * recusada antes de qualquer byte sair. Erro de rede no meio da requisição ou 5xx
+ * podem vir depois do envio; repetir às cegas mandaria a mensagem duas vezes. Nesses
+ * casos o erro volta ao chamador (retryable), e a idempotency_key evita a duplicata.
+ */
+
+import { ChatGuruError, apiHttpError, apiRejectionError, parseRetryAfter } from "./errors.js";
+
+export const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/** Actions que criam algo novo a cada chamada: repetir pode duplicar */
+export const NON_IDEMPOTENT_ACTIONS = new Set(["message_send", "message_file_send", "chat_add", "dialog_execute", "note_add"]);
+
+// Falhas de conexão em que a requisição não chegou a sair (DNS, porta fechada)
+const NOT_SENT_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+export function friendlyError(status, defaultMsg) {
+  const messages = {
+    401: "Chave de API inválida. Verifique a variável CHATGURU_API_KEY (ou o api_key do perfil).",
+    403: "Sem permissão para acessar este recurso no ChatGuru.",
+    404: "Recurso não encontrado no ChatGuru.",
+    429: "Limite de requisições atingido. Tente novamente em alguns segundos.",
+    500: "Erro interno do servidor ChatGuru. Tente novamente.",
+    502: "ChatGuru temporariamente indisponível. Tente novamente.",
+    503: "ChatGuru em manutenção. Tente novamente em instantes.",
+  };
+  return messages[status] || defaultMsg || `Erro ${status} na API do ChatGuru.`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Espera antes da tentativa seguinte: backoff exponencial com jitter (50% a 100% do
+ * valor), para chamadas que falharam juntas não tentarem de novo no mesmo instante.
+ */
+export function backoffDelay(attempt) {
+  const base = Math.min(1000 * Math.pow(2, attempt - 1), 8000);
+  return Math.round(base / 2 + Math.random() * (base / 2));
+}
+
+function notSent(err) {
+  return NOT_SENT_CODES.includes(err?.cause?.code ?? err?.code);
+}
+
+// Dica para quando não dá para saber se a action foi executada
+const UNCERTAIN_HINT = "A API pode ter processado o pedido antes de falhar. Confira o chat antes de repetir, ou repita com a mesma idempotency_key.";
+
+/**
+ * Envia a requisição HTTP à API do ChatGuru, com retry para erros de rede e status transitórios.
+ * Body é form-encoded (application/x-www-form-urlencoded), NÃO JSON.
+ *
+ * @param {object} profile  Perfil em execução (api_key, account_id, phone_id, baseUrl, rateLimiter)
+ * @param {string} action
+ * @param {object} params
+ * @param {object} [options]
+ * @param {number} [options.retries=3]  Tentativas no total
+ * @param {boolean} [options.paramsInUrl=false]  Params na query string em vez do body
+ * @param {typeof fetch} [options.fetch]
+ */
+export async function sendChatguruRequest(profile, action, params, { retries = 3, paramsInUrl = false, fetch: fetchImpl = globalThis.fetch } = {}) {
+  const urlParams = new URLSearchParams({
+    key: profile.api_key,
+    account_id: profile.account_id,
+    phone_id: profile.phone_id,
+    action: action,
+  });
+
+  let body = "";
+  if (paramsInUrl) {
+    // Enviar todos os params na query string (ex: chat_update_custom_fields)
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) urlParams.append(key, String(value));
+    }
+  } else {
+    // Enviar params no body (padrão para a maioria dos endpoints)
+    const bodyParams = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) bodyParams.append(key, String(value));
+    }
+    body = bodyParams.toString();
+  }
+
+  const url = `${profile.baseUrl}?${urlParams.toString()}`;
+  const unsafeRetry = NON_IDEMPOTENT_ACTIONS.has(action);
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    await profile.rateLimiter?.acquire(action);
+    let response;
+    try {
+      response = await fetchImpl(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body,
+      });
+    } catch (err) {
+      const safe = !unsafeRetry || notSent(err);
+      if (safe && attempt < retries) {
+        const delay = backoffDelay(attempt);
+        console.error(`[ChatGuru] Erro de rede (tentativa ${attempt}/${retries}): ${err.message}. Retry em ${delay}ms...`);
+        await sleep(delay);
+        continue;
+      }
+      if (!safe) {
+        throw new ChatGuruError("network", `Erro de conexão com ChatGuru em ${action}: ${err.message}`, { hint: UNCERTAIN_HINT });
+      }
+      throw new ChatGuruError("network", `Erro de conexão com ChatGuru após ${retries} tentativas: ${err.message}`);
+    }
+
+    const retryAfterMs = response.ok ? null : parseRetryAfter(response.headers.get("retry-after"));
+    // 429: a fila da conta inteira espera o Retry-After, não só esta chamada
+    if (response.status === 429 && profile.rateLimiter) profile.rateLimiter.pause(retryAfterMs ?? backoffDelay(attempt));
+
+    // 429 garante que nada foi processado; os demais só são repetidos em actions idempotentes
+    const retryable = RETRYABLE_STATUSES.includes(response.status) && (!unsafeRetry || response.status === 429);
+    if (!response.ok && retryable && attempt < retries) {
+      const delay = retryAfterMs ?? backoffDelay(attempt);
+      console.error(`[ChatGuru] HTTP ${response.status} (tentativa ${attempt}/${retries}). Retry em ${delay}ms...`);
+      // Com o limitador, a espera do 429 acontece na fila (acquire)
+      if (!(response.status === 429 && profile.rateLimiter)) await sleep(delay);
+      continue;
+    }
+
+    if (!response.ok) {
+      const error = apiHttpError(response.status, friendlyError(response.status), { retryAfterMs });
+      if (unsafeRetry && error.code === "network") error.hint = UNCERTAIN_HINT;
+      throw error;
+    }
+
+    const data = await response.json();
+    if (data.success === false) {
+      throw apiRejectionError(data.error || data.message || "Erro desconhecido na API do ChatGuru.");
+    }
+    return data;
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Trilha de auditoria local das ações de escrita feitas pelo MCP.
+ *
+ * Cada chamada que altera algo no ChatGuru (envio de mensagem, nota, campos,
+ * diálogo...) vira uma linha JSON em um arquivo append-only (JSONL). O arquivo
+ * nunca é reescrito: registros antigos só saem se alguém apagar o arquivo.
+ */
+
+import { createReadStream, existsSync } from "fs";
+import { appendFile, mkdir } from "fs/promises";
+import { createInterface } from "readline";
+import { dirname } from "path";
+
+/**
+ * Cria o log de auditoria.
+ *
+ * @param {object} options
+ * @param {string} options.logPath  Arquivo .jsonl de destino
+ * @param {string} [options.defaultProfile]  Perfil atribuído aos registros gravados antes dos perfis existirem
+ */
+export function createAuditLog({ logPath, defaultProfile }) {
+  // Fila de escrita: garante que as linhas não se intercalem entre chamadas concorrentes
+  let queue = Promise.resolve();
+
+  /**
+   * Acrescenta um registro. Nunca lança: falha de escrita só é reportada no stderr,
+   * para não transformar um envio bem-sucedido em erro.
+   */
+  function append(record) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...record }) + "\n";
+    queue = queue
+      .then(async () => {
+        await mkdir(dirname(logPath), { recursive: true });
+        await appendFile(logPath, line, "utf-8");
+      })
+      .catch((err) => {
+        console.error(`[ChatGuru] Erro ao gravar auditoria em ${logPath}: ${err.message}`);
+      });
+    return queue;
+  }
+
+  /**
+   * Busca registros, mais recentes primeiro.
+   *
+   * @param {object} filters
+   * @param {string} [filters.number]   Número normalizado
+   * @param {string} [filters.action]   Nome da ferramenta ou da action da API
+   * @param {string} [filters.outcome]  success | error | dry_run | replayed
+   * @param {string} [filters.profile]  Perfil (conta/número) que fez a chamada
+   * @param {Date}   [filters.from]
+   * @param {Date}   [filters.to]
+   * @param {number} [filters.limit=50]
+   */
+  async function search({ number, action, outcome, profile, from, to, limit = 50 } = {}) {
+    await queue;
+    if (!existsSync(logPath)) return [];
+
+    const matches = [];
+    const rl = createInterface({ input: createReadStream(logPath, "utf-8"), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue; // linha corrompida (ex: escrita interrompida) não impede a busca
+      }
+      const ts = Date.parse(record.timestamp);
+      if (number && record.number !== number) continue;
+      if (action && record.tool !== action && record.action !== action) continue;
+      if (outcome && record.outcome !== outcome) continue;
+      if (profile && (record.profile ?? defaultProfile) !== profile) continue;
+      if (from && ts < from.getTime()) continue;
+      if (to && ts > to.getTime()) continue;
+      matches.push(record);
+    }
+
+    return matches.reverse().slice(0, limit);
+  }
+
+  return { append, search };
+}
@@ -0,0 +1,286 @@
+/**
+ * Pool de browser persistente para as ferramentas Playwright.
+ *
+ * Mantém um único Chromium + contexto (carregado do session.json) vivo entre
+ * chamadas de ferramenta, com um pequeno pool de páginas reaproveitáveis.
+ *
+ * - Cada chamada recebe uma página exclusiva (lease) via withPage(); se todas
+ *   estiverem ocupadas, a chamada espera na fila (FIFO). Assim, chamadas MCP
+ *   concorrentes nunca mexem nos filtros da mesma aba.
+ * - O browser é fechado após um período sem uso (idle) e relançado sob demanda.
+ * - Se o browser cair ou uma página travar, o estado é descartado e a próxima
+ *   chamada relança tudo automaticamente.
+ * - Se o session.json mudar (novo login), o contexto é recriado com a sessão nova;
+ *   a exceção é o re-login automático (saveSession), feito no próprio contexto.
+ *   O contexto antigo só é fechado quando a última página emprestada dele volta.
+ * - Uma chamada que passa do tempo máximo (timeoutMs) tem a página fechada e falha
+ *   com PageTimeoutError, para uma aba travada não segurar o slot para sempre.
+ */
+
+import { chromium } from "playwright";
+import { readFile, stat } from "fs/promises";
+import { existsSync } from "fs";
+
+export class SessionMissingError extends Error {
+  constructor(sessionPath) {
+    super(`Sessão não encontrada em ${sessionPath}.`);
+    this.name = "SessionMissingError";
+  }
+}
+
+export class PageTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Operação no browser passou de ${Math.round(timeoutMs / 1000)}s e foi interrompida.`);
+    this.name = "PageTimeoutError";
+  }
+}
+
+/**
+ * Cria um pool de browser.
+ *
+ * @param {object} options
+ * @param {string} options.sessionPath  Caminho do session.json (storageState do Playwright)
+ * @param {number} [options.size=2]     Máximo de páginas abertas simultaneamente
+ * @param {number} [options.idleMs=300000] Fecha o browser após esse tempo sem uso
+ * @param {number} [options.timeoutMs=180000] Tempo máximo de uma chamada withPage()
+ * @param {boolean} [options.headless=true]
+ * @param {boolean} [options.allowMissingSession=false] Sem session.json, abre um contexto vazio
+ *   (cai na tela de login) em vez de lançar SessionMissingError — usado com o re-login automático
+ * @param {import("playwright").BrowserType} [options.browserType=chromium]
+ */
+export function createBrowserPool({ sessionPath, size = 2, idleMs = 300000, timeoutMs = 180000, headless = true, allowMissingSession = false, browserType = chromium }) {
+  let browser = null;
+  let context = null;
+  let sessionMtime = 0;
+  let launching = null;
+  let idleTimer = null;
+
+  const freePages = [];   // páginas prontas para reuso
+  let leased = 0;         // páginas atualmente emprestadas
+  const waiters = [];     // chamadas aguardando uma página livre
+  const contextLeases = new Map();  // contexto → páginas emprestadas dele
+  const retired = new Set();        // contextos substituídos, fechados quando a última página volta
+
+  function clearIdleTimer() {
+    if (idleTimer) {
+      clearTimeout(idleTimer);
+      idleTimer = null;
+    }
+  }
+
+  function scheduleIdleShutdown() {
+    clearIdleTimer();
+    if (leased > 0 || waiters.length > 0 || !browser) return;
+    idleTimer = setTimeout(() => {
+      console.error(`[ChatGuru] Browser ocioso há ${Math.round(idleMs / 1000)}s. Fechando...`);
+      close().catch(() => {});
+    }, idleMs);
+    idleTimer.unref?.();
+  }
+
+  function resetState() {
+    browser = null;
+    context = null;
+    sessionMtime = 0;
+    freePages.length = 0;
+    // Contextos antigos morrem junto com o browser
+    contextLeases.clear();
+    retired.clear();
+  }
+
+  /**
+   * Tira o contexto atual de uso. Se nenhuma página dele estiver emprestada, fecha na hora;
+   * senão fecha quando a última voltar, sem derrubar a chamada que ainda o usa.
+   */
+  async function retireContext() {
+    const old = context;
+    context = null;
+    sessionMtime = 0;
+    freePages.length = 0;
+    if (!old) return;
+    if (contextLeases.get(old)) {
+      retired.add(old);
+      return;
+    }
+    await old.close().catch(() => {});
+  }
+
+  function releaseContext(ctx) {
+    const remaining = (contextLeases.get(ctx) || 1) - 1;
+    if (remaining > 0) {
+      contextLeases.set(ctx, remaining);
+      return;
+    }
+    contextLeases.delete(ctx);
+    if (retired.delete(ctx)) ctx.close().catch(() => {});
+  }
+
+  async function launch() {
+    const hasSession = existsSync(sessionPath);
+    if (!hasSession && !allowMissingSession) throw new SessionMissingError(sessionPath);
+
+    const mtimeMs = hasSession ? (await stat(sessionPath)).mtimeMs : 0;
+
+    // Sessão renovada (login.js rodou de novo): recriar contexto
+    if (context && mtimeMs !== sessionMtime) {
+      console.error("[ChatGuru] session.json atualizado. Recriando contexto do browser...");
+      await retireContext();
+    }
+
+    if (!browser || !browser.isConnected()) {
+      browser = await browserType.launch({ headless });
+      const current = browser;
+      current.on("disconnected", () => {
+        // Ignora desconexões de instâncias antigas já substituídas
+        if (browser === current) {
+          console.error("[ChatGuru] Browser desconectado. Será relançado na próxima chamada.");
+          resetState();
+        }
+      });
+      context = null;
+    }
+
+    if (!context) {
+      const storageState = hasSession ? JSON.parse(await readFile(sessionPath, "utf-8")) : undefined;
+      context = await browser.newContext({ storageState, permissions: ["notifications"] });
+      sessionMtime = mtimeMs;
+    }
+  }
+
+  async function ensureBrowser() {
+    // Um único launch em andamento por vez; chamadas concorrentes aguardam o mesmo
+    if (!launching) {
+      launching = launch().finally(() => { launching = null; });
+    }
+    return launching;
+  }
+
+  /**
+   * Pega uma página livre (ou abre uma) e conta o empréstimo no contexto dela.
+   * @returns {Promise<{ page: import("playwright").Page, ctx: import("playwright").BrowserContext }>}
+   */
+  async function takePage() {
+    await ensureBrowser();
+    const ctx = context;
+    contextLeases.set(ctx, (contextLeases.get(ctx) || 0) + 1);
+    while (freePages.length > 0) {
+      const page = freePages.pop();
+      if (!page.isClosed()) return { page, ctx };
+    }
+    try {
+      const page = await ctx.newPage();
+      page.on("crash", () => {
+        console.error("[ChatGuru] Página do browser travou. Descartando.");
+        page.close().catch(() => {});
+      });
+      return { page, ctx };
+    } catch (err) {
+      releaseContext(ctx);
+      throw err;
+    }
+  }
+
+  /**
+   * Roda fn(page) com tempo máximo. Estourado, fecha a página: as operações pendentes
+   * do Playwright nela falham e fn termina sozinha.
+   */
+  function runWithTimeout(page, fn, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        console.error(`[ChatGuru] Página ocupada há mais de ${Math.round(ms / 1000)}s. Fechando...`);
+        page.close().catch(() => {});
+        reject(new PageTimeoutError(ms));
+      }, ms);
+    });
+    return Promise.race([Promise.resolve().then(() => fn(page)), timeout]).finally(() => clearTimeout(timer));
+  }
+
+  function acquireSlot() {
+    if (leased < size) {
+      leased++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => waiters.push(resolve));
+  }
+
+  function releaseSlot() {
+    const next = waiters.shift();
+    if (next) {
+      // Repassa o slot diretamente para o próximo da fila
+      next();
+      return;
+    }
+    leased--;
+    scheduleIdleShutdown();
+  }
+
+  /**
+   * Executa fn(page) com uma página exclusiva do pool.
+   * A página volta ao pool ao final, exceto se fechou, travou ou é de um contexto já substituído.
+   *
+   * @param {(page: import("playwright").Page) => Promise<any>} fn
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs]  Substitui o tempo máximo do pool para esta chamada
+   */
+  async function withPage(fn, { timeoutMs: callTimeoutMs = timeoutMs } = {}) {
+    clearIdleTimer();
+    await acquireSlot();
+    let page = null;
+    let ctx = null;
+    try {
+      ({ page, ctx } = await takePage());
+      return await runWithTimeout(page, fn, callTimeoutMs);
+    } catch (err) {
+      // Erro de browser (crash, target closed): descarta a página para não reaproveitar estado ruim
+      if (page && !page.isClosed() && /closed|crash|disconnected/i.test(err.message)) {
+        await page.close().catch(() => {});
+      }
+      throw err;
+    } finally {
+      if (page && !page.isClosed() && browser?.isConnected() && ctx === context) {
+        freePages.push(page);
+      }
+      if (ctx) releaseContext(ctx);
+      releaseSlot();
+    }
+  }
+
+  /**
+   * Grava a sessão da página (após um re-login) no session.json.
+   * O contexto atual já tem os cookies novos, então não é recriado por causa da mudança no arquivo.
+   */
+  async function saveSession(page) {
+    await page.context().storageState({ path: sessionPath });
+    if (page.context() === context) {
+      sessionMtime = (await stat(sessionPath)).mtimeMs;
+    }
+  }
+
+  /**
+   * Descarta o contexto atual (ex: sessão expirada). A próxima chamada relê o session.json;
+   * chamadas que ainda usam o contexto antigo terminam nele.
+   */
+  async function invalidateSession() {
+    await retireContext();
+  }
+
+  async function close() {
+    clearIdleTimer();
+    const old = browser;
+    resetState();
+    if (old) await old.close().catch(() => {});
+  }
+
+  function stats() {
+    return {
+      running: Boolean(browser?.isConnected()),
+      size,
+      leased,
+      idle_pages: freePages.length,
+      waiting: waiters.length,
+    };
+  }
+
+  return { withPage, saveSession, invalidateSession, close, stats };
+}
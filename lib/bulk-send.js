@@ -0,0 +1,72 @@
+/**
+ * Plano do envio em massa (chatguru_bulk_send), montado antes de qualquer chamada à API:
+ * números normalizados, repetidos ignorados, template renderizado por destinatário e
+ * send_date validado. O envio cadenciado em si fica no servidor (index.js).
+ */
+
+/**
+ * Substitui placeholders {{variavel}} do template pelos valores de vars.
+ * A busca da variável ignora maiúsculas/minúsculas ({{Nome}} casa com "nome").
+ * Retorna { text, missing } — missing lista as variáveis sem valor (placeholder mantido).
+ */
+export function renderTemplate(template, vars = {}) {
+  const lowerVars = {};
+  for (const [key, value] of Object.entries(vars)) lowerVars[key.toLowerCase()] = value;
+
+  const missing = [];
+  const text = template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (placeholder, key) => {
+    const value = vars[key] ?? lowerVars[key.toLowerCase()];
+    if (value === undefined || value === null || value === "") {
+      missing.push(key);
+      return placeholder;
+    }
+    return String(value);
+  });
+  return { text, missing: [...new Set(missing)] };
+}
+
+/**
+ * Prepara o envio em massa: valida o send_date, normaliza números, remove repetidos e
+ * renderiza o template. Itens com skip definido não serão enviados (status/erro já
+ * preenchidos no relatório).
+ *
+ * @param {object} request
+ * @param {{ chat_number: string, variables?: object }[]} request.recipients
+ * @param {string} request.template
+ * @param {string} [request.send_date]
+ * @param {object} options
+ * @param {(input: string) => string} options.normalizePhone  Lança para números impossíveis
+ * @param {(text: string) => string} options.parseSendDate  send_date no formato enviado à API; lança se inválido
+ * @returns {{ send_date: string | undefined, items: object[] }}
+ */
+export function planBulkSend({ recipients, template, send_date }, { normalizePhone, parseSendDate }) {
+  // Data inválida recusa o lote inteiro, antes de olhar os destinatários
+  const sendDate = send_date ? parseSendDate(send_date) : undefined;
+  const seen = new Set();
+  const items = recipients.map(({ chat_number, variables }) => {
+    let number;
+    try {
+      number = normalizePhone(chat_number);
+    } catch (err) {
+      return { chat_number, number: null, params: null, skip: { status: "erro", error: err.message } };
+    }
+    const item = { chat_number, number, params: null, skip: null };
+
+    if (seen.has(number)) {
+      item.skip = { status: "ignorado", error: "Número repetido na lista." };
+      return item;
+    }
+    seen.add(number);
+
+    const { text, missing } = renderTemplate(template, variables);
+    if (missing.length) {
+      item.skip = { status: "erro", error: `Variáveis sem valor: ${missing.join(", ")}` };
+      return item;
+    }
+
+    item.params = { chat_number: number, text };
+    if (sendDate) item.params.send_date = sendDate;
+    return item;
+  });
+  return { send_date: sendDate, items };
+}
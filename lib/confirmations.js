@@ -0,0 +1,65 @@
+/**
+ * Ações pendentes de confirmação humana (fluxo "preparar → confirmar").
+ *
+ * Uma ação de envio preparada recebe um token curto. Ela só é executada quando
+ * alguém chama a confirmação com esse token, dentro do prazo de validade.
+ * Os tokens ficam apenas em memória: reiniciar o servidor descarta tudo que
+ * estava pendente (nada é enviado sem confirmação explícita).
+ *
+ * Cada ação guarda o dono (a sessão MCP que a preparou, no transporte HTTP): só
+ * o dono lista, confirma ou cancela. No stdio não há sessão e o dono é null.
+ */
+
+import { randomBytes } from "crypto";
+
+/**
+ * @param {object} options
+ * @param {number} [options.ttlMs=600000]  Validade de cada token (padrão: 10 min)
+ */
+export function createConfirmationStore({ ttlMs = 600000 } = {}) {
+  const pending = new Map();
+
+  function purgeExpired() {
+    const now = Date.now();
+    for (const [token, item] of pending) {
+      if (item.expiresAt <= now) pending.delete(token);
+    }
+  }
+
+  /**
+   * Guarda uma ação para execução posterior.
+   * @param {object} preview  O que será feito (exibido ao humano)
+   * @param {(extra?: object) => Promise<object>} run  Executa a ação de fato
+   * @param {string | null} [owner=null]  Sessão que preparou a ação
+   */
+  function prepare(preview, run, owner = null) {
+    purgeExpired();
+    const token = randomBytes(4).toString("hex");
+    const expiresAt = Date.now() + ttlMs;
+    pending.set(token, { preview, run, expiresAt, owner });
+    return { token, expires_at: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Remove e retorna a ação do token (uso único). null se não existe, expirou ou é de outro dono.
+   */
+  function take(token, owner = null) {
+    purgeExpired();
+    const item = pending.get(token);
+    if (!item || item.owner !== owner) return null;
+    pending.delete(token);
+    return item;
+  }
+
+  /** Ações pendentes do dono informado */
+  function list(owner = null) {
+    purgeExpired();
+    return [...pending.entries()].filter(([, item]) => item.owner === owner).map(([token, item]) => ({
+      token,
+      expires_at: new Date(item.expiresAt).toISOString(),
+      ...item.preview,
+    }));
+  }
+
+  return { prepare, take, list };
+}
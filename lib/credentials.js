@@ -0,0 +1,114 @@
+/**
+ * Credenciais de login do painel para o re-login automático.
+ *
+ * Duas origens, nesta ordem:
+ * 1. Variáveis de ambiente (CHATGURU_LOGIN_EMAIL, CHATGURU_LOGIN_PASSWORD, CHATGURU_LOGIN_TOTP_SECRET)
+ * 2. Arquivo criptografado (gerado por `npm run credentials`), aberto com CHATGURU_CREDENTIALS_PASSPHRASE
+ *
+ * O arquivo usa AES-256-GCM com chave derivada da senha mestra por scrypt, só com
+ * o crypto do Node: funciona igual em Linux, macOS e Windows, sem keychain do sistema.
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from "crypto";
+import { existsSync } from "fs";
+import { readFile } from "fs/promises";
+
+export class CredentialsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CredentialsError";
+  }
+}
+
+const FORMAT_VERSION = 1;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+function deriveKey(passphrase, salt) {
+  return scryptSync(String(passphrase), salt, 32, SCRYPT_PARAMS);
+}
+
+/**
+ * Criptografa { email, password, totp_secret } com a senha mestra.
+ * Retorna o conteúdo do arquivo (JSON com salt, iv, tag e dados em base64).
+ */
+export function encryptCredentials(credentials, passphrase) {
+  if (!passphrase) throw new CredentialsError("Senha mestra vazia.");
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(credentials), "utf-8"), cipher.final()]);
+  return JSON.stringify({
+    version: FORMAT_VERSION,
+    kdf: "scrypt",
+    cipher: "aes-256-gcm",
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  }, null, 2) + "\n";
+}
+
+/**
+ * Abre o conteúdo gerado por encryptCredentials.
+ * @throws {CredentialsError} senha mestra errada, arquivo corrompido ou formato desconhecido
+ */
+export function decryptCredentials(text, passphrase) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new CredentialsError("Arquivo de credenciais corrompido (JSON inválido).");
+  }
+  if (file.version !== FORMAT_VERSION) {
+    throw new CredentialsError(`Versão ${file.version} do arquivo de credenciais não suportada.`);
+  }
+
+  try {
+    const decipher = createDecipheriv(
+      "aes-256-gcm",
+      deriveKey(passphrase, Buffer.from(file.salt, "base64")),
+      Buffer.from(file.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(file.tag, "base64"));
+    const data = Buffer.concat([decipher.update(Buffer.from(file.data, "base64")), decipher.final()]);
+    return JSON.parse(data.toString("utf-8"));
+  } catch {
+    // GCM não diferencia senha errada de arquivo adulterado
+    throw new CredentialsError("Não foi possível abrir o arquivo de credenciais: senha mestra incorreta ou arquivo alterado.");
+  }
+}
+
+/**
+ * Carrega as credenciais de login. Retorna null se nenhuma origem estiver configurada.
+ *
+ * @param {object} options
+ * @param {object} [options.env=process.env]
+ * @param {string} options.filePath  Arquivo criptografado (usado só se houver senha mestra)
+ * @returns {Promise<{ email: string, password: string, totp_secret: string|null, source: "env"|"file" } | null>}
+ * @throws {CredentialsError}
+ */
+export async function loadCredentials({ env = process.env, filePath }) {
+  if (env.CHATGURU_LOGIN_EMAIL || env.CHATGURU_LOGIN_PASSWORD) {
+    if (!env.CHATGURU_LOGIN_EMAIL || !env.CHATGURU_LOGIN_PASSWORD) {
+      throw new CredentialsError("Defina CHATGURU_LOGIN_EMAIL e CHATGURU_LOGIN_PASSWORD juntas.");
+    }
+    return {
+      email: env.CHATGURU_LOGIN_EMAIL,
+      password: env.CHATGURU_LOGIN_PASSWORD,
+      totp_secret: env.CHATGURU_LOGIN_TOTP_SECRET || null,
+      source: "env",
+    };
+  }
+
+  const passphrase = env.CHATGURU_CREDENTIALS_PASSPHRASE;
+  if (!passphrase) return null;
+  if (!existsSync(filePath)) {
+    throw new CredentialsError(`CHATGURU_CREDENTIALS_PASSPHRASE definida, mas ${filePath} não existe. Execute \`npm run credentials\`.`);
+  }
+
+  const stored = decryptCredentials(await readFile(filePath, "utf-8"), passphrase);
+  if (!stored.email || !stored.password) {
+    throw new CredentialsError(`Arquivo ${filePath} sem email/senha.`);
+  }
+  return { email: stored.email, password: stored.password, totp_secret: stored.totp_secret || null, source: "file" };
+}
@@ -0,0 +1,365 @@
+/**
+ * Interpretação das datas exibidas pelo painel do ChatGuru (pt-BR).
+ *
+ * O painel mostra datas "humanas": divisores de mensagens como "Hoje", "Ontem",
+ * "Segunda-feira" ou "12/03/2026", horários como "14:32", e nos cards de chat
+ * textos relativos como "há 3 dias". Este módulo converte tudo para ISO-8601
+ * com o offset do fuso configurado (ex: 2026-03-12T14:32:00-03:00).
+ *
+ * Todas as funções aceitam { timeZone, now } para facilitar testes e para
+ * contas que operam fora do horário de Brasília.
+ */
+
+export const DEFAULT_TIME_ZONE = "America/Sao_Paulo";
+
+const WEEKDAYS = {
+  domingo: 0, segunda: 1, terca: 2, quarta: 3, quinta: 4, sexta: 5, sabado: 6,
+};
+
+const MONTHS = {
+  jan: 1, fev: 2, mar: 3, abr: 4, mai: 5, jun: 6, jul: 7, ago: 8, set: 9, out: 10, nov: 11, dez: 12,
+};
+
+const UNIT_MS = {
+  segundo: 1000,
+  minuto: 60 * 1000,
+  hora: 60 * 60 * 1000,
+  dia: 24 * 60 * 60 * 1000,
+  semana: 7 * 24 * 60 * 60 * 1000,
+  mes: 30 * 24 * 60 * 60 * 1000,
+  ano: 365 * 24 * 60 * 60 * 1000,
+};
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit",
+      weekday: "short",
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Partes de data/hora de um instante no fuso informado.
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) parts[type] = value;
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday),
+  };
+}
+
+function offsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converte uma data/hora "de parede" no fuso informado para um Date (instante UTC).
+ */
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const firstOffset = offsetMs(new Date(guess), timeZone);
+  const secondOffset = offsetMs(new Date(guess - firstOffset), timeZone);
+  // Na virada do horário de verão o offset muda; a segunda medida é a correta
+  return new Date(guess - secondOffset);
+}
+
+/**
+ * Formata um instante em ISO-8601 com o offset do fuso (ex: 2026-03-12T14:32:00-03:00).
+ */
+export function formatInTimeZone(date, timeZone = DEFAULT_TIME_ZONE) {
+  const p = zonedParts(date, timeZone);
+  const offsetMin = Math.round(offsetMs(date, timeZone) / 60000);
+  const sign = offsetMin < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMin);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+function normalizeLabel(text) {
+  return String(text ?? "")
+    .trim()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+function addDays({ year, month, day }, delta) {
+  const d = new Date(Date.UTC(year, month - 1, day + delta));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function isAfter(a, b) {
+  return Date.UTC(a.year, a.month - 1, a.day) > Date.UTC(b.year, b.month - 1, b.day);
+}
+
+/**
+ * Interpreta o rótulo de dia dos divisores de mensagens.
+ * Aceita: "Hoje", "Ontem", "Anteontem", "Segunda-feira", "12/03/2026", "12/03/26",
+ * "12/03", "12 de março de 2026", "12 mar 2026", "2026-03-12".
+ *
+ * @returns {{ year: number, month: number, day: number } | null}
+ */
+export function parseDayLabel(label, { timeZone = DEFAULT_TIME_ZONE, now = new Date() } = {}) {
+  const text = normalizeLabel(label);
+  if (!text) return null;
+  const today = zonedParts(now, timeZone);
+
+  if (text === "hoje") return addDays(today, 0);
+  if (text === "ontem") return addDays(today, -1);
+  if (text === "anteontem") return addDays(today, -2);
+
+  // Dia da semana: a ocorrência mais recente ANTES de hoje
+  const weekdayMatch = text.match(/^(domingo|segunda|terca|quarta|quinta|sexta|sabado)(-feira)?$/);
+  if (weekdayMatch) {
+    const target = WEEKDAYS[weekdayMatch[1]];
+    const diff = ((today.weekday - target + 7) % 7) || 7;
+    return addDays(today, -diff);
+  }
+
+  let m = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) };
+
+  m = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+  if (m) {
+    const day = Number(m[1]);
+    const month = Number(m[2]);
+    if (m[3]) {
+      const year = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+      return { year, month, day };
+    }
+    // Sem ano: ano corrente, a menos que a data fique no futuro
+    const guess = { year: today.year, month, day };
+    return isAfter(guess, today) ? { ...guess, year: today.year - 1 } : guess;
+  }
+
+  m = text.match(/^(\d{1,2})\s+(?:de\s+)?([a-z]{3})[a-z.]*(?:\s+(?:de\s+)?(\d{4}))?$/);
+  if (m && MONTHS[m[2]]) {
+    const guess = { year: m[3] ? Number(m[3]) : today.year, month: MONTHS[m[2]], day: Number(m[1]) };
+    return !m[3] && isAfter(guess, today) ? { ...guess, year: today.year - 1 } : guess;
+  }
+
+  return null;
+}
+
+/**
+ * Combina o rótulo do dia ("Hoje", "12/03/2026") com o horário ("14:32") de uma mensagem.
+ * Retorna ISO-8601 com offset, ou null se não der para interpretar.
+ */
+export function parseMessageTimestamp(dayLabel, time, options = {}) {
+  const { timeZone = DEFAULT_TIME_ZONE } = options;
+  const day = parseDayLabel(dayLabel, options);
+  const t = String(time ?? "").match(/(\d{1,2}):(\d{2})/);
+  if (!day || !t) return null;
+  return formatInTimeZone(zonedTimeToDate({ ...day, hour: Number(t[1]), minute: Number(t[2]) }, timeZone), timeZone);
+}
+
+/**
+ * Interpreta o horário dos cards de chat: "14:32" (hoje), "Ontem", "12/03/2026",
+ * "há 3 dias", "há uma hora", "há 2 meses", "agora".
+ *
+ * precision indica a confiabilidade do valor:
+ * - "minute": horário exato
+ * - "day": só o dia é conhecido (hora = 00:00 local)
+ * - "approximate": calculado a partir de texto relativo ("há 3 dias")
+ *
+ * @returns {{ iso: string, precision: "minute" | "day" | "approximate" } | null}
+ */
+export function parseRelativeTimestamp(text, options = {}) {
+  const { timeZone = DEFAULT_TIME_ZONE, now = new Date() } = options;
+  const label = normalizeLabel(text);
+  if (!label) return null;
+
+  if (/^(agora|agora mesmo|ha (alguns|poucos) segundos)$/.test(label)) {
+    return { iso: formatInTimeZone(now, timeZone), precision: "approximate" };
+  }
+
+  const time = label.match(/^(\d{1,2}):(\d{2})$/);
+  if (time) {
+    const today = zonedParts(now, timeZone);
+    const date = zonedTimeToDate({ ...today, hour: Number(time[1]), minute: Number(time[2]) }, timeZone);
+    return { iso: formatInTimeZone(date, timeZone), precision: "minute" };
+  }
+
+  const relative = label.match(/^ha\s+(um|uma|\d+)\s+(segundo|minuto|hora|dia|semana|mes|meses|ano)s?$/);
+  if (relative) {
+    const amount = /^\d+$/.test(relative[1]) ? Number(relative[1]) : 1;
+    const unit = relative[2] === "meses" ? "mes" : relative[2];
+    return { iso: formatInTimeZone(new Date(now.getTime() - amount * UNIT_MS[unit]), timeZone), precision: "approximate" };
+  }
+
+  const day = parseDayLabel(text, options);
+  if (day) {
+    return { iso: formatInTimeZone(zonedTimeToDate(day, timeZone), timeZone), precision: "day" };
+  }
+
+  return null;
+}
+
+/**
+ * Interpreta data/hora vinda da API ou dos webhooks ("2026-03-12 14:32:05.123456",
+ * "2026-03-12T14:32:05Z", "12/03/2026 14:32"). Sem offset explícito, o horário é
+ * considerado no fuso informado. Retorna ISO-8601 com offset, ou null.
+ */
+export function parseDateTime(text, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const value = String(text ?? "").trim();
+  if (!value) return null;
+
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value) && /^\d{4}-\d{2}-\d{2}[T ]/.test(value)) {
+    const date = new Date(value.replace(" ", "T").replace(/(\.\d{3})\d+/, "$1"));
+    return isNaN(date) ? null : formatInTimeZone(date, timeZone);
+  }
+
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+  const br = value.match(/^(\d{2})\/(\d{2})\/(\d{4})(?:\s+(\d{2}):(\d{2})(?::(\d{2}))?)?/);
+  const m = iso || br;
+  if (!m) return null;
+  const [year, month, day] = iso ? [m[1], m[2], m[3]] : [m[3], m[2], m[1]];
+  const date = zonedTimeToDate({
+    year: Number(year), month: Number(month), day: Number(day),
+    hour: Number(m[4] || 0), minute: Number(m[5] || 0),
+  }, timeZone);
+  return formatInTimeZone(new Date(date.getTime() + Number(m[6] || 0) * 1000), timeZone);
+}
+
+/**
+ * Limite de um filtro por período ("2026-03-12", "12/03/2026 14:00", ISO com offset).
+ * Sem offset, vale o fuso informado. Com end, uma data sem hora cobre o dia local
+ * inteiro (até 23:59:59.999). Retorna Date, ou null se o texto não é uma data.
+ */
+export function parseDateBound(text, { timeZone = DEFAULT_TIME_ZONE, end = false } = {}) {
+  const value = String(text ?? "").trim();
+  const iso = parseDateTime(value, { timeZone });
+  if (!iso) return null;
+  const dateOnly = value.match(/^(\d{4})-(\d{2})-(\d{2})$/) || value.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (!end || !dateOnly) return new Date(iso);
+  // Meia-noite do dia seguinte menos 1 ms (dias de 23 ou 25 h no horário de verão)
+  const start = zonedParts(new Date(iso), timeZone);
+  const next = addDays(start, 1);
+  return new Date(zonedTimeToDate(next, timeZone).getTime() - 1);
+}
+
+/**
+ * Idade em dias (fracionária) de um timestamp ISO em relação a now.
+ */
+export function ageInDays(iso, { now = new Date() } = {}) {
+  return (now.getTime() - Date.parse(iso)) / UNIT_MS.dia;
+}
+
+function isValidDay({ year, month, day }) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+}
+
+/**
+ * Dia informado para um agendamento (futuro): "hoje", "amanhã", "depois de amanhã",
+ * dia da semana (a próxima ocorrência, incluindo hoje), "12/03", "12/03/2026",
+ * "12 de março", "2026-03-12". null = só o horário foi informado.
+ *
+ * @returns {{ year: number, month: number, day: number, nextYearIfPast?: boolean, weekday?: number } | null | undefined}
+ *   undefined se o texto não é um dia reconhecível
+ */
+function parseFutureDay(text, today) {
+  if (!text) return null;
+  if (text === "hoje") return addDays(today, 0);
+  if (text === "amanha") return addDays(today, 1);
+  if (text === "depois de amanha") return addDays(today, 2);
+
+  const weekdayMatch = text.match(/^(?:(?:na|no|proxima|proximo)\s+)?(domingo|segunda|terca|quarta|quinta|sexta|sabado)(-feira)?$/);
+  if (weekdayMatch) {
+    const target = WEEKDAYS[weekdayMatch[1]];
+    return { ...addDays(today, (target - today.weekday + 7) % 7), weekday: target };
+  }
+
+  let m = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) return { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) };
+
+  m = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/);
+  if (m) {
+    const year = m[3] ? (m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3])) : today.year;
+    return { year, month: Number(m[2]), day: Number(m[1]), nextYearIfPast: !m[3] };
+  }
+
+  m = text.match(/^(\d{1,2})\s+(?:de\s+)?([a-z]{3})[a-z.]*(?:\s+(?:de\s+)?(\d{4}))?$/);
+  if (m && MONTHS[m[2]]) {
+    return { year: m[3] ? Number(m[3]) : today.year, month: MONTHS[m[2]], day: Number(m[1]), nextYearIfPast: !m[3] };
+  }
+
+  return undefined;
+}
+
+/**
+ * Interpreta a data/hora de um agendamento de envio. Aceita:
+ *
+ * - ISO-8601: "2026-03-12T14:00:00-03:00" (com offset, instante exato), "2026-03-12 14:00"
+ * - pt-BR: "12/03/2026 14:00", "12/03 às 14h30", "12 de março 9h"
+ * - relativo: "amanhã 9h", "hoje às 18:30", "depois de amanhã 10h", "sexta 14h",
+ *   "em 2 horas", "daqui a 30 minutos"
+ * - só o horário ("9h", "às 14:30"): a próxima ocorrência
+ *
+ * Sem offset explícito, o horário é considerado no fuso informado. Datas sem ano
+ * ("12/03") cujo dia já passou e dias da semana que já passaram vão para a próxima
+ * ocorrência. Não verifica se o resultado está no futuro: "hoje 8h" às 10h devolve
+ * 8h de hoje (cabe a quem chama recusar).
+ *
+ * @returns {Date | null}  null se o texto não é uma data/hora reconhecível ou válida
+ */
+export function parseSendDate(text, { timeZone = DEFAULT_TIME_ZONE, now = new Date() } = {}) {
+  const raw = String(text ?? "").trim();
+  if (!raw) return null;
+
+  if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(raw)) {
+    const date = new Date(raw.replace(" ", "T"));
+    return isNaN(date) ? null : date;
+  }
+
+  const label = normalizeLabel(raw).replace(/\s+/g, " ").replace(/(\d{4}-\d{2}-\d{2})t(?=\d)/, "$1 ");
+
+  const relative = label.match(/^(?:em|daqui(?: a)?|dentro de) (um|uma|\d+) (minuto|hora|dia|semana)s?$/);
+  if (relative) {
+    const amount = /^\d+$/.test(relative[1]) ? Number(relative[1]) : 1;
+    return new Date(now.getTime() + amount * UNIT_MS[relative[2]]);
+  }
+
+  // Dia (opcional) + horário: "14:30", "14h", "14h30", com "às" ou vírgula antes
+  const m = label.match(/^(.*?)[\s,]*(?:(?:as|a partir das)\s+)?(\d{1,2})(?::(\d{2})|h(\d{2})?)$/);
+  if (!m) return null;
+  const hour = Number(m[2]);
+  const minute = Number(m[3] ?? m[4] ?? 0);
+  if (hour > 23 || minute > 59) return null;
+
+  const today = zonedParts(now, timeZone);
+  const day = parseFutureDay(m[1].trim(), today);
+  if (day === undefined) return null;
+
+  const at = (d) => zonedTimeToDate({ ...d, hour, minute }, timeZone);
+  if (day === null) {
+    const date = at(today);
+    return date > now ? date : at(addDays(today, 1));
+  }
+  if (!isValidDay(day)) return null;
+  let date = at(day);
+  if (date <= now && day.weekday !== undefined) date = at(addDays(day, 7));
+  // Sem ano: só pula para o ano seguinte se o dia já passou (12/03 9h às 10h do dia 12 é erro, não 2027)
+  if (day.nextYearIfPast && isAfter(today, day)) {
+    const next = { ...day, year: day.year + 1 };
+    if (isValidDay(next)) date = at(next);
+  }
+  return date;
+}
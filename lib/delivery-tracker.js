@@ -0,0 +1,243 @@
+/**
+ * Rastreamento de entrega das mensagens enviadas pelo MCP.
+ *
+ * Todo message_id retornado por message_send / message_file_send é registrado
+ * aqui. Em segundo plano, o status de cada mensagem é consultado (message_status)
+ * com backoff exponencial até atingir um estado final (delivered, read ou failed)
+ * ou expirar. O histórico é persistido em JSON para sobreviver a reinícios.
+ */
+
+import { readFileSync, existsSync } from "fs";
+import { writeFile, mkdir } from "fs/promises";
+import { dirname } from "path";
+
+export const TERMINAL_STATUSES = ["delivered", "read", "failed"];
+
+const TICK_MS = 5000;
+const MIN_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+const MAX_POLLS_PER_TICK = 5;
+const GIVE_UP_AFTER_MS = 48 * 60 * 60 * 1000;   // para de consultar após 48h sem estado final (desde o horário de saída)
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;   // histórico mantido por 7 dias (idem)
+
+// Valores de message_status conhecidos (já sem acento, minúsculos e com espaços simples).
+// A API devolve texto livre em pt ou en; um mapa explícito evita que "não lida",
+// "unread" ou "undelivered" sejam lidos como lida/entregue.
+const MESSAGE_STATUS_MAP = {
+  failed: ["failed", "fail", "failure", "error", "erro", "falha", "falhou", "rejected", "rejeitada", "recusada", "cancelled", "canceled", "cancelada", "invalid", "invalida"],
+  read: ["read", "seen", "viewed", "lida", "lido", "visualizada", "visualizado"],
+  delivered: ["delivered", "received", "entregue", "recebida", "recebido", "unread", "nao lida", "nao visualizada"],
+  scheduled: ["scheduled", "agendada", "agendado"],
+  // "não entregue" ainda pode ser entregue: segue consultando
+  sent: ["sent", "enviada", "enviado", "undelivered", "not delivered", "nao entregue"],
+  pending: ["pending", "pendente", "queued", "queue", "na fila", "em fila", "waiting", "aguardando", "aguardando envio", "processing", "processando", "em processamento", "sending", "enviando"],
+};
+
+const MESSAGE_STATUS_BY_RAW = new Map(
+  Object.entries(MESSAGE_STATUS_MAP).flatMap(([status, values]) => values.map((value) => [value, status])),
+);
+
+/**
+ * Converte o status retornado pela API (texto livre, pt ou en) para um valor normalizado:
+ * pending | scheduled | sent | delivered | read | failed | unknown
+ *
+ * Ex: "Entregue" → delivered, "não lida" → delivered, "undelivered" → sent.
+ * Valores fora do mapa viram unknown (e o rastreador segue consultando).
+ */
+export function normalizeMessageStatus(data) {
+  const raw = String(data?.message_status ?? data?.status ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[\s_-]+/g, " ")
+    .trim();
+  if (!raw) return "unknown";
+  return MESSAGE_STATUS_BY_RAW.get(raw) ?? "unknown";
+}
+
+/**
+ * Cria o rastreador.
+ *
+ * @param {object} options
+ * @param {string} options.storePath  Arquivo JSON onde o histórico é salvo
+ * @param {(messageId: string) => Promise<object>} options.fetchStatus  Consulta message_status na API
+ */
+export function createDeliveryTracker({ storePath, fetchStatus }) {
+  /** @type {Map<string, object>} */
+  const entries = new Map();
+  let timer = null;
+  let polling = false;
+  let saveQueued = false;
+
+  // Carregar histórico anterior
+  if (existsSync(storePath)) {
+    try {
+      for (const entry of JSON.parse(readFileSync(storePath, "utf-8"))) {
+        entries.set(entry.message_id, entry);
+      }
+    } catch (err) {
+      console.error(`[ChatGuru] Não foi possível ler ${storePath}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Horário em que a mensagem sai: o agendado (scheduled_for), se houver, senão o do envio.
+   * Prazo de desistência e retenção contam daqui, para um agendamento distante não sumir antes de sair.
+   */
+  function departureTime(entry) {
+    const sentMs = Date.parse(entry.sent_at);
+    const scheduledMs = entry.scheduled_for ? Date.parse(String(entry.scheduled_for).replace(" ", "T")) : NaN;
+    return Number.isNaN(scheduledMs) ? sentMs : Math.max(sentMs, scheduledMs);
+  }
+
+  function prune() {
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const [id, entry] of entries) {
+      if (departureTime(entry) < cutoff) entries.delete(id);
+    }
+  }
+
+  function save() {
+    // Agrupa várias alterações do mesmo tick numa única escrita
+    if (saveQueued) return;
+    saveQueued = true;
+    setImmediate(async () => {
+      saveQueued = false;
+      prune();
+      try {
+        await mkdir(dirname(storePath), { recursive: true });
+        await writeFile(storePath, JSON.stringify([...entries.values()], null, 2));
+      } catch (err) {
+        console.error(`[ChatGuru] Erro ao salvar ${storePath}: ${err.message}`);
+      }
+    });
+  }
+
+  function isFinal(entry) {
+    return TERMINAL_STATUSES.includes(entry.status) || Boolean(entry.gave_up);
+  }
+
+  function ensureTimer() {
+    if (timer) return;
+    timer = setInterval(tick, TICK_MS);
+    timer.unref?.();
+  }
+
+  function stopTimerIfIdle() {
+    if (timer && ![...entries.values()].some((e) => !isFinal(e))) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  function applyStatus(entry, data) {
+    entry.status = normalizeMessageStatus(data);
+    entry.status_raw = data?.message_status ?? data?.status ?? null;
+    if (data?.message_status_description) entry.status_description = data.message_status_description;
+    entry.last_checked_at = new Date().toISOString();
+    entry.checks++;
+    if (TERMINAL_STATUSES.includes(entry.status)) entry.final_at = entry.last_checked_at;
+  }
+
+  function scheduleNext(entry) {
+    const backoff = Math.min(MIN_BACKOFF_MS * Math.pow(2, entry.checks), MAX_BACKOFF_MS);
+    entry.next_check_at = Date.now() + backoff;
+  }
+
+  async function poll(entry) {
+    try {
+      applyStatus(entry, await fetchStatus(entry.message_id));
+    } catch (err) {
+      entry.checks++;
+      entry.last_error = err.message;
+      entry.last_checked_at = new Date().toISOString();
+    }
+    if (!isFinal(entry)) {
+      if (Date.now() - departureTime(entry) > GIVE_UP_AFTER_MS) {
+        entry.gave_up = true;
+      } else {
+        scheduleNext(entry);
+      }
+    }
+    save();
+  }
+
+  async function tick() {
+    if (polling) return;
+    polling = true;
+    try {
+      const now = Date.now();
+      const due = [...entries.values()]
+        .filter((e) => !isFinal(e) && (e.next_check_at || 0) <= now)
+        .sort((a, b) => (a.next_check_at || 0) - (b.next_check_at || 0))
+        .slice(0, MAX_POLLS_PER_TICK);
+      for (const entry of due) await poll(entry);
+    } finally {
+      polling = false;
+      stopTimerIfIdle();
+    }
+  }
+
+  /**
+   * Registra uma mensagem enviada para rastreamento.
+   * scheduledFor (ISO/texto da API) adia a primeira consulta até o horário do agendamento.
+   */
+  function track(messageId, { number, kind = "text", preview = "", scheduledFor = null } = {}) {
+    if (!messageId) return;
+    const now = Date.now();
+    const scheduledMs = scheduledFor ? Date.parse(scheduledFor.replace(" ", "T")) : NaN;
+    entries.set(String(messageId), {
+      message_id: String(messageId),
+      number,
+      kind,
+      preview: preview.length > 120 ? preview.slice(0, 117) + "..." : preview,
+      sent_at: new Date(now).toISOString(),
+      scheduled_for: scheduledFor,
+      status: scheduledFor ? "scheduled" : "pending",
+      status_raw: null,
+      checks: 0,
+      last_checked_at: null,
+      next_check_at: Number.isNaN(scheduledMs) ? now + MIN_BACKOFF_MS : Math.max(scheduledMs, now + MIN_BACKOFF_MS),
+      final_at: null,
+    });
+    save();
+    ensureTimer();
+  }
+
+  /**
+   * Atualiza uma mensagem com um status obtido fora do polling (ex: consulta manual).
+   */
+  function record(messageId, data) {
+    const entry = entries.get(String(messageId));
+    if (!entry) return;
+    applyStatus(entry, data);
+    if (!isFinal(entry)) scheduleNext(entry);
+    save();
+  }
+
+  /**
+   * Lista mensagens enviadas nas últimas `hours` horas, mais recentes primeiro.
+   * Com refresh, consulta agora as que ainda não chegaram a estado final.
+   */
+  async function list({ hours = 24, number, status, refresh = false } = {}) {
+    const cutoff = Date.now() - hours * 60 * 60 * 1000;
+    let result = [...entries.values()].filter((e) => Date.parse(e.sent_at) >= cutoff);
+    if (number) result = result.filter((e) => e.number === number);
+
+    if (refresh) {
+      for (const entry of result) {
+        if (!isFinal(entry)) await poll(entry);
+      }
+    }
+
+    if (status) result = result.filter((e) => e.status === status);
+    return result
+      .sort((a, b) => Date.parse(b.sent_at) - Date.parse(a.sent_at))
+      .map(({ next_check_at, ...entry }) => ({ ...entry, final: isFinal(entry) }));
+  }
+
+  // Retomar o polling de mensagens pendentes de uma execução anterior
+  if ([...entries.values()].some((e) => !isFinal(e))) ensureTimer();
+
+  return { track, record, list };
+}
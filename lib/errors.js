@@ -0,0 +1,137 @@
+/**
+ * Taxonomia de erros das ferramentas.
+ *
+ * Toda falha de ferramenta volta ao cliente com isError: true, um código estável e
+ * uma dica de retry, além da mensagem em texto:
+ *
+ * - auth: credenciais da API recusadas (chave, conta, telefone, permissão)
+ * - rate_limit: limite de requisições do ChatGuru (respeite retry_after_seconds)
+ * - not_found: registro, chat ou token inexistente
+ * - session_expired: sessão do painel (Playwright) ausente ou expirada
+ * - selector_missing: o painel não mostrou o elemento esperado (HTML mudou ou demorou)
+ * - validation: parâmetro inválido ou recusado pela API
+ * - network: ChatGuru inacessível ou instável (rede, timeout, 5xx)
+ * - internal: falha inesperada do próprio servidor MCP
+ *
+ * Código de ferramenta lança ChatGuruError; erros de outras origens (Playwright,
+ * fetch, validação de telefone) são classificados por toChatGuruError().
+ */
+
+/** retryable: repetir a mesma chamada pode dar certo; hint: dica padrão mostrada ao cliente */
+export const ERROR_CODES = {
+  auth: { retryable: false, hint: "Verifique CHATGURU_API_KEY, CHATGURU_ACCOUNT_ID e CHATGURU_PHONE_ID (ou os campos do perfil)." },
+  rate_limit: { retryable: true, hint: "Reduza o ritmo das chamadas (ex: messages_per_minute menor no envio em massa)." },
+  not_found: { retryable: false, hint: "Confira o identificador informado." },
+  session_expired: { retryable: false, hint: "Faça login no painel (login.js) e repita a chamada." },
+  selector_missing: { retryable: true, hint: "Se persistir, rode chatguru_health_check para ver se o HTML do painel mudou." },
+  validation: { retryable: false, hint: "Corrija os parâmetros antes de repetir." },
+  network: { retryable: true, hint: "Se persistir, verifique a conexão com o servidor do ChatGuru (CHATGURU_SERVER)." },
+  internal: { retryable: false, hint: "Veja o log do servidor MCP (stderr)." },
+};
+
+// Espera sugerida quando a API não informa Retry-After
+const DEFAULT_RETRY_AFTER_MS = { rate_limit: 30000, network: 5000, selector_missing: 5000 };
+
+export class ChatGuruError extends Error {
+  /**
+   * @param {keyof ERROR_CODES} code
+   * @param {string} message
+   * @param {object} [options]
+   * @param {number} [options.retryAfterMs]  Espera antes de repetir (ex: Retry-After da API)
+   * @param {string} [options.hint]  Substitui a dica padrão do código
+   * @param {number} [options.status]  Status HTTP da API, se houver
+   */
+  constructor(code, message, { retryAfterMs, hint, status } = {}) {
+    super(message);
+    this.name = "ChatGuruError";
+    this.code = ERROR_CODES[code] ? code : "internal";
+    this.retryable = ERROR_CODES[this.code].retryable;
+    this.retryAfterMs = retryAfterMs ?? (this.retryable ? DEFAULT_RETRY_AFTER_MS[this.code] : null) ?? null;
+    this.hint = hint ?? ERROR_CODES[this.code].hint;
+    if (status !== undefined) this.status = status;
+  }
+}
+
+/**
+ * Lê o cabeçalho Retry-After (segundos ou data HTTP). null se ausente ou inválido.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Erro para uma resposta HTTP de erro da API do ChatGuru.
+ */
+export function apiHttpError(status, message, { retryAfterMs } = {}) {
+  let code = "internal";
+  if (status === 401 || status === 403) code = "auth";
+  else if (status === 404) code = "not_found";
+  else if (status === 429) code = "rate_limit";
+  else if (status === 408 || status >= 500) code = "network";
+  else if (status >= 400) code = "validation";
+  return new ChatGuruError(code, message, { retryAfterMs: retryAfterMs ?? undefined, status });
+}
+
+/**
+ * Erro para uma recusa da API com HTTP 200 (success: false): o texto vem da API.
+ */
+export function apiRejectionError(message) {
+  if (/chave|\bkey\b|account|phone_id|token|autentica|\bauth|permiss|n[ãa]o autorizad/i.test(message)) {
+    return new ChatGuruError("auth", message);
+  }
+  if (/n[ãa]o encontrad|not found|inexistente|does not exist|n[ãa]o existe/i.test(message)) {
+    return new ChatGuruError("not_found", message);
+  }
+  if (/limite|rate|too many|muitas requisi/i.test(message)) {
+    return new ChatGuruError("rate_limit", message);
+  }
+  return new ChatGuruError("validation", message);
+}
+
+/**
+ * Classifica qualquer erro lançado durante uma ferramenta.
+ */
+export function toChatGuruError(err) {
+  if (err instanceof ChatGuruError) return err;
+  const message = err?.message || String(err);
+  switch (err?.name) {
+    case "PhoneValidationError":
+    case "ProfileError":
+    case "ZodError":
+      return new ChatGuruError("validation", message);
+    case "SessionMissingError":
+      return new ChatGuruError("session_expired", message);
+    case "PageTimeoutError":
+      // Painel travado ou lento demais: a página foi fechada, repetir abre outra
+      return new ChatGuruError("network", message);
+    case "TimeoutError":
+      // Timeout do Playwright: navegação lenta é rede; espera por elemento é seletor
+      return /goto|navigat/i.test(message)
+        ? new ChatGuruError("network", message)
+        : new ChatGuruError("selector_missing", message);
+  }
+  if (/fetch failed|ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|net::ERR_/i.test(message)) {
+    return new ChatGuruError("network", message);
+  }
+  return new ChatGuruError("internal", message);
+}
+
+/**
+ * Descrição do erro para o cliente MCP (vai em _meta.error do resultado).
+ *
+ * @returns {{ code: string, message: string, retryable: boolean, retry_after_seconds: number|null, hint: string }}
+ */
+export function describeError(err) {
+  const error = toChatGuruError(err);
+  return {
+    code: error.code,
+    message: error.message,
+    retryable: error.retryable,
+    retry_after_seconds: error.retryAfterMs === null ? null : Math.ceil(error.retryAfterMs / 1000),
+    hint: error.hint,
+  };
+}
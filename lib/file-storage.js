@@ -0,0 +1,271 @@
+/**
+ * Publicação temporária de arquivos para chatguru_send_file.
+ *
+ * O ChatGuru baixa o arquivo pela URL informada em message_file_send, então um
+ * arquivo local precisa estar acessível na internet por alguns minutos. Dois
+ * armazenamentos, com a mesma interface (put → URL assinada que expira):
+ *
+ * - local: servidor HTTP embutido que serve os arquivos de uma pasta em
+ *   /files/<id>/<nome>?expires=...&sig=... (HMAC). Precisa de um endereço público
+ *   (proxy reverso ou túnel) apontando para a porta configurada.
+ * - s3: qualquer serviço compatível com S3 (AWS, MinIO, R2...). O arquivo é
+ *   enviado com PUT assinado (SigV4) e o ChatGuru baixa por uma URL pré-assinada.
+ *   Apagar os objetos antigos fica com a regra de ciclo de vida do bucket.
+ */
+
+import { createServer } from "http";
+import { createHash, createHmac, randomBytes, timingSafeEqual } from "crypto";
+import { createReadStream } from "fs";
+import { mkdir, readdir, rm, writeFile } from "fs/promises";
+import { join } from "path";
+import { ChatGuruError } from "./errors.js";
+
+// Nome dos arquivos gravados por put() (randomBytes(12) em hex): só esses são apagados da pasta
+const FILE_ID = /^[a-f0-9]{24}$/;
+
+function sign(secret, value) {
+  return createHmac("sha256", secret).update(value).digest("base64url");
+}
+
+function sameSignature(received, expected) {
+  const a = createHash("sha256").update(String(received ?? "")).digest();
+  const b = createHash("sha256").update(expected).digest();
+  return timingSafeEqual(a, b);
+}
+
+function contentDisposition(filename) {
+  const ascii = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `inline; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// ─── LOCAL ──────────────────────────────────────────────────
+
+/**
+ * @param {object} options
+ * @param {string} options.dir  Pasta onde os arquivos ficam até expirar (os de execuções anteriores são apagados ao iniciar)
+ * @param {string} options.publicUrl  Endereço pelo qual o ChatGuru alcança o servidor (ex: https://arquivos.empresa.com)
+ * @param {number} options.port  0 = porta livre qualquer (testes)
+ * @param {string} [options.host="127.0.0.1"]
+ * @param {string} options.secret  Chave das assinaturas das URLs
+ * @param {number} options.ttlMs  Validade das URLs
+ */
+export function createLocalFileStorage({ dir, publicUrl, port, host = "127.0.0.1", secret, ttlMs }) {
+  const baseUrl = publicUrl.replace(/\/+$/, "");
+  /** @type {Map<string, { filename: string, mime: string, size: number, expiresAt: number }>} */
+  const files = new Map();
+  let server = null;
+
+  function remove(id) {
+    files.delete(id);
+    rm(join(dir, id), { force: true }).catch(() => {});
+  }
+
+  function sweep() {
+    for (const [id, file] of files) {
+      if (file.expiresAt <= Date.now()) remove(id);
+    }
+  }
+
+  function reply(res, status, message) {
+    res.writeHead(status, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end(message);
+  }
+
+  function handle(req, res) {
+    if (req.method !== "GET" && req.method !== "HEAD") return reply(res, 405, "Use GET.");
+    const url = new URL(req.url, "http://localhost");
+    const match = url.pathname.match(/^\/files\/([a-f0-9]+)\/[^/]+$/);
+    if (!match) return reply(res, 404, "Arquivo não encontrado.");
+
+    const id = match[1];
+    const expires = url.searchParams.get("expires") || "";
+    if (!sameSignature(url.searchParams.get("sig"), sign(secret, `${id}.${expires}`))) {
+      return reply(res, 403, "Assinatura inválida.");
+    }
+    sweep();
+    const file = files.get(id);
+    if (Number(expires) * 1000 <= Date.now()) return reply(res, 410, "Link expirado.");
+    if (!file) return reply(res, 404, "Arquivo não encontrado.");
+
+    res.writeHead(200, {
+      "Content-Type": file.mime,
+      "Content-Length": file.size,
+      "Content-Disposition": contentDisposition(file.filename),
+      "Cache-Control": "private, no-store",
+    });
+    if (req.method === "HEAD") return res.end();
+    createReadStream(join(dir, id))
+      .on("error", (err) => {
+        console.error(`[ChatGuru] Erro ao servir arquivo ${id}: ${err.message}`);
+        res.destroy();
+      })
+      .pipe(res);
+  }
+
+  /**
+   * Apaga os arquivos de execuções anteriores e começa a escutar. O resto da pasta
+   * não é tocado, caso CHATGURU_DATA_DIR aponte para um lugar com outros arquivos.
+   * Resolve com a porta efetiva.
+   */
+  async function start() {
+    await mkdir(dir, { recursive: true });
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+      if (entry.isFile() && FILE_ID.test(entry.name)) await rm(join(dir, entry.name), { force: true });
+    }
+    return new Promise((resolve, reject) => {
+      server = createServer(handle);
+      server.once("error", reject);
+      server.listen(port, host, () => {
+        server.off("error", reject);
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  function close() {
+    return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  /**
+   * Guarda o arquivo e devolve a URL assinada.
+   * @returns {Promise<{ url: string, expires_at: string }>}
+   */
+  async function put({ buffer, filename, mime }) {
+    if (!server) throw new ChatGuruError("internal", "Servidor de arquivos não iniciado.");
+    sweep();
+    const id = randomBytes(12).toString("hex");
+    const expiresAt = Date.now() + ttlMs;
+    await writeFile(join(dir, id), buffer);
+    files.set(id, { filename, mime, size: buffer.length, expiresAt });
+    setTimeout(() => remove(id), ttlMs + 1000).unref?.();
+
+    const expires = Math.floor(expiresAt / 1000);
+    const url = `${baseUrl}/files/${id}/${encodeURIComponent(filename)}?expires=${expires}&sig=${sign(secret, `${id}.${expires}`)}`;
+    return { url, expires_at: new Date(expires * 1000).toISOString() };
+  }
+
+  return { start, close, put };
+}
+
+// ─── S3 ─────────────────────────────────────────────────────
+
+const sha256Hex = (data) => createHash("sha256").update(data).digest("hex");
+const hmac = (key, value) => createHmac("sha256", key).update(value).digest();
+
+// Codificação do SigV4 (RFC 3986: também !'()*)
+const encodeRfc3986 = (value) => encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+function amzDates(date) {
+  const amzDate = date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  return { amzDate, day: amzDate.slice(0, 8) };
+}
+
+function signature({ method, url, headers, payloadHash, secretAccessKey, region, amzDate, day }) {
+  const canonicalQuery = [...url.searchParams]
+    .map(([k, v]) => [encodeRfc3986(k), encodeRfc3986(v)])
+    .sort(([a, x], [b, y]) => (a === b ? (x < y ? -1 : 1) : a < b ? -1 : 1))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
+  const names = Object.keys(headers).map((h) => h.toLowerCase()).sort();
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+  const canonicalRequest = [
+    method,
+    url.pathname.split("/").map((s) => encodeRfc3986(decodeURIComponent(s))).join("/"),
+    canonicalQuery,
+    names.map((h) => `${h}:${lower[h]}\n`).join(""),
+    names.join(";"),
+    payloadHash,
+  ].join("\n");
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+  const key = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), "s3"), "aws4_request");
+  return { value: createHmac("sha256", key).update(stringToSign).digest("hex"), scope, signedHeaders: names.join(";") };
+}
+
+/**
+ * URL pré-assinada (SigV4, assinatura na query string).
+ *
+ * @param {object} options
+ * @param {string} options.url  URL do objeto
+ * @param {number} options.expiresInSeconds  Máximo de 7 dias (limite do S3)
+ * @returns {string}
+ */
+export function presignUrl({ method = "GET", url, accessKeyId, secretAccessKey, region, expiresInSeconds, date = new Date() }) {
+  const target = new URL(url);
+  const { amzDate, day } = amzDates(date);
+  target.searchParams.set("X-Amz-Algorithm", "AWS4-HMAC-SHA256");
+  target.searchParams.set("X-Amz-Credential", `${accessKeyId}/${day}/${region}/s3/aws4_request`);
+  target.searchParams.set("X-Amz-Date", amzDate);
+  target.searchParams.set("X-Amz-Expires", String(expiresInSeconds));
+  target.searchParams.set("X-Amz-SignedHeaders", "host");
+  const { value } = signature({
+    method, url: target, headers: { host: target.host }, payloadHash: "UNSIGNED-PAYLOAD",
+    secretAccessKey, region, amzDate, day,
+  });
+  return `${target.toString().replace(/\+/g, "%20")}&X-Amz-Signature=${value}`;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.endpoint  Ex: https://s3.sa-east-1.amazonaws.com ou http://localhost:9000 (MinIO)
+ * @param {string} options.bucket
+ * @param {string} [options.region="us-east-1"]
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {string} [options.prefix="chatguru-uploads/"]  Prefixo das chaves (útil para a regra de ciclo de vida)
+ * @param {number} options.ttlMs  Validade das URLs
+ * @param {typeof fetch} [options.fetch]
+ */
+export function createS3Storage({ endpoint, bucket, region = "us-east-1", accessKeyId, secretAccessKey, prefix = "chatguru-uploads/", ttlMs, fetch: fetchImpl = globalThis.fetch }) {
+  const base = endpoint.replace(/\/+$/, "");
+
+  /**
+   * Envia o arquivo ao bucket e devolve a URL pré-assinada para download.
+   * @returns {Promise<{ url: string, expires_at: string }>}
+   * @throws {ChatGuruError} se o S3 recusar o envio
+   */
+  async function put({ buffer, filename, mime }) {
+    const key = `${prefix}${randomBytes(12).toString("hex")}/${filename}`;
+    const objectUrl = `${base}/${bucket}/${key.split("/").map(encodeRfc3986).join("/")}`;
+    const target = new URL(objectUrl);
+    const date = new Date();
+    const { amzDate, day } = amzDates(date);
+    const payloadHash = sha256Hex(buffer);
+    const headers = {
+      host: target.host,
+      "content-type": mime,
+      "content-disposition": contentDisposition(filename),
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+    };
+    const { value, scope, signedHeaders } = signature({ method: "PUT", url: target, headers, payloadHash, secretAccessKey, region, amzDate, day });
+
+    let res;
+    try {
+      const { host, ...sent } = headers;
+      res = await fetchImpl(objectUrl, {
+        method: "PUT",
+        headers: { ...sent, Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${value}` },
+        body: buffer,
+      });
+    } catch (err) {
+      throw new ChatGuruError("network", `Falha ao enviar o arquivo para o armazenamento S3: ${err.message}`);
+    }
+    if (!res.ok) {
+      const detail = (await res.text().catch(() => "")).match(/<Code>([^<]+)<\/Code>/)?.[1];
+      const code = res.status === 403 ? "auth" : res.status >= 500 ? "network" : "internal";
+      throw new ChatGuruError(code, `Armazenamento S3 recusou o arquivo (HTTP ${res.status}${detail ? `, ${detail}` : ""}).`, {
+        status: res.status,
+        hint: code === "auth" ? "Confira CHATGURU_S3_ACCESS_KEY_ID, CHATGURU_S3_SECRET_ACCESS_KEY e as permissões do bucket." : undefined,
+      });
+    }
+
+    const expiresInSeconds = Math.min(Math.ceil(ttlMs / 1000), 7 * 24 * 60 * 60);
+    return {
+      url: presignUrl({ url: objectUrl, accessKeyId, secretAccessKey, region, expiresInSeconds, date }),
+      expires_at: new Date(date.getTime() + expiresInSeconds * 1000).toISOString(),
+    };
+  }
+
+  return { put };
+}
@@ -0,0 +1,199 @@
+/**
+ * Arquivos locais para chatguru_send_file.
+ *
+ * A API do ChatGuru só envia arquivos por URL (message_file_send com file_url).
+ * Para mandar um arquivo da máquina (caminho local ou conteúdo em base64), ele é
+ * lido e validado aqui e depois publicado por um armazenamento (lib/file-storage.js)
+ * que devolve uma URL assinada de curta duração.
+ *
+ * A validação segue os limites do WhatsApp: tipo aceito e tamanho máximo por
+ * categoria (imagem, vídeo, áudio, documento). O tipo vem da extensão e é
+ * conferido com a assinatura do conteúdo (um .pdf que na verdade é um executável
+ * é recusado).
+ */
+
+import { readFile, realpath, stat } from "fs/promises";
+import { basename, extname, isAbsolute, resolve, sep } from "path";
+import { ChatGuruError } from "./errors.js";
+
+const MB = 1024 * 1024;
+
+/** Tamanho máximo por categoria de mídia do WhatsApp */
+export const MEDIA_LIMITS = { image: 5 * MB, video: 16 * MB, audio: 16 * MB, document: 100 * MB };
+
+/** Extensão → tipo MIME aceito pelo WhatsApp */
+export const MIME_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".mp4": "video/mp4",
+  ".3gp": "video/3gpp",
+  ".mp3": "audio/mpeg",
+  ".ogg": "audio/ogg",
+  ".opus": "audio/ogg",
+  ".aac": "audio/aac",
+  ".amr": "audio/amr",
+  ".m4a": "audio/mp4",
+  ".pdf": "application/pdf",
+  ".txt": "text/plain",
+  ".csv": "text/csv",
+  ".doc": "application/msword",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".ppt": "application/vnd.ms-powerpoint",
+  ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+};
+
+/**
+ * Categoria de mídia do WhatsApp para um tipo MIME aceito.
+ * @returns {"image" | "video" | "audio" | "document"}
+ */
+export function mediaCategory(mime) {
+  const [type] = mime.split("/");
+  return ["image", "video", "audio"].includes(type) ? type : "document";
+}
+
+/**
+ * Família do conteúdo pela assinatura dos primeiros bytes (null se não reconhecida,
+ * como em texto puro). Só distingue o suficiente para conferir a extensão.
+ */
+export function sniffContent(buffer) {
+  const ascii = (start, end) => buffer.subarray(start, end).toString("latin1");
+  if (ascii(0, 5) === "%PDF-") return "pdf";
+  if (buffer[0] === 0x89 && ascii(1, 4) === "PNG") return "png";
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "jpeg";
+  if (ascii(0, 3) === "GIF") return "gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "webp";
+  if (ascii(4, 8) === "ftyp") return "mp4";
+  if (ascii(0, 4) === "OggS") return "ogg";
+  if (ascii(0, 5) === "#!AMR") return "amr";
+  if (ascii(0, 3) === "ID3" || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) === 0x02)) return "mp3";
+  if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) return "aac";
+  if (ascii(0, 4) === "PK\x03\x04") return "zip";
+  if (buffer.subarray(0, 4).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0]))) return "ole";
+  if (ascii(0, 2) === "MZ" || ascii(0, 4) === "\x7fELF") return "executable";
+  return null;
+}
+
+// Assinatura esperada para cada tipo (null: texto, sem assinatura)
+const EXPECTED_CONTENT = {
+  "image/jpeg": ["jpeg"],
+  "image/png": ["png"],
+  "video/mp4": ["mp4"],
+  "video/3gpp": ["mp4"],
+  "audio/mpeg": ["mp3"],
+  "audio/ogg": ["ogg"],
+  "audio/aac": ["aac", "mp4"],
+  "audio/amr": ["amr"],
+  "audio/mp4": ["mp4"],
+  "application/pdf": ["pdf"],
+  "text/plain": [null],
+  "text/csv": [null],
+  "application/msword": ["ole"],
+  "application/vnd.ms-excel": ["ole"],
+  "application/vnd.ms-powerpoint": ["ole"],
+};
+for (const ext of [".docx", ".xlsx", ".pptx"]) EXPECTED_CONTENT[MIME_TYPES[ext]] = ["zip"];
+
+/** Tamanho para mensagens (KB ou MB) */
+export function formatSize(bytes) {
+  return bytes >= MB ? `${(bytes / MB).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Confere tipo e tamanho contra os limites do WhatsApp.
+ *
+ * @returns {{ mime: string, category: string }}
+ * @throws {ChatGuruError} validation se o tipo não é aceito, não bate com o conteúdo ou passa do limite
+ */
+export function validateMedia({ buffer, filename }) {
+  const ext = extname(filename).toLowerCase();
+  const mime = MIME_TYPES[ext];
+  if (!mime) {
+    throw new ChatGuruError("validation",
+      `Tipo de arquivo "${ext || filename}" não aceito pelo WhatsApp. Use: ${Object.keys(MIME_TYPES).join(", ")}.`);
+  }
+  const sniffed = sniffContent(buffer);
+  if (!EXPECTED_CONTENT[mime].includes(sniffed)) {
+    throw new ChatGuruError("validation",
+      `O conteúdo de "${filename}" não corresponde à extensão ${ext}${sniffed ? ` (parece ${sniffed})` : ""}.`);
+  }
+  const category = mediaCategory(mime);
+  if (buffer.length === 0) throw new ChatGuruError("validation", `"${filename}" está vazio.`);
+  if (buffer.length > MEDIA_LIMITS[category]) {
+    throw new ChatGuruError("validation",
+      `"${filename}" tem ${formatSize(buffer.length)}; o WhatsApp aceita até ${formatSize(MEDIA_LIMITS[category])} para ${category === "document" ? "documentos" : category === "image" ? "imagens" : category === "video" ? "vídeos" : "áudios"}.`);
+  }
+  return { mime, category };
+}
+
+function isInside(path, dir) {
+  return path === dir || path.startsWith(dir.endsWith(sep) ? dir : dir + sep);
+}
+
+/**
+ * Lê um arquivo local para envio. Só caminhos dentro de allowedDirs são aceitos
+ * (o servidor pode atender clientes remotos; sem isso, qualquer arquivo da máquina
+ * poderia ser enviado para um WhatsApp).
+ *
+ * @returns {Promise<{ buffer: Buffer, filename: string }>}
+ * @throws {ChatGuruError} validation se o caminho não é permitido, não existe ou é grande demais
+ */
+export async function readLocalFile(path, { allowedDirs }) {
+  if (!isAbsolute(path)) throw new ChatGuruError("validation", `file_path deve ser um caminho absoluto (recebido: ${path}).`);
+  if (allowedDirs.length === 0) {
+    throw new ChatGuruError("validation", "Envio de arquivos locais desativado neste servidor.", {
+      hint: "Defina CHATGURU_UPLOAD_DIRS com as pastas liberadas, ou envie o conteúdo em file_base64.",
+    });
+  }
+  let real;
+  try {
+    real = await realpath(path);
+  } catch {
+    throw new ChatGuruError("not_found", `Arquivo ${path} não encontrado.`);
+  }
+  const allowed = await Promise.all(allowedDirs.map((dir) => realpath(resolve(dir)).catch(() => null)));
+  if (!allowed.some((dir) => dir && isInside(real, dir))) {
+    throw new ChatGuruError("validation", `${path} está fora das pastas liberadas para envio (${allowedDirs.join(", ")}).`, {
+      hint: "Mova o arquivo para uma pasta liberada ou ajuste CHATGURU_UPLOAD_DIRS.",
+    });
+  }
+  const info = await stat(real);
+  if (!info.isFile()) throw new ChatGuruError("validation", `${path} não é um arquivo.`);
+  // Evita ler para a memória algo que seria recusado de qualquer forma
+  if (info.size > MEDIA_LIMITS.document) {
+    throw new ChatGuruError("validation", `${path} tem ${formatSize(info.size)}; o limite do WhatsApp é ${formatSize(MEDIA_LIMITS.document)}.`);
+  }
+  return { buffer: await readFile(real), filename: basename(real) };
+}
+
+/**
+ * Decodifica o conteúdo em base64 (aceita data URL: "data:application/pdf;base64,...").
+ * Sem file_name, o nome vem do tipo da data URL ("arquivo.pdf").
+ *
+ * @returns {{ buffer: Buffer, filename: string }}
+ * @throws {ChatGuruError} validation se o conteúdo ou o nome são inválidos
+ */
+export function decodeBase64File(content, fileName) {
+  let data = String(content).trim();
+  let filename = fileName ? basename(fileName) : null;
+  const dataUrl = data.match(/^data:([\w.+-]+\/[\w.+-]+)?(?:;[\w-]+=[^;,]*)*;base64,/i);
+  if (dataUrl) {
+    data = data.slice(dataUrl[0].length);
+    if (!filename && dataUrl[1]) {
+      const ext = Object.keys(MIME_TYPES).find((e) => MIME_TYPES[e] === dataUrl[1].toLowerCase());
+      if (ext) filename = `arquivo${ext}`;
+    }
+  }
+  if (!filename) {
+    throw new ChatGuruError("validation", "Informe file_name (com extensão, ex: orcamento.pdf) junto com file_base64.");
+  }
+  data = data.replace(/\s+/g, "");
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(data)) throw new ChatGuruError("validation", "file_base64 não é base64 válido.");
+  // Antes de decodificar: base64 ocupa ~4/3 do tamanho real
+  if ((data.length * 3) / 4 > MEDIA_LIMITS.document + 3) {
+    throw new ChatGuruError("validation", `file_base64 passa do limite do WhatsApp (${formatSize(MEDIA_LIMITS.document)}).`);
+  }
+  return { buffer: Buffer.from(data, "base64"), filename };
+}
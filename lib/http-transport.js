@@ -0,0 +1,213 @@
+/**
+ * Transporte Streamable HTTP do MCP, para rodar uma instância compartilhada pela
+ * equipe em vez de um processo stdio por usuário.
+ *
+ * Cada cliente ganha sua própria sessão (cabeçalho Mcp-Session-Id) com um McpServer
+ * dedicado, criado por createServer(); o estado de verdade (perfis, browsers,
+ * confirmações, eventos) continua único no processo. Notificações do servidor
+ * seguem pelo stream SSE que o próprio transporte do SDK abre.
+ *
+ * Autenticação: Authorization: Bearer <token>, com um ou mais tokens aceitos.
+ * Sem token (só permitido no loopback), requisições com Host de fora do loopback
+ * são recusadas, para que páginas abertas no navegador não alcancem o servidor.
+ */
+
+import { createServer as createHttpServer } from "http";
+import { randomUUID, timingSafeEqual, createHash } from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+export const LOOPBACK_HOSTS = ["127.0.0.1", "localhost", "::1"];
+
+const DEFAULT_MAX_BODY_BYTES = 4 * 1024 * 1024;
+const DEFAULT_IDLE_MS = 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+function sameToken(received, expected) {
+  // Hash antes de comparar: timingSafeEqual exige o mesmo tamanho
+  const a = createHash("sha256").update(String(received)).digest();
+  const b = createHash("sha256").update(String(expected)).digest();
+  return timingSafeEqual(a, b);
+}
+
+/**
+ * Confere o cabeçalho Authorization contra a lista de tokens aceitos.
+ * Lista vazia: autenticação desligada.
+ */
+export function isAuthorized(header, tokens) {
+  if (tokens.length === 0) return true;
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header || "");
+  if (!match) return false;
+  // Compara com todos, sem parar no primeiro acerto, para não vazar a posição pelo tempo
+  return tokens.reduce((ok, token) => sameToken(match[1], token) || ok, false);
+}
+
+/** Host do cabeçalho (sem porta) é do loopback? */
+export function isLoopbackHostHeader(hostHeader) {
+  if (!hostHeader) return false;
+  const hostname = hostHeader.startsWith("[") ? hostHeader.slice(1, hostHeader.indexOf("]")) : hostHeader.split(":")[0];
+  return LOOPBACK_HOSTS.includes(hostname.toLowerCase());
+}
+
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new HttpError(413, `Requisição maior que ${maxBytes} bytes.`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf-8")));
+      } catch {
+        reject(new HttpError(400, "Corpo inválido: esperado JSON-RPC."));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendError(res, status, message, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", ...headers });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32000, message }, id: null }));
+}
+
+/**
+ * @param {object} options
+ * @param {number} options.port  0 = porta livre qualquer (testes)
+ * @param {string} [options.host="127.0.0.1"]
+ * @param {string} [options.path="/mcp"]
+ * @param {string[]} [options.tokens=[]]  Tokens Bearer aceitos (vazio: sem autenticação)
+ * @param {number} [options.idleMs=1800000]  Sessão sem requisições nem stream aberto por esse tempo é encerrada
+ * @param {number} [options.maxBodyBytes=4194304]
+ * @param {() => import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} options.createServer
+ *   Cria o McpServer (com as ferramentas registradas) de uma nova sessão
+ */
+export function createHttpTransportServer({
+  port,
+  host = "127.0.0.1",
+  path = "/mcp",
+  tokens = [],
+  idleMs = DEFAULT_IDLE_MS,
+  maxBodyBytes = DEFAULT_MAX_BODY_BYTES,
+  createServer,
+}) {
+  const basePath = path.replace(/\/+$/, "");
+  /** @type {Map<string, { transport: object, server: object, lastSeen: number, openRequests: number }>} */
+  const sessions = new Map();
+  let httpServer = null;
+  let sweepTimer = null;
+
+  async function openSession(req, res, body) {
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (sessionId) => {
+        sessions.set(sessionId, { transport, server, lastSeen: Date.now(), openRequests: 0 });
+        console.error(`[ChatGuru] Sessão MCP aberta: ${sessionId} (${sessions.size} ativa(s)).`);
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        console.error(`[ChatGuru] Sessão MCP encerrada: ${transport.sessionId} (${sessions.size} ativa(s)).`);
+      }
+    };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+    // Initialize recusado pelo transporte: a sessão não chegou a existir
+    if (!transport.sessionId || !sessions.has(transport.sessionId)) await server.close();
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname.replace(/\/+$/, "") !== basePath) throw new HttpError(404, "Caminho não encontrado.");
+
+    if (tokens.length === 0 && !isLoopbackHostHeader(req.headers.host)) {
+      throw new HttpError(403, "Servidor sem token só aceita requisições para localhost.");
+    }
+    if (!isAuthorized(req.headers.authorization, tokens)) {
+      sendError(res, 401, "Token ausente ou inválido: envie Authorization: Bearer <token>.", { "WWW-Authenticate": "Bearer" });
+      return;
+    }
+
+    const body = req.method === "POST" ? await readJsonBody(req, maxBodyBytes) : undefined;
+    const sessionId = req.headers["mcp-session-id"];
+
+    if (!sessionId) {
+      if (req.method === "POST" && isInitializeRequest(body)) return openSession(req, res, body);
+      throw new HttpError(400, "Sem Mcp-Session-Id: inicie a sessão com uma requisição initialize.");
+    }
+
+    const session = sessions.get(sessionId);
+    // 404 faz o cliente abrir uma sessão nova (ex: após reinício do servidor ou sessão expirada)
+    if (!session) throw new HttpError(404, "Sessão não encontrada ou expirada.");
+
+    session.openRequests++;
+    session.lastSeen = Date.now();
+    res.once("close", () => {
+      session.openRequests--;
+      session.lastSeen = Date.now();
+    });
+    await session.transport.handleRequest(req, res, body);
+  }
+
+  function sweepIdleSessions() {
+    const cutoff = Date.now() - idleMs;
+    for (const [sessionId, session] of sessions) {
+      if (session.openRequests > 0 || session.lastSeen > cutoff) continue;
+      console.error(`[ChatGuru] Sessão MCP ${sessionId} inativa; encerrando.`);
+      session.server.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Começa a escutar. Resolve com a porta efetiva.
+   */
+  function start() {
+    return new Promise((resolve, reject) => {
+      httpServer = createHttpServer((req, res) => {
+        handle(req, res).catch((err) => {
+          const status = err instanceof HttpError ? err.status : 500;
+          if (status === 500) console.error(`[ChatGuru] Erro no transporte HTTP: ${err.message}`);
+          if (!res.headersSent) sendError(res, status, err.message);
+        });
+      });
+      httpServer.once("error", reject);
+      httpServer.listen(port, host, () => {
+        httpServer.off("error", reject);
+        sweepTimer = setInterval(sweepIdleSessions, Math.min(SWEEP_INTERVAL_MS, idleMs));
+        sweepTimer.unref();
+        resolve(httpServer.address().port);
+      });
+    });
+  }
+
+  /**
+   * Encerra as sessões abertas (streams SSE inclusos) e para de escutar.
+   */
+  async function close() {
+    clearInterval(sweepTimer);
+    await Promise.all([...sessions.values()].map((session) => session.server.close().catch(() => {})));
+    if (!httpServer) return;
+    await new Promise((resolve) => {
+      httpServer.close(() => resolve());
+      httpServer.closeAllConnections?.();
+    });
+  }
+
+  return { start, close, sessionCount: () => sessions.size };
+}
@@ -0,0 +1,130 @@
+/**
+ * Chaves de idempotência dos envios (idempotency_key).
+ *
+ * Um envio feito com chave guarda aqui a resposta da API. Repetir a chamada com a
+ * mesma chave dentro da janela devolve essa resposta em vez de chamar a API de
+ * novo: o cliente não recebe a mensagem duas vezes quando o assistente reenvia a
+ * mesma ferramenta. Chamadas simultâneas com a mesma chave esperam a primeira.
+ *
+ * Só envios bem-sucedidos ficam registrados: se a chamada falhou, repetir com a
+ * mesma chave tenta de novo. A mesma chave com outros parâmetros é recusada.
+ * O registro é persistido em JSON para sobreviver a reinícios.
+ */
+
+import { readFileSync, existsSync } from "fs";
+import { writeFile, mkdir } from "fs/promises";
+import { dirname } from "path";
+import { createHash } from "crypto";
+import { ChatGuruError } from "./errors.js";
+
+/**
+ * Impressão digital dos parâmetros da chamada (ordem das chaves não importa).
+ */
+export function fingerprint(value) {
+  const canonical = (v) => {
+    if (Array.isArray(v)) return v.map(canonical);
+    if (v && typeof v === "object") {
+      return Object.fromEntries(Object.keys(v).sort().filter((k) => v[k] !== undefined).map((k) => [k, canonical(v[k])]));
+    }
+    return v;
+  };
+  return createHash("sha256").update(JSON.stringify(canonical(value))).digest("hex");
+}
+
+/**
+ * Cria o registro de chaves.
+ *
+ * @param {object} options
+ * @param {string} options.storePath  Arquivo JSON onde as chaves são salvas
+ * @param {number} [options.windowMs=86400000]  Por quanto tempo uma chave devolve o resultado original (padrão: 24h)
+ */
+export function createIdempotencyStore({ storePath, windowMs = 24 * 60 * 60 * 1000 }) {
+  /** @type {Map<string, { scope: string, key: string, fingerprint: string, created_at: string, result: object }>} */
+  const entries = new Map();
+  /** Chamadas em andamento: id → { fingerprint, promise } */
+  const inflight = new Map();
+  let saveQueued = false;
+
+  if (existsSync(storePath)) {
+    try {
+      for (const entry of JSON.parse(readFileSync(storePath, "utf-8"))) {
+        entries.set(`${entry.scope}\n${entry.key}`, entry);
+      }
+    } catch (err) {
+      console.error(`[ChatGuru] Não foi possível ler ${storePath}: ${err.message}`);
+    }
+  }
+
+  function prune() {
+    const cutoff = Date.now() - windowMs;
+    for (const [id, entry] of entries) {
+      if (Date.parse(entry.created_at) < cutoff) entries.delete(id);
+    }
+  }
+
+  function save() {
+    if (saveQueued) return;
+    saveQueued = true;
+    setImmediate(async () => {
+      saveQueued = false;
+      try {
+        await mkdir(dirname(storePath), { recursive: true });
+        await writeFile(storePath, JSON.stringify([...entries.values()], null, 2));
+      } catch (err) {
+        console.error(`[ChatGuru] Erro ao salvar ${storePath}: ${err.message}`);
+      }
+    });
+  }
+
+  function reused(key) {
+    return new ChatGuruError("validation",
+      `idempotency_key "${key}" já foi usada com outros parâmetros. Nada foi enviado.`,
+      { hint: "Use uma chave nova para cada envio diferente." });
+  }
+
+  /**
+   * Executa a chamada uma única vez por chave dentro da janela.
+   *
+   * @param {object} call
+   * @param {string} call.scope  Onde a chave vale (ex: o perfil)
+   * @param {string} call.key  idempotency_key informada pelo cliente
+   * @param {string} call.fingerprint  fingerprint() dos parâmetros da chamada
+   * @param {() => Promise<object>} execute  Faz a chamada de fato
+   * @returns {Promise<{ result: object, replayed: boolean, created_at: string }>}
+   * @throws {ChatGuruError} validation se a chave já foi usada com outros parâmetros
+   */
+  async function run({ scope, key, fingerprint: print }, execute) {
+    const id = `${scope}\n${key}`;
+    prune();
+
+    const entry = entries.get(id);
+    if (entry) {
+      if (entry.fingerprint !== print) throw reused(key);
+      return { result: entry.result, replayed: true, created_at: entry.created_at };
+    }
+
+    const pending = inflight.get(id);
+    if (pending) {
+      if (pending.fingerprint !== print) throw reused(key);
+      const { result, created_at } = await pending.promise;
+      return { result, replayed: true, created_at };
+    }
+
+    const promise = (async () => {
+      const result = await execute();
+      const created_at = new Date().toISOString();
+      entries.set(id, { scope, key, fingerprint: print, created_at, result });
+      save();
+      return { result, created_at };
+    })();
+    inflight.set(id, { fingerprint: print, promise });
+    try {
+      const { result, created_at } = await promise;
+      return { result, replayed: false, created_at };
+    } finally {
+      inflight.delete(id);
+    }
+  }
+
+  return { run };
+}
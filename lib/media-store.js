@@ -0,0 +1,100 @@
+/**
+ * Anexos baixados das conversas (chatguru_download_media).
+ *
+ * Cada arquivo é salvo com o hash SHA-256 do conteúdo como nome (mais a extensão
+ * do tipo): o mesmo anexo baixado de novo cai no mesmo arquivo, e outras
+ * ferramentas (transcrição, OCR) recebem um caminho estável.
+ *
+ * O tipo MIME vem, nesta ordem, do cabeçalho Content-Type da resposta, do tipo
+ * declarado no HTML do painel, da assinatura do conteúdo e da extensão do nome.
+ */
+
+import { access, mkdir, rename, writeFile } from "fs/promises";
+import { extname, join } from "path";
+import { createHash, randomBytes } from "crypto";
+import { MIME_TYPES, sniffContent } from "./file-upload.js";
+
+// Tipos genéricos: não dizem nada sobre o conteúdo
+const GENERIC_MIME = new Set(["application/octet-stream", "binary/octet-stream", "application/download", "application/force-download"]);
+
+// Família da assinatura (sniffContent) → tipo MIME
+const SNIFFED_MIME = {
+  pdf: "application/pdf",
+  png: "image/png",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  mp4: "video/mp4",
+  ogg: "audio/ogg",
+  amr: "audio/amr",
+  mp3: "audio/mpeg",
+  aac: "audio/aac",
+  zip: "application/zip",
+};
+
+// Extensões de tipos que o WhatsApp entrega mas não aceita no envio (MIME_TYPES)
+const EXTRA_EXTENSIONS = {
+  "image/webp": ".webp",
+  "image/gif": ".gif",
+  "video/quicktime": ".mov",
+  "audio/webm": ".weba",
+  "video/webm": ".webm",
+  "application/zip": ".zip",
+};
+
+function baseMime(value) {
+  const mime = String(value || "").split(";")[0].trim().toLowerCase();
+  return mime && !GENERIC_MIME.has(mime) ? mime : null;
+}
+
+/**
+ * Tipo MIME do anexo baixado.
+ *
+ * @param {object} source
+ * @param {Buffer} source.buffer
+ * @param {string} [source.contentType]  Cabeçalho Content-Type da resposta
+ * @param {string} [source.declaredType]  Tipo declarado no painel (atributo type do link/source)
+ * @param {string} [source.filename]  Nome original, se conhecido
+ * @returns {string}
+ */
+export function detectMediaType({ buffer, contentType, declaredType, filename }) {
+  return baseMime(contentType)
+    || baseMime(declaredType)
+    || SNIFFED_MIME[sniffContent(buffer)]
+    || (filename && MIME_TYPES[extname(filename).toLowerCase()])
+    || "application/octet-stream";
+}
+
+/**
+ * Extensão para salvar um arquivo do tipo informado (a do nome original, se o tipo não tiver uma conhecida).
+ */
+export function extensionFor(mime, filename) {
+  const known = Object.keys(MIME_TYPES).find((ext) => MIME_TYPES[ext] === mime) || EXTRA_EXTENSIONS[mime];
+  if (known) return known;
+  const original = filename ? extname(filename).toLowerCase() : "";
+  return /^\.[a-z0-9]{1,8}$/.test(original) ? original : ".bin";
+}
+
+/**
+ * Salva o conteúdo em dir/<sha256><ext>. Se o arquivo já existe (mesmo conteúdo), não regrava.
+ *
+ * @returns {Promise<{ path: string, sha256: string, mime_type: string, size: number, already_saved: boolean }>}
+ */
+export async function saveMedia({ dir, buffer, mime, filename }) {
+  const sha256 = createHash("sha256").update(buffer).digest("hex");
+  const path = join(dir, `${sha256}${extensionFor(mime, filename)}`);
+  const result = { path, sha256, mime_type: mime, size: buffer.length, already_saved: false };
+
+  try {
+    await access(path);
+    return { ...result, already_saved: true };
+  } catch {
+    // ainda não existe
+  }
+  await mkdir(dir, { recursive: true });
+  // Grava em arquivo temporário e renomeia: quem lê o caminho nunca vê um arquivo pela metade
+  const temp = `${path}.${randomBytes(4).toString("hex")}.tmp`;
+  await writeFile(temp, buffer);
+  await rename(temp, path);
+  return result;
+}
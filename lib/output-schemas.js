@@ -0,0 +1,345 @@
+/**
+ * Schemas de saída das ferramentas (outputSchema do MCP).
+ *
+ * Além do texto para leitura, cada ferramenta devolve o resultado em
+ * structuredContent, validado pelo SDK contra o schema declarado aqui: o cliente
+ * lê message_id, número normalizado, chat_add_id, status, link e filtros
+ * aplicados sem precisar interpretar o texto. Resultados de erro (isError) não
+ * trazem structuredContent.
+ *
+ * Itens de listas vindos do painel ou de arquivos locais declaram os campos
+ * principais e aceitam campos extras (passthrough), para que um campo novo no
+ * scraper não quebre a validação.
+ */
+
+import { z } from "zod";
+import { SCHEDULE_STATUSES } from "./scheduler.js";
+
+export const DELIVERY_STATUSES = ["pending", "scheduled", "sent", "delivered", "read", "failed", "unknown"];
+
+/** Resultado de uma ação de escrita */
+export const WRITE_OUTCOMES = ["success", "scheduled", "dry_run", "pending_confirmation", "cancelled"];
+
+const nullableString = z.string().nullable();
+
+// ─── ESCRITA ─────────────────────────────────────────────────────────────────
+
+export const writePreviewSchema = z.object({
+  action: z.string().describe("Action da API do ChatGuru (ex: message_send)"),
+  number: nullableString.describe("Número normalizado"),
+  params: z.record(z.any()).describe("Parâmetros que seriam enviados à API"),
+  warnings: z.array(z.string()),
+});
+
+const confirmationSchema = z.object({
+  token: z.string().describe("Token para chatguru_confirm_send"),
+  expires_at: z.string().describe("Validade do token (ISO 8601)"),
+  summary: z.string(),
+  previews: z.array(writePreviewSchema),
+});
+
+const idempotencySchema = z.object({
+  key: z.string(),
+  replayed: z.boolean().describe("true: a chave já tinha sido usada e nada foi enviado de novo"),
+  first_sent_at: z.string().describe("Quando a chamada original foi feita (ISO 8601)"),
+});
+
+/**
+ * Campos comuns às ferramentas de escrita. Conforme `outcome`, vêm preenchidos:
+ * - success: os campos da ferramenta (message_id, chat_add_id...)
+ * - scheduled: schedule_id e send_date (o envio sai na hora marcada)
+ * - dry_run: preview (nada foi enviado)
+ * - pending_confirmation: confirmation (token para chatguru_confirm_send)
+ */
+const writeShape = {
+  outcome: z.enum(WRITE_OUTCOMES),
+  tool: z.string().describe("Ferramenta que executa (ou executaria) a ação"),
+  profile: z.string(),
+  chat_number: nullableString.describe("Número normalizado (null em ações com vários destinatários)"),
+  preview: writePreviewSchema.optional(),
+  confirmation: confirmationSchema.optional(),
+  idempotency: idempotencySchema.optional().describe("Presente quando a chamada usou idempotency_key"),
+};
+
+export const sendMessageOutput = {
+  ...writeShape,
+  message_id: nullableString.optional(),
+  send_date: nullableString.optional().describe("Horário do agendamento (ISO 8601), se houver"),
+  schedule_id: z.string().optional().describe("ID do agendamento (chatguru_cancel_scheduled, chatguru_reschedule)"),
+};
+
+export const sendFileOutput = {
+  ...writeShape,
+  message_id: nullableString.optional(),
+  file: z.object({
+    name: z.string(),
+    mime_type: z.string(),
+    size: z.number().describe("Bytes"),
+    url_expires_at: nullableString.describe("Validade do link temporário entregue ao ChatGuru (ISO 8601; null em repetição)"),
+  }).optional().describe("Arquivo local enviado (file_path ou file_base64)"),
+};
+
+export const registerChatOutput = {
+  ...writeShape,
+  name: z.string().optional(),
+  chat_add_id: nullableString.optional(),
+  link: nullableString.optional(),
+};
+
+export const updateCustomFieldsOutput = {
+  ...writeShape,
+  fields: z.array(z.string()).optional().describe("Campos atualizados"),
+};
+
+export const updateChatNameOutput = {
+  ...writeShape,
+  name: z.string().optional(),
+};
+
+export const updateContextOutput = { ...writeShape };
+
+export const addNoteOutput = { ...writeShape };
+
+export const executeDialogOutput = {
+  ...writeShape,
+  dialog_id: z.string().optional(),
+};
+
+export const bulkSendOutput = {
+  ...writeShape,
+  send_date: nullableString.optional(),
+  batch_id: nullableString.optional().describe("Lote dos agendamentos (envio com send_date)"),
+  total: z.number().optional(),
+  sent: z.number().optional(),
+  simulated: z.number().optional(),
+  scheduled: z.number().optional(),
+  failed: z.number().optional(),
+  skipped: z.number().optional(),
+  results: z.array(z.object({
+    chat_number: z.string(),
+    number: nullableString.describe("Número normalizado"),
+    status: z.string().describe("enviado | agendado | simulado | erro | ignorado | cancelado"),
+    message_id: nullableString,
+    error: nullableString,
+    error_code: z.string().optional().describe("Código do erro (lib/errors.js)"),
+    replayed: z.boolean().optional().describe("Já enviado antes com a mesma idempotency_key"),
+    schedule_id: z.string().optional(),
+  }).passthrough()).optional(),
+};
+
+export const prepareSendOutput = { ...writeShape };
+
+const pendingConfirmationSchema = z.object({
+  token: z.string(),
+  expires_at: z.string(),
+  tool: z.string(),
+  profile: z.string(),
+  summary: z.string(),
+}).passthrough();
+
+// Confirmar devolve o resultado da ferramenta confirmada; sem token, a lista de pendentes
+export const confirmSendOutput = {
+  ...sendMessageOutput,
+  ...sendFileOutput,
+  ...registerChatOutput,
+  ...updateCustomFieldsOutput,
+  ...executeDialogOutput,
+  ...bulkSendOutput,
+  outcome: z.enum(WRITE_OUTCOMES).optional(),
+  tool: z.string().optional(),
+  profile: z.string().optional(),
+  chat_number: nullableString.optional(),
+  pending: z.array(pendingConfirmationSchema).optional().describe("Envios aguardando confirmação (chamada sem token)"),
+};
+
+// ─── AGENDAMENTOS ────────────────────────────────────────────────────────────
+
+export const scheduledMessageSchema = z.object({
+  id: z.string(),
+  profile: z.string(),
+  tool: z.string(),
+  number: z.string(),
+  due_at: z.string().describe("Horário do envio (ISO 8601 no fuso configurado)"),
+  batch_id: nullableString,
+  mode: z.enum(["local", "api"]).optional().describe("Quem envia: local (este servidor; pode cancelar e remarcar) ou api (ChatGuru, só listagem)"),
+  status: z.enum(SCHEDULE_STATUSES),
+  message_id: nullableString,
+  error: nullableString,
+}).passthrough();
+
+export const listScheduledOutput = {
+  filters: z.record(z.any()),
+  count: z.number(),
+  scheduled: z.array(scheduledMessageSchema),
+};
+
+// Cancelar e remarcar devolvem os agendamentos afetados
+export const scheduleChangeOutput = {
+  profile: z.string().nullable(),
+  changed: z.array(scheduledMessageSchema),
+  unchanged: z.array(scheduledMessageSchema).describe("Já enviados, em envio ou cancelados: não foram alterados"),
+};
+
+// ─── CONSULTAS NA API ────────────────────────────────────────────────────────
+
+export const messageStatusOutput = {
+  message_id: z.string(),
+  status: z.enum(DELIVERY_STATUSES),
+  raw: z.record(z.any()).describe("Resposta bruta da API"),
+};
+
+export const chatStatusOutput = {
+  chat_add_id: z.string(),
+  status: nullableString.describe("pending | fetched | done | error (como retornado pela API)"),
+  description: nullableString,
+  link: z.string(),
+};
+
+// ─── PAINEL (PLAYWRIGHT) ─────────────────────────────────────────────────────
+
+export const messageSchema = z.object({
+  key: z.string().describe("Identificador estável, usado como cursor"),
+  id: nullableString,
+  kind: z.string().describe("text | audio | image | video | document | sticker | location | contact | note | unknown"),
+  direction: z.enum(["in", "out", "internal"]),
+  author: nullableString,
+  texto: z.string(),
+  data: nullableString.describe("Data como exibida no painel"),
+  horario: z.string().describe("Horário como exibido no painel"),
+  timestamp: nullableString.describe("ISO 8601"),
+  is_note: z.boolean(),
+  status: nullableString.describe("Ticks de entrega (mensagens enviadas)"),
+}).passthrough();
+
+export const chatCardSchema = z.object({
+  contact_name: z.string(),
+  status: z.string(),
+  last_message: z.string(),
+  timestamp: z.string().describe("Texto do painel"),
+  timestamp_iso: nullableString.optional(),
+  timestamp_precision: nullableString.optional().describe("minute | day | approximate"),
+  unread_count: z.number(),
+  chat_id: z.string().describe("Vazio quando o card não expõe o ID"),
+}).passthrough();
+
+export const chatLinkOutput = {
+  profile: z.string(),
+  found: z.boolean(),
+  searched: z.array(z.string()).describe("Variantes do número pesquisadas"),
+  chat_id: nullableString,
+  link: nullableString,
+};
+
+export const readMessagesOutput = {
+  profile: z.string(),
+  chat_id: z.string(),
+  link: z.string(),
+  messages: z.array(messageSchema),
+  cursor: nullableString.describe("Mensagem mais nova (use em since)"),
+  before_cursor: nullableString.describe("Mensagem mais antiga (use em before)"),
+  has_more_before: z.boolean(),
+  has_more_after: z.boolean().optional(),
+  cursor_found: z.boolean().optional(),
+};
+
+export const downloadMediaOutput = {
+  profile: z.string(),
+  chat_id: z.string(),
+  message_key: z.string(),
+  kind: z.string(),
+  filename: nullableString.describe("Nome original do anexo, se o painel mostrar"),
+  path: z.string().describe("Caminho do arquivo salvo (na máquina do servidor MCP)"),
+  sha256: z.string(),
+  mime_type: z.string(),
+  size: z.number().describe("Bytes"),
+  already_saved: z.boolean().describe("true: o mesmo conteúdo já estava salvo"),
+};
+
+export const listChatsOutput = {
+  profile: z.string(),
+  filters: z.record(z.any()).describe("Filtros aplicados"),
+  count: z.number(),
+  chats: z.array(chatCardSchema),
+};
+
+export const scanUnreadOutput = {
+  profile: z.string(),
+  filters: z.record(z.any()).describe("Filtros aplicados"),
+  unread_chats: z.number().describe("Chats com não lidas na lista"),
+  within_period: z.number().describe("Chats dentro de max_age_days"),
+  awaiting_reply: z.number(),
+  chats: z.array(chatCardSchema.extend({
+    link: nullableString,
+    awaiting_reply: z.boolean().nullable(),
+    messages: z.array(messageSchema),
+    error: nullableString,
+  })),
+};
+
+// ─── HISTÓRICO LOCAL ─────────────────────────────────────────────────────────
+
+export const sentMessagesOutput = {
+  profile: z.string(),
+  filters: z.record(z.any()).describe("Filtros aplicados"),
+  count: z.number(),
+  counts: z.record(z.number()).describe("Quantidade por status"),
+  messages: z.array(z.object({
+    message_id: z.string(),
+    number: nullableString,
+    kind: z.string(),
+    sent_at: z.string(),
+    status: z.enum(DELIVERY_STATUSES),
+    final: z.boolean(),
+  }).passthrough()),
+};
+
+export const auditLogOutput = {
+  filters: z.record(z.any()).describe("Filtros aplicados"),
+  count: z.number(),
+  records: z.array(z.object({
+    timestamp: z.string(),
+    outcome: z.enum(["success", "error", "dry_run", "replayed"]),
+  }).passthrough()),
+};
+
+export const inboundMessagesOutput = {
+  events: z.array(z.object({
+    id: z.number(),
+    type: z.string(),
+    profile: nullableString,
+  }).passthrough()),
+  cursor: z.string().describe("Passe em since na próxima chamada"),
+  has_more: z.boolean(),
+  cursor_reset: z.boolean().optional().describe("O cursor era de um histórico apagado; a leitura recomeçou do início"),
+  listener: z.enum(["listening", "disabled", "failed"]).describe("Estado do listener de webhooks"),
+};
+
+// ─── DIAGNÓSTICO ─────────────────────────────────────────────────────────────
+
+const checkSchema = z.object({
+  status: z.string(),
+  code: z.string().optional().describe("Código do erro (lib/errors.js), quando status é error"),
+  message: z.string(),
+});
+
+export const healthCheckOutput = {
+  ok: z.boolean(),
+  checked_at: z.string(),
+  profile: z.string(),
+  server: z.string(),
+  api: checkSchema,
+  session: checkSchema.nullable().describe("null com check_panel=false"),
+  selectors: z.array(z.object({ name: z.string(), status: z.string() }).passthrough()).nullable(),
+  auto_login: z.object({ enabled: z.boolean() }).passthrough(),
+  rate_limiter: z.object({
+    per_minute: z.number(),
+    queued: z.number().describe("Chamadas aguardando na fila"),
+    queued_by_class: z.record(z.number()),
+    max_queue_depth: z.number(),
+    granted: z.number(),
+    timed_out: z.number(),
+    throttled: z.number().describe("Respostas 429 recebidas"),
+    avg_wait_ms: z.number(),
+    paused_until: nullableString,
+  }).passthrough().nullable().describe("Limitador de requisições da conta (null: desligado)"),
+};
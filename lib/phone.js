@@ -0,0 +1,239 @@
+/**
+ * Normalização de números de telefone para o formato usado pelo ChatGuru/WhatsApp:
+ * DDI + número, somente dígitos (ex: 5581991095702, 351912345678, 5491112345678).
+ *
+ * - Número com "+" (ou "00") na frente: o país é detectado pelo DDI.
+ * - Número sem DDI: interpretado no país padrão (configurável, padrão BR).
+ * - Número sem "+" mas já com DDI (ex: 5581991095702): reconhecido pelo tamanho.
+ *
+ * Cada país tem suas regras de celular (9º dígito no Brasil, "9"/"15" na
+ * Argentina, "1" no México...) e de validação. Números impossíveis geram
+ * PhoneValidationError em vez de serem enviados mutilados para a API.
+ */
+
+export class PhoneValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PhoneValidationError";
+  }
+}
+
+// DDDs brasileiros em uso (Anatel)
+const BR_DDDS = new Set([
+  11, 12, 13, 14, 15, 16, 17, 18, 19, 21, 22, 24, 27, 28,
+  31, 32, 33, 34, 35, 37, 38, 41, 42, 43, 44, 45, 46, 47, 48, 49,
+  51, 53, 54, 55, 61, 62, 63, 64, 65, 66, 67, 68, 69,
+  71, 73, 74, 75, 77, 79, 81, 82, 83, 84, 85, 86, 87, 88, 89,
+  91, 92, 93, 94, 95, 96, 97, 98, 99,
+]);
+
+/**
+ * Brasil.
+ * Regra do 9º dígito (celulares brasileiros):
+ * - DDDs 11-30 (SP, RJ, ES, MG parcial): celulares têm 9 dígitos (ex: 11 9XXXX-XXXX)
+ * - DDDs 31+ (restante do Brasil): celulares têm 8 dígitos (ex: 31 XXXX-XXXX)
+ * O ChatGuru armazena o número SEM o 9 extra para DDDs >= 31.
+ * Exemplo: 5531912345678 → 553112345678 (remove o 9 após DDD)
+ */
+function normalizeBR(nsn) {
+  const ddd = parseInt(nsn.substring(0, 2), 10);
+  if (!BR_DDDS.has(ddd)) throw new PhoneValidationError(`DDD ${nsn.substring(0, 2)} não existe no Brasil.`);
+  const rest = nsn.substring(2);
+  if (rest.length === 9 && rest[0] !== "9") {
+    throw new PhoneValidationError(`Celular brasileiro com 9 dígitos deve começar com 9 (recebido: ${rest}).`);
+  }
+  // DDDs 31+ com 9 dígitos no celular: remover o 9 extra
+  if (ddd >= 31 && rest.length === 9) return nsn.substring(0, 2) + rest.substring(1);
+  return nsn;
+}
+
+function variantsBR(nsn) {
+  const ddd = parseInt(nsn.substring(0, 2), 10);
+  const rest = nsn.substring(2);
+  const variants = [];
+  if (ddd >= 31) {
+    // Se tem 8 dígitos após DDD, tentar com 9 na frente
+    if (rest.length === 8) variants.push(nsn.substring(0, 2) + "9" + rest);
+    // Se tem 9 dígitos após DDD e começa com 9, tentar sem
+    if (rest.length === 9 && rest[0] === "9") variants.push(nsn.substring(0, 2) + rest.substring(1));
+  } else if (rest.length === 8) {
+    // DDDs 11-30: celular sempre tem 9 dígitos
+    variants.push(nsn.substring(0, 2) + "9" + rest);
+  }
+  return variants;
+}
+
+/**
+ * Argentina. O WhatsApp usa 54 9 + código de área + número (10 dígitos após o 9).
+ * Aceita o formato local com "15" depois do código de área (11 15 1234-5678) e
+ * números sem o 9 (11 1234-5678).
+ */
+function normalizeAR(nsn) {
+  if (nsn.length === 12) {
+    // Código de área tem 2 a 4 dígitos; o "15" vem logo depois dele
+    for (const areaLength of [2, 3, 4]) {
+      if (nsn.substring(areaLength, areaLength + 2) === "15") {
+        nsn = nsn.substring(0, areaLength) + nsn.substring(areaLength + 2);
+        break;
+      }
+    }
+  }
+  if (nsn.length === 10) nsn = "9" + nsn;
+  if (!/^9\d{10}$/.test(nsn)) {
+    throw new PhoneValidationError("Número argentino deve ter código de área + número (10 dígitos), com ou sem 9/15.");
+  }
+  return nsn;
+}
+
+function variantsAR(nsn) {
+  return [nsn.substring(1)];
+}
+
+/**
+ * México. O WhatsApp usava 52 1 + 10 dígitos; hoje usa 52 + 10 dígitos.
+ */
+function normalizeMX(nsn) {
+  if (nsn.length === 11 && nsn[0] === "1") return nsn.substring(1);
+  return nsn;
+}
+
+function variantsMX(nsn) {
+  return ["1" + nsn];
+}
+
+/**
+ * Planos de numeração suportados.
+ * - code: DDI
+ * - lengths: tamanhos válidos do número nacional (sem DDI e sem prefixo de tronco)
+ * - pattern: validação do número nacional já normalizado
+ * - trunk: prefixo de discagem nacional (ex: 0) removido da entrada
+ */
+export const COUNTRIES = {
+  BR: { name: "Brasil", code: "55", lengths: [10, 11], trunk: "0", pattern: /^\d{10,11}$/, normalize: normalizeBR, variants: variantsBR },
+  AR: { name: "Argentina", code: "54", lengths: [10, 11, 12], trunk: "0", pattern: /^9\d{10}$/, normalize: normalizeAR, variants: variantsAR },
+  PT: { name: "Portugal", code: "351", lengths: [9], pattern: /^[239]\d{8}$/ },
+  US: { name: "Estados Unidos/Canadá", code: "1", lengths: [10], pattern: /^[2-9]\d{2}[2-9]\d{6}$/ },
+  MX: { name: "México", code: "52", lengths: [10, 11], pattern: /^\d{10}$/, normalize: normalizeMX, variants: variantsMX },
+  ES: { name: "Espanha", code: "34", lengths: [9], pattern: /^[6789]\d{8}$/ },
+  FR: { name: "França", code: "33", lengths: [9], trunk: "0", pattern: /^[1-9]\d{8}$/ },
+  GB: { name: "Reino Unido", code: "44", lengths: [10], trunk: "0", pattern: /^[1-9]\d{9}$/ },
+  CL: { name: "Chile", code: "56", lengths: [9], pattern: /^[2-9]\d{8}$/ },
+  CO: { name: "Colômbia", code: "57", lengths: [10], pattern: /^[36]\d{9}$/ },
+  PE: { name: "Peru", code: "51", lengths: [8, 9], trunk: "0", pattern: /^\d{8,9}$/ },
+  PY: { name: "Paraguai", code: "595", lengths: [9], trunk: "0", pattern: /^9\d{8}$/ },
+  UY: { name: "Uruguai", code: "598", lengths: [8], trunk: "0", pattern: /^[249]\d{7}$/ },
+};
+
+// DDIs conhecidos, do mais longo para o mais curto (351 antes de 35...)
+const BY_CODE = Object.entries(COUNTRIES)
+  .map(([iso, plan]) => ({ iso, ...plan }))
+  .sort((a, b) => b.code.length - a.code.length);
+
+function countryFor(iso) {
+  const plan = COUNTRIES[String(iso || "").toUpperCase()];
+  if (!plan) {
+    throw new PhoneValidationError(`País padrão "${iso}" não suportado. Use um de: ${Object.keys(COUNTRIES).join(", ")}.`);
+  }
+  return { iso: iso.toUpperCase(), ...plan };
+}
+
+function stripTrunk(country, nsn) {
+  if (country.trunk && nsn.startsWith(country.trunk) && country.lengths.includes(nsn.length - country.trunk.length)) {
+    return nsn.substring(country.trunk.length);
+  }
+  return nsn;
+}
+
+function finish(country, nsn) {
+  const normalized = country.normalize ? country.normalize(nsn) : nsn;
+  if (!country.pattern.test(normalized)) {
+    throw new PhoneValidationError(
+      `Número inválido para ${country.name} (+${country.code}): "${nsn}". Esperado ${country.lengths.join(" ou ")} dígitos após o DDI.`
+    );
+  }
+  return { country: country.iso, code: country.code, national: normalized, number: country.code + normalized };
+}
+
+/**
+ * Interpreta um telefone em qualquer formato.
+ *
+ * @param {string} input
+ * @param {object} [options]
+ * @param {string} [options.defaultCountry="BR"]  País (ISO 3166 alfa-2) para números sem DDI
+ * @returns {{ country: string|null, code: string, national: string, number: string }}
+ * @throws {PhoneValidationError}
+ */
+export function parsePhone(input, { defaultCountry = "BR" } = {}) {
+  const raw = String(input ?? "").trim();
+  let digits = raw.replace(/\D/g, "");
+  const international = raw.startsWith("+") || digits.startsWith("00");
+  if (!raw.startsWith("+") && digits.startsWith("00")) digits = digits.substring(2);
+
+  if (digits.length < 7) throw new PhoneValidationError(`Número "${raw}" curto demais.`);
+  if (digits.length > 15) throw new PhoneValidationError(`Número "${raw}" longo demais (máximo 15 dígitos com DDI).`);
+
+  let nationalError = null;
+  if (!international) {
+    // Sem "+": primeiro tenta como número nacional do país padrão
+    const home = countryFor(defaultCountry);
+    const nsn = stripTrunk(home, digits);
+    if (home.lengths.includes(nsn.length)) {
+      try {
+        return finish(home, nsn);
+      } catch (err) {
+        // Pode ser um número estrangeiro digitado sem "+" (ex: 14155552671); tenta pelo DDI abaixo
+        nationalError = err;
+      }
+    }
+  }
+
+  // Com DDI: detectar o país pelo prefixo
+  for (const country of BY_CODE) {
+    if (!digits.startsWith(country.code)) continue;
+    // "+44 (0)7911..." — o prefixo de tronco às vezes aparece mesmo com DDI
+    const nsn = stripTrunk(country, digits.substring(country.code.length));
+    if (international) return finish(country, nsn);
+    if (!country.lengths.includes(nsn.length)) continue;
+    try {
+      return finish(country, nsn);
+    } catch (err) {
+      // Sem "+", o erro do país padrão costuma ser o mais útil
+      throw nationalError || err;
+    }
+  }
+
+  if (international) {
+    // DDI fora da tabela: aceita qualquer número E.164 plausível, sem regras de celular
+    if (digits.length >= 8) return { country: null, code: "", national: digits, number: digits };
+    throw new PhoneValidationError(`Número internacional "${raw}" curto demais.`);
+  }
+
+  if (nationalError) throw nationalError;
+  throw new PhoneValidationError(
+    `Não foi possível interpretar "${raw}". Informe o número com DDI (ex: +55 81 99109-5702, +351 912 345 678).`
+  );
+}
+
+/**
+ * Normaliza para DDI + número, somente dígitos.
+ * Aceita: +55 (81) 91095702, 55 81 9109-5702, 81991095702, +351 912 345 678, +54 9 11 1234-5678
+ */
+export function normalizePhone(input, options) {
+  return parsePhone(input, options).number;
+}
+
+/**
+ * Gera variantes de busca para um número.
+ * Retorna array com o número normalizado + variantes aceitas pelo WhatsApp
+ * (com/sem 9º dígito no Brasil, com/sem 9 na Argentina, com/sem 1 no México).
+ * Útil para busca no Playwright onde o formato exato pode variar.
+ */
+export function phoneSearchVariants(input, options) {
+  const parsed = parsePhone(input, options);
+  const variants = [parsed.number];
+  const country = parsed.country ? COUNTRIES[parsed.country] : null;
+  if (country?.variants) {
+    for (const national of country.variants(parsed.national)) variants.push(parsed.code + national);
+  }
+  return [...new Set(variants)];
+}
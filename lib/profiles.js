@@ -0,0 +1,247 @@
+/**
+ * Perfis de conta/número: um mesmo servidor MCP operando vários números do ChatGuru
+ * (ex: vendas e suporte), cada um com sua chave de API, servidor e sessão do painel.
+ *
+ * Sem arquivo de perfis, nada muda: um único perfil "default" é montado a partir das
+ * variáveis de ambiente de sempre (CHATGURU_API_KEY, CHATGURU_SERVER, ...).
+ *
+ * Formato do profiles.json (valores aceitam ${VARIAVEL} para manter segredos fora do arquivo):
+ *
+ *   {
+ *     "default": "vendas",
+ *     "profiles": {
+ *       "vendas":  { "api_key": "${VENDAS_API_KEY}", "account_id": "...", "phone_id": "...", "server": "17" },
+ *       "suporte": { "api_key": "${SUPORTE_API_KEY}", "account_id": "...", "phone_id": "...", "server": "21",
+ *                    "login_email": "...", "login_password": "${SUPORTE_SENHA}" }
+ *     }
+ *   }
+ *
+ * O perfil padrão usa os arquivos de sempre (session.json, data/credentials.enc); os demais
+ * usam arquivos com o próprio nome (sessions/<perfil>.json, data/credentials-<perfil>.enc).
+ */
+
+import { existsSync } from "fs";
+import { readFile } from "fs/promises";
+import { dirname, join, resolve } from "path";
+
+export class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProfileError";
+  }
+}
+
+export const LEGACY_PROFILE_NAME = "default";
+
+const PROFILE_NAME_RE = /^[a-z0-9][a-z0-9_-]*$/i;
+const API_FIELDS = ["api_key", "account_id", "phone_id"];
+const STRING_FIELDS = [
+  ...API_FIELDS, "server", "session_file",
+  "login_email", "login_password", "login_totp_secret", "credentials_file", "credentials_passphrase",
+];
+
+/**
+ * Substitui ${VARIAVEL} pelos valores de env.
+ * Retorna { value, missing } — missing lista as variáveis não definidas.
+ */
+function interpolate(text, env) {
+  const missing = [];
+  const value = String(text).replace(/\$\{(\w+)\}/g, (_, name) => {
+    if (env[name] === undefined || env[name] === "") {
+      missing.push(name);
+      return "";
+    }
+    return env[name];
+  });
+  return { value, missing };
+}
+
+/**
+ * Monta o perfil normalizado a partir da configuração crua (já com nomes validados).
+ */
+function buildProfile(name, raw, { env, baseDir, configDir = baseDir, dataDir, isDefault, requireApi }) {
+  const profile = { name };
+  for (const field of STRING_FIELDS) {
+    const rawValue = raw[field];
+    if (rawValue === undefined || rawValue === null || rawValue === "") {
+      profile[field] = null;
+      continue;
+    }
+    // env null: valores literais (já vieram do ambiente, nada a interpolar)
+    const { value, missing } = env ? interpolate(rawValue, env) : { value: String(rawValue), missing: [] };
+    if (missing.length) {
+      // Scripts que só usam o painel (login.js) não precisam dos segredos da API
+      if (!requireApi) {
+        profile[field] = null;
+        continue;
+      }
+      throw new ProfileError(`Perfil "${name}": variável ${missing.join(", ")} não definida (campo ${field}).`);
+    }
+    profile[field] = value.trim() || null;
+  }
+
+  const required = requireApi ? [...API_FIELDS, "server"] : ["server"];
+  const absent = required.filter((field) => !profile[field]);
+  if (absent.length) {
+    throw new ProfileError(`Perfil "${name}" sem ${absent.join(", ")}.`);
+  }
+  if (!/^\d+$/.test(profile.server)) {
+    throw new ProfileError(`Perfil "${name}": server "${profile.server}" deve ser o número do servidor (ex: 17).`);
+  }
+  if (Boolean(profile.login_email) !== Boolean(profile.login_password)) {
+    throw new ProfileError(`Perfil "${name}": defina login_email e login_password juntos.`);
+  }
+
+  profile.session_path = profile.session_file
+    ? resolve(configDir, profile.session_file)
+    : join(baseDir, isDefault ? "session.json" : join("sessions", `${name}.json`));
+  profile.credentials_path = profile.credentials_file
+    ? resolve(configDir, profile.credentials_file)
+    : join(dataDir, isDefault ? "credentials.enc" : `credentials-${name}.enc`);
+  profile.is_default = isDefault;
+  return profile;
+}
+
+/**
+ * Perfil único montado das variáveis de ambiente (modo sem profiles.json).
+ */
+function legacyProfiles({ env, baseDir, dataDir, requireApi }) {
+  const raw = {
+    api_key: env.CHATGURU_API_KEY,
+    account_id: env.CHATGURU_ACCOUNT_ID,
+    phone_id: env.CHATGURU_PHONE_ID,
+    server: env.CHATGURU_SERVER,
+    login_email: env.CHATGURU_LOGIN_EMAIL,
+    login_password: env.CHATGURU_LOGIN_PASSWORD,
+    login_totp_secret: env.CHATGURU_LOGIN_TOTP_SECRET,
+    credentials_file: env.CHATGURU_CREDENTIALS_FILE,
+    credentials_passphrase: env.CHATGURU_CREDENTIALS_PASSPHRASE,
+  };
+  const required = requireApi
+    ? ["CHATGURU_API_KEY", "CHATGURU_ACCOUNT_ID", "CHATGURU_PHONE_ID", "CHATGURU_SERVER"]
+    : ["CHATGURU_SERVER"];
+  const absent = required.filter((key) => !env[key]);
+  if (absent.length) {
+    throw new ProfileError(
+      "Variáveis de ambiente obrigatórias não definidas.\n" +
+      `Defina: ${absent.join(", ")} (ou configure perfis em profiles.json / CHATGURU_PROFILES_FILE)`
+    );
+  }
+  const profile = buildProfile(LEGACY_PROFILE_NAME, raw, { env: null, baseDir, dataDir, isDefault: true, requireApi });
+  return { source: "env", filePath: null, defaultName: LEGACY_PROFILE_NAME, profiles: [profile] };
+}
+
+/**
+ * Valida e normaliza o conteúdo de um profiles.json.
+ *
+ * @param {object} config  JSON já parseado
+ * @param {object} options
+ * @param {object} [options.env=process.env]  Valores para ${VARIAVEL}
+ * @param {string} options.baseDir  Diretório do projeto (sessões padrão: session.json, sessions/)
+ * @param {string} [options.configDir=baseDir]  Base dos caminhos relativos (session_file, credentials_file)
+ * @param {string} options.dataDir  Diretório de dados (arquivo de credenciais padrão)
+ * @param {boolean} [options.requireApi=true]  Exige api_key/account_id/phone_id
+ * @returns {{ defaultName: string, profiles: object[] }}
+ * @throws {ProfileError}
+ */
+export function parseProfiles(config, { env = process.env, baseDir, configDir = baseDir, dataDir, requireApi = true }) {
+  const entries = Object.entries(config?.profiles || {});
+  if (entries.length === 0) {
+    throw new ProfileError('Nenhum perfil definido (esperado: { "profiles": { "nome": { ... } } }).');
+  }
+  for (const [name, raw] of entries) {
+    if (!PROFILE_NAME_RE.test(name)) {
+      throw new ProfileError(`Nome de perfil inválido: "${name}" (use letras, números, - e _).`);
+    }
+    if (!raw || typeof raw !== "object") {
+      throw new ProfileError(`Perfil "${name}" deve ser um objeto.`);
+    }
+  }
+
+  const defaultName = config.default ?? entries[0][0];
+  if (!config.profiles[defaultName]) {
+    throw new ProfileError(`Perfil padrão "${defaultName}" não existe. Disponíveis: ${entries.map(([n]) => n).join(", ")}.`);
+  }
+
+  const profiles = entries.map(([name, raw]) =>
+    buildProfile(name, raw, { env, baseDir, configDir, dataDir, isDefault: name === defaultName, requireApi }));
+
+  const sessions = new Map();
+  for (const profile of profiles) {
+    const other = sessions.get(profile.session_path);
+    if (other) throw new ProfileError(`Perfis "${other}" e "${profile.name}" usam o mesmo arquivo de sessão.`);
+    sessions.set(profile.session_path, profile.name);
+  }
+
+  return { defaultName, profiles };
+}
+
+/**
+ * Carrega os perfis: do arquivo (CHATGURU_PROFILES_FILE ou <baseDir>/profiles.json),
+ * ou, se ele não existir, o perfil único das variáveis de ambiente.
+ *
+ * @param {object} options
+ * @param {object} [options.env=process.env]
+ * @param {string} options.baseDir  Diretório do projeto (onde fica o profiles.json padrão)
+ * @param {string} options.dataDir
+ * @param {boolean} [options.requireApi=true]
+ * @returns {Promise<{ source: "file"|"env", filePath: string|null, defaultName: string, profiles: object[] }>}
+ * @throws {ProfileError}
+ */
+export async function loadProfiles({ env = process.env, baseDir, dataDir, requireApi = true }) {
+  const explicitPath = env.CHATGURU_PROFILES_FILE;
+  const filePath = explicitPath ? resolve(explicitPath) : join(baseDir, "profiles.json");
+
+  if (!existsSync(filePath)) {
+    if (explicitPath) throw new ProfileError(`CHATGURU_PROFILES_FILE aponta para ${filePath}, que não existe.`);
+    return legacyProfiles({ env, baseDir, dataDir, requireApi });
+  }
+
+  let config;
+  try {
+    config = JSON.parse(await readFile(filePath, "utf-8"));
+  } catch (err) {
+    throw new ProfileError(`Não foi possível ler ${filePath}: ${err.message}`);
+  }
+  const parsed = parseProfiles(config, { env, baseDir, configDir: dirname(filePath), dataDir, requireApi });
+  return { source: "file", filePath, ...parsed };
+}
+
+/**
+ * Escolhe um perfil pelo nome (sem nome: o padrão).
+ * @throws {ProfileError} se o nome não existe
+ */
+export function selectProfile({ defaultName, profiles }, name) {
+  const wanted = name || defaultName;
+  const profile = profiles.find((p) => p.name === wanted);
+  if (!profile) {
+    throw new ProfileError(`Perfil "${wanted}" não existe. Disponíveis: ${profiles.map((p) => p.name).join(", ")}.`);
+  }
+  return profile;
+}
+
+/**
+ * Origem das credenciais de re-login do perfil, no formato esperado por loadCredentials().
+ */
+export function profileCredentialsSource(profile) {
+  return {
+    env: {
+      CHATGURU_LOGIN_EMAIL: profile.login_email || undefined,
+      CHATGURU_LOGIN_PASSWORD: profile.login_password || undefined,
+      CHATGURU_LOGIN_TOTP_SECRET: profile.login_totp_secret || undefined,
+      CHATGURU_CREDENTIALS_PASSPHRASE: profile.credentials_passphrase || undefined,
+    },
+    filePath: profile.credentials_path,
+  };
+}
+
+/**
+ * Lê --profile=<nome> (ou --profile <nome>) dos argumentos de linha de comando dos scripts.
+ */
+export function profileArg(argv = process.argv.slice(2)) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--profile=")) return argv[i].slice("--profile=".length);
+    if (argv[i] === "--profile") return argv[i + 1];
+  }
+  return undefined;
+}
@@ -0,0 +1,211 @@
+/**
+ * Prompts MCP para os fluxos de atendimento mais repetidos (resumir e responder,
+ * triagem de não lidas, qualificação de lead).
+ *
+ * Cada prompt declara o que precisa ser lido do ChatGuru antes de montar o texto
+ * (prefetch) e um template com placeholders {{variavel}}. O texto pode ser
+ * ajustado por equipe em um prompts.json local, sem mexer no código:
+ *
+ *   {
+ *     "team_context": "Somos o suporte da ACME. Tom cordial, sem gírias.",
+ *     "prompts": {
+ *       "qualify_lead": { "fields": ["segmento", "orcamento", "prazo"] },
+ *       "triage_unread": { "enabled": false },
+ *       "follow_up": {
+ *         "description": "Mensagem de follow-up para um orçamento sem resposta",
+ *         "prefetch": "messages",
+ *         "template": ["Escreva um follow-up curto para o cliente.", "", "{{conversation}}"]
+ *       }
+ *     }
+ *   }
+ *
+ * Prompts já existentes aceitam só os campos que se quer mudar; prompts novos
+ * precisam de description e template. "template" aceita string ou lista de linhas.
+ *
+ * Placeholders: {{team_context}}, {{profile}}, {{today}}; com prefetch "messages":
+ * {{chat_id}}, {{link}}, {{conversation}}, {{message_count}}; com "unread":
+ * {{unread_chats}}, {{chat_count}}; e {{fields}} (lista "fields" do prompt).
+ */
+
+import { existsSync } from "fs";
+import { readFile } from "fs/promises";
+import { join, resolve } from "path";
+
+export class PromptConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PromptConfigError";
+  }
+}
+
+/** O que é lido do ChatGuru antes de montar o prompt */
+export const PREFETCH_KINDS = ["messages", "unread", "none"];
+
+const PROMPT_NAME_RE = /^[a-z0-9][a-z0-9_-]*$/i;
+
+export const DEFAULT_PROMPTS = {
+  summarize_and_reply: {
+    description: "Resume uma conversa do ChatGuru e propõe a próxima resposta ao cliente. A conversa é carregada do painel antes do prompt.",
+    prefetch: "messages",
+    template: [
+      "{{team_context}}",
+      "",
+      "Resuma a conversa abaixo do ChatGuru (chat {{chat_id}}, perfil {{profile}}) e proponha a próxima resposta ao cliente.",
+      "",
+      "Formato:",
+      "1. Resumo em até 5 tópicos: o que o cliente quer, o que já foi respondido e o que está pendente.",
+      "2. Humor do cliente e urgência.",
+      "3. Sugestão de resposta, pronta para enviar, no tom da conversa.",
+      "",
+      "Não envie nada sem aprovação do atendente. Aprovada a resposta, use chatguru_prepare_send (ou chatguru_send_message) com o número do cliente.",
+      "",
+      "Link: {{link}}",
+      "",
+      "Conversa (mais antigas primeiro):",
+      "{{conversation}}",
+    ],
+  },
+  triage_unread: {
+    description: "Triagem dos chats com mensagens não lidas: prioridade e próxima ação de cada um. Os chats são lidos do painel antes do prompt.",
+    prefetch: "unread",
+    template: [
+      "{{team_context}}",
+      "",
+      "Faça a triagem dos {{chat_count}} chat(s) com mensagens não lidas abaixo (perfil {{profile}}, hoje é {{today}}).",
+      "",
+      "Para cada chat, uma linha com: contato, o que o cliente pede, prioridade (alta, média ou baixa) e a próxima ação sugerida.",
+      "Ordene por prioridade e destaque quem aguarda resposta há mais tempo. No fim, aponte os chats que podem ser respondidos com uma mensagem padrão.",
+      "",
+      "{{unread_chats}}",
+    ],
+  },
+  qualify_lead: {
+    description: "Qualifica o lead de uma conversa e propõe o preenchimento dos campos personalizados no ChatGuru. A conversa é carregada do painel antes do prompt.",
+    prefetch: "messages",
+    fields: ["interesse", "orcamento", "prazo", "decisor"],
+    template: [
+      "{{team_context}}",
+      "",
+      "Qualifique o lead da conversa abaixo (chat {{chat_id}}, perfil {{profile}}).",
+      "",
+      "Campos a preencher: {{fields}}.",
+      "",
+      "Para cada campo, informe o valor encontrado e o trecho da conversa que o justifica; use \"desconhecido\" quando a conversa não trouxer a informação.",
+      "Depois mostre a chamada a chatguru_update_custom_fields com os campos encontrados e só a execute após aprovação do atendente.",
+      "Se faltar informação importante, sugira uma pergunta para fazer ao cliente.",
+      "",
+      "Link: {{link}}",
+      "",
+      "Conversa:",
+      "{{conversation}}",
+    ],
+  },
+};
+
+function templateText(name, template) {
+  if (Array.isArray(template) && template.every((line) => typeof line === "string")) return template.join("\n");
+  if (typeof template === "string") return template;
+  throw new PromptConfigError(`Prompt "${name}": template deve ser texto ou lista de linhas.`);
+}
+
+/**
+ * Valida o conteúdo de um prompts.json e o combina com os prompts padrão.
+ *
+ * @param {object} [config]  JSON já parseado (vazio: só os padrões)
+ * @returns {{ teamContext: string, prompts: { name: string, description: string, prefetch: string, template: string, fields: string[] }[] }}
+ * @throws {PromptConfigError}
+ */
+export function parsePromptConfig(config = {}) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new PromptConfigError("prompts.json deve conter um objeto.");
+  }
+  const teamContext = config.team_context === undefined ? "" : templateText("team_context", config.team_context);
+  const overrides = config.prompts ?? {};
+  if (typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new PromptConfigError('"prompts" deve ser um objeto { "nome": { ... } }.');
+  }
+
+  const names = [...new Set([...Object.keys(DEFAULT_PROMPTS), ...Object.keys(overrides)])];
+  const prompts = [];
+  for (const name of names) {
+    const override = overrides[name] ?? {};
+    if (!PROMPT_NAME_RE.test(name)) {
+      throw new PromptConfigError(`Nome de prompt inválido: "${name}" (use letras, números, - e _).`);
+    }
+    if (typeof override !== "object" || Array.isArray(override)) {
+      throw new PromptConfigError(`Prompt "${name}" deve ser um objeto.`);
+    }
+    if (override.enabled === false) continue;
+
+    const base = DEFAULT_PROMPTS[name];
+    const merged = { ...base, ...override };
+    if (!base && (!merged.description || merged.template === undefined)) {
+      throw new PromptConfigError(`Prompt "${name}" precisa de description e template.`);
+    }
+    const prefetch = merged.prefetch ?? "messages";
+    if (!PREFETCH_KINDS.includes(prefetch)) {
+      throw new PromptConfigError(`Prompt "${name}": prefetch "${prefetch}" inválido. Use: ${PREFETCH_KINDS.join(", ")}.`);
+    }
+    const fields = merged.fields ?? [];
+    if (!Array.isArray(fields) || !fields.every((f) => typeof f === "string")) {
+      throw new PromptConfigError(`Prompt "${name}": fields deve ser uma lista de nomes.`);
+    }
+
+    prompts.push({ name, description: String(merged.description), prefetch, template: templateText(name, merged.template), fields });
+  }
+  return { teamContext, prompts };
+}
+
+/**
+ * Carrega os prompts: padrão + CHATGURU_PROMPTS_FILE ou <baseDir>/prompts.json, se existir.
+ *
+ * @param {object} options
+ * @param {object} [options.env=process.env]
+ * @param {string} options.baseDir
+ * @returns {Promise<{ source: "file"|"default", filePath: string|null, teamContext: string, prompts: object[] }>}
+ * @throws {PromptConfigError}
+ */
+export async function loadPrompts({ env = process.env, baseDir }) {
+  const explicitPath = env.CHATGURU_PROMPTS_FILE;
+  const filePath = explicitPath ? resolve(explicitPath) : join(baseDir, "prompts.json");
+
+  if (!existsSync(filePath)) {
+    if (explicitPath) throw new PromptConfigError(`CHATGURU_PROMPTS_FILE aponta para ${filePath}, que não existe.`);
+    return { source: "default", filePath: null, ...parsePromptConfig() };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(await readFile(filePath, "utf-8"));
+  } catch (err) {
+    throw new PromptConfigError(`Não foi possível ler ${filePath}: ${err.message}`);
+  }
+  return { source: "file", filePath, ...parsePromptConfig(config) };
+}
+
+/**
+ * Substitui os placeholders conhecidos (vars); desconhecidos ficam como estão, para
+ * que um erro de digitação no prompts.json apareça no texto. Linhas em branco
+ * deixadas por variáveis vazias (ex: sem team_context) são compactadas.
+ */
+export function renderPrompt(template, vars) {
+  return template
+    .replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (placeholder, key) => (key in vars ? String(vars[key] ?? "") : placeholder))
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Transcrição compacta das mensagens (formato de chatguru_read_messages) para o prompt:
+ * uma linha por mensagem, com data, remetente e texto.
+ */
+export function formatTranscript(messages) {
+  if (!messages.length) return "(nenhuma mensagem)";
+  return messages.map((m) => {
+    const when = m.timestamp ? m.timestamp.slice(0, 16).replace("T", " ") : [m.data, m.horario].filter(Boolean).join(" ");
+    const who = m.is_note ? "Nota interna" : m.direction === "out" ? "Atendente" : "Cliente";
+    const author = m.author && m.direction !== "in" ? ` (${m.author})` : "";
+    const quote = m.quoted?.texto ? ` [em resposta a: "${m.quoted.texto.slice(0, 80)}"]` : "";
+    return `[${when || "?"}] ${who}${author}:${quote} ${m.texto || `[${m.kind}]`}`;
+  }).join("\n");
+}
@@ -0,0 +1,198 @@
+/**
+ * Limitador de requisições à API do ChatGuru (token bucket + fila com prioridade).
+ *
+ * Toda chamada à API passa por acquire(action) antes do fetch. Cada chamada
+ * consome um token do balde da conta e do balde da sua classe (e da action,
+ * se ela tiver orçamento próprio):
+ *
+ * - send: envios (mensagem, arquivo, diálogo, registro de chat) — atendidos primeiro
+ * - update: campos, nome, contexto, notas
+ * - read: consultas de status (inclui o acompanhamento de entregas em segundo plano)
+ *
+ * Sem token disponível, a chamada espera na fila (prioridade da classe, depois
+ * ordem de chegada). Uma classe sem orçamento não trava as outras, mas o balde
+ * da conta é compartilhado: se ele está vazio, ninguém passa na frente de quem
+ * tem mais prioridade. Um 429 com Retry-After pausa a fila inteira (pause()), e
+ * as liberações seguintes saem com jitter para não baterem na API ao mesmo tempo.
+ */
+
+import { ChatGuruError } from "./errors.js";
+
+/** Ordem de atendimento na fila */
+export const ACTION_CLASSES = ["send", "update", "read"];
+
+/** Classe de cada action da API (actions desconhecidas contam como read) */
+export const ACTION_CLASS = {
+  message_send: "send",
+  message_file_send: "send",
+  dialog_execute: "send",
+  chat_add: "send",
+  chat_update_custom_fields: "update",
+  chat_update_name: "update",
+  chat_update_context: "update",
+  note_add: "update",
+  message_status: "read",
+  chat_add_status: "read",
+};
+
+/**
+ * Lê o orçamento por classe/action: "send=20,update=30,message_status=10"
+ * (requisições por minuto).
+ *
+ * @returns {Object<string, number>}
+ * @throws {Error} se a chave não é classe nem action conhecida, ou o valor não é positivo
+ */
+export function parseRateLimits(spec) {
+  const limits = {};
+  for (const part of String(spec || "").split(",").map((p) => p.trim()).filter(Boolean)) {
+    const [key, value] = part.split("=").map((p) => p?.trim());
+    if (!ACTION_CLASSES.includes(key) && !ACTION_CLASS[key]) {
+      throw new Error(`"${key}" não é classe (${ACTION_CLASSES.join(", ")}) nem action da API (${Object.keys(ACTION_CLASS).join(", ")}).`);
+    }
+    const perMinute = Number(value);
+    if (!(perMinute > 0)) throw new Error(`Limite de "${key}" inválido: "${value}" (use requisições por minuto, ex: ${key}=20).`);
+    limits[key] = perMinute;
+  }
+  return limits;
+}
+
+// Rajada permitida: o equivalente a 10s do limite (mínimo 1)
+function createBucket(perMinute, now) {
+  const capacity = Math.max(1, Math.ceil(perMinute / 6));
+  return { perMinute, capacity, tokens: capacity, updatedAt: now };
+}
+
+function refill(bucket, now) {
+  const elapsed = now - bucket.updatedAt;
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (elapsed * bucket.perMinute) / 60000);
+  bucket.updatedAt = now;
+}
+
+/** ms até o balde ter um token inteiro */
+function waitTime(bucket) {
+  return bucket.tokens >= 1 ? 0 : Math.ceil(((1 - bucket.tokens) * 60000) / bucket.perMinute);
+}
+
+/**
+ * Cria o limitador de uma conta.
+ *
+ * @param {object} options
+ * @param {number} options.perMinute  Orçamento da conta (requisições por minuto)
+ * @param {Object<string, number>} [options.limits]  Orçamento por classe ou action (parseRateLimits)
+ * @param {number} [options.maxWaitMs=60000]  Tempo máximo na fila; depois a chamada falha com rate_limit
+ * @param {number} [options.jitterMs=250]  Variação aleatória somada a cada espera agendada
+ * @param {() => number} [options.now]
+ * @param {() => number} [options.random]
+ */
+export function createRateLimiter({ perMinute, limits = {}, maxWaitMs = 60000, jitterMs = 250, now = Date.now, random = Math.random }) {
+  const account = createBucket(perMinute, now());
+  const buckets = new Map(Object.entries(limits).map(([key, limit]) => [key, createBucket(limit, now())]));
+  const queue = [];
+  let sequence = 0;
+  let timer = null;
+  let pausedUntil = 0;
+  const metrics = { granted: 0, timed_out: 0, throttled: 0, waited_ms: 0, max_queue_depth: 0 };
+
+  function bucketsFor(waiter) {
+    return [account, buckets.get(waiter.cls), buckets.get(waiter.action)].filter(Boolean);
+  }
+
+  function grant(waiter, at) {
+    for (const bucket of bucketsFor(waiter)) bucket.tokens -= 1;
+    clearTimeout(waiter.deadline);
+    metrics.granted++;
+    metrics.waited_ms += at - waiter.enqueuedAt;
+    waiter.resolve();
+  }
+
+  function drain() {
+    clearTimeout(timer);
+    timer = null;
+    const at = now();
+    let nextDelay = Infinity;
+
+    if (at < pausedUntil) {
+      nextDelay = pausedUntil - at;
+    } else {
+      refill(account, at);
+      for (const bucket of buckets.values()) refill(bucket, at);
+      for (let i = 0; i < queue.length;) {
+        const waiter = queue[i];
+        const accountWait = waitTime(account);
+        if (accountWait > 0) {
+          nextDelay = Math.min(nextDelay, accountWait);
+          break;
+        }
+        const ownWait = Math.max(...bucketsFor(waiter).map(waitTime));
+        if (ownWait > 0) {
+          nextDelay = Math.min(nextDelay, ownWait);
+          i++;
+          continue;
+        }
+        queue.splice(i, 1);
+        grant(waiter, at);
+      }
+    }
+
+    if (queue.length && nextDelay !== Infinity) {
+      timer = setTimeout(drain, nextDelay + Math.floor(random() * jitterMs));
+      timer.unref?.();
+    }
+  }
+
+  /**
+   * Aguarda a vez de chamar a action na API.
+   * @throws {ChatGuruError} rate_limit se passar de maxWaitMs na fila
+   */
+  function acquire(action) {
+    const cls = ACTION_CLASS[action] || "read";
+    return new Promise((resolve, reject) => {
+      const waiter = { action, cls, priority: ACTION_CLASSES.indexOf(cls), order: sequence++, enqueuedAt: now(), resolve };
+      waiter.deadline = setTimeout(() => {
+        const index = queue.indexOf(waiter);
+        if (index === -1) return;
+        queue.splice(index, 1);
+        metrics.timed_out++;
+        reject(new ChatGuruError("rate_limit",
+          `A chamada ${action} esperou ${Math.round(maxWaitMs / 1000)}s na fila da API do ChatGuru (${queue.length} na frente) sem vaga.`,
+          { retryAfterMs: Math.max(pausedUntil - now(), 0) || undefined }));
+      }, maxWaitMs);
+      waiter.deadline.unref?.();
+
+      // Mantém a fila ordenada: prioridade da classe, depois ordem de chegada
+      let index = queue.findIndex((w) => w.priority > waiter.priority);
+      if (index === -1) index = queue.length;
+      queue.splice(index, 0, waiter);
+      metrics.max_queue_depth = Math.max(metrics.max_queue_depth, queue.length);
+      drain();
+    });
+  }
+
+  /**
+   * Pausa a fila (429 com Retry-After): nenhuma chamada sai antes de ms.
+   */
+  function pause(ms) {
+    metrics.throttled++;
+    pausedUntil = Math.max(pausedUntil, now() + ms);
+    account.tokens = 0;
+    drain();
+  }
+
+  function stats() {
+    const queuedByClass = Object.fromEntries(ACTION_CLASSES.map((cls) => [cls, queue.filter((w) => w.cls === cls).length]));
+    return {
+      per_minute: perMinute,
+      limits,
+      queued: queue.length,
+      queued_by_class: queuedByClass,
+      max_queue_depth: metrics.max_queue_depth,
+      granted: metrics.granted,
+      timed_out: metrics.timed_out,
+      throttled: metrics.throttled,
+      avg_wait_ms: metrics.granted ? Math.round(metrics.waited_ms / metrics.granted) : 0,
+      paused_until: pausedUntil > now() ? new Date(pausedUntil).toISOString() : null,
+    };
+  }
+
+  return { acquire, pause, stats };
+}
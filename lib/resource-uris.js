@@ -0,0 +1,72 @@
+/**
+ * Templates de URI dos recursos MCP (chatguru://...).
+ *
+ * O UriTemplate do SDK só reconhece a query ({?a,b}) quando todos os parâmetros
+ * vêm, e na ordem do template. Nos recursos do ChatGuru eles são filtros
+ * opcionais: chatguru://chats, chatguru://chats?status=ABERTO e
+ * chatguru://chats?limit=10&status=ABERTO devem cair no mesmo template.
+ */
+
+import { UriTemplate } from "@modelcontextprotocol/sdk/shared/uriTemplate.js";
+
+/**
+ * Cria um template compatível com ResourceTemplate do SDK (match/expand/toString)
+ * cujos parâmetros de query são opcionais e aceitos em qualquer ordem.
+ * Parâmetros fora do template fazem a URI não casar.
+ *
+ * @param {string} template  ex: "chatguru://chat/{chat_id}/messages{?limit,profile}"
+ */
+export function createQueryTemplate(template) {
+  const queryStart = template.indexOf("{?");
+  const pathTemplate = new UriTemplate(queryStart === -1 ? template : template.slice(0, queryStart));
+  const queryNames = queryStart === -1 ? [] : template.slice(queryStart + 2, template.indexOf("}", queryStart)).split(",");
+  const fullTemplate = new UriTemplate(template);
+
+  function match(uri) {
+    const queryIndex = uri.indexOf("?");
+    const path = queryIndex === -1 ? uri : uri.slice(0, queryIndex);
+    const variables = pathTemplate.match(path);
+    if (!variables) return null;
+
+    for (const name of Object.keys(variables)) {
+      try {
+        variables[name] = decodeURIComponent(variables[name]);
+      } catch {
+        return null;
+      }
+    }
+    if (queryIndex !== -1) {
+      for (const [name, value] of new URLSearchParams(uri.slice(queryIndex + 1))) {
+        if (!queryNames.includes(name)) return null;
+        variables[name] = value;
+      }
+    }
+    return variables;
+  }
+
+  return {
+    match,
+    expand: (variables) => fullTemplate.expand(variables),
+    // Lido pelo McpServer para habilitar o completion dos parâmetros
+    variableNames: fullTemplate.variableNames,
+    toString: () => template,
+  };
+}
+
+/**
+ * Lê um parâmetro booleano de query ("true", "1", "sim").
+ */
+export function queryFlag(value) {
+  return /^(1|true|yes|sim)$/i.test(value || "");
+}
+
+/**
+ * Lê um parâmetro inteiro de query, limitado a [1, max].
+ * @throws {Error} se não for número
+ */
+export function queryLimit(value, { fallback, max }) {
+  if (value === undefined || value === "") return fallback;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) throw new Error(`limit "${value}" inválido: use um inteiro positivo.`);
+  return Math.min(limit, max);
+}
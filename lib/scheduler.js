@@ -0,0 +1,246 @@
+/**
+ * Registro dos envios agendados.
+ *
+ * A API do ChatGuru aceita send_date, mas não permite listar, cancelar nem mudar o
+ * horário de um envio agendado. Por isso os agendamentos são registrados aqui, com
+ * o horário (due_at), em um de dois modos (o servidor escolhe por CHATGURU_LOCAL_SCHEDULER):
+ *
+ * - api: a mensagem já foi entregue à API com send_date e sai de lá. O
+ *   registro serve só para listar; na hora marcada ele passa a "sent".
+ * - local: a mensagem é disparada pelo próprio servidor quando chega a hora, e até
+ *   lá pode ser cancelada ou remarcada. Exige o servidor rodando no horário.
+ *
+ * O registro é persistido em JSON. Ao reiniciar, envios locais que venceram com o servidor
+ * parado são disparados se o atraso for menor que a tolerância (graceMs); com atraso
+ * maior ficam como "missed", para alguém decidir se remarca. Um envio que estava em
+ * andamento quando o servidor caiu vira "failed" (não é repetido às cegas), assim como
+ * um envio que falhou por rede ou 5xx: a API pode ter enviado a mensagem antes de falhar.
+ *
+ * Status: scheduled → sending → sent | failed; ou cancelled / missed.
+ */
+
+import { readFileSync, existsSync } from "fs";
+import { writeFile, mkdir } from "fs/promises";
+import { dirname } from "path";
+import { randomBytes } from "crypto";
+
+export const SCHEDULE_STATUSES = ["scheduled", "sending", "sent", "failed", "cancelled", "missed"];
+
+/** Status que ainda podem ser cancelados ou remarcados */
+export const OPEN_STATUSES = ["scheduled", "missed"];
+
+const MAX_TIMER_MS = 60 * 60 * 1000;             // setTimeout não aceita prazos muito longos; reavalia a cada 1h
+const MAX_ATTEMPTS = 3;                          // limite de requisições (429) é tentado de novo
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;    // envios encerrados ficam 7 dias no histórico
+
+/**
+ * Cria o agendador.
+ *
+ * @param {object} options
+ * @param {string} options.storePath  Arquivo JSON onde os agendamentos são salvos
+ * @param {(entry: object) => Promise<{ message_id?: string }>} options.dispatch  Faz o envio na hora marcada
+ * @param {number} [options.graceMs=3600000]  Atraso máximo para disparar um envio vencido com o servidor parado
+ */
+export function createScheduler({ storePath, dispatch, graceMs = 60 * 60 * 1000 }) {
+  /** @type {Map<string, object>} */
+  const entries = new Map();
+  let timer = null;
+  let running = false;
+  let saveQueued = false;
+
+  if (existsSync(storePath)) {
+    try {
+      for (const entry of JSON.parse(readFileSync(storePath, "utf-8"))) {
+        entries.set(entry.id, entry);
+      }
+    } catch (err) {
+      console.error(`[ChatGuru] Não foi possível ler ${storePath}: ${err.message}`);
+    }
+  }
+
+  function prune() {
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const [id, entry] of entries) {
+      if (!OPEN_STATUSES.includes(entry.status) && entry.status !== "sending" && Date.parse(entry.updated_at) < cutoff) {
+        entries.delete(id);
+      }
+    }
+  }
+
+  function save() {
+    if (saveQueued) return;
+    saveQueued = true;
+    setImmediate(async () => {
+      saveQueued = false;
+      prune();
+      try {
+        await mkdir(dirname(storePath), { recursive: true });
+        await writeFile(storePath, JSON.stringify([...entries.values()], null, 2));
+      } catch (err) {
+        console.error(`[ChatGuru] Erro ao salvar ${storePath}: ${err.message}`);
+      }
+    });
+  }
+
+  function update(entry, fields) {
+    Object.assign(entry, fields, { updated_at: new Date().toISOString() });
+    save();
+  }
+
+  function arm() {
+    clearTimeout(timer);
+    timer = null;
+    const next = Math.min(...[...entries.values()].filter((e) => e.status === "scheduled").map((e) => Date.parse(e.due_at)));
+    if (next === Infinity) return;
+    timer = setTimeout(runDue, Math.min(Math.max(next - Date.now(), 0), MAX_TIMER_MS));
+    timer.unref?.();
+  }
+
+  async function send(entry) {
+    // Agendado na API: quem envia é o ChatGuru
+    if (entry.mode === "api") {
+      update(entry, { status: "sent", sent_at: entry.due_at });
+      return;
+    }
+    update(entry, { status: "sending", attempts: (entry.attempts || 0) + 1 });
+    try {
+      const result = await dispatch(entry);
+      update(entry, { status: "sent", sent_at: new Date().toISOString(), message_id: result?.message_id || null, error: null, error_code: null });
+    } catch (err) {
+      if (err.code === "network") {
+        // Rede ou 5xx: não dá para saber se a API enviou; disparar de novo poderia duplicar
+        update(entry, { status: "failed", error: `${err.message} Não dá para saber se a mensagem saiu: confira o chat antes de remarcar.`, error_code: err.code });
+        console.error(`[ChatGuru] Agendamento ${entry.id} com resultado incerto: ${err.message}`);
+      } else if (err.retryable && entry.attempts < MAX_ATTEMPTS) {
+        const retryAt = Date.now() + (err.retryAfterMs || 30000);
+        update(entry, { status: "scheduled", due_at: new Date(retryAt).toISOString(), error: err.message, error_code: err.code });
+        console.error(`[ChatGuru] Agendamento ${entry.id}: ${err.message}. Nova tentativa às ${new Date(retryAt).toISOString()}.`);
+      } else {
+        update(entry, { status: "failed", error: err.message, error_code: err.code || null });
+        console.error(`[ChatGuru] Agendamento ${entry.id} falhou: ${err.message}`);
+      }
+    }
+  }
+
+  async function runDue() {
+    if (running) return;
+    running = true;
+    try {
+      // Um de cada vez, na ordem do horário: o envio em massa agendado mantém a cadência
+      for (;;) {
+        const due = [...entries.values()]
+          .filter((e) => e.status === "scheduled" && Date.parse(e.due_at) <= Date.now())
+          .sort((a, b) => Date.parse(a.due_at) - Date.parse(b.due_at))[0];
+        if (!due) break;
+        await send(due);
+      }
+    } finally {
+      running = false;
+      arm();
+    }
+  }
+
+  /**
+   * Retoma os agendamentos salvos e arma o timer. Chamado uma vez, na inicialização.
+   */
+  function start() {
+    const now = Date.now();
+    for (const entry of entries.values()) {
+      if (entry.status === "sending") {
+        update(entry, {
+          status: "failed",
+          error: "O servidor parou durante o envio; não dá para saber se a mensagem saiu. Confira o chat antes de remarcar.",
+          error_code: "internal",
+        });
+      } else if (entry.status === "scheduled" && entry.mode !== "api" && now - Date.parse(entry.due_at) > graceMs) {
+        update(entry, { status: "missed", error: `Venceu em ${entry.due_at} com o servidor parado.` });
+      }
+    }
+    arm();
+  }
+
+  /**
+   * Registra um envio para o horário informado.
+   *
+   * @param {object} item
+   * @param {string} item.profile
+   * @param {string} item.tool  Ferramenta de origem (auditoria)
+   * @param {string} item.number  Número normalizado
+   * @param {object} item.params  Parâmetros de message_send (sem send_date)
+   * @param {Date} item.dueAt
+   * @param {string} [item.batchId]  Envio em massa de origem
+   * @param {"local" | "api"} [item.mode="local"]  api: já enviada à API com send_date (só registro)
+   * @param {string} [item.messageId]  message_id devolvido pela API (modo api)
+   */
+  function schedule({ profile, tool, number, params, dueAt, batchId = null, mode = "local", messageId = null }) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: randomBytes(4).toString("hex"),
+      profile,
+      tool,
+      number,
+      params,
+      due_at: dueAt.toISOString(),
+      batch_id: batchId,
+      mode,
+      status: "scheduled",
+      attempts: 0,
+      created_at: now,
+      updated_at: now,
+      sent_at: null,
+      message_id: messageId,
+      error: null,
+      error_code: null,
+    };
+    entries.set(entry.id, entry);
+    save();
+    arm();
+    return entry;
+  }
+
+  function isChangeable(entry) {
+    return entry.mode !== "api" && OPEN_STATUSES.includes(entry.status);
+  }
+
+  function get(id) {
+    return entries.get(String(id).trim()) || null;
+  }
+
+  /**
+   * Cancela um agendamento local ainda não enviado.
+   * @returns {object | null}  null se não existe; o registro inalterado se já não está aberto ou é da API
+   */
+  function cancel(id) {
+    const entry = get(id);
+    if (!entry || !isChangeable(entry)) return entry;
+    update(entry, { status: "cancelled", cancelled_at: new Date().toISOString() });
+    arm();
+    return entry;
+  }
+
+  /**
+   * Muda o horário de um agendamento ainda não enviado (também reabre um "missed").
+   * @returns {object | null}  null se não existe; o registro inalterado se já não está aberto ou é da API
+   */
+  function reschedule(id, dueAt) {
+    const entry = get(id);
+    if (!entry || !isChangeable(entry)) return entry;
+    update(entry, { status: "scheduled", due_at: dueAt.toISOString(), attempts: 0, error: null, error_code: null });
+    arm();
+    return entry;
+  }
+
+  /**
+   * Lista agendamentos pelo horário (mais próximos primeiro).
+   */
+  function list({ profile, statuses, number, batchId } = {}) {
+    return [...entries.values()]
+      .filter((e) => !profile || e.profile === profile)
+      .filter((e) => !statuses || statuses.includes(e.status))
+      .filter((e) => !number || e.number === number)
+      .filter((e) => !batchId || e.batch_id === batchId)
+      .sort((a, b) => Date.parse(a.due_at) - Date.parse(b.due_at));
+  }
+
+  return { start, schedule, get, cancel, reschedule, list };
+}
@@ -0,0 +1,192 @@
+/**
+ * Page object da lista de chats do painel (/chats, coluna da esquerda):
+ * filtros, carregamento lazy dos cards, busca por número e abertura de chats.
+ */
+
+import { SELECTORS } from "./selectors.js";
+import { removeModalsInPage, extractChatCardsInPage } from "./extract.js";
+import { DEFAULT_TIME_ZONE, parseRelativeTimestamp } from "../dates.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * @param {import("playwright").Page} page
+ * @param {object} [options]
+ * @param {string} [options.timeZone]  Fuso para converter os horários dos cards em ISO-8601
+ */
+export function createChatListPage(page, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const s = SELECTORS.chatList;
+
+  async function removeModals() {
+    await page.evaluate(removeModalsInPage, SELECTORS.modals);
+  }
+
+  /**
+   * Aguarda os cards aparecerem. Retorna false se a lista continuar vazia.
+   */
+  async function waitForCards(timeout = 15000) {
+    return Boolean(await page.waitForSelector(s.card, { timeout }).catch(() => null));
+  }
+
+  /**
+   * Aplica os filtros do painel (painel recém-carregado, sem filtros).
+   * whatsapp_number deve vir já normalizado (DDI + número).
+   */
+  async function applyFilters({ status, unread_only, archived, favorited, order_by, department, name, whatsapp_number }) {
+    // Nome
+    if (name) {
+      const nameInput = await page.$(s.nameInput);
+      if (nameInput) {
+        await nameInput.fill(name);
+        await page.keyboard.press("Enter");
+        await sleep(2000);
+      }
+    }
+
+    // Número WhatsApp
+    if (whatsapp_number) {
+      const phoneInput = await page.$(s.phoneInput);
+      if (phoneInput) {
+        await phoneInput.fill(whatsapp_number);
+        await page.keyboard.press("Enter");
+        await sleep(2000);
+      }
+    }
+
+    // Status
+    if (status) {
+      await page.selectOption(s.statusSelect, status).catch(() => {});
+      await sleep(2000);
+    }
+
+    // Ordenação
+    if (order_by) {
+      await page.selectOption(s.orderSelect, order_by).catch(() => {});
+      await sleep(2000);
+    }
+
+    // Toggles: Não lidas, Arquivados, Favoritos
+    for (const [enabled, selector] of [[unread_only, s.unreadToggle], [archived, s.archivedToggle], [favorited, s.favoritedToggle]]) {
+      if (!enabled) continue;
+      const checkbox = await page.$(selector);
+      if (checkbox) { await checkbox.click(); await sleep(2000); }
+    }
+
+    // Departamento (busca checkbox por label dentro da seção de departamentos)
+    if (department) {
+      await page.evaluate((deptName) => {
+        // Procura em todos os labels visíveis de checkbox
+        const allLabels = document.querySelectorAll("label");
+        for (const label of allLabels) {
+          const text = label.textContent?.trim();
+          if (text && text.toLowerCase() === deptName.toLowerCase()) {
+            const cb = label.querySelector("input[type='checkbox']");
+            if (cb) { cb.click(); return; }
+          }
+        }
+        // Fallback: busca parcial
+        for (const label of allLabels) {
+          const text = label.textContent?.trim();
+          if (text && text.toLowerCase().includes(deptName.toLowerCase())) {
+            const cb = label.querySelector("input[type='checkbox']");
+            if (cb) { cb.click(); return; }
+          }
+        }
+      }, department);
+      await sleep(2000);
+    }
+
+    // Aguardar lista estabilizar
+    await sleep(1000);
+  }
+
+  /**
+   * Rola a lista para carregar cards lazy-loaded e extrai até maxChats cards.
+   * Cada chat sai com timestamp (texto do painel) + timestamp_iso/timestamp_precision.
+   */
+  async function loadCards(maxChats) {
+    await page.evaluate(async ({ selectors, targetCount }) => {
+      const container = selectors.cardsContainer.map((sel) => document.querySelector(sel)).find(Boolean);
+      if (!container) return;
+      let prevCount = 0;
+      for (let i = 0; i < 10; i++) {
+        const cards = document.querySelectorAll(selectors.card);
+        if (cards.length >= targetCount || cards.length === prevCount) break;
+        prevCount = cards.length;
+        container.scrollTop = container.scrollHeight;
+        await new Promise(r => setTimeout(r, 800));
+      }
+    }, { selectors: s, targetCount: maxChats });
+    await sleep(1000);
+
+    const chats = await page.evaluate(extractChatCardsInPage, { selectors: s, maxChats });
+
+    // "14:32", "Ontem", "há 3 dias" → ISO-8601 (precision indica se é exato ou aproximado)
+    for (const chat of chats) {
+      const parsed = parseRelativeTimestamp(chat.timestamp, { timeZone });
+      chat.timestamp_iso = parsed?.iso || null;
+      chat.timestamp_precision = parsed?.precision || null;
+    }
+    return chats;
+  }
+
+  /**
+   * Busca pelo número, tentando cada variante até aparecer um card.
+   * Retorna a variante encontrada ou null.
+   */
+  async function searchByNumber(variants) {
+    const phoneInput = await page.waitForSelector(s.phoneInput, { timeout: 10000 });
+    for (const variant of variants) {
+      await phoneInput.fill("");
+      await phoneInput.fill(variant);
+      await page.keyboard.press("Enter");
+      await sleep(3000);
+      if (await page.$(s.card)) return variant;
+    }
+    return null;
+  }
+
+  /**
+   * Abre o chat do card com esse nome (ou o primeiro card, sem nome).
+   * Retorna o chat_id lido da URL ("" se não deu para ler) ou null se o card não existe.
+   */
+  async function openChat(contactName) {
+    const clicked = await page.evaluate(({ selectors, contactName }) => {
+      for (const card of document.querySelectorAll(selectors.card)) {
+        if (contactName == null || card.querySelector(selectors.name)?.textContent?.trim() === contactName) {
+          card.click();
+          return true;
+        }
+      }
+      return false;
+    }, { selectors: s, contactName: contactName ?? null });
+    if (!clicked) return null;
+
+    await sleep(contactName == null ? 2000 : 3000); // Aguardar chat abrir
+    return currentChatId();
+  }
+
+  /**
+   * chat_id do chat aberto, extraído da URL (formato: /chats#hash).
+   */
+  function currentChatId() {
+    return page.url().match(/#([a-f0-9]{24})/)?.[1] || "";
+  }
+
+  /**
+   * Volta para a lista de chats (clica na aba Chats); o painel mantém os filtros.
+   */
+  async function backToList() {
+    await page.evaluate((navItem) => {
+      for (const item of document.querySelectorAll(navItem)) {
+        if (item.textContent.trim() === "Chats") {
+          item.click();
+          return;
+        }
+      }
+    }, s.navItem);
+    await sleep(2000);
+  }
+
+  return { removeModals, waitForCards, applyFilters, loadCards, searchByNumber, openChat, currentChatId, backToList };
+}
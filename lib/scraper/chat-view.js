@@ -0,0 +1,98 @@
+/**
+ * Page object do chat aberto: espera o histórico carregar, rola para cima
+ * (carregando mensagens antigas) e extrai as mensagens no modelo tipado.
+ */
+
+import { SELECTORS } from "./selectors.js";
+import { removeModalsInPage, countMessagesInPage, extractMessagesInPage } from "./extract.js";
+import { DEFAULT_TIME_ZONE, parseMessageTimestamp } from "../dates.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Completa a chave estável (usada como cursor) das mensagens sem data-id: hash do
+ * conteúdo e do dia absoluto + ocorrência no dia. O dia vem do timestamp ISO, não do
+ * rótulo do painel (que muda de "Hoje" para "Ontem"); sem timestamp, vale o rótulo.
+ * Precisa receber o histórico carregado inteiro, na ordem: a ocorrência conta desde o início do dia.
+ */
+export function assignMessageKeys(messages) {
+  const seen = {};
+  for (const msg of messages) {
+    if (msg.key) continue;
+    const day = msg.timestamp ? msg.timestamp.slice(0, 10) : msg.data;
+    const base = [day, msg.direction, msg.horario, msg.kind, msg.texto, msg.media?.url || ""].join("|");
+    let hash = 5381;
+    for (let i = 0; i < base.length; i++) hash = ((hash << 5) + hash + base.charCodeAt(i)) >>> 0;
+    seen[hash] = (seen[hash] || 0) + 1;
+    msg.key = `h:${hash.toString(36)}.${seen[hash] - 1}`;
+  }
+  return messages;
+}
+
+/**
+ * @param {import("playwright").Page} page
+ * @param {object} [options]
+ * @param {string} [options.timeZone]  Fuso para converter data/horário das mensagens em ISO-8601
+ */
+export function createChatViewPage(page, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const s = SELECTORS.chatView;
+
+  async function removeModals() {
+    await page.evaluate(removeModalsInPage, SELECTORS.modals);
+  }
+
+  /**
+   * Aguarda o container de mensagens e remove modais que bloqueiam o scroll.
+   */
+  async function waitLoaded(timeout = 15000) {
+    await page.waitForSelector(s.app, { timeout }).catch(() => null);
+    await sleep(2000); // Aguardar mensagens renderizarem
+    await removeModals();
+  }
+
+  async function countMessages() {
+    return page.evaluate(countMessagesInPage, s);
+  }
+
+  /**
+   * Rola o chat para CIMA (mouse.wheel real) para carregar mensagens antigas,
+   * até shouldStop(qtdCarregada) retornar true ou atingir maxScrolls.
+   * Retorna true se chegou ao início do histórico (nada novo carregou).
+   */
+  async function scrollUp({ maxScrolls, shouldStop }) {
+    let msgCountBefore = 0;
+    for (let scrollAttempt = 0; scrollAttempt < maxScrolls; scrollAttempt++) {
+      const currentCount = await countMessages();
+      if (await shouldStop(currentCount)) return false;
+      if (currentCount === msgCountBefore && scrollAttempt > 1) return true;
+      msgCountBefore = currentCount;
+
+      await removeModals();
+
+      // Posicionar o mouse sobre o container de mensagens e scrollar (deltaY negativo = para cima)
+      const chatContainer = await page.$(s.app);
+      if (chatContainer) {
+        const box = await chatContainer.boundingBox();
+        if (box) {
+          await page.mouse.move(box.x + box.width / 2, box.y + 50);
+          await page.mouse.wheel(0, -3000);
+        }
+      }
+      await sleep(2500);
+    }
+    return false;
+  }
+
+  /**
+   * Extrai as últimas maxMessages mensagens carregadas (0 = todas), cada uma com timestamp ISO-8601.
+   */
+  async function extractMessages(maxMessages = 0) {
+    // Extrai tudo e corta depois: a chave conta as ocorrências desde o início de cada dia
+    const messages = await page.evaluate(extractMessagesInPage, { selectors: s, maxMessages: 0 });
+    for (const m of messages) m.timestamp = parseMessageTimestamp(m.data, m.horario, { timeZone });
+    assignMessageKeys(messages);
+    return maxMessages ? messages.slice(-maxMessages) : messages;
+  }
+
+  return { removeModals, waitLoaded, countMessages, scrollUp, extractMessages };
+}
@@ -0,0 +1,263 @@
+/**
+ * Funções de extração que rodam DENTRO da página (page.evaluate).
+ *
+ * Regras para tudo neste arquivo:
+ * - Cada função é autocontida: não pode usar imports nem nada fora do próprio corpo.
+ * - Recebe UM argumento serializável (seletores + opções), como exige o page.evaluate.
+ * - O segundo parâmetro (doc) existe para os testes: no browser é o document da página;
+ *   nos testes, um document do jsdom carregado a partir das fixtures HTML.
+ */
+
+/**
+ * Remove modais (Beamer push, etc.) que bloqueiam cliques e scroll.
+ * @param {typeof import("./selectors.js").SELECTORS.modals} modals
+ */
+export function removeModalsInPage(modals, doc = document) {
+  const beamer = doc.querySelector(modals.beamer);
+  if (beamer) beamer.remove();
+  doc.querySelectorAll(modals.dialogs).forEach(el => el.remove());
+  doc.querySelectorAll(modals.backdrops).forEach(el => el.remove());
+}
+
+/**
+ * Quantidade de linhas de mensagem carregadas no chat aberto.
+ */
+export function countMessagesInPage(selectors, doc = document) {
+  return doc.querySelectorAll(selectors.row).length;
+}
+
+/**
+ * Extrai os dados dos cards da lista de chats (até maxChats).
+ *
+ * @param {object} options
+ * @param {typeof import("./selectors.js").SELECTORS.chatList} options.selectors
+ * @param {number} options.maxChats
+ */
+export function extractChatCardsInPage({ selectors, maxChats }, doc = document) {
+  const result = [];
+  const cards = doc.querySelectorAll(selectors.card);
+
+  for (const card of cards) {
+    if (result.length >= maxChats) break;
+
+    // Nome do contato
+    const nameEl = card.querySelector(selectors.name);
+    const contactName = nameEl?.textContent?.trim() || "";
+
+    // Prévia da última mensagem (texto completo no atributo title)
+    const msgEl = card.querySelector(selectors.preview);
+    const lastMessage = msgEl?.getAttribute("title") || msgEl?.textContent?.trim() || "";
+
+    // Status (texto ABERTO/AGUARDANDO/EM ATENDI/etc)
+    const statusEl = card.querySelector(selectors.status);
+    let chatStatus = statusEl?.textContent?.trim() || "";
+    if (chatStatus === "EM ATENDI") chatStatus = "EM ATENDIMENTO";
+
+    // Contagem de não lidas
+    const unreadEl = card.querySelector(selectors.unread);
+    const unreadCount = unreadEl ? parseInt(unreadEl.textContent.trim(), 10) || 0 : 0;
+
+    // Timestamp como exibido ("14:32", "Ontem", "há 3 dias")
+    const timeEl = card.querySelector(selectors.time);
+    const timestamp = timeEl?.textContent?.trim() || "";
+
+    // chat_id: tentar extrair do Vue component data ou data attributes
+    let chatId = card.getAttribute("data-id")
+      || card.getAttribute("data-chat-id")
+      || card.getAttribute("data-chat")
+      || "";
+
+    if (!chatId) {
+      try {
+        const vue = card.__vue__;
+        if (vue) {
+          chatId = vue.chat?._id || vue.chat?.id || vue.$props?.chatId || vue.$props?.chat?._id || "";
+        }
+      } catch (e) { /* ignore */ }
+    }
+
+    result.push({
+      contact_name: contactName,
+      status: chatStatus,
+      last_message: lastMessage,
+      timestamp,
+      unread_count: unreadCount,
+      chat_id: chatId,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Extrai as últimas maxMessages mensagens do chat aberto (0 = todas carregadas), no modelo tipado:
+ *
+ * - kind: text | audio | image | video | document | sticker | location | contact | note | unknown
+ * - direction (in/out/internal) e remetente (cliente/atendente), author (nome do atendente ou do autor)
+ * - texto (texto, legenda ou marcador como "[Áudio]"), caption
+ * - media { url, filename, mime_type, duration }, location { latitude, longitude, url }
+ * - quoted { author, texto } quando a mensagem responde outra
+ * - is_note para anotações internas; status (pending/sent/delivered/read/failed) pelos ticks
+ * - key: `id:<data-id>` quando o DOM traz o id; senão null (completada por assignMessageKeys)
+ * - data/horario: textos crus do painel (o timestamp ISO é calculado fora da página)
+ *
+ * @param {object} options
+ * @param {typeof import("./selectors.js").SELECTORS.chatView} options.selectors
+ * @param {number} [options.maxMessages=0]
+ */
+export function extractMessagesInPage({ selectors: s, maxMessages = 0 }, doc = document) {
+  const container = doc.querySelector(s.container);
+  if (!container) return [];
+
+  const textOf = (el) => el?.innerText?.trim() || el?.textContent?.trim() || "";
+
+  // Primeiro elemento que casa com o seletor e não está dentro da citação
+  const own = (root, selector) => {
+    for (const el of root.querySelectorAll(selector)) {
+      if (!el.closest(s.quote) || el.closest(s.quote) === root) return el;
+    }
+    return null;
+  };
+
+  const fileNameFromUrl = (url) => {
+    try {
+      const name = decodeURIComponent(new URL(url, doc.location?.href).pathname.split("/").pop() || "");
+      return name || null;
+    } catch {
+      return null;
+    }
+  };
+
+  const tickStatus = (bubble) => {
+    const tick = own(bubble, s.tick);
+    if (!tick) return null;
+    const sig = `${tick.className?.baseVal ?? tick.className} ${tick.getAttribute("data-icon") || ""} ${tick.getAttribute("title") || ""}`.toLowerCase();
+    if (/error|exclamation|fail|erro/.test(sig)) return "failed";
+    if (/clock|pending|pendente|relogio/.test(sig)) return "pending";
+    if (/read|lida|blue|azul|seen/.test(sig)) return "read";
+    if (/double|all|dbl|check-double|entregue|delivered/.test(sig)) return "delivered";
+    if (/check|tick|ack|enviad|sent/.test(sig)) return "sent";
+    return null;
+  };
+
+  let currentDate = "";
+  const allMsgs = [];
+
+  for (const child of container.children) {
+    if (child.matches(s.dateDivider)) {
+      currentDate = child.textContent.trim();
+      continue;
+    }
+    const isNoteRow = child.matches(s.noteRow);
+    if (!child.matches(s.row) && !isNoteRow) continue;
+
+    const bubble = child.querySelector(s.bubble) || (isNoteRow ? child : null);
+    if (!bubble) continue;
+
+    const isOutgoing = bubble.matches(s.outgoing);
+    const isNote = isNoteRow || bubble.matches(s.noteRow);
+    const timeEl = own(bubble, s.time);
+
+    const msg = {
+      id: child.getAttribute("data-id") || child.id || bubble.getAttribute("data-id") || null,
+      kind: "unknown",
+      direction: isNote ? "internal" : isOutgoing ? "out" : "in",
+      remetente: isOutgoing || isNote ? "atendente" : "cliente",
+      author: textOf(own(bubble, s.author)) || null,
+      horario: timeEl?.textContent?.trim() || "",
+      data: currentDate,
+      texto: "",
+      caption: null,
+      media: null,
+      location: null,
+      quoted: null,
+      is_note: isNote,
+      status: isOutgoing ? tickStatus(bubble) : null,
+    };
+
+    // Mensagem citada (resposta)
+    const quoteEl = bubble.querySelector(s.quote);
+    if (quoteEl) {
+      const quoteAuthor = quoteEl.querySelector(s.quoteAuthor);
+      const quoteText = quoteEl.querySelector(s.quoteText);
+      msg.quoted = {
+        author: textOf(quoteAuthor) || null,
+        texto: textOf(quoteText) || textOf(quoteEl).replace(textOf(quoteAuthor), "").trim(),
+      };
+    }
+
+    const text = textOf(own(bubble, s.text));
+    const audio = own(bubble, "audio");
+    const video = own(bubble, "video");
+    const images = [...bubble.querySelectorAll("img")].filter((img) =>
+      !img.closest(s.quote) && !/avatar|emoji|icon|profile|check|tick/i.test(`${img.className} ${img.alt || ""}`));
+    const locationLink = own(bubble, s.locationLink);
+    const docLink = own(bubble, s.documentLink);
+    const vcard = own(bubble, s.vcard);
+
+    if (isNote) {
+      msg.kind = "note";
+      msg.texto = text || textOf(own(bubble, s.noteContent)) || textOf(bubble);
+    } else if (images.length && /sticker|figurinha/i.test(`${bubble.className} ${images[0].className}`)) {
+      msg.kind = "sticker";
+      msg.media = { url: images[0].currentSrc || images[0].src || null, filename: null, mime_type: "image/webp", duration: null };
+      msg.texto = "[Figurinha]";
+    } else if (locationLink) {
+      msg.kind = "location";
+      const href = locationLink.href;
+      const coords = href.match(/(-?\d+\.\d+)\s*,\s*(-?\d+\.\d+)/);
+      msg.location = {
+        latitude: coords ? parseFloat(coords[1]) : null,
+        longitude: coords ? parseFloat(coords[2]) : null,
+        url: href,
+      };
+      msg.texto = text || "[Localização]";
+    } else if (video) {
+      msg.kind = "video";
+      const url = video.currentSrc || video.src || video.querySelector("source")?.src || null;
+      msg.media = { url, filename: url ? fileNameFromUrl(url) : null, mime_type: video.querySelector("source")?.type || null, duration: Number.isFinite(video.duration) ? Math.round(video.duration) : null };
+    } else if (audio) {
+      msg.kind = "audio";
+      const url = audio.currentSrc || audio.src || audio.querySelector("source")?.src || null;
+      msg.media = { url, filename: url ? fileNameFromUrl(url) : null, mime_type: audio.querySelector("source")?.type || null, duration: Number.isFinite(audio.duration) ? Math.round(audio.duration) : null };
+    } else if (images.length) {
+      msg.kind = "image";
+      const img = images[0];
+      const link = img.closest("a[href]");
+      const url = link?.href || img.currentSrc || img.src || null;
+      msg.media = { url, filename: url ? fileNameFromUrl(url) : null, mime_type: null, duration: null };
+    } else if (docLink) {
+      msg.kind = "document";
+      const url = docLink.href || null;
+      const filename = docLink.getAttribute("download")
+        || textOf(own(bubble, s.fileName))
+        || (url ? fileNameFromUrl(url) : null);
+      msg.media = { url, filename: filename || null, mime_type: docLink.getAttribute("type") || null, duration: null };
+    } else if (vcard) {
+      msg.kind = "contact";
+      msg.texto = textOf(vcard) || "[Contato]";
+    } else if (text) {
+      msg.kind = "text";
+    }
+
+    // Texto da mensagem ou legenda da mídia
+    if (["image", "video", "audio", "document"].includes(msg.kind)) {
+      msg.caption = text || null;
+      const placeholders = { image: "[Imagem]", video: "[Vídeo]", audio: "[Áudio]", document: "[Documento]" };
+      msg.texto = text || (msg.kind === "document" && msg.media?.filename
+        ? `[Documento: ${msg.media.filename}]`
+        : placeholders[msg.kind]);
+    } else if (!msg.texto) {
+      msg.texto = text;
+    }
+
+    if (msg.kind === "unknown" && !msg.texto) continue;
+
+    // Sem data-id, a chave é gerada fora da página (assignMessageKeys, em chat-view.js):
+    // ela depende do dia absoluto, e aqui só se conhece o rótulo ("Hoje", "Ontem")
+    msg.key = msg.id ? `id:${msg.id}` : null;
+    allMsgs.push(msg);
+  }
+
+  return maxMessages ? allMsgs.slice(-maxMessages) : allMsgs;
+}
@@ -0,0 +1,117 @@
+/**
+ * Detecção de "drift" de seletores: verifica, no painel real, se cada seletor
+ * do registro ainda encontra algo. Quando o ChatGuru muda o HTML, o relatório
+ * aponta exatamente quais seletores quebraram, em vez de as ferramentas
+ * devolverem "nenhum resultado" como se a lista estivesse vazia.
+ */
+
+import { SELECTORS } from "./selectors.js";
+import { createChatListPage } from "./chat-list.js";
+import { createChatViewPage } from "./chat-view.js";
+
+/**
+ * Seletores verificados, por etapa:
+ * - panel: painel /chats recém-carregado (filtros e lista)
+ * - card: dentro do primeiro card da lista
+ * - chat: depois de abrir o primeiro chat
+ * - message: dentro da primeira mensagem do chat aberto
+ *
+ * required: false para elementos que podem faltar legitimamente
+ * (ex: contador de não lidas quando não há não lidas, texto em mensagem só de mídia).
+ */
+export const SELECTOR_PROBES = Object.freeze([
+  { name: "chatList.phoneInput", stage: "panel", required: true },
+  { name: "chatList.nameInput", stage: "panel", required: true },
+  { name: "chatList.statusSelect", stage: "panel", required: true },
+  { name: "chatList.orderSelect", stage: "panel", required: true },
+  { name: "chatList.unreadToggle", stage: "panel", required: true },
+  { name: "chatList.archivedToggle", stage: "panel", required: true },
+  { name: "chatList.favoritedToggle", stage: "panel", required: true },
+  { name: "chatList.cardsContainer", stage: "panel", required: true },
+  { name: "chatList.card", stage: "panel", required: true },
+  { name: "chatList.navItem", stage: "panel", required: true },
+  { name: "chatList.name", stage: "card", required: true },
+  { name: "chatList.status", stage: "card", required: true },
+  { name: "chatList.time", stage: "card", required: true },
+  { name: "chatList.preview", stage: "card", required: false },
+  { name: "chatList.unread", stage: "card", required: false },
+  { name: "chatView.app", stage: "chat", required: true },
+  { name: "chatView.container", stage: "chat", required: true },
+  { name: "chatView.row", stage: "chat", required: true },
+  { name: "chatView.dateDivider", stage: "chat", required: true },
+  { name: "chatView.bubble", stage: "message", required: true },
+  { name: "chatView.time", stage: "message", required: true },
+  { name: "chatView.text", stage: "message", required: false },
+]);
+
+function selectorFor(name) {
+  const [group, key] = name.split(".");
+  return SELECTORS[group][key];
+}
+
+/**
+ * Conta quantos elementos cada seletor encontra. Com scope, procura só dentro do
+ * primeiro elemento que casa com scope (retorna null se ele não existe).
+ * Seletores em lista (ex: cardsContainer) contam a soma de todas as alternativas.
+ * Roda DENTRO da página (page.evaluate).
+ *
+ * @param {object} options
+ * @param {{ name: string, selector: string | string[] }[]} options.probes
+ * @param {string} [options.scope]
+ */
+export function probeSelectorsInPage({ probes, scope }, doc = document) {
+  const root = scope ? doc.querySelector(scope) : doc;
+  if (!root) return null;
+  return probes.map(({ name, selector }) => ({
+    name,
+    found: [].concat(selector).reduce((total, sel) => total + root.querySelectorAll(sel).length, 0),
+  }));
+}
+
+/**
+ * Verifica todos os SELECTOR_PROBES na página (que já deve estar no painel /chats).
+ * Abre o primeiro chat da lista para verificar os seletores do chat aberto.
+ *
+ * Cada verificação sai com status:
+ * - ok: encontrado
+ * - missing: obrigatório e não encontrado (provável mudança no HTML do ChatGuru)
+ * - optional_missing: opcional e não encontrado (pode ser normal)
+ * - skipped: não deu para verificar (ex: nenhum chat na lista para abrir)
+ *
+ * @param {import("playwright").Page} page
+ * @param {object} [options]
+ * @param {boolean} [options.openChat=true]  Abrir o primeiro chat para verificar os seletores de mensagens
+ */
+export async function probeSelectors(page, { openChat = true } = {}) {
+  const chatList = createChatListPage(page);
+  const chatView = createChatViewPage(page);
+  const found = new Map();
+
+  async function probeStage(stage, scope) {
+    const probes = SELECTOR_PROBES
+      .filter((p) => p.stage === stage)
+      .map(({ name }) => ({ name, selector: selectorFor(name) }));
+    const results = await page.evaluate(probeSelectorsInPage, { probes, scope });
+    for (const r of results || []) found.set(r.name, r.found);
+    return results !== null;
+  }
+
+  await chatList.removeModals();
+  await probeStage("panel");
+  const hasCard = await probeStage("card", SELECTORS.chatList.card);
+
+  if (hasCard && openChat && (await chatList.openChat()) !== null) {
+    await chatView.waitLoaded(10000);
+    await probeStage("chat");
+    await probeStage("message", SELECTORS.chatView.row);
+  }
+
+  return SELECTOR_PROBES.map(({ name, stage, required }) => {
+    const count = found.get(name);
+    let status;
+    if (count === undefined) status = "skipped";
+    else if (count > 0) status = "ok";
+    else status = required ? "missing" : "optional_missing";
+    return { name, stage, selector: selectorFor(name), required, found: count ?? null, status };
+  });
+}
@@ -0,0 +1,21 @@
+/**
+ * Biblioteca de scraping do painel do ChatGuru, compartilhada entre o servidor
+ * MCP (index.js) e os scripts (scan-unread.js):
+ *
+ * - SELECTORS: registro único dos seletores CSS
+ * - createChatListPage / createChatViewPage / createLoginPage: page objects sobre uma página do Playwright
+ * - *InPage: funções de extração puras (rodam no browser ou sobre um document do jsdom)
+ * - probeSelectors: verificação de drift dos seletores no painel real
+ */
+
+export { SELECTORS } from "./selectors.js";
+export {
+  removeModalsInPage,
+  countMessagesInPage,
+  extractChatCardsInPage,
+  extractMessagesInPage,
+} from "./extract.js";
+export { createChatListPage } from "./chat-list.js";
+export { createChatViewPage, assignMessageKeys } from "./chat-view.js";
+export { createLoginPage } from "./login-page.js";
+export { SELECTOR_PROBES, probeSelectorsInPage, probeSelectors } from "./health.js";
@@ -0,0 +1,92 @@
+/**
+ * Page object da tela de login do ChatGuru, usado pelo re-login automático (headless).
+ * Preenche email e senha e, se a conta tiver 2FA, o código TOTP.
+ */
+
+import { SELECTORS } from "./selectors.js";
+import { generateTotp, totpSecondsRemaining } from "../totp.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Resultado da tela após enviar o formulário: "done" (saiu do login), "totp" (pede código),
+ * "error" (mensagem de erro visível) ou false (ainda carregando).
+ * Roda DENTRO da página (page.evaluate / waitForFunction).
+ */
+function loginOutcomeInPage(s) {
+  const { href, pathname } = window.location;
+  if (!/login|signin/.test(href) && pathname !== "/") return "done";
+  const totp = document.querySelector(s.totp);
+  if (totp && totp.offsetParent !== null) return "totp";
+  const error = [...document.querySelectorAll(s.error)].find((el) => el.textContent.trim() && el.offsetParent !== null);
+  if (error) return "error";
+  return false;
+}
+
+/**
+ * @param {import("playwright").Page} page
+ */
+export function createLoginPage(page) {
+  const s = SELECTORS.login;
+
+  async function waitOutcome(timeout) {
+    const handle = await page.waitForFunction(loginOutcomeInPage, s, { timeout }).catch(() => null);
+    return handle ? handle.jsonValue() : "timeout";
+  }
+
+  async function visibleError() {
+    return page.evaluate((selector) => {
+      const el = [...document.querySelectorAll(selector)].find((e) => e.textContent.trim() && e.offsetParent !== null);
+      return el ? el.textContent.trim().replace(/\s+/g, " ") : "";
+    }, s.error);
+  }
+
+  async function submit(input) {
+    const button = await page.$(s.submit);
+    if (button) await button.click();
+    else await input.press("Enter");
+  }
+
+  /**
+   * Faz login. Se a página não estiver no formulário, navega até loginUrl.
+   * @throws {Error} com a mensagem exibida pelo painel quando o login é recusado
+   */
+  async function login({ loginUrl, email, password, totpSecret }) {
+    if (!(await page.$(s.password))) {
+      await page.goto(loginUrl, { waitUntil: "domcontentloaded", timeout: 30000 });
+    }
+    const passwordInput = await page.waitForSelector(s.password, { timeout: 15000 })
+      .catch(() => { throw new Error("Formulário de login não encontrado (campo de senha)."); });
+
+    const emailInput = await page.$(s.email);
+    if (!emailInput) throw new Error("Formulário de login não encontrado (campo de email).");
+    await emailInput.fill(email);
+    await passwordInput.fill(password);
+    await submit(passwordInput);
+
+    let outcome = await waitOutcome(20000);
+
+    if (outcome === "totp") {
+      if (!totpSecret) throw new Error("A conta pede código de verificação (2FA), mas nenhum segredo TOTP foi configurado.");
+      // Código prestes a expirar: esperar a próxima janela
+      if (totpSecondsRemaining() < 3) await sleep(3000);
+      const totpInput = await page.$(s.totp);
+      await totpInput.fill(generateTotp(totpSecret));
+      await submit(totpInput);
+      outcome = await waitOutcome(20000);
+      if (outcome === "totp") outcome = "error";
+    }
+
+    if (outcome !== "done") {
+      const message = await visibleError();
+      throw new Error(message
+        ? `Login recusado pelo painel: ${message}`
+        : `Login não concluído (${outcome === "timeout" ? "tempo esgotado" : "ainda na tela de login"}).`);
+    }
+
+    // Aguardar cookies/localStorage serem gravados (mesma espera do login.js)
+    await sleep(2000);
+  }
+
+  return { login };
+}
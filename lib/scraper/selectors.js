@@ -0,0 +1,69 @@
+/**
+ * Registro único dos seletores CSS do painel do ChatGuru.
+ *
+ * Quando o ChatGuru muda uma classe, a correção é feita AQUI e vale para o
+ * servidor MCP e para os scripts. As funções de extração recebem estes objetos
+ * como argumento (rodam dentro da página e não enxergam o escopo do módulo),
+ * então tudo precisa ser serializável: apenas strings (ou listas de strings).
+ */
+
+export const SELECTORS = Object.freeze({
+  /** Modais e overlays que bloqueiam cliques e scroll */
+  modals: Object.freeze({
+    beamer: "#beamerPushModal",
+    dialogs: ".modal.show, .modal.active, [role='dialog'].active",
+    backdrops: ".modal-backdrop, .push-overlay",
+  }),
+
+  /** Tela de login (re-login automático) */
+  login: Object.freeze({
+    email: "input[type='email'], input[name='email'], input[name='username'], #email",
+    password: "input[type='password']",
+    submit: "button[type='submit'], input[type='submit']",
+    totp: "input[autocomplete='one-time-code'], input[name*='otp' i], input[name*='2fa' i], input[name*='token' i]:not([type='hidden']), input[name*='code' i]:not([type='hidden'])",
+    error: ".alert-danger, .alert-error, .error-message, .invalid-feedback, [role='alert']",
+  }),
+
+  /** Lista de chats (coluna da esquerda) e filtros */
+  chatList: Object.freeze({
+    card: ".list__user-card",
+    // Container rolável da lista, em ordem de preferência
+    cardsContainer: Object.freeze([".list__user-cards", ".list__container", "[class*='chat-list']"]),
+    name: ".user-name",
+    preview: ".user-msg span[title]",
+    status: "span.attendance__status",
+    unread: "span.attendance__number",
+    time: ".attendance__hour span",
+    nameInput: "#inChatsName",
+    phoneInput: "#inChatsWhatsappNum",
+    statusSelect: "#selChatsStatus",
+    orderSelect: "#selChatsOrder",
+    unreadToggle: ".list__single__filter.unread input[type='checkbox']",
+    archivedToggle: ".list__single__filter.archived input[type='checkbox']",
+    favoritedToggle: ".list__single__filter.favorited input[type='checkbox']",
+    navItem: ".nav-item",
+  }),
+
+  /** Chat aberto (mensagens) */
+  chatView: Object.freeze({
+    app: "#chat_messages_app",
+    container: "#chat_messages_app > div",
+    dateDivider: ".msg-data",
+    row: ".row_msg",
+    noteRow: "[class*='note' i], [class*='anota' i]",
+    bubble: ".msg-container",
+    outgoing: ".bg-sent-msg",
+    text: "span.msg-contentT",
+    time: "span.msg-timestamp",
+    quote: "[class*='quote'], [class*='quoted'], [class*='reply'], [class*='citation']",
+    quoteAuthor: "[class*='name'], [class*='author']",
+    quoteText: "span.msg-contentT, [class*='content'], [class*='text']",
+    author: "[class*='author'], [class*='sender'], [class*='user-name'], .msg-user",
+    tick: "[class*='check'], [class*='tick'], [class*='ack'], [class*='clock'], [class*='error'], [class*='exclamation'], [data-icon]",
+    noteContent: "[class*='content'], [class*='text']",
+    locationLink: "a[href*='maps.google'], a[href*='google.com/maps'], a[href*='maps.apple'], a[href*='goo.gl/maps']",
+    documentLink: "a[download], a[href*='/media/'], a[href*='/files/'], a[href$='.pdf'], [class*='document'] a[href], [class*='file'] a[href]",
+    fileName: "[class*='file-name'], [class*='filename'], [class*='doc-name']",
+    vcard: "[class*='vcard'], [class*='contact-card']",
+  }),
+});
@@ -0,0 +1,75 @@
+/**
+ * Re-login automático quando a sessão do painel expira.
+ *
+ * Sem credenciais configuradas, nada muda: as ferramentas Playwright continuam
+ * pedindo `node login.js`. Com credenciais, a página que caiu na tela de login
+ * faz o login headless ali mesmo e o session.json é regravado.
+ *
+ * - Um único login por vez: chamadas concorrentes que também caíram no login
+ *   aguardam o mesmo resultado em vez de logar de novo.
+ * - Após uma falha, novas tentativas ficam suspensas por cooldownMs, para não
+ *   bloquear a conta com tentativas repetidas de senha errada.
+ */
+
+import { createLoginPage } from "./scraper/index.js";
+
+/**
+ * @param {object} options
+ * @param {{ email: string, password: string, totp_secret: string|null } | null} options.credentials
+ * @param {string} options.loginUrl
+ * @param {(page: import("playwright").Page) => Promise<void>} options.saveSession  Grava a sessão da página
+ * @param {number} [options.cooldownMs=300000]
+ * @param {string} [options.label=""]  Identifica o perfil nos logs (ex: "perfil vendas")
+ */
+export function createSessionRefresher({ credentials, loginUrl, saveSession, cooldownMs = 300000, label = "" }) {
+  const logPrefix = label ? `[ChatGuru] (${label})` : "[ChatGuru]";
+  let inFlight = null;
+  let lastFailure = null;
+  let lastSuccessAt = null;
+
+  /**
+   * Faz login na página (que está na tela de login) e salva a sessão.
+   * @throws {Error} se o login falhar ou estiver em cooldown
+   */
+  function refresh(page) {
+    if (!credentials) return Promise.reject(new Error("Re-login automático não configurado."));
+    if (inFlight) return inFlight;
+
+    if (lastFailure && Date.now() - lastFailure.at < cooldownMs) {
+      const waitSeconds = Math.ceil((cooldownMs - (Date.now() - lastFailure.at)) / 1000);
+      return Promise.reject(new Error(`${lastFailure.message} (nova tentativa automática em ${waitSeconds}s)`));
+    }
+
+    inFlight = (async () => {
+      console.error(`${logPrefix} Sessão expirada. Fazendo login automático...`);
+      await createLoginPage(page).login({
+        loginUrl,
+        email: credentials.email,
+        password: credentials.password,
+        totpSecret: credentials.totp_secret,
+      });
+      await saveSession(page);
+      lastFailure = null;
+      lastSuccessAt = new Date().toISOString();
+      console.error(`${logPrefix} Login automático concluído. Sessão salva.`);
+    })()
+      .catch((err) => {
+        lastFailure = { at: Date.now(), message: `Login automático falhou: ${err.message}` };
+        console.error(`${logPrefix} ${lastFailure.message}`);
+        throw new Error(lastFailure.message);
+      })
+      .finally(() => { inFlight = null; });
+
+    return inFlight;
+  }
+
+  function status() {
+    return {
+      enabled: Boolean(credentials),
+      last_success_at: lastSuccessAt,
+      last_failure: lastFailure ? { at: new Date(lastFailure.at).toISOString(), message: lastFailure.message } : null,
+    };
+  }
+
+  return { enabled: Boolean(credentials), refresh, status };
+}
@@ -0,0 +1,64 @@
+/**
+ * Códigos TOTP (RFC 6238) para contas com autenticação em dois fatores.
+ * Mesmo algoritmo do Google Authenticator: HMAC-SHA1, passo de 30s, 6 dígitos.
+ */
+
+import { createHmac } from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Decodifica o segredo em base32 (aceita espaços, minúsculas e padding "=").
+ * Também aceita a URI completa do QR code (otpauth://totp/...?secret=...).
+ */
+export function decodeTotpSecret(secret) {
+  let text = String(secret ?? "").trim();
+  if (text.startsWith("otpauth://")) {
+    text = new URL(text).searchParams.get("secret") || "";
+  }
+  text = text.replace(/[\s=-]/g, "").toUpperCase();
+  if (!text) throw new Error("Segredo TOTP vazio.");
+
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Segredo TOTP inválido: caractere "${char}" não é base32.`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Gera o código TOTP do instante informado.
+ *
+ * @param {string|Buffer} secret  Segredo base32 (ou já decodificado)
+ * @param {object} [options]
+ * @param {number} [options.time=Date.now()]  Instante em ms
+ * @param {number} [options.step=30]          Janela em segundos
+ * @param {number} [options.digits=6]
+ * @param {string} [options.algorithm="sha1"]
+ */
+export function generateTotp(secret, { time = Date.now(), step = 30, digits = 6, algorithm = "sha1" } = {}) {
+  const key = Buffer.isBuffer(secret) ? secret : decodeTotpSecret(secret);
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / step)));
+
+  const hmac = createHmac(algorithm, key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(code).padStart(digits, "0");
+}
+
+/**
+ * Segundos até o código atual expirar (útil para não enviar um código prestes a vencer).
+ */
+export function totpSecondsRemaining({ time = Date.now(), step = 30 } = {}) {
+  return step - (Math.floor(time / 1000) % step);
+}
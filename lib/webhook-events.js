@@ -0,0 +1,243 @@
+/**
+ * Eventos recebidos por webhook do ChatGuru (mensagens e mudanças de chat).
+ *
+ * O payload cru do ChatGuru (campos em português: celular, texto_mensagem,
+ * datetime_post, ...) é normalizado para o mesmo vocabulário das outras
+ * ferramentas e guardado em um arquivo append-only (JSONL). Cada evento recebe
+ * um id sequencial, usado como cursor: "me dê tudo depois do evento 42".
+ *
+ * O ChatGuru reenvia webhooks que falharam; eventos repetidos (mesmo chat,
+ * tipo, texto e data de envio) são descartados.
+ */
+
+import { createHash } from "crypto";
+import { readFileSync, existsSync } from "fs";
+import { appendFile, writeFile, mkdir } from "fs/promises";
+import { dirname } from "path";
+import { DEFAULT_TIME_ZONE, parseDateTime } from "./dates.js";
+
+const DEFAULT_MAX_EVENTS = 5000;
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;   // eventos mantidos por 7 dias
+
+// tipo_mensagem do ChatGuru → kind usado em chatguru_read_messages
+const MESSAGE_KINDS = {
+  chat: "text", text: "text", texto: "text",
+  ptt: "audio", audio: "audio",
+  image: "image", imagem: "image",
+  video: "video",
+  document: "document", documento: "document",
+  sticker: "sticker",
+  location: "location", localizacao: "location",
+  vcard: "contact", contact: "contact", contato: "contact",
+};
+
+function pick(payload, ...keys) {
+  for (const key of keys) {
+    const value = payload[key];
+    if (value !== undefined && value !== null && value !== "") return value;
+  }
+  return null;
+}
+
+/**
+ * Converte o payload de webhook do ChatGuru para o formato do MCP.
+ * Aceita os nomes de campo do ChatGuru e equivalentes em inglês.
+ *
+ * @param {object} payload  JSON (ou formulário) recebido
+ * @param {object} [options]
+ * @param {string} [options.timeZone]  Fuso das datas sem offset enviadas pelo ChatGuru
+ * @returns {object} evento sem id/received_at/profile (preenchidos pelo store)
+ * @throws {Error} se o payload não identifica nenhum chat
+ */
+export function normalizeWebhookPayload(payload, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new Error("Payload deve ser um objeto JSON.");
+  }
+
+  const chatId = pick(payload, "chat_id", "chatId");
+  const link = pick(payload, "link_chat", "chat_link", "link");
+  const number = pick(payload, "celular", "chat_number", "phone", "numero");
+  if (!chatId && !number && !link) {
+    throw new Error("Payload sem chat_id, celular ou link_chat: não é um evento de chat do ChatGuru.");
+  }
+
+  const rawKind = pick(payload, "tipo_mensagem", "message_type");
+  const text = pick(payload, "texto_mensagem", "text", "mensagem", "message");
+  const explicitType = pick(payload, "event", "evento", "type");
+  const type = explicitType ? String(explicitType) : (rawKind || text !== null ? "message" : "chat");
+
+  const fromMe = pick(payload, "from_me", "fromMe");
+  const direction = pick(payload, "direcao", "direction")
+    ?? (fromMe === null ? "in" : (fromMe === true || /^(1|true|sim)$/i.test(String(fromMe)) ? "out" : "in"));
+
+  const sentAt = pick(payload, "datetime_post", "timestamp", "date");
+  const tags = pick(payload, "tags");
+
+  return {
+    type,
+    direction: /^(out|saida|sa[ií]da|enviada)$/i.test(String(direction)) ? "out" : "in",
+    chat_id: chatId ?? (link ? String(link).split("#")[1] || null : null),
+    chat_number: number === null ? null : String(number).replace(/\D/g, "") || null,
+    contact_name: pick(payload, "nome", "name", "contact_name"),
+    kind: rawKind ? (MESSAGE_KINDS[String(rawKind).toLowerCase()] || String(rawKind)) : (text !== null ? "text" : null),
+    text: text === null ? null : String(text),
+    media_url: pick(payload, "media_url", "url_arquivo", "file_url", "arquivo_url"),
+    agent_name: pick(payload, "responsavel_nome", "agent_name"),
+    campaign: pick(payload, "campanha_nome", "campaign"),
+    tags: Array.isArray(tags) ? tags : (tags ? String(tags).split(",").map((t) => t.trim()).filter(Boolean) : []),
+    custom_fields: pick(payload, "campos_personalizados", "custom_fields"),
+    phone_id: pick(payload, "phone_id"),
+    link,
+    timestamp: sentAt ? parseDateTime(sentAt, { timeZone }) : null,
+    raw: payload,
+  };
+}
+
+/**
+ * Chave de deduplicação. Sem data de envio não dá para distinguir um reenvio de
+ * duas mensagens iguais ("ok", "ok"): retorna null e o evento é sempre guardado.
+ */
+function dedupeKey(event) {
+  if (!event.raw?.datetime_post && !event.timestamp) return null;
+  return createHash("sha1")
+    .update(JSON.stringify([event.profile, event.chat_id || event.chat_number, event.type, event.text, event.raw?.datetime_post ?? event.timestamp]))
+    .digest("hex");
+}
+
+/**
+ * Cria o armazenamento de eventos.
+ *
+ * @param {object} options
+ * @param {string} options.storePath  Arquivo .jsonl de destino
+ * @param {number} [options.maxEvents=5000]  Eventos mantidos (os mais antigos saem na inicialização)
+ * @param {number} [options.retentionMs=604800000]
+ * @param {(event: object) => void} [options.onAppend]  Chamado a cada evento novo
+ */
+export function createWebhookEventStore({ storePath, maxEvents = DEFAULT_MAX_EVENTS, retentionMs = DEFAULT_RETENTION_MS, onAppend }) {
+  /** @type {object[]} eventos em ordem de chegada (id crescente) */
+  let events = [];
+  /** @type {Map<string, object>} chave de deduplicação → evento */
+  const keys = new Map();
+  let lastId = 0;
+  let queue = Promise.resolve();
+
+  // Carregar eventos anteriores, descartando os vencidos
+  if (existsSync(storePath)) {
+    let total = 0;
+    try {
+      const cutoff = Date.now() - retentionMs;
+      for (const line of readFileSync(storePath, "utf-8").split("\n")) {
+        if (!line.trim()) continue;
+        total++;
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch {
+          continue; // linha corrompida (ex: escrita interrompida)
+        }
+        lastId = Math.max(lastId, event.id || 0);
+        if (Date.parse(event.received_at) >= cutoff) events.push(event);
+      }
+      events = events.slice(-maxEvents);
+      for (const event of events) {
+        const key = dedupeKey(event);
+        if (key) keys.set(key, event);
+      }
+    } catch (err) {
+      console.error(`[ChatGuru] Não foi possível ler ${storePath}: ${err.message}`);
+    }
+    // Compactar o arquivo quando houver eventos descartados
+    if (events.length < total) enqueue(() => writeFile(storePath, events.map((e) => JSON.stringify(e) + "\n").join("")));
+  }
+
+  function enqueue(task) {
+    queue = queue
+      .then(async () => {
+        await mkdir(dirname(storePath), { recursive: true });
+        await task();
+      })
+      .catch((err) => {
+        console.error(`[ChatGuru] Erro ao gravar eventos em ${storePath}: ${err.message}`);
+      });
+    return queue;
+  }
+
+  /**
+   * Guarda um evento normalizado. Retorna { event, duplicate }.
+   */
+  function append(normalized, { profile = null } = {}) {
+    const candidate = { ...normalized, profile };
+    const key = dedupeKey(candidate);
+    if (key && keys.has(key)) return { event: keys.get(key), duplicate: true };
+
+    const event = { id: ++lastId, received_at: new Date().toISOString(), ...candidate };
+    events.push(event);
+    if (key) keys.set(key, event);
+    if (events.length > maxEvents) keys.delete(dedupeKey(events.shift()));
+
+    enqueue(() => appendFile(storePath, JSON.stringify(event) + "\n", "utf-8"));
+    onAppend?.(event);
+    return { event, duplicate: false };
+  }
+
+  /**
+   * Lista eventos em ordem de chegada.
+   *
+   * - Com since (cursor): os eventos seguintes a ele, até limit.
+   * - Sem since: os limit eventos mais recentes.
+   *
+   * cursor no resultado é o id do último evento devolvido (ou o último recebido, se não veio nada);
+   * passe-o como since na próxima chamada para receber só o que chegou depois.
+   *
+   * @param {object} filters
+   * @param {string|number} [filters.since]
+   * @param {string} [filters.profile]
+   * @param {string} [filters.number]  Número normalizado
+   * @param {string} [filters.chatId]
+   * @param {string[]} [filters.types]  Tipos de evento (padrão: todos)
+   * @param {string} [filters.direction]  in | out
+   * @param {number} [filters.limit=50]
+   */
+  function list({ since, profile, number, chatId, types, direction, limit = 50 } = {}) {
+    let sinceId = since === undefined || since === null || since === "" ? null : Number(since);
+    if (sinceId !== null && !Number.isInteger(sinceId)) {
+      throw new Error(`Cursor "${since}" inválido: use o cursor retornado pela leitura anterior.`);
+    }
+    // Cursor maior que o último id: o arquivo de eventos foi apagado; recomeça do início
+    const cursorReset = sinceId !== null && sinceId > lastId;
+    if (cursorReset) sinceId = 0;
+
+    const matches = events.filter((e) =>
+      (sinceId === null || e.id > sinceId)
+      && (!profile || e.profile === profile)
+      && (!number || e.chat_number === number)
+      && (!chatId || e.chat_id === chatId)
+      && (!types || types.includes(e.type))
+      && (!direction || e.direction === direction));
+
+    const page = sinceId === null ? matches.slice(-limit) : matches.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      events: page,
+      // Sem eventos: nada depois do cursor passou no filtro, então ele pode avançar até o último id
+      cursor: String(last?.id ?? lastId),
+      has_more: sinceId !== null && matches.length > limit,
+      ...(cursorReset && { cursor_reset: true }),
+    };
+  }
+
+  function stats() {
+    return {
+      stored: events.length,
+      last_id: lastId,
+      last_received_at: events[events.length - 1]?.received_at ?? null,
+    };
+  }
+
+  /** Aguarda as gravações pendentes (testes e encerramento). */
+  function flush() {
+    return queue;
+  }
+
+  return { append, list, stats, flush };
+}
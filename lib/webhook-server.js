@@ -0,0 +1,137 @@
+/**
+ * Listener HTTP embutido para os webhooks do ChatGuru.
+ *
+ * Só o básico, com o http do Node: aceita POST no caminho configurado (JSON ou
+ * formulário), confere o segredo compartilhado e entrega o payload a onPayload.
+ * O ChatGuru não assina os webhooks; o segredo vai na URL cadastrada no painel
+ * (?token=...) ou, para testes com curl, no cabeçalho X-Webhook-Token.
+ *
+ * Caminhos aceitos: <path> e <path>/<perfil> (o perfil é repassado a onPayload).
+ */
+
+import { createServer } from "http";
+import { timingSafeEqual, createHash } from "crypto";
+
+export class WebhookRequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "WebhookRequestError";
+    this.status = status;
+  }
+}
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+function sameSecret(received, expected) {
+  // Hash antes de comparar: timingSafeEqual exige o mesmo tamanho
+  const a = createHash("sha256").update(String(received ?? "")).digest();
+  const b = createHash("sha256").update(String(expected)).digest();
+  return timingSafeEqual(a, b);
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new WebhookRequestError(413, `Payload maior que ${maxBytes} bytes.`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Interpreta o corpo conforme o Content-Type. Formulários viram objeto; campos
+ * com JSON (ex: campos_personalizados) são decodificados.
+ */
+export function parseWebhookBody(body, contentType = "") {
+  if (/application\/x-www-form-urlencoded/i.test(contentType)) {
+    const payload = {};
+    for (const [key, value] of new URLSearchParams(body)) {
+      let parsed = value;
+      if (/^[[{]/.test(value.trim())) {
+        try { parsed = JSON.parse(value); } catch { /* texto comum que começa com { ou [ */ }
+      }
+      payload[key] = parsed;
+    }
+    return payload;
+  }
+  try {
+    return JSON.parse(body);
+  } catch {
+    throw new WebhookRequestError(400, "Corpo inválido: envie JSON ou application/x-www-form-urlencoded.");
+  }
+}
+
+/**
+ * @param {object} options
+ * @param {number} options.port  0 = porta livre qualquer (testes)
+ * @param {string} [options.host="127.0.0.1"]
+ * @param {string} [options.path="/webhook/chatguru"]
+ * @param {string} [options.secret]  Sem segredo, qualquer POST é aceito (só para uso local)
+ * @param {number} [options.maxBodyBytes=1048576]
+ * @param {(payload: object, meta: { profile: string|null }) => object} options.onPayload
+ *   Processa o payload e retorna o corpo da resposta; WebhookRequestError define o status HTTP
+ */
+export function createWebhookServer({ port, host = "127.0.0.1", path = "/webhook/chatguru", secret, maxBodyBytes = DEFAULT_MAX_BODY_BYTES, onPayload }) {
+  const basePath = path.replace(/\/+$/, "");
+  let server = null;
+
+  function send(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+    res.end(JSON.stringify(body));
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const rest = url.pathname === basePath ? "" : url.pathname.startsWith(`${basePath}/`) ? url.pathname.slice(basePath.length + 1) : null;
+    if (rest === null || rest.includes("/")) throw new WebhookRequestError(404, "Caminho não encontrado.");
+
+    if (secret) {
+      const bearer = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+      const received = req.headers["x-webhook-token"] || url.searchParams.get("token") || bearer;
+      if (!sameSecret(received, secret)) throw new WebhookRequestError(401, "Token do webhook inválido.");
+    }
+
+    // GET: verificação rápida da URL cadastrada (não grava nada)
+    if (req.method === "GET") return send(res, 200, { ok: true });
+    if (req.method !== "POST") throw new WebhookRequestError(405, "Use POST.");
+
+    const payload = parseWebhookBody(await readBody(req, maxBodyBytes), req.headers["content-type"]);
+    const result = await onPayload(payload, { profile: rest ? decodeURIComponent(rest) : null });
+    send(res, 202, { ok: true, ...result });
+  }
+
+  /**
+   * Começa a escutar. Resolve com a porta efetiva.
+   */
+  function start() {
+    return new Promise((resolve, reject) => {
+      server = createServer((req, res) => {
+        handle(req, res).catch((err) => {
+          const status = err instanceof WebhookRequestError ? err.status : 500;
+          if (status === 500) console.error(`[ChatGuru] Erro no webhook: ${err.message}`);
+          if (!res.headersSent) send(res, status, { ok: false, error: err.message });
+        });
+      });
+      server.once("error", reject);
+      server.listen(port, host, () => {
+        server.off("error", reject);
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  function close() {
+    return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  return { start, close };
+}
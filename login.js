@@ -2,30 +2,39 @@
  * Script de login manual para o ChatGuru.
  *
  * Uso: CHATGURU_SERVER=17 node login.js
+ *      node login.js --profile=suporte   (com perfis em profiles.json)
  *
  * Abre um browser VISÍVEL na URL do ChatGuru.
  * Faça login manualmente. O script detecta automaticamente quando o login
  * é concluído (URL muda para /chats) e salva a sessão.
  *
- * O chatguru_read_messages usa esse session.json para acessar o painel em modo headless.
+ * O chatguru_read_messages usa esse session.json (ou o arquivo de sessão do perfil)
+ * para acessar o painel em modo headless.
  */
 
 import { chromium } from "playwright";
-import { writeFile } from "fs/promises";
+import { writeFile, mkdir } from "fs/promises";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
+import { loadProfiles, selectProfile, profileArg } from "./lib/profiles.js";
 
-const SERVER = process.env.CHATGURU_SERVER;
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const DATA_DIR = process.env.CHATGURU_DATA_DIR || join(__dirname, "data");
 
-if (!SERVER) {
-  console.error("ERRO: Defina CHATGURU_SERVER. Exemplo: CHATGURU_SERVER=17 node login.js");
+let profile;
+try {
+  const profiles = await loadProfiles({ baseDir: __dirname, dataDir: DATA_DIR, requireApi: false });
+  profile = selectProfile(profiles, profileArg());
+  if (profiles.source === "file") console.log(`Perfil: ${profile.name}`);
+} catch (err) {
+  console.error(`ERRO: ${err.message}`);
+  if (err.message.includes("CHATGURU_SERVER")) console.error("Exemplo: CHATGURU_SERVER=17 node login.js");
   process.exit(1);
 }
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const SESSION_PATH = join(__dirname, "session.json");
-const LOGIN_URL = `https://s${SERVER}.expertintegrado.app`;
+const SESSION_PATH = profile.session_path;
+const LOGIN_URL = `https://s${profile.server}.expertintegrado.app`;
 
 console.log(`\nAbrindo browser em: ${LOGIN_URL}`);
 console.log("Faça login normalmente. A sessão será salva automaticamente após o login.\n");
@@ -54,6 +63,7 @@ await new Promise((r) => setTimeout(r, 2000));
 
 // Salvar storageState (cookies + localStorage)
 const storageState = await context.storageState();
+await mkdir(dirname(SESSION_PATH), { recursive: true });
 await writeFile(SESSION_PATH, JSON.stringify(storageState, null, 2));
 
 console.log(`\nSessão salva em: ${SESSION_PATH}`);
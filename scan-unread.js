@@ -1,16 +1,39 @@
 /**
  * Script: Escanear chats com não lidas, ler mensagens, gerar resumos.
  * Roda com browser VISÍVEL para o usuário acompanhar.
+ *
+ * Uso: node scan-unread.js [--profile=suporte]
  */
 import { chromium } from "playwright";
 import { readFile, writeFile } from "fs/promises";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
+import { DEFAULT_TIME_ZONE, ageInDays } from "./lib/dates.js";
+import { createChatListPage, createChatViewPage } from "./lib/scraper/index.js";
+import { loadProfiles, selectProfile, profileArg } from "./lib/profiles.js";
 
-const SERVER = process.env.CHATGURU_SERVER || "17";
+const TIME_ZONE = process.env.CHATGURU_TIMEZONE || DEFAULT_TIME_ZONE;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
-const SESSION_PATH = join(__dirname, "session.json");
+const DATA_DIR = process.env.CHATGURU_DATA_DIR || join(__dirname, "data");
+
+let profiles, profile;
+try {
+  // Sem perfis, o servidor 17 continua sendo o padrão do script
+  profiles = await loadProfiles({
+    env: { CHATGURU_SERVER: "17", ...process.env },
+    baseDir: __dirname,
+    dataDir: DATA_DIR,
+    requireApi: false,
+  });
+  profile = selectProfile(profiles, profileArg());
+} catch (err) {
+  console.error(`ERRO: ${err.message}`);
+  process.exit(1);
+}
+const SERVER = profile.server;
+const SESSION_PATH = profile.session_path;
+const LOGIN_COMMAND = profiles.source === "file" ? `node login.js --profile=${profile.name}` : `CHATGURU_SERVER=${SERVER} node login.js`;
 
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
@@ -21,6 +44,8 @@ const storageState = JSON.parse(await readFile(SESSION_PATH, "utf-8"));
 const browser = await chromium.launch({ headless: false }); // VISÍVEL
 const context = await browser.newContext({ storageState, permissions: ["notifications"] });
 const page = await context.newPage();
+const chatList = createChatListPage(page, { timeZone: TIME_ZONE });
+const chatView = createChatViewPage(page, { timeZone: TIME_ZONE });
 
 // Navegar direto para /chats com tratamento robusto de timeout
 console.log("Navegando para /chats...");
@@ -40,84 +65,41 @@ console.log(`  URL após espera: ${page.url()}`);
 // Se caiu na página de login, sessão expirou
 const isLogin = page.url().includes("login") || page.url().includes("signin");
 if (isLogin) {
-  console.error("ERRO: Sessão expirada. Execute: CHATGURU_SERVER=17 node login.js");
+  console.error(`ERRO: Sessão expirada. Execute: ${LOGIN_COMMAND}`);
   await browser.close();
   process.exit(1);
 }
 
 // Aguardar cards de chat renderizarem
 console.log("Aguardando cards de chat...");
-try {
-  await page.waitForSelector(".list__user-card", { timeout: 30000 });
+if (await chatList.waitForCards(30000)) {
   console.log("  Cards encontrados!");
-} catch {
+} else {
   console.log("  Cards não encontrados em 30s. Tentando navegar via JS...");
   await page.evaluate(() => { window.location.href = "/chats"; });
   await sleep(8000);
-  await page.waitForSelector(".list__user-card", { timeout: 30000 }).catch(() => {
+  if (!(await chatList.waitForCards(30000))) {
     console.log("  AVISO: Nenhum card encontrado. O site pode estar lento.");
-  });
+  }
 }
 await sleep(2000);
 console.log(`URL final: ${page.url()}`);
 
 // Remover modais
-await page.evaluate(() => {
-  const beamer = document.querySelector("#beamerPushModal");
-  if (beamer) beamer.remove();
-  document.querySelectorAll(".modal.show, .modal.active, [role='dialog'].active").forEach(el => el.remove());
-  document.querySelectorAll(".modal-backdrop, .push-overlay").forEach(el => el.remove());
-});
+await chatList.removeModals();
 
 // ── Passo 1: Filtrar por não lidas, ordenar por última mensagem (mais recente) ──
-console.log("Ativando filtro: apenas não lidas...");
-const unreadCb = await page.$(".list__single__filter.unread input[type='checkbox']");
-if (unreadCb) { await unreadCb.click(); await sleep(3000); }
+console.log("Ativando filtro: apenas não lidas, ordenado por última mensagem (mais recente)...");
+await chatList.applyFilters({ unread_only: true, order_by: "-date_last_message" });
 
-console.log("Ordenando por última mensagem (mais recente)...");
-await page.selectOption("#selChatsOrder", "-date_last_message").catch(() => {});
-await sleep(3000);
+// ── Passo 2: Extrair lista de chats com não lidas (timestamp_iso já convertido) ──
+const unreadChats = await chatList.loadCards(100);
 
-// ── Passo 2: Extrair lista de chats com não lidas ──
-const chatList = await page.evaluate(() => {
-  const result = [];
-  const cards = document.querySelectorAll(".list__user-card");
-  for (const card of cards) {
-    const nameEl = card.querySelector(".user-name");
-    const statusEl = card.querySelector("span.attendance__status");
-    const unreadEl = card.querySelector("span.attendance__number");
-    const timeEl = card.querySelector(".attendance__hour span");
+console.log(`\nEncontrados ${unreadChats.length} chats com não lidas.\n`);
 
-    let chatStatus = statusEl?.textContent?.trim() || "";
-    if (chatStatus === "EM ATENDI") chatStatus = "EM ATENDIMENTO";
-
-    const unreadCount = unreadEl ? parseInt(unreadEl.textContent.trim(), 10) || 0 : 0;
-    const timestamp = timeEl?.textContent?.trim() || "";
-
-    result.push({
-      contact_name: nameEl?.textContent?.trim() || "",
-      status: chatStatus,
-      unread_count: unreadCount,
-      timestamp,
-    });
-  }
-  return result;
-});
-
-console.log(`\nEncontrados ${chatList.length} chats com não lidas.\n`);
-
-// Filtrar: excluir chats de teste e com timestamp "há X meses" > 30 dias
-const recentChats = chatList.filter(c => {
-  // Excluir se timestamp indica mais de 30 dias
-  const ts = c.timestamp.toLowerCase();
-  if (ts.includes("mês") || ts.includes("meses")) return false;
-  if (ts.includes("ano") || ts.includes("anos")) return false;
-  // "há X dias" — verificar se X > 30
-  const diasMatch = ts.match(/há (\d+) dias?/);
-  if (diasMatch && parseInt(diasMatch[1]) > 30) return false;
-  // Incluir HH:MM (hoje), "há X dias" <= 30, "há X semanas"
-  return true;
-});
+// Filtrar: excluir chats com última mensagem há mais de 30 dias
+// (timestamp não reconhecido é mantido, para não perder chats por mudança de formato)
+const recentChats = unreadChats.filter(c => !c.timestamp_iso || ageInDays(c.timestamp_iso) <= 30);
 
 console.log(`Chats dos últimos 30 dias: ${recentChats.length}\n`);
 recentChats.forEach((c, i) => {
@@ -131,116 +113,26 @@ for (let i = 0; i < recentChats.length; i++) {
   const chat = recentChats[i];
   console.log(`\n--- [${i + 1}/${recentChats.length}] Abrindo: ${chat.contact_name} ---`);
 
-  // Clicar no card
-  const cardClicked = await page.evaluate((chatName) => {
-    const cards = document.querySelectorAll(".list__user-card");
-    for (const card of cards) {
-      const nameEl = card.querySelector(".user-name");
-      if (nameEl?.textContent?.trim() === chatName) {
-        card.click();
-        return true;
-      }
-    }
-    return false;
-  }, chat.contact_name);
-
-  if (!cardClicked) {
+  // Clicar no card e extrair chat_id da URL
+  const chatId = await chatList.openChat(chat.contact_name);
+  if (chatId === null) {
     console.log(`  SKIP: Não conseguiu clicar no card de ${chat.contact_name}`);
     continue;
   }
-
-  await sleep(3000); // Aguardar chat abrir
-
-  // Extrair chat_id da URL
-  const currentUrl = page.url();
-  const hashMatch = currentUrl.match(/#([a-f0-9]{24})/);
-  const chatId = hashMatch ? hashMatch[1] : "";
   console.log(`  chat_id: ${chatId || "não encontrado"}`);
 
-  // Aguardar mensagens carregarem
-  await page.waitForSelector("#chat_messages_app", { timeout: 10000 }).catch(() => null);
-  await sleep(2000);
-
-  // Remover modais que possam bloquear scroll
-  await page.evaluate(() => {
-    const beamer = document.querySelector("#beamerPushModal");
-    if (beamer) beamer.remove();
-    document.querySelectorAll(".modal.show, .modal.active, [role='dialog'].active").forEach(el => el.remove());
-    document.querySelectorAll(".modal-backdrop, .push-overlay").forEach(el => el.remove());
+  // Aguardar mensagens carregarem e scrollar para CIMA até ter 40 mensagens
+  await chatView.waitLoaded(10000);
+  await chatView.scrollUp({
+    maxScrolls: 10,
+    shouldStop: (count) => {
+      console.log(`    ${count} msgs visíveis...`);
+      return count >= 40;
+    },
   });
 
-  // Scroll para CIMA para carregar mais mensagens usando mouse.wheel real
-  let msgCountBefore = 0;
-  for (let scrollAttempt = 0; scrollAttempt < 10; scrollAttempt++) {
-    // Contar mensagens atuais
-    const currentCount = await page.evaluate(() => document.querySelectorAll(".row_msg").length);
-    if (currentCount >= 40) break;
-    if (currentCount === msgCountBefore && scrollAttempt > 1) break;
-    msgCountBefore = currentCount;
-
-    // Remover modais antes de scrollar
-    await page.evaluate(() => {
-      const beamer = document.querySelector("#beamerPushModal");
-      if (beamer) beamer.remove();
-      document.querySelectorAll(".modal-backdrop, .push-overlay").forEach(el => el.remove());
-    });
-
-    // Posicionar o mouse sobre o container de mensagens e scrollar com mouse.wheel REAL
-    const chatContainer = await page.$("#chat_messages_app");
-    if (chatContainer) {
-      const box = await chatContainer.boundingBox();
-      if (box) {
-        // Posicionar mouse no centro do container
-        await page.mouse.move(box.x + box.width / 2, box.y + 50);
-        // Scroll para CIMA (deltaY negativo = scroll up)
-        await page.mouse.wheel(0, -3000);
-      }
-    }
-
-    console.log(`    Scroll UP ${scrollAttempt + 1}: ${currentCount} msgs visíveis, carregando mais...`);
-    await sleep(2500);
-  }
-
   // Extrair últimas 40 mensagens
-  const messages = await page.evaluate((maxMsgs) => {
-    const result = [];
-    let currentDate = "";
-    const container = document.querySelector("#chat_messages_app > div");
-    if (!container) return result;
-
-    // Coletar TODAS as mensagens primeiro, depois pegar as últimas N
-    const allMsgs = [];
-    for (const child of container.children) {
-      if (child.classList.contains("msg-data")) {
-        currentDate = child.textContent.trim();
-        continue;
-      }
-      if (!child.classList.contains("row_msg")) continue;
-      const msgContainer = child.querySelector(".msg-container");
-      if (!msgContainer) continue;
-
-      const isOutgoing = msgContainer.classList.contains("bg-sent-msg");
-      const remetente = isOutgoing ? "atendente" : "cliente";
-      const textEl = msgContainer.querySelector("span.msg-contentT");
-      const texto = textEl?.innerText?.trim() || "";
-
-      if (!texto) {
-        const audioEl = msgContainer.querySelector("audio");
-        if (audioEl) {
-          const timeEl = msgContainer.querySelector("span.msg-timestamp");
-          allMsgs.push({ remetente, horario: timeEl?.textContent?.trim() || "", data: currentDate, texto: "[Áudio]" });
-        }
-        continue;
-      }
-
-      const timeEl = msgContainer.querySelector("span.msg-timestamp");
-      allMsgs.push({ remetente, horario: timeEl?.textContent?.trim() || "", data: currentDate, texto });
-    }
-
-    // Retornar as últimas N mensagens
-    return allMsgs.slice(-maxMsgs);
-  }, 40);
-
+  const messages = await chatView.extractMessages(40);
   console.log(`  ${messages.length} mensagens extraídas`);
 
   allResults.push({
@@ -248,24 +140,13 @@ for (let i = 0; i < recentChats.length; i++) {
     status: chat.status,
     unread_count: chat.unread_count,
     timestamp: chat.timestamp,
+    timestamp_iso: chat.timestamp_iso,
     chat_id: chatId,
     messages,
   });
 
-  // Voltar para a lista de chats (clicar na aba Chats)
-  await page.evaluate(() => {
-    const navItems = document.querySelectorAll(".nav-item");
-    for (const item of navItems) {
-      if (item.textContent.trim() === "Chats") {
-        item.click();
-        return;
-      }
-    }
-  });
-  await sleep(2000);
-
-  // Re-aplicar filtros (a lista pode resetar ao voltar)
-  // Na verdade o ChatGuru mantém os filtros, só precisa esperar
+  // Voltar para a lista de chats (o ChatGuru mantém os filtros)
+  await chatList.backToList();
 }
 
 await browser.close();
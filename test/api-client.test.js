@@ -0,0 +1,68 @@
+/**
+ * Testes do cliente HTTP da API: quando uma falha é repetida e quando volta ao
+ * chamador. Envios (message_send etc.) não podem sair duas vezes. O fetch é simulado.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sendChatguruRequest } from "../lib/api-client.js";
+
+const profile = { api_key: "k", account_id: "a", phone_id: "p", baseUrl: "https://chatguru.test/api/v1" };
+
+function jsonResponse(status, data, headers = {}) {
+  return new Response(JSON.stringify(data), { status, headers: { "Content-Type": "application/json", ...headers } });
+}
+
+/** fetch que devolve as respostas em ordem (função = lança o erro) e conta as chamadas */
+function fakeFetch(...responses) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url: new URL(url), init });
+    const next = responses[Math.min(calls.length, responses.length) - 1];
+    if (typeof next === "function") next();
+    return next;
+  };
+  return { fetch, calls };
+}
+
+function connectionError(code) {
+  return () => {
+    throw new TypeError("fetch failed", { cause: Object.assign(new Error(code), { code }) });
+  };
+}
+
+test("503 em message_send volta como network sem repetir o POST", async () => {
+  const { fetch, calls } = fakeFetch(jsonResponse(503, {}), jsonResponse(200, { result: "success", message_id: "m1" }));
+  await assert.rejects(
+    sendChatguruRequest(profile, "message_send", { chat_number: "5511999999999", text: "oi" }, { fetch }),
+    (err) => err.code === "network" && err.retryable && /idempotency_key/.test(err.hint),
+  );
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].init.method, "POST");
+  assert.equal(calls[0].url.searchParams.get("action"), "message_send");
+});
+
+test("erro de rede no meio do envio não repete; conexão recusada repete", async () => {
+  const reset = fakeFetch(connectionError("ECONNRESET"), jsonResponse(200, { message_id: "m1" }));
+  await assert.rejects(sendChatguruRequest(profile, "message_send", { text: "oi" }, { fetch: reset.fetch }), { code: "network" });
+  assert.equal(reset.calls.length, 1);
+
+  const refused = fakeFetch(connectionError("ECONNREFUSED"), jsonResponse(200, { message_id: "m1" }));
+  const data = await sendChatguruRequest(profile, "message_send", { text: "oi" }, { fetch: refused.fetch });
+  assert.equal(data.message_id, "m1");
+  assert.equal(refused.calls.length, 2);
+});
+
+test("429 em message_send repete depois do Retry-After", async () => {
+  const { fetch, calls } = fakeFetch(jsonResponse(429, {}, { "Retry-After": "0" }), jsonResponse(200, { message_id: "m1" }));
+  const data = await sendChatguruRequest(profile, "message_send", { text: "oi" }, { fetch });
+  assert.equal(data.message_id, "m1");
+  assert.equal(calls.length, 2);
+});
+
+test("consultas continuam repetindo 5xx", async () => {
+  const { fetch, calls } = fakeFetch(jsonResponse(502, {}), jsonResponse(200, { status: "delivered" }));
+  const data = await sendChatguruRequest(profile, "message_status", { message_id: "m1" }, { fetch });
+  assert.equal(data.status, "delivered");
+  assert.equal(calls.length, 2);
+});
@@ -0,0 +1,55 @@
+/**
+ * Testes do log de auditoria: registros acrescentados em ordem, busca com os
+ * filtros (número, ação, resultado, período) e linhas corrompidas ignoradas.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { appendFileSync, mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createAuditLog } from "../lib/audit-log.js";
+
+function tempLogPath(t) {
+  const dir = mkdtempSync(join(tmpdir(), "chatguru-audit-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return join(dir, "audit", "audit-log.jsonl");
+}
+
+test("search devolve os registros mais recentes primeiro, com os filtros aplicados", async (t) => {
+  const logPath = tempLogPath(t);
+  const audit = createAuditLog({ logPath });
+  // Chamadas concorrentes não intercalam as linhas
+  await Promise.all([
+    audit.append({ tool: "chatguru_send_message", action: "message_send", number: "558191095701", outcome: "success" }),
+    audit.append({ tool: "chatguru_add_note", action: "note_add", number: "558191095701", outcome: "error" }),
+    audit.append({ tool: "chatguru_send_message", action: "message_send", number: "558191095702", outcome: "success" }),
+  ]);
+
+  const all = await audit.search();
+  assert.deepEqual(all.map((r) => r.number), ["558191095702", "558191095701", "558191095701"]);
+  assert.ok(all.every((r) => !isNaN(Date.parse(r.timestamp))));
+
+  assert.equal((await audit.search({ number: "558191095701" })).length, 2);
+  assert.equal((await audit.search({ action: "message_send" })).length, 2);
+  assert.equal((await audit.search({ action: "chatguru_add_note", outcome: "error" })).length, 1);
+  assert.equal((await audit.search({ limit: 1 }))[0].number, "558191095702");
+});
+
+test("search filtra por período e ignora linhas corrompidas", async (t) => {
+  const logPath = tempLogPath(t);
+  const audit = createAuditLog({ logPath });
+  await audit.append({ tool: "chatguru_send_message", outcome: "success" });
+  appendFileSync(logPath, '{"timestamp": "2026-03-01T10:00:00.000Z", "tool": "antigo"}\n{"interrompid');
+  appendFileSync(logPath, "\n");
+
+  const march = await audit.search({ from: new Date("2026-03-01T00:00:00Z"), to: new Date("2026-03-01T23:59:59Z") });
+  assert.deepEqual(march.map((r) => r.tool), ["antigo"]);
+  assert.equal((await audit.search({ from: new Date("2026-03-02T00:00:00Z") })).length, 1);
+  assert.equal((await audit.search()).length, 2);
+});
+
+test("search sem arquivo devolve lista vazia", async (t) => {
+  const audit = createAuditLog({ logPath: tempLogPath(t) });
+  assert.deepEqual(await audit.search(), []);
+});
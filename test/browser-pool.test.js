@@ -0,0 +1,110 @@
+/**
+ * Testes do pool de browser: contexto substituído com página emprestada e tempo máximo
+ * de withPage(). O Chromium é simulado (browserType falso), sem abrir browser de verdade.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync, utimesSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createBrowserPool, PageTimeoutError } from "../lib/browser-pool.js";
+import { toChatGuruError } from "../lib/errors.js";
+
+function fakeBrowserType() {
+  const contexts = [];
+  const browser = {
+    isConnected: () => true,
+    on: () => {},
+    close: async () => {},
+    newContext: async () => {
+      const ctx = { closed: false, pages: [] };
+      ctx.close = async () => {
+        ctx.closed = true;
+        for (const page of ctx.pages) page.closed = true;
+      };
+      ctx.newPage = async () => {
+        const page = { closed: false, isClosed: () => page.closed, on: () => {}, close: async () => { page.closed = true; } };
+        ctx.pages.push(page);
+        return page;
+      };
+      contexts.push(ctx);
+      return ctx;
+    },
+  };
+  return { contexts, launch: async () => browser };
+}
+
+function sessionFile(t) {
+  const dir = mkdtempSync(join(tmpdir(), "chatguru-pool-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const path = join(dir, "session.json");
+  writeFileSync(path, JSON.stringify({ cookies: [], origins: [] }));
+  return path;
+}
+
+test("invalidateSession não fecha o contexto de uma página ainda emprestada", async (t) => {
+  const browserType = fakeBrowserType();
+  const pool = createBrowserPool({ sessionPath: sessionFile(t), browserType });
+  t.after(() => pool.close());
+
+  let finish;
+  const busy = pool.withPage(async (page) => {
+    await new Promise((resolve) => { finish = resolve; });
+    return page.isClosed();
+  });
+  while (!finish) await new Promise((resolve) => setImmediate(resolve));
+
+  await pool.invalidateSession();
+  const [old] = browserType.contexts;
+  assert.equal(old.closed, false);
+
+  // Chamadas novas já usam um contexto novo
+  await pool.withPage(async () => {});
+  assert.equal(browserType.contexts.length, 2);
+
+  finish();
+  assert.equal(await busy, false);
+  assert.equal(old.closed, true);
+  assert.equal(browserType.contexts[1].closed, false);
+});
+
+test("session.json renovado recria o contexto só depois da página antiga voltar", async (t) => {
+  const browserType = fakeBrowserType();
+  const sessionPath = sessionFile(t);
+  const pool = createBrowserPool({ sessionPath, browserType });
+  t.after(() => pool.close());
+
+  let finish;
+  const busy = pool.withPage(() => new Promise((resolve) => { finish = resolve; }));
+  while (!finish) await new Promise((resolve) => setImmediate(resolve));
+
+  const later = new Date(Date.now() + 60000);
+  utimesSync(sessionPath, later, later);
+  await pool.withPage(async () => {});
+  const [old, fresh] = browserType.contexts;
+  assert.ok(fresh);
+  assert.equal(old.closed, false);
+
+  finish();
+  await busy;
+  assert.equal(old.closed, true);
+  assert.equal(pool.stats().idle_pages, 1);
+});
+
+test("withPage que passa do tempo máximo fecha a página e libera o slot", async (t) => {
+  const browserType = fakeBrowserType();
+  const pool = createBrowserPool({ sessionPath: sessionFile(t), size: 1, browserType });
+  t.after(() => pool.close());
+
+  await assert.rejects(
+    pool.withPage(() => new Promise(() => {}), { timeoutMs: 20 }),
+    (err) => err instanceof PageTimeoutError && toChatGuruError(err).code === "network",
+  );
+  const [ctx] = browserType.contexts;
+  assert.equal(ctx.pages[0].closed, true);
+  assert.equal(pool.stats().leased, 0);
+
+  // O slot voltou: a próxima chamada abre outra página
+  assert.equal(await pool.withPage(async (page) => page === ctx.pages[1]), true);
+});
@@ -0,0 +1,81 @@
+/**
+ * Testes do plano do envio em massa: variáveis do template (faltando, maiúsculas),
+ * o mesmo número escrito em formatos diferentes e send_date inválido.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { renderTemplate, planBulkSend } from "../lib/bulk-send.js";
+import { normalizePhone } from "../lib/phone.js";
+import { parseSendDate, formatInTimeZone } from "../lib/dates.js";
+import { ChatGuruError } from "../lib/errors.js";
+
+const now = new Date("2026-03-12T13:00:00Z");
+const options = {
+  normalizePhone: (input) => normalizePhone(input, { defaultCountry: "BR" }),
+  parseSendDate: (text) => {
+    const date = parseSendDate(text, { now });
+    if (!date) throw new ChatGuruError("validation", `send_date "${text}" não reconhecido.`);
+    return formatInTimeZone(date);
+  },
+};
+
+test("renderTemplate substitui variáveis sem diferenciar maiúsculas e lista as que faltam", () => {
+  assert.deepEqual(renderTemplate("Olá {{Nome}}, pedido {{ pedido }}.", { nome: "Ana", pedido: 42 }), { text: "Olá Ana, pedido 42.", missing: [] });
+  assert.deepEqual(renderTemplate("{{nome}} da {{empresa}} ({{empresa}})", { nome: "Ana", empresa: "" }), {
+    text: "Ana da {{empresa}} ({{empresa}})",
+    missing: ["empresa"],
+  });
+  assert.deepEqual(renderTemplate("Sem variáveis"), { text: "Sem variáveis", missing: [] });
+});
+
+test("planBulkSend pula quem não tem todas as variáveis", () => {
+  const { items } = planBulkSend({
+    template: "Olá {{nome}}, seu cupom é {{cupom}}",
+    recipients: [
+      { chat_number: "5581991095701", variables: { nome: "Ana", cupom: "X1" } },
+      { chat_number: "5581991095702", variables: { nome: "Bia" } },
+      { chat_number: "5581991095703" },
+    ],
+  }, options);
+  assert.deepEqual(items[0].params, { chat_number: "558191095701", text: "Olá Ana, seu cupom é X1" });
+  assert.deepEqual(items[1].skip, { status: "erro", error: "Variáveis sem valor: cupom" });
+  assert.deepEqual(items[2].skip, { status: "erro", error: "Variáveis sem valor: nome, cupom" });
+  assert.equal(items[1].params, null);
+});
+
+test("planBulkSend envia uma vez para o mesmo número em formatos diferentes", () => {
+  const { items } = planBulkSend({
+    template: "Oi {{nome}}",
+    recipients: [
+      { chat_number: "+55 (81) 99109-5702", variables: { nome: "Ana" } },
+      { chat_number: "81991095702", variables: { nome: "Ana de novo" } },
+      { chat_number: "5581991095702", variables: { nome: "Ana outra vez" } },
+      { chat_number: "123", variables: { nome: "Ninguém" } },
+    ],
+  }, options);
+  assert.deepEqual(items.map((item) => item.number), ["558191095702", "558191095702", "558191095702", null]);
+  assert.equal(items[0].skip, null);
+  assert.deepEqual(items.slice(1, 3).map((item) => item.skip.status), ["ignorado", "ignorado"]);
+  assert.equal(items[3].skip.status, "erro");
+});
+
+test("planBulkSend aplica o send_date a todos e recusa o lote com data inválida", () => {
+  const recipients = [{ chat_number: "5581991095701", variables: { nome: "Ana" } }];
+  const { send_date, items } = planBulkSend({ template: "Oi {{nome}}", recipients, send_date: "amanhã 9h" }, options);
+  assert.equal(send_date, "2026-03-13T09:00:00-03:00");
+  assert.equal(items[0].params.send_date, send_date);
+
+  let normalized = 0;
+  assert.throws(
+    () => planBulkSend({ template: "Oi", recipients, send_date: "dia de são nunca" }, {
+      ...options,
+      normalizePhone: (input) => {
+        normalized++;
+        return options.normalizePhone(input);
+      },
+    }),
+    { code: "validation" },
+  );
+  assert.equal(normalized, 0);
+});
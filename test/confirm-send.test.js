@@ -0,0 +1,114 @@
+/**
+ * Testes do fluxo preparar → confirmar com o servidor MCP de verdade (stdio) e a API
+ * do ChatGuru falsa (fixtures/fake-chatguru-api.mjs): o arquivo enviado é o aprovado
+ * na prévia, e com CHATGURU_DRY_RUN a confirmação só mostra a prévia.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { createServer } from "net";
+import { tmpdir } from "os";
+import { join, dirname } from "path";
+import { createHash } from "crypto";
+import { fileURLToPath, pathToFileURL } from "url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+
+const root = join(dirname(fileURLToPath(import.meta.url)), "..");
+const fakeApi = pathToFileURL(join(root, "test", "fixtures", "fake-chatguru-api.mjs")).href;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer().listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on("error", reject);
+  });
+}
+
+/** Sobe o servidor MCP com a API falsa; calls recebe as chamadas feitas à API */
+async function startServer(t, env = {}) {
+  const dir = mkdtempSync(join(tmpdir(), "chatguru-confirm-"));
+
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [join(root, "index.js")],
+    cwd: dir,
+    env: {
+      ...process.env,
+      NODE_OPTIONS: `--import ${fakeApi}`,
+      CHATGURU_API_KEY: "k",
+      CHATGURU_ACCOUNT_ID: "a",
+      CHATGURU_PHONE_ID: "p",
+      CHATGURU_SERVER: "17",
+      CHATGURU_DATA_DIR: join(dir, "data"),
+      CHATGURU_UPLOAD_DIRS: dir,
+      ...env,
+    },
+    stderr: "pipe",
+  });
+  const calls = [];
+  let pending = "";
+  transport.stderr.on("data", (chunk) => {
+    const lines = (pending + chunk).split("\n");
+    pending = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith("[fake-api] ")) calls.push(JSON.parse(line.slice(11)));
+    }
+  });
+
+  const client = new Client({ name: "teste", version: "1.0.0" });
+  // Encerra o servidor antes de apagar a pasta de dados que ele ainda pode estar gravando
+  t.after(async () => {
+    await client.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+  await client.connect(transport);
+  return { client, calls, dir };
+}
+
+// O registro da API falsa chega pelo stderr, que pode vir depois da resposta da ferramenta
+async function waitForCalls(calls, count) {
+  for (let i = 0; i < 50 && calls.length < count; i++) await new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+async function call(client, name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  assert.equal(result.isError, undefined, result.content?.[0]?.text);
+  return result.structuredContent;
+}
+
+test("confirmação envia o arquivo aprovado na prévia, mesmo que o file_path mude", { timeout: 30000 }, async (t) => {
+  const port = await freePort();
+  const { client, calls, dir } = await startServer(t, {
+    CHATGURU_REQUIRE_CONFIRMATION: "true",
+    CHATGURU_UPLOAD_PORT: String(port),
+    CHATGURU_UPLOAD_PUBLIC_URL: `http://127.0.0.1:${port}`,
+  });
+  const path = join(dir, "orcamento.txt");
+  const approved = "Orçamento aprovado: R$ 100";
+  writeFileSync(path, approved);
+
+  const prepared = await call(client, "chatguru_send_file", { chat_number: "5581991095702", file_path: path });
+  assert.equal(prepared.outcome, "pending_confirmation");
+  writeFileSync(path, "Orçamento trocado depois da prévia: R$ 900");
+
+  const sent = await call(client, "chatguru_confirm_send", { token: prepared.confirmation.token });
+  assert.equal(sent.outcome, "success");
+  await waitForCalls(calls, 1);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].action, "message_file_send");
+  assert.equal(calls[0].sha256, createHash("sha256").update(approved).digest("hex"));
+});
+
+test("com CHATGURU_DRY_RUN, confirmar um envio preparado só mostra a prévia", { timeout: 30000 }, async (t) => {
+  const { client, calls } = await startServer(t, { CHATGURU_DRY_RUN: "true" });
+
+  const prepared = await call(client, "chatguru_prepare_send", { chat_number: "5581991095702", text: "Olá" });
+  assert.match(prepared.confirmation.summary, /SIMULAÇÃO/);
+
+  const confirmed = await call(client, "chatguru_confirm_send", { token: prepared.confirmation.token });
+  assert.equal(confirmed.outcome, "dry_run");
+  assert.deepEqual(calls, []);
+});
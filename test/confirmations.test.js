@@ -0,0 +1,41 @@
+/**
+ * Testes das ações pendentes de confirmação: uso único e isolamento entre
+ * sessões (um cliente HTTP não lista nem confirma o envio de outro).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createConfirmationStore } from "../lib/confirmations.js";
+
+test("token é de uso único", () => {
+  const store = createConfirmationStore();
+  const run = async () => ({});
+  const { token } = store.prepare({ summary: "mensagem" }, run);
+  assert.deepEqual(store.list().map((p) => p.token), [token]);
+  assert.equal(store.take(token).run, run);
+  assert.equal(store.take(token), null);
+  assert.deepEqual(store.list(), []);
+});
+
+test("cada sessão só vê e confirma os próprios envios", () => {
+  const store = createConfirmationStore();
+  const a = store.prepare({ summary: "de A" }, async () => ({}), "sessao-a");
+  const b = store.prepare({ summary: "de B" }, async () => ({}), "sessao-b");
+
+  assert.deepEqual(store.list("sessao-a").map((p) => p.summary), ["de A"]);
+  assert.deepEqual(store.list(), []);
+
+  // Token de outra sessão não é consumido
+  assert.equal(store.take(b.token, "sessao-a"), null);
+  assert.equal(store.take(b.token), null);
+  assert.ok(store.take(b.token, "sessao-b"));
+  assert.ok(store.take(a.token, "sessao-a"));
+});
+
+test("tokens expirados somem", async () => {
+  const store = createConfirmationStore({ ttlMs: 1 });
+  const { token } = store.prepare({ summary: "x" }, async () => ({}));
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.deepEqual(store.list(), []);
+  assert.equal(store.take(token), null);
+});
@@ -0,0 +1,70 @@
+/**
+ * Testes do TOTP (vetores da RFC 6238) e do arquivo de credenciais criptografado.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { generateTotp, decodeTotpSecret } from "../lib/totp.js";
+import { encryptCredentials, decryptCredentials, loadCredentials, CredentialsError } from "../lib/credentials.js";
+
+// "12345678901234567890" em base32 (segredo SHA-1 da RFC 6238)
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+test("generateTotp reproduz os vetores da RFC 6238 (SHA-1, 8 dígitos)", () => {
+  const vectors = [
+    [59, "94287082"],
+    [1111111109, "07081804"],
+    [1111111111, "14050471"],
+    [1234567890, "89005924"],
+    [2000000000, "69279037"],
+  ];
+  for (const [seconds, expected] of vectors) {
+    assert.equal(generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 }), expected);
+  }
+});
+
+test("decodeTotpSecret aceita espaços, minúsculas e URI otpauth://", () => {
+  const expected = Buffer.from("12345678901234567890");
+  assert.deepEqual(decodeTotpSecret("gezd gnbv gy3t qojq gezd gnbv gy3t qojq"), expected);
+  assert.deepEqual(decodeTotpSecret(`otpauth://totp/ChatGuru:eu@empresa.com?secret=${RFC_SECRET}&issuer=ChatGuru`), expected);
+  assert.throws(() => decodeTotpSecret("ABC1"), /base32/);
+});
+
+test("encryptCredentials/decryptCredentials fazem o caminho de ida e volta", () => {
+  const credentials = { email: "eu@empresa.com", password: "s3nh@", totp_secret: RFC_SECRET };
+  const file = encryptCredentials(credentials, "mestra");
+
+  assert.ok(!file.includes("s3nh@"));
+  assert.deepEqual(decryptCredentials(file, "mestra"), credentials);
+  assert.throws(() => decryptCredentials(file, "errada"), CredentialsError);
+});
+
+test("loadCredentials prefere as variáveis de ambiente e lê o arquivo com a senha mestra", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "chatguru-cred-"));
+  const filePath = join(dir, "credentials.enc");
+  try {
+    writeFileSync(filePath, encryptCredentials({ email: "arquivo@empresa.com", password: "x" }, "mestra"));
+
+    const fromEnv = await loadCredentials({
+      env: { CHATGURU_LOGIN_EMAIL: "env@empresa.com", CHATGURU_LOGIN_PASSWORD: "y", CHATGURU_CREDENTIALS_PASSPHRASE: "mestra" },
+      filePath,
+    });
+    assert.equal(fromEnv.source, "env");
+    assert.equal(fromEnv.email, "env@empresa.com");
+
+    const fromFile = await loadCredentials({ env: { CHATGURU_CREDENTIALS_PASSPHRASE: "mestra" }, filePath });
+    assert.deepEqual(fromFile, { email: "arquivo@empresa.com", password: "x", totp_secret: null, source: "file" });
+
+    assert.equal(await loadCredentials({ env: {}, filePath }), null);
+    await assert.rejects(loadCredentials({ env: { CHATGURU_LOGIN_EMAIL: "so@email.com" }, filePath }), CredentialsError);
+    await assert.rejects(
+      loadCredentials({ env: { CHATGURU_CREDENTIALS_PASSPHRASE: "mestra" }, filePath: join(dir, "nao-existe.enc") }),
+      /npm run credentials/
+    );
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,82 @@
+/**
+ * Testes das datas do painel e dos filtros: rótulos de dia ("Hoje", "12/03", "Segunda-feira"),
+ * horário das mensagens e dos cards ("há 3 dias"), limites de período (from/to) no fuso
+ * configurado, virada de ano e "hoje" diferente conforme o fuso.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDateBound, parseDayLabel, parseMessageTimestamp, parseRelativeTimestamp } from "../lib/dates.js";
+
+const timeZone = "America/Sao_Paulo";
+
+test("parseDateBound lê datas sem offset no fuso configurado", () => {
+  assert.equal(parseDateBound("2026-10-19", { timeZone }).toISOString(), "2026-10-19T03:00:00.000Z");
+  assert.equal(parseDateBound("19/10/2026 08:30", { timeZone }).toISOString(), "2026-10-19T11:30:00.000Z");
+  assert.equal(parseDateBound("2026-10-19T08:00:00Z", { timeZone }).toISOString(), "2026-10-19T08:00:00.000Z");
+  assert.equal(parseDateBound("ontem", { timeZone }), null);
+});
+
+test("parseDateBound com end cobre o dia local inteiro", () => {
+  assert.equal(parseDateBound("2026-10-19", { timeZone, end: true }).toISOString(), "2026-10-20T02:59:59.999Z");
+  assert.equal(parseDateBound("19/10/2026", { timeZone, end: true }).toISOString(), "2026-10-20T02:59:59.999Z");
+  // Com hora, o limite é o próprio horário
+  assert.equal(parseDateBound("2026-10-19 18:00", { timeZone, end: true }).toISOString(), "2026-10-19T21:00:00.000Z");
+  // Dia de 23 h (início do horário de verão em Nova York)
+  assert.equal(parseDateBound("2026-03-08", { timeZone: "America/New_York", end: true }).toISOString(), "2026-03-09T03:59:59.999Z");
+});
+
+// Quinta-feira, 12/03/2026 10:00 em São Paulo
+const now = new Date("2026-03-12T13:00:00Z");
+// 31/12/2025 23:00 em São Paulo, mas já 01/01/2026 em UTC e em Lisboa
+const newYearsEve = new Date("2026-01-01T02:00:00Z");
+
+test("parseDayLabel reconhece os rótulos de dia do painel", () => {
+  const day = (label) => parseDayLabel(label, { timeZone, now });
+  assert.deepEqual(day("Hoje"), { year: 2026, month: 3, day: 12 });
+  assert.deepEqual(day("Ontem"), { year: 2026, month: 3, day: 11 });
+  assert.deepEqual(day("Anteontem"), { year: 2026, month: 3, day: 10 });
+  assert.deepEqual(day("Segunda-feira"), { year: 2026, month: 3, day: 9 });
+  // O mesmo dia da semana de hoje é o da semana passada
+  assert.deepEqual(day("Quinta-feira"), { year: 2026, month: 3, day: 5 });
+  assert.deepEqual(day("12/03/26"), { year: 2026, month: 3, day: 12 });
+  assert.deepEqual(day("12 de março de 2025"), { year: 2025, month: 3, day: 12 });
+  assert.deepEqual(day("2026-02-28"), { year: 2026, month: 2, day: 28 });
+  assert.equal(day("mensagens não lidas"), null);
+});
+
+test("parseDayLabel sem ano não aponta para o futuro na virada do ano", () => {
+  const day = (label) => parseDayLabel(label, { timeZone, now: newYearsEve });
+  assert.deepEqual(day("Hoje"), { year: 2025, month: 12, day: 31 });
+  assert.deepEqual(day("Ontem"), { year: 2025, month: 12, day: 30 });
+  assert.deepEqual(day("30/12"), { year: 2025, month: 12, day: 30 });
+  // 01/01 ainda não chegou em São Paulo: é o do ano anterior
+  assert.deepEqual(day("01/01"), { year: 2025, month: 1, day: 1 });
+  assert.deepEqual(day("2 jan"), { year: 2025, month: 1, day: 2 });
+
+  const lisbon = (label) => parseDayLabel(label, { timeZone: "Europe/Lisbon", now: newYearsEve });
+  assert.deepEqual(lisbon("Hoje"), { year: 2026, month: 1, day: 1 });
+  assert.deepEqual(lisbon("31/12"), { year: 2025, month: 12, day: 31 });
+});
+
+test("parseMessageTimestamp combina o dia com o horário no fuso configurado", () => {
+  assert.equal(parseMessageTimestamp("Hoje", "14:32", { timeZone, now }), "2026-03-12T14:32:00-03:00");
+  assert.equal(parseMessageTimestamp("12/03/2026", "9:05", { timeZone, now }), "2026-03-12T09:05:00-03:00");
+  assert.equal(parseMessageTimestamp("Hoje", "23:30", { timeZone, now: newYearsEve }), "2025-12-31T23:30:00-03:00");
+  assert.equal(parseMessageTimestamp("Hoje", "00:15", { timeZone: "Europe/Lisbon", now: newYearsEve }), "2026-01-01T00:15:00+00:00");
+  assert.equal(parseMessageTimestamp("Hoje", "sem hora", { timeZone, now }), null);
+  assert.equal(parseMessageTimestamp("", "14:32", { timeZone, now }), null);
+});
+
+test("parseRelativeTimestamp indica a precisão de cada formato dos cards", () => {
+  const at = (text, options = {}) => parseRelativeTimestamp(text, { timeZone, now, ...options });
+  assert.deepEqual(at("14:32"), { iso: "2026-03-12T14:32:00-03:00", precision: "minute" });
+  assert.deepEqual(at("agora"), { iso: "2026-03-12T10:00:00-03:00", precision: "approximate" });
+  assert.deepEqual(at("há 3 dias"), { iso: "2026-03-09T10:00:00-03:00", precision: "approximate" });
+  assert.deepEqual(at("há uma hora"), { iso: "2026-03-12T09:00:00-03:00", precision: "approximate" });
+  assert.deepEqual(at("Ontem"), { iso: "2026-03-11T00:00:00-03:00", precision: "day" });
+  assert.deepEqual(at("31/12", { now: newYearsEve }), { iso: "2025-12-31T00:00:00-03:00", precision: "day" });
+  // O horário do card é de hoje no fuso configurado, não em UTC
+  assert.deepEqual(at("08:00", { now: newYearsEve, timeZone: "Asia/Tokyo" }), { iso: "2026-01-01T08:00:00+09:00", precision: "minute" });
+  assert.equal(at("ontem à noite"), null);
+});
@@ -0,0 +1,89 @@
+/**
+ * Testes da normalização do message_status: valores em pt e en, com e sem acento,
+ * e as formas negadas ("não lida", "unread", "undelivered") que não podem virar lida/entregue.
+ * Também os prazos do rastreador (desistência e retenção) para mensagens agendadas.
+ */
+
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { normalizeMessageStatus, createDeliveryTracker } from "../lib/delivery-tracker.js";
+
+afterEach(() => mock.timers.reset());
+
+const status = (value) => normalizeMessageStatus({ message_status: value });
+
+test("normalizeMessageStatus reconhece os valores da API em pt e en", () => {
+  assert.equal(status("Entregue"), "delivered");
+  assert.equal(status("delivered"), "delivered");
+  assert.equal(status("Lida"), "read");
+  assert.equal(status("READ"), "read");
+  assert.equal(status("Visualizada"), "read");
+  assert.equal(status("Enviada"), "sent");
+  assert.equal(status("Agendada"), "scheduled");
+  assert.equal(status("Pendente"), "pending");
+  assert.equal(status("na_fila"), "pending");
+  assert.equal(status(" Falha "), "failed");
+  assert.equal(status("Cancelada"), "failed");
+  assert.equal(normalizeMessageStatus({ status: "sent" }), "sent");
+});
+
+test("normalizeMessageStatus não confunde formas negadas nem palavras parecidas", () => {
+  assert.equal(status("não lida"), "delivered");
+  assert.equal(status("nao lida"), "delivered");
+  assert.equal(status("unread"), "delivered");
+  assert.equal(status("undelivered"), "sent");
+  assert.equal(status("Não entregue"), "sent");
+  assert.equal(status("ready"), "unknown");
+  assert.equal(status("already sent"), "unknown");
+  assert.equal(status("Enviando"), "pending");
+});
+
+test("normalizeMessageStatus devolve unknown sem status", () => {
+  assert.equal(normalizeMessageStatus(null), "unknown");
+  assert.equal(normalizeMessageStatus({}), "unknown");
+  assert.equal(status(""), "unknown");
+});
+
+const HOUR = 60 * 60 * 1000;
+const start = Date.parse("2026-03-12T13:00:00Z");
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+function tempStorePath(t) {
+  const dir = mkdtempSync(join(tmpdir(), "chatguru-tracker-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return join(dir, "sent-messages.json");
+}
+
+test("agendamento para daqui a mais de 48h não desiste antes de sair", async (t) => {
+  mock.timers.enable({ apis: ["Date"], now: start });
+  const tracker = createDeliveryTracker({ storePath: tempStorePath(t), fetchStatus: async () => ({ message_status: "Agendada" }) });
+  tracker.track("m1", { number: "5511999999999", scheduledFor: new Date(start + 72 * HOUR).toISOString() });
+  tracker.track("m2", { number: "5511999999999" });
+
+  mock.timers.setTime(start + 73 * HOUR);
+  const entries = await tracker.list({ hours: 24 * 7, refresh: true });
+  const scheduled = entries.find((e) => e.message_id === "m1");
+  const immediate = entries.find((e) => e.message_id === "m2");
+  assert.equal(scheduled.gave_up, undefined);
+  assert.equal(scheduled.final, false);
+  assert.equal(immediate.gave_up, true);
+});
+
+test("agendamento para daqui a mais de 7 dias fica no histórico até passar da retenção", async (t) => {
+  mock.timers.enable({ apis: ["Date"], now: start });
+  const tracker = createDeliveryTracker({ storePath: tempStorePath(t), fetchStatus: async () => ({ message_status: "Entregue" }) });
+  tracker.track("m1", { number: "5511999999999", scheduledFor: new Date(start + 10 * 24 * HOUR).toISOString() });
+  tracker.track("m2", { number: "5511999999999" });
+  tracker.record("m2", { message_status: "Entregue" });
+  await flush();
+
+  // 8 dias depois: o envio comum sai do histórico, o agendado (sai em 2 dias) fica
+  mock.timers.setTime(start + 8 * 24 * HOUR);
+  tracker.track("m3", { number: "5511999999999" });
+  await flush();
+  const ids = (await tracker.list({ hours: 24 * 30 })).map((e) => e.message_id);
+  assert.deepEqual(ids.sort(), ["m1", "m3"]);
+});
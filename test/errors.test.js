@@ -0,0 +1,64 @@
+/**
+ * Testes da taxonomia de erros: classificação, Retry-After e descrição para o cliente.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ChatGuruError, parseRetryAfter, apiHttpError, apiRejectionError, toChatGuruError, describeError } from "../lib/errors.js";
+import { PhoneValidationError } from "../lib/phone.js";
+
+test("apiHttpError e apiRejectionError classificam as respostas da API", () => {
+  assert.equal(apiHttpError(401, "Chave inválida").code, "auth");
+  assert.equal(apiHttpError(403, "Sem permissão").code, "auth");
+  assert.equal(apiHttpError(404, "Não encontrado").code, "not_found");
+  assert.equal(apiHttpError(422, "Parâmetro inválido").code, "validation");
+  assert.equal(apiHttpError(503, "Manutenção").code, "network");
+
+  const limited = apiHttpError(429, "Limite", { retryAfterMs: 12000 });
+  assert.equal(limited.code, "rate_limit");
+  assert.equal(limited.retryable, true);
+  assert.equal(limited.retryAfterMs, 12000);
+  assert.equal(limited.status, 429);
+  // Sem Retry-After: espera padrão do código
+  assert.equal(apiHttpError(429, "Limite", { retryAfterMs: null }).retryAfterMs, 30000);
+
+  assert.equal(apiRejectionError("Chave de API inválida").code, "auth");
+  assert.equal(apiRejectionError("Chat não encontrado").code, "not_found");
+  assert.equal(apiRejectionError("Parâmetro text obrigatório").code, "validation");
+});
+
+test("parseRetryAfter aceita segundos e data HTTP", () => {
+  const now = Date.parse("2026-03-12T14:00:00Z");
+  assert.equal(parseRetryAfter("30", now), 30000);
+  assert.equal(parseRetryAfter("Thu, 12 Mar 2026 14:01:00 GMT", now), 60000);
+  assert.equal(parseRetryAfter("Thu, 12 Mar 2026 13:00:00 GMT", now), 0);
+  assert.equal(parseRetryAfter(null, now), null);
+  assert.equal(parseRetryAfter("amanhã", now), null);
+});
+
+test("toChatGuruError classifica erros de outras origens", () => {
+  assert.equal(toChatGuruError(new PhoneValidationError("Número curto demais.")).code, "validation");
+  assert.equal(toChatGuruError(Object.assign(new Error("Sessão não encontrada"), { name: "SessionMissingError" })).code, "session_expired");
+  const timeout = (message) => Object.assign(new Error(message), { name: "TimeoutError" });
+  assert.equal(toChatGuruError(timeout("locator.waitFor: Timeout 10000ms exceeded")).code, "selector_missing");
+  assert.equal(toChatGuruError(timeout("page.goto: Timeout 30000ms exceeded")).code, "network");
+  assert.equal(toChatGuruError(new TypeError("fetch failed")).code, "network");
+  assert.equal(toChatGuruError(new Error("x is not a function")).code, "internal");
+
+  const original = new ChatGuruError("not_found", "Token expirado.");
+  assert.equal(toChatGuruError(original), original);
+});
+
+test("describeError traz código, retry e dica", () => {
+  assert.deepEqual(describeError(new ChatGuruError("validation", "Use since OU before.")), {
+    code: "validation",
+    message: "Use since OU before.",
+    retryable: false,
+    retry_after_seconds: null,
+    hint: "Corrija os parâmetros antes de repetir.",
+  });
+  const network = describeError(new ChatGuruError("network", "fetch failed", { retryAfterMs: 1500 }));
+  assert.equal(network.retryable, true);
+  assert.equal(network.retry_after_seconds, 2);
+  assert.equal(new ChatGuruError("inventado", "?").code, "internal");
+});
@@ -0,0 +1,27 @@
+/**
+ * API do ChatGuru falsa para os testes que sobem o servidor MCP (carregada com --import).
+ * Substitui o fetch global: cada chamada à API é registrada no stderr como
+ * "[fake-api] {json}"; em message_file_send, o arquivo da file_url é baixado e registrado
+ * pelo sha256, para o teste conferir o conteúdo que o ChatGuru receberia.
+ */
+
+import { createHash } from "crypto";
+
+const realFetch = globalThis.fetch;
+let sent = 0;
+
+globalThis.fetch = async (url, init) => {
+  const action = new URL(url).searchParams.get("action");
+  if (!action) return realFetch(url, init);
+
+  const call = { action, ...Object.fromEntries(new URLSearchParams(init?.body || "")) };
+  if (action === "message_file_send") {
+    const file = Buffer.from(await (await realFetch(call.file_url)).arrayBuffer());
+    call.sha256 = createHash("sha256").update(file).digest("hex");
+  }
+  process.stderr.write(`[fake-api] ${JSON.stringify(call)}\n`);
+  return new Response(JSON.stringify({ result: "success", message_id: `m${++sent}` }), {
+    status: 200,
+    headers: { "Content-Type": "application/json" },
+  });
+};
@@ -0,0 +1,68 @@
+/**
+ * Testes do transporte Streamable HTTP: autenticação Bearer e uma sessão por cliente.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { createHttpTransportServer, isAuthorized, isLoopbackHostHeader } from "../lib/http-transport.js";
+
+test("isAuthorized aceita qualquer um dos tokens Bearer", () => {
+  assert.equal(isAuthorized("Bearer b", ["a", "b"]), true);
+  assert.equal(isAuthorized("bearer a", ["a"]), true);
+  assert.equal(isAuthorized("Bearer c", ["a", "b"]), false);
+  assert.equal(isAuthorized("a", ["a"]), false);
+  assert.equal(isAuthorized(undefined, ["a"]), false);
+  assert.equal(isAuthorized(undefined, []), true);
+
+  assert.equal(isLoopbackHostHeader("localhost:3000"), true);
+  assert.equal(isLoopbackHostHeader("[::1]:3000"), true);
+  assert.equal(isLoopbackHostHeader("evil.example.com"), false);
+});
+
+test("cada cliente recebe sua sessão; sem token ou com sessão desconhecida é recusado", async () => {
+  let created = 0;
+  const http = createHttpTransportServer({
+    port: 0,
+    tokens: ["s3gredo"],
+    createServer: () => {
+      const server = new McpServer({ name: "teste", version: "1.0.0" });
+      const id = ++created;
+      server.tool("whoami", "Número da instância", {}, async () => ({ content: [{ type: "text", text: String(id) }] }));
+      return server;
+    },
+  });
+  const port = await http.start();
+  const url = new URL(`http://127.0.0.1:${port}/mcp`);
+  const connect = async () => {
+    const client = new Client({ name: "cliente", version: "1.0.0" });
+    await client.connect(new StreamableHTTPClientTransport(url, { requestInit: { headers: { Authorization: "Bearer s3gredo" } } }));
+    return client;
+  };
+  const initialize = { jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2025-03-26", capabilities: {}, clientInfo: { name: "x", version: "1" } } };
+  const post = (headers, body = initialize) => fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json, text/event-stream", ...headers },
+    body: JSON.stringify(body),
+  });
+
+  try {
+    assert.equal((await post({})).status, 401);
+    assert.equal((await post({ Authorization: "Bearer s3gredo" }, { jsonrpc: "2.0", id: 2, method: "tools/list" })).status, 400);
+    assert.equal((await post({ Authorization: "Bearer s3gredo", "Mcp-Session-Id": "inexistente" })).status, 404);
+
+    const [a, b] = [await connect(), await connect()];
+    assert.equal(http.sessionCount(), 2);
+    const whoami = async (client) => (await client.callTool({ name: "whoami", arguments: {} })).content[0].text;
+    assert.deepEqual([await whoami(a), await whoami(b)], ["1", "2"]);
+
+    await a.transport.terminateSession();
+    assert.equal(http.sessionCount(), 1);
+    await Promise.all([a.close(), b.close()]);
+  } finally {
+    await http.close();
+  }
+  assert.equal(http.sessionCount(), 0);
+});
@@ -0,0 +1,80 @@
+/**
+ * Testes das chaves de idempotência: repetição dentro da janela, chave reutilizada
+ * com outros parâmetros, chamadas simultâneas e persistência em disco.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createIdempotencyStore, fingerprint } from "../lib/idempotency.js";
+
+function tempStorePath(t) {
+  const dir = mkdtempSync(join(tmpdir(), "chatguru-idempotency-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return join(dir, "idempotency-keys.json");
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test("mesma chave devolve o resultado original sem chamar de novo", async (t) => {
+  const store = createIdempotencyStore({ storePath: tempStorePath(t) });
+  let calls = 0;
+  const send = async () => ({ message_id: `m${++calls}` });
+  const call = { scope: "default", key: "pedido-42", fingerprint: fingerprint({ action: "message_send", params: { chat_number: "5581991095702", text: "Oi" } }) };
+
+  const first = await store.run(call, send);
+  assert.equal(first.replayed, false);
+  const second = await store.run(call, send);
+  assert.equal(second.replayed, true);
+  assert.deepEqual(second.result, { message_id: "m1" });
+  assert.equal(second.created_at, first.created_at);
+  assert.equal(calls, 1);
+
+  // Outro perfil: a chave é independente
+  assert.equal((await store.run({ ...call, scope: "suporte" }, send)).replayed, false);
+  assert.equal(calls, 2);
+});
+
+test("chave reutilizada com outros parâmetros é recusada", async (t) => {
+  const store = createIdempotencyStore({ storePath: tempStorePath(t) });
+  const params = { chat_number: "5581991095702", text: "Oi" };
+  await store.run({ scope: "default", key: "k", fingerprint: fingerprint({ action: "message_send", params }) }, async () => ({}));
+  // Ordem das chaves não muda a impressão digital
+  assert.equal(fingerprint({ params, action: "message_send" }), fingerprint({ action: "message_send", params }));
+  await assert.rejects(
+    store.run({ scope: "default", key: "k", fingerprint: fingerprint({ action: "message_send", params: { ...params, text: "Olá" } }) }, async () => ({})),
+    (err) => err.code === "validation" && /outros parâmetros/.test(err.message)
+  );
+});
+
+test("falha libera a chave e chamadas simultâneas esperam a primeira", async (t) => {
+  const store = createIdempotencyStore({ storePath: tempStorePath(t) });
+  const call = { scope: "default", key: "k", fingerprint: fingerprint({ action: "chat_add" }) };
+
+  await assert.rejects(store.run(call, async () => { throw new Error("fetch failed"); }), /fetch failed/);
+
+  let calls = 0;
+  const slow = () => new Promise((resolve) => setTimeout(() => resolve({ chat_add_id: `c${++calls}` }), 20));
+  const [a, b] = await Promise.all([store.run(call, slow), store.run(call, slow)]);
+  assert.equal(calls, 1);
+  assert.deepEqual([a.replayed, b.replayed], [false, true]);
+  assert.deepEqual(b.result, { chat_add_id: "c1" });
+});
+
+test("chaves sobrevivem a reinícios e expiram com a janela", async (t) => {
+  const storePath = tempStorePath(t);
+  const call = { scope: "default", key: "k", fingerprint: fingerprint({ action: "message_send" }) };
+  await createIdempotencyStore({ storePath }).run(call, async () => ({ message_id: "m1" }));
+  await flush();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  const reloaded = await createIdempotencyStore({ storePath }).run(call, async () => ({ message_id: "m2" }));
+  assert.equal(reloaded.replayed, true);
+  assert.deepEqual(reloaded.result, { message_id: "m1" });
+
+  const expired = await createIdempotencyStore({ storePath, windowMs: 1 }).run(call, async () => ({ message_id: "m3" }));
+  assert.equal(expired.replayed, false);
+  assert.deepEqual(expired.result, { message_id: "m3" });
+});
@@ -0,0 +1,45 @@
+/**
+ * Testes dos anexos baixados: tipo MIME (cabeçalho, painel, conteúdo, extensão)
+ * e gravação com o hash do conteúdo como nome.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createHash } from "crypto";
+import { detectMediaType, extensionFor, saveMedia } from "../lib/media-store.js";
+
+const OGG = Buffer.concat([Buffer.from("OggS"), Buffer.alloc(60)]);
+const PDF = Buffer.from("%PDF-1.4\n%%EOF\n");
+
+test("detectMediaType prefere o cabeçalho e ignora tipos genéricos", () => {
+  assert.equal(detectMediaType({ buffer: OGG, contentType: "audio/ogg; codecs=opus" }), "audio/ogg");
+  assert.equal(detectMediaType({ buffer: OGG, contentType: "application/octet-stream", declaredType: "audio/ogg" }), "audio/ogg");
+  assert.equal(detectMediaType({ buffer: PDF, contentType: "binary/octet-stream" }), "application/pdf");
+  assert.equal(detectMediaType({ buffer: Buffer.from("a;b\n"), filename: "planilha.csv" }), "text/csv");
+  assert.equal(detectMediaType({ buffer: Buffer.from("???") }), "application/octet-stream");
+});
+
+test("extensionFor usa o tipo e cai para a extensão original", () => {
+  assert.equal(extensionFor("audio/ogg"), ".ogg");
+  assert.equal(extensionFor("image/webp"), ".webp");
+  assert.equal(extensionFor("application/x-rar", "backup.RAR"), ".rar");
+  assert.equal(extensionFor("application/octet-stream", "sem extensão"), ".bin");
+});
+
+test("saveMedia grava com o hash do conteúdo e não duplica", async (t) => {
+  const dir = join(mkdtempSync(join(tmpdir(), "chatguru-media-")), "media");
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const sha256 = createHash("sha256").update(OGG).digest("hex");
+
+  const first = await saveMedia({ dir, buffer: OGG, mime: "audio/ogg" });
+  assert.deepEqual(first, { path: join(dir, `${sha256}.ogg`), sha256, mime_type: "audio/ogg", size: OGG.length, already_saved: false });
+  assert.deepEqual(readFileSync(first.path), OGG);
+
+  const again = await saveMedia({ dir, buffer: OGG, mime: "audio/ogg", filename: "audio.ogg" });
+  assert.equal(again.already_saved, true);
+  assert.equal(again.path, first.path);
+  assert.deepEqual(readdirSync(dir), [`${sha256}.ogg`]);
+});
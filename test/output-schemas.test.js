@@ -0,0 +1,63 @@
+/**
+ * Testes dos schemas de saída: o que os scrapers extraem das fixtures precisa passar
+ * na validação do structuredContent feita pelo SDK.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { JSDOM } from "jsdom";
+import { z } from "zod";
+import { SELECTORS, extractChatCardsInPage, extractMessagesInPage, assignMessageKeys } from "../lib/scraper/index.js";
+import { readMessagesOutput, listChatsOutput, bulkSendOutput, confirmSendOutput } from "../lib/output-schemas.js";
+
+function loadFixture(name) {
+  const html = readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf-8");
+  return new JSDOM(html, { url: "https://s17.expertintegrado.app/chats" }).window.document;
+}
+
+test("mensagens e cards extraídos das fixtures passam nos schemas de saída", () => {
+  const messages = assignMessageKeys(extractMessagesInPage({ selectors: SELECTORS.chatView }, loadFixture("chat-view.html"))
+    .map((m) => ({ ...m, timestamp: null })));
+  assert.ok(messages.length > 0);
+  const read = z.object(readMessagesOutput).safeParse({
+    profile: "default",
+    chat_id: "686ede5b2333cb755c57d1a5",
+    link: "https://s17.expertintegrado.app/chats#686ede5b2333cb755c57d1a5",
+    messages,
+    cursor: messages.at(-1).key,
+    before_cursor: messages[0].key,
+    has_more_before: false,
+  });
+  assert.ok(read.success, read.error?.message);
+  // Campos fora do schema (media, quoted...) são mantidos
+  assert.deepEqual(Object.keys(read.data.messages[0]).sort(), Object.keys(messages[0]).sort());
+
+  const chats = extractChatCardsInPage({ selectors: SELECTORS.chatList, maxChats: 10 }, loadFixture("chat-list.html"));
+  const list = z.object(listChatsOutput).safeParse({ profile: "default", filters: { limit: 50 }, count: chats.length, chats });
+  assert.ok(list.success, list.error?.message);
+});
+
+test("schemas de escrita aceitam cada outcome e recusam resultado incompleto", () => {
+  const bulk = z.object(bulkSendOutput);
+  assert.ok(bulk.safeParse({
+    outcome: "pending_confirmation",
+    tool: "chatguru_bulk_send",
+    profile: "default",
+    chat_number: null,
+    confirmation: { token: "abc", expires_at: "2026-03-12T14:32:00.000Z", summary: "envio em massa", previews: [] },
+  }).success);
+  assert.ok(bulk.safeParse({
+    outcome: "success",
+    tool: "chatguru_bulk_send",
+    profile: "default",
+    chat_number: null,
+    total: 1, sent: 1, simulated: 0, failed: 0, skipped: 0,
+    results: [{ chat_number: "81 99109-5702", number: "5581991095702", status: "enviado", message_id: "m1", error: null }],
+  }).success);
+  assert.equal(bulk.safeParse({ outcome: "enviado", tool: "chatguru_bulk_send", profile: "default", chat_number: null }).success, false);
+
+  const confirm = z.object(confirmSendOutput);
+  assert.ok(confirm.safeParse({ pending: [] }).success);
+  assert.ok(confirm.safeParse({ outcome: "cancelled", tool: "chatguru_send_message", profile: "default", chat_number: "5581991095702" }).success);
+});
@@ -0,0 +1,66 @@
+/**
+ * Testes da normalização de telefones: regras de celular por país (9º dígito no
+ * Brasil, 9/15 na Argentina, "1" no México), prefixo de tronco e números recusados.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizePhone, parsePhone, phoneSearchVariants, PhoneValidationError } from "../lib/phone.js";
+
+const rejects = (input, pattern, options) =>
+  assert.throws(() => normalizePhone(input, options), (err) => err instanceof PhoneValidationError && pattern.test(err.message));
+
+test("Brasil: 9º dígito removido nos DDDs 31+ e mantido nos DDDs 11-30", () => {
+  assert.equal(normalizePhone("+55 (81) 99109-5702"), "558191095702");
+  assert.equal(normalizePhone("81 9109-5702"), "558191095702");
+  assert.equal(normalizePhone("5531912345678"), "553112345678");
+  assert.equal(normalizePhone("(11) 91234-5678"), "5511912345678");
+  assert.equal(normalizePhone("21 2345-6789"), "552123456789");
+  // Prefixo de tronco 0 (discagem nacional)
+  assert.equal(normalizePhone("0 81 99109-5702"), "558191095702");
+  assert.deepEqual(phoneSearchVariants("558191095702"), ["558191095702", "5581991095702"]);
+  assert.deepEqual(phoneSearchVariants("1123456789"), ["551123456789", "5511923456789"]);
+});
+
+test("Brasil: DDD inexistente e celular de 9 dígitos sem o 9 são recusados", () => {
+  rejects("20 91234-5678", /DDD 20 não existe/);
+  rejects("+55 11 81234-5678", /deve começar com 9/);
+  rejects("+55 11 1234", /Número inválido para Brasil/);
+});
+
+test("Argentina: 9 de celular inserido e 15 local removido", () => {
+  assert.equal(normalizePhone("+54 9 11 1234-5678"), "5491112345678");
+  assert.equal(normalizePhone("+54 11 1234-5678"), "5491112345678");
+  assert.equal(normalizePhone("+54 11 15 1234-5678"), "5491112345678");
+  assert.equal(normalizePhone("+54 351 15 123-4567"), "5493511234567");
+  assert.equal(normalizePhone("011 15 1234-5678", { defaultCountry: "AR" }), "5491112345678");
+  assert.deepEqual(phoneSearchVariants("+54 9 11 1234-5678"), ["5491112345678", "541112345678"]);
+  rejects("+54 11 1234-567", /Número argentino deve ter/);
+  rejects("+54 8 11 1234-5678", /Número argentino deve ter/);
+});
+
+test("México: o 1 antigo de celular é removido", () => {
+  assert.equal(normalizePhone("+52 1 55 1234 5678"), "525512345678");
+  assert.equal(normalizePhone("+52 55 1234 5678"), "525512345678");
+  assert.deepEqual(phoneSearchVariants("+52 55 1234 5678"), ["525512345678", "5215512345678"]);
+  rejects("+52 2 55 1234 5678", /Número inválido para México/);
+  rejects("+52 55 1234 567", /Número inválido para México/);
+});
+
+test("prefixo de tronco é removido mesmo depois do DDI", () => {
+  assert.equal(normalizePhone("+44 (0)7911 123456"), "447911123456");
+  assert.equal(normalizePhone("+33 0 6 12 34 56 78"), "33612345678");
+  assert.equal(normalizePhone("06 12 34 56 78", { defaultCountry: "FR" }), "33612345678");
+  // Portugal não tem prefixo de tronco: o 0 fica e o número é recusado
+  rejects("+351 0912 345 678", /Número inválido para Portugal/);
+});
+
+test("outros países e números recusados", () => {
+  assert.equal(normalizePhone("+351 912 345 678"), "351912345678");
+  assert.equal(normalizePhone("14155552671"), "14155552671");
+  assert.equal(parsePhone("+999 1234 5678").country, null);
+  rejects("12345", /curto demais/);
+  rejects("+55 81 99109-5702 1234 5678", /longo demais/);
+  rejects("+1 055 555 2671", /Estados Unidos/);
+  rejects("81991095702", /País padrão "XX" não suportado/, { defaultCountry: "XX" });
+});
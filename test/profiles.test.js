@@ -0,0 +1,75 @@
+/**
+ * Testes dos perfis de conta/número (profiles.json e modo legado por variáveis de ambiente).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { loadProfiles, parseProfiles, selectProfile, profileCredentialsSource, profileArg, ProfileError } from "../lib/profiles.js";
+
+const BASE = { baseDir: "/app", dataDir: "/app/data" };
+const SALES = { api_key: "${VENDAS_KEY}", account_id: "acc", phone_id: "ph1", server: "17" };
+const SUPPORT = { api_key: "k2", account_id: "acc", phone_id: "ph2", server: "21", login_email: "sup@empresa.com", login_password: "${SUP_PW}" };
+
+test("parseProfiles interpola ${VAR} e define os arquivos de sessão e credenciais por perfil", () => {
+  const { defaultName, profiles } = parseProfiles(
+    { default: "vendas", profiles: { vendas: SALES, suporte: SUPPORT } },
+    { ...BASE, env: { VENDAS_KEY: "k1", SUP_PW: "segredo" } }
+  );
+
+  assert.equal(defaultName, "vendas");
+  const [vendas, suporte] = profiles;
+  assert.equal(vendas.api_key, "k1");
+  assert.equal(vendas.session_path, "/app/session.json");
+  assert.equal(vendas.credentials_path, "/app/data/credentials.enc");
+  assert.equal(suporte.session_path, "/app/sessions/suporte.json");
+  assert.equal(suporte.credentials_path, "/app/data/credentials-suporte.enc");
+  assert.equal(suporte.login_password, "segredo");
+});
+
+test("parseProfiles recusa configurações inválidas", () => {
+  const env = { VENDAS_KEY: "k1", SUP_PW: "x" };
+  assert.throws(() => parseProfiles({ profiles: {} }, { ...BASE, env }), ProfileError);
+  assert.throws(() => parseProfiles({ profiles: { vendas: SALES } }, { ...BASE, env: {} }), /VENDAS_KEY não definida/);
+  assert.throws(() => parseProfiles({ default: "outro", profiles: { vendas: SALES } }, { ...BASE, env }), /padrão "outro"/);
+  assert.throws(() => parseProfiles({ profiles: { "com espaço": SALES } }, { ...BASE, env }), /inválido/);
+  assert.throws(() => parseProfiles({ profiles: { vendas: { ...SALES, phone_id: "" } } }, { ...BASE, env }), /sem phone_id/);
+  assert.throws(
+    () => parseProfiles({ profiles: { a: { ...SALES, session_file: "s.json" }, b: { ...SUPPORT, session_file: "s.json" } } }, { ...BASE, env }),
+    /mesmo arquivo de sessão/
+  );
+
+  // Scripts do painel não precisam dos segredos da API
+  const { profiles } = parseProfiles({ profiles: { vendas: SALES } }, { ...BASE, env: {}, requireApi: false });
+  assert.equal(profiles[0].api_key, null);
+});
+
+test("loadProfiles sem profiles.json monta o perfil default das variáveis de ambiente", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "chatguru-profiles-"));
+  try {
+    const env = { CHATGURU_API_KEY: "k", CHATGURU_ACCOUNT_ID: "a", CHATGURU_PHONE_ID: "p", CHATGURU_SERVER: "17", CHATGURU_CREDENTIALS_PASSPHRASE: "m" };
+    const legacy = await loadProfiles({ env, baseDir: dir, dataDir: join(dir, "data") });
+    assert.equal(legacy.source, "env");
+    assert.equal(legacy.defaultName, "default");
+    assert.equal(legacy.profiles[0].session_path, join(dir, "session.json"));
+    assert.equal(profileCredentialsSource(legacy.profiles[0]).env.CHATGURU_CREDENTIALS_PASSPHRASE, "m");
+    await assert.rejects(loadProfiles({ env: { CHATGURU_SERVER: "17" }, baseDir: dir, dataDir: dir }), /CHATGURU_API_KEY/);
+
+    writeFileSync(join(dir, "profiles.json"), JSON.stringify({ profiles: { suporte: SUPPORT } }));
+    const fromFile = await loadProfiles({ env: { SUP_PW: "x" }, baseDir: dir, dataDir: join(dir, "data") });
+    assert.equal(fromFile.source, "file");
+    assert.equal(fromFile.defaultName, "suporte");
+    assert.equal(selectProfile(fromFile).name, "suporte");
+    assert.throws(() => selectProfile(fromFile, "vendas"), /Disponíveis: suporte/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("profileArg lê --profile=nome e --profile nome", () => {
+  assert.equal(profileArg(["--profile=suporte"]), "suporte");
+  assert.equal(profileArg(["--profile", "vendas"]), "vendas");
+  assert.equal(profileArg([]), undefined);
+});
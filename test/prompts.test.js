@@ -0,0 +1,78 @@
+/**
+ * Testes dos prompts MCP: combinação com o prompts.json da equipe, renderização e transcrição.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { parsePromptConfig, loadPrompts, renderPrompt, formatTranscript, PromptConfigError } from "../lib/prompts.js";
+
+test("parsePromptConfig combina o prompts.json com os padrões", () => {
+  const defaults = parsePromptConfig();
+  assert.deepEqual(defaults.prompts.map((p) => p.name), ["summarize_and_reply", "triage_unread", "qualify_lead"]);
+  assert.equal(defaults.teamContext, "");
+
+  const { teamContext, prompts } = parsePromptConfig({
+    team_context: ["Somos o suporte da ACME.", "Tom cordial."],
+    prompts: {
+      qualify_lead: { fields: ["segmento", "orcamento"] },
+      triage_unread: { enabled: false },
+      follow_up: { description: "Follow-up", template: "Escreva um follow-up.\n{{conversation}}" },
+    },
+  });
+  assert.equal(teamContext, "Somos o suporte da ACME.\nTom cordial.");
+  assert.deepEqual(prompts.map((p) => p.name), ["summarize_and_reply", "qualify_lead", "follow_up"]);
+  const qualify = prompts.find((p) => p.name === "qualify_lead");
+  assert.deepEqual(qualify.fields, ["segmento", "orcamento"]);
+  assert.match(qualify.template, /\{\{fields\}\}/);
+  assert.equal(prompts.find((p) => p.name === "follow_up").prefetch, "messages");
+});
+
+test("parsePromptConfig recusa configurações inválidas", () => {
+  assert.throws(() => parsePromptConfig([]), PromptConfigError);
+  assert.throws(() => parsePromptConfig({ prompts: { novo: { template: "x" } } }), /description e template/);
+  assert.throws(() => parsePromptConfig({ prompts: { "com espaço": { description: "d", template: "x" } } }), /inválido/);
+  assert.throws(() => parsePromptConfig({ prompts: { qualify_lead: { prefetch: "tudo" } } }), /prefetch "tudo"/);
+  assert.throws(() => parsePromptConfig({ prompts: { qualify_lead: { template: 42 } } }), /template/);
+});
+
+test("loadPrompts lê o arquivo da equipe e usa os padrões sem ele", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "chatguru-prompts-"));
+  try {
+    assert.equal((await loadPrompts({ env: {}, baseDir: dir })).source, "default");
+    await assert.rejects(loadPrompts({ env: { CHATGURU_PROMPTS_FILE: join(dir, "nada.json") }, baseDir: dir }), /não existe/);
+
+    writeFileSync(join(dir, "prompts.json"), JSON.stringify({ team_context: "Equipe X" }));
+    const loaded = await loadPrompts({ env: {}, baseDir: dir });
+    assert.equal(loaded.source, "file");
+    assert.equal(loaded.teamContext, "Equipe X");
+
+    writeFileSync(join(dir, "prompts.json"), "{ inválido");
+    await assert.rejects(loadPrompts({ env: {}, baseDir: dir }), /Não foi possível ler/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("renderPrompt preenche variáveis, mantém placeholders desconhecidos e compacta linhas vazias", () => {
+  const text = renderPrompt("{{team_context}}\n\n\nChat {{chat_id}} {{ desconhecido }}\n\n\n\nFim", { team_context: "", chat_id: "abc" });
+  assert.equal(text, "Chat abc {{ desconhecido }}\n\nFim");
+});
+
+test("formatTranscript gera uma linha por mensagem", () => {
+  const transcript = formatTranscript([
+    { direction: "in", author: "Maria", texto: "Oi, qual o preço?", timestamp: "2026-03-12T14:32:00-03:00" },
+    { direction: "out", author: "Eric", texto: "Olá! R$ 100.", data: "12/03/2026", horario: "14:35", quoted: { texto: "Oi, qual o preço?" } },
+    { direction: "internal", is_note: true, author: "Eric", texto: "Cliente quente" },
+    { direction: "in", kind: "audio", texto: "" },
+  ]);
+  assert.deepEqual(transcript.split("\n"), [
+    "[2026-03-12 14:32] Cliente: Oi, qual o preço?",
+    '[12/03/2026 14:35] Atendente (Eric): [em resposta a: "Oi, qual o preço?"] Olá! R$ 100.',
+    "[?] Nota interna (Eric): Cliente quente",
+    "[?] Cliente: [audio]",
+  ]);
+  assert.equal(formatTranscript([]), "(nenhuma mensagem)");
+});
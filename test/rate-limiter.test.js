@@ -0,0 +1,92 @@
+/**
+ * Testes do limitador de requisições: prioridade da fila, orçamento por classe,
+ * pausa por Retry-After e tempo máximo de espera. O relógio é simulado (mock.timers).
+ */
+
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter, parseRateLimits } from "../lib/rate-limiter.js";
+
+beforeEach(() => mock.timers.enable({ apis: ["setTimeout", "Date"], now: 0 }));
+afterEach(() => mock.timers.reset());
+
+// Deixa as promessas liberadas pelo limitador rodarem
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+function track(limiter, action, order) {
+  return limiter.acquire(action).then(() => order.push(action), (err) => order.push(`${action}:${err.code}`));
+}
+
+test("fila atende envios antes de leituras quando o balde da conta libera", async () => {
+  const limiter = createRateLimiter({ perMinute: 6, jitterMs: 0 });
+  const order = [];
+  track(limiter, "message_status", order);
+  await flush();
+  assert.deepEqual(order, ["message_status"]);
+
+  track(limiter, "chat_add_status", order);
+  track(limiter, "message_send", order);
+  await flush();
+  assert.equal(limiter.stats().queued, 2);
+
+  mock.timers.tick(10000);
+  await flush();
+  assert.deepEqual(order, ["message_status", "message_send"]);
+  mock.timers.tick(10000);
+  await flush();
+  assert.deepEqual(order, ["message_status", "message_send", "chat_add_status"]);
+  assert.equal(limiter.stats().max_queue_depth, 2);
+});
+
+test("classe sem orçamento não trava as outras", async () => {
+  const limiter = createRateLimiter({ perMinute: 600, limits: { send: 6 }, jitterMs: 0 });
+  const order = [];
+  track(limiter, "message_send", order);
+  track(limiter, "message_file_send", order);
+  track(limiter, "chat_update_name", order);
+  await flush();
+  assert.deepEqual(order, ["message_send", "chat_update_name"]);
+  assert.deepEqual(limiter.stats().queued_by_class, { send: 1, update: 0, read: 0 });
+
+  mock.timers.tick(10000);
+  await flush();
+  assert.deepEqual(order, ["message_send", "chat_update_name", "message_file_send"]);
+});
+
+test("pause segura a fila até o Retry-After", async () => {
+  const limiter = createRateLimiter({ perMinute: 600, jitterMs: 0 });
+  const order = [];
+  limiter.pause(5000);
+  track(limiter, "message_send", order);
+  await flush();
+  assert.deepEqual(order, []);
+  assert.equal(limiter.stats().paused_until, new Date(5000).toISOString());
+  assert.equal(limiter.stats().throttled, 1);
+
+  mock.timers.tick(4999);
+  await flush();
+  assert.deepEqual(order, []);
+  mock.timers.tick(1000);
+  await flush();
+  assert.deepEqual(order, ["message_send"]);
+});
+
+test("chamada que passa do tempo máximo na fila falha com rate_limit", async () => {
+  const limiter = createRateLimiter({ perMinute: 1, maxWaitMs: 2000, jitterMs: 0 });
+  const order = [];
+  track(limiter, "message_send", order);
+  track(limiter, "note_add", order);
+  await flush();
+  mock.timers.tick(2000);
+  await flush();
+  assert.deepEqual(order, ["message_send", "note_add:rate_limit"]);
+  assert.equal(limiter.stats().timed_out, 1);
+  assert.equal(limiter.stats().queued, 0);
+});
+
+test("parseRateLimits aceita classes e actions", () => {
+  assert.deepEqual(parseRateLimits("send=20, message_status=10"), { send: 20, message_status: 10 });
+  assert.deepEqual(parseRateLimits(""), {});
+  assert.throws(() => parseRateLimits("envios=20"), /não é classe/);
+  assert.throws(() => parseRateLimits("send=0"), /inválido/);
+});
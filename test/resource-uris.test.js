@@ -0,0 +1,34 @@
+/**
+ * Testes dos templates de URI dos recursos (query opcional e em qualquer ordem).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createQueryTemplate, queryFlag, queryLimit } from "../lib/resource-uris.js";
+
+test("createQueryTemplate aceita a query parcial, fora de ordem ou ausente", () => {
+  const chats = createQueryTemplate("chatguru://chats{?status,unread_only,limit,profile}");
+  assert.deepEqual(chats.match("chatguru://chats"), {});
+  assert.deepEqual(chats.match("chatguru://chats?status=EM%20ATENDIMENTO"), { status: "EM ATENDIMENTO" });
+  assert.deepEqual(chats.match("chatguru://chats?limit=5&status=ABERTO"), { limit: "5", status: "ABERTO" });
+  assert.equal(chats.match("chatguru://chats?desconhecido=1"), null);
+  assert.equal(chats.match("chatguru://chat/abc/messages"), null);
+  assert.equal(chats.expand({ status: "EM ATENDIMENTO" }), "chatguru://chats?status=EM%20ATENDIMENTO");
+  assert.equal(chats.toString(), "chatguru://chats{?status,unread_only,limit,profile}");
+
+  const messages = createQueryTemplate("chatguru://chat/{chat_id}/messages{?limit,profile}");
+  assert.deepEqual(messages.match("chatguru://chat/686ede5b/messages"), { chat_id: "686ede5b" });
+  assert.deepEqual(messages.match("chatguru://chat/686ede5b/messages?profile=suporte"), { chat_id: "686ede5b", profile: "suporte" });
+  assert.equal(messages.match("chatguru://chat/a/b/messages"), null);
+});
+
+test("queryFlag e queryLimit interpretam os parâmetros de query", () => {
+  assert.equal(queryFlag("true"), true);
+  assert.equal(queryFlag("sim"), true);
+  assert.equal(queryFlag("0"), false);
+  assert.equal(queryFlag(undefined), false);
+
+  assert.equal(queryLimit(undefined, { fallback: 50, max: 100 }), 50);
+  assert.equal(queryLimit("500", { fallback: 50, max: 100 }), 100);
+  assert.throws(() => queryLimit("abc", { fallback: 50, max: 100 }), /limit "abc"/);
+});
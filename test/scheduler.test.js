@@ -0,0 +1,198 @@
+/**
+ * Testes do agendamento: interpretação do send_date (ISO, pt-BR, relativo) e o
+ * agendador local (disparo na hora, cancelamento, remarcação, retomada após reinício).
+ */
+
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { parseSendDate, formatInTimeZone } from "../lib/dates.js";
+import { createScheduler } from "../lib/scheduler.js";
+import { ChatGuruError } from "../lib/errors.js";
+
+afterEach(() => mock.timers.reset());
+
+// Quinta-feira, 12/03/2026 10:00 em São Paulo
+const now = new Date("2026-03-12T13:00:00Z");
+const parse = (text) => {
+  const date = parseSendDate(text, { now });
+  return date && formatInTimeZone(date);
+};
+
+test("parseSendDate aceita ISO, pt-BR e datas relativas no fuso configurado", () => {
+  assert.equal(parse("2026-03-20 08:00"), "2026-03-20T08:00:00-03:00");
+  assert.equal(parse("2026-03-20T08:00:00Z"), "2026-03-20T05:00:00-03:00");
+  assert.equal(parse("13/03/2026 14:00"), "2026-03-13T14:00:00-03:00");
+  assert.equal(parse("12/03 às 14h30"), "2026-03-12T14:30:00-03:00");
+  assert.equal(parse("12 de março 11h"), "2026-03-12T11:00:00-03:00");
+  assert.equal(parse("amanhã 9h"), "2026-03-13T09:00:00-03:00");
+  assert.equal(parse("Amanhã às 9:30"), "2026-03-13T09:30:00-03:00");
+  assert.equal(parse("depois de amanhã 10h"), "2026-03-14T10:00:00-03:00");
+  assert.equal(parse("sexta 14h"), "2026-03-13T14:00:00-03:00");
+  assert.equal(parse("em 2 horas"), "2026-03-12T12:00:00-03:00");
+  assert.equal(parse("daqui a 30 minutos"), "2026-03-12T10:30:00-03:00");
+  assert.equal(parseSendDate("amanhã 9h", { now, timeZone: "Europe/Lisbon" }).toISOString(), "2026-03-13T09:00:00.000Z");
+});
+
+test("parseSendDate leva para a próxima ocorrência e recusa datas inválidas", () => {
+  // Só o horário, já passado hoje: amanhã
+  assert.equal(parse("9h"), "2026-03-13T09:00:00-03:00");
+  // Dia da semana de hoje com horário passado: semana que vem
+  assert.equal(parse("quinta 9h"), "2026-03-19T09:00:00-03:00");
+  // Dia sem ano que já passou: ano seguinte; hoje com horário passado fica no passado
+  assert.equal(parse("11/03 9h"), "2027-03-11T09:00:00-03:00");
+  assert.equal(parse("hoje 8h"), "2026-03-12T08:00:00-03:00");
+
+  for (const text of ["31/02 9h", "25h", "amanhã", "semana que vem", "", "12/13/2026 10:00"]) {
+    assert.equal(parseSendDate(text, { now }), null, text);
+  }
+});
+
+function tempStorePath(t) {
+  const dir = mkdtempSync(join(tmpdir(), "chatguru-scheduler-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return join(dir, "scheduled-messages.json");
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+const item = (number, minutes) => ({
+  profile: "default", tool: "chatguru_send_message", number,
+  params: { chat_number: number, text: "Oi" }, dueAt: new Date(Date.now() + minutes * 60000),
+});
+
+test("agendador dispara na hora e respeita cancelamento e remarcação", async (t) => {
+  mock.timers.enable({ apis: ["setTimeout", "Date"], now: now.getTime() });
+  const sent = [];
+  const scheduler = createScheduler({
+    storePath: tempStorePath(t),
+    dispatch: async (entry) => { sent.push(entry.number); return { message_id: `m${sent.length}` }; },
+  });
+  scheduler.start();
+  const a = scheduler.schedule(item("5581991095701", 10));
+  const b = scheduler.schedule(item("5581991095702", 20));
+  const c = scheduler.schedule(item("5581991095703", 30));
+
+  scheduler.cancel(b.id);
+  scheduler.reschedule(c.id, new Date(now.getTime() + 5 * 60000));
+
+  mock.timers.tick(5 * 60000);
+  await flush();
+  assert.deepEqual(sent, ["5581991095703"]);
+  mock.timers.tick(5 * 60000);
+  await flush();
+  assert.deepEqual(sent, ["5581991095703", "5581991095701"]);
+
+  assert.equal(scheduler.get(a.id).status, "sent");
+  assert.equal(scheduler.get(a.id).message_id, "m2");
+  assert.equal(scheduler.get(b.id).status, "cancelled");
+  // Já enviado: cancelar não altera
+  assert.equal(scheduler.cancel(a.id).status, "sent");
+  assert.deepEqual(scheduler.list({ statuses: ["scheduled"] }), []);
+});
+
+test("limite de requisições tenta de novo; erro definitivo marca failed", async (t) => {
+  mock.timers.enable({ apis: ["setTimeout", "Date"], now: now.getTime() });
+  let attempts = 0;
+  const scheduler = createScheduler({
+    storePath: tempStorePath(t),
+    dispatch: async (entry) => {
+      attempts++;
+      if (entry.number.endsWith("1")) throw new ChatGuruError("rate_limit", "Limite", { retryAfterMs: 1000 });
+      throw new ChatGuruError("validation", "Número inválido");
+    },
+  });
+  const retried = scheduler.schedule(item("5581991095701", 1));
+  const rejected = scheduler.schedule(item("5581991095702", 1));
+
+  mock.timers.tick(60000);
+  await flush();
+  assert.equal(scheduler.get(rejected.id).status, "failed");
+  assert.equal(scheduler.get(rejected.id).error_code, "validation");
+  assert.equal(scheduler.get(retried.id).status, "scheduled");
+
+  for (let i = 0; i < 3; i++) {
+    mock.timers.tick(1000);
+    await flush();
+  }
+  assert.equal(scheduler.get(retried.id).status, "failed");
+  assert.equal(scheduler.get(retried.id).attempts, 3);
+  assert.equal(attempts, 4);
+});
+
+test("falha de rede ou 5xx marca failed sem disparar de novo", async (t) => {
+  mock.timers.enable({ apis: ["setTimeout", "Date"], now: now.getTime() });
+  let attempts = 0;
+  const scheduler = createScheduler({
+    storePath: tempStorePath(t),
+    dispatch: async () => {
+      attempts++;
+      throw new ChatGuruError("network", "ChatGuru em manutenção.", { status: 503 });
+    },
+  });
+  const entry = scheduler.schedule(item("5581991095701", 1));
+
+  mock.timers.tick(60000);
+  await flush();
+  mock.timers.tick(60000);
+  await flush();
+  assert.equal(scheduler.get(entry.id).status, "failed");
+  assert.equal(scheduler.get(entry.id).error_code, "network");
+  assert.match(scheduler.get(entry.id).error, /Não dá para saber se a mensagem saiu/);
+  assert.equal(attempts, 1);
+});
+
+test("ao reiniciar, vencidos dentro da tolerância saem; os demais ficam missed ou failed", async (t) => {
+  const storePath = tempStorePath(t);
+  const at = (minutesAgo) => new Date(Date.now() - minutesAgo * 60000).toISOString();
+  const entry = (id, status, dueAt) => ({
+    id, profile: "default", tool: "chatguru_send_message", number: `55819910957${id}`,
+    params: { chat_number: `55819910957${id}`, text: "Oi" }, due_at: dueAt, batch_id: null, status,
+    attempts: 0, created_at: at(120), updated_at: at(120), sent_at: null, message_id: null, error: null, error_code: null,
+  });
+  writeFileSync(storePath, JSON.stringify([
+    entry("01", "scheduled", at(5)),
+    entry("02", "scheduled", at(90)),
+    entry("03", "sending", at(10)),
+  ]));
+
+  const sent = [];
+  const scheduler = createScheduler({ storePath, graceMs: 60 * 60000, dispatch: async (e) => { sent.push(e.id); return {}; } });
+  scheduler.start();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  assert.deepEqual(sent, ["01"]);
+  assert.equal(scheduler.get("01").status, "sent");
+  assert.equal(scheduler.get("02").status, "missed");
+  assert.equal(scheduler.get("03").status, "failed");
+
+  // Perdido pode ser remarcado
+  scheduler.reschedule("02", new Date(Date.now() + 60000));
+  assert.equal(scheduler.get("02").status, "scheduled");
+});
+
+test("agendamento da API só é registrado: não dispara, não fica missed e não pode ser alterado", async (t) => {
+  const at = (minutes) => new Date(Date.now() + minutes * 60000);
+  const dispatched = [];
+  const scheduler = createScheduler({ storePath: tempStorePath(t), graceMs: 60000, dispatch: async (e) => { dispatched.push(e.id); return {}; } });
+  scheduler.start();
+  const soon = scheduler.schedule({ ...item("5581991095701", 0), dueAt: at(-0.001), mode: "api", messageId: "m1" });
+  const later = scheduler.schedule({ ...item("5581991095702", 30), mode: "api", messageId: "m2" });
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  assert.deepEqual(dispatched, []);
+  assert.equal(scheduler.get(soon.id).status, "sent");
+  assert.equal(scheduler.get(soon.id).message_id, "m1");
+  assert.equal(scheduler.cancel(later.id).status, "scheduled");
+  assert.equal(scheduler.reschedule(later.id, at(60)).due_at, later.due_at);
+
+  // Ao reiniciar bem depois do horário: a API já enviou, não vira missed
+  const restartPath = tempStorePath(t);
+  writeFileSync(restartPath, JSON.stringify([{ ...later, due_at: at(-300).toISOString() }]));
+  const restarted = createScheduler({ storePath: restartPath, graceMs: 60000, dispatch: async (e) => { dispatched.push(e.id); return {}; } });
+  restarted.start();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.deepEqual(dispatched, []);
+  assert.equal(restarted.get(later.id).status, "sent");
+});
@@ -0,0 +1,235 @@
+/**
+ * Testes da biblioteca de scraping contra páginas salvas do painel (test/fixtures).
+ * As funções *InPage recebem o document do jsdom no lugar do document do browser.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { JSDOM } from "jsdom";
+import {
+  SELECTORS,
+  removeModalsInPage,
+  countMessagesInPage,
+  extractChatCardsInPage,
+  extractMessagesInPage,
+  createChatListPage,
+  createChatViewPage,
+  assignMessageKeys,
+  SELECTOR_PROBES,
+  probeSelectorsInPage,
+} from "../lib/scraper/index.js";
+
+const PANEL_URL = "https://s17.expertintegrado.app/chats";
+
+function loadFixture(name) {
+  const html = readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf-8");
+  return new JSDOM(html, { url: PANEL_URL }).window.document;
+}
+
+// Página falsa: executa as funções de page.evaluate sobre o document da fixture
+function fakePage(doc) {
+  return {
+    async evaluate(fn, arg) {
+      globalThis.document = doc;
+      try {
+        return await fn(arg, doc);
+      } finally {
+        delete globalThis.document;
+      }
+    },
+  };
+}
+
+test("removeModalsInPage remove Beamer, diálogos e overlays", () => {
+  const doc = loadFixture("chat-list.html");
+  removeModalsInPage(SELECTORS.modals, doc);
+  assert.equal(doc.querySelector("#beamerPushModal"), null);
+  assert.equal(doc.querySelector(".modal.show"), null);
+  assert.equal(doc.querySelector(".modal-backdrop"), null);
+  assert.equal(doc.querySelectorAll(".list__user-card").length, 3);
+});
+
+test("extractChatCardsInPage lê nome, prévia, status, não lidas e chat_id", () => {
+  const doc = loadFixture("chat-list.html");
+  const chats = extractChatCardsInPage({ selectors: SELECTORS.chatList, maxChats: 10 }, doc);
+
+  assert.equal(chats.length, 3);
+  assert.deepEqual(chats[0], {
+    contact_name: "Maria Souza",
+    status: "ABERTO",
+    last_message: "Oi, tudo bem? Queria saber o valor do plano anual",
+    timestamp: "14:32",
+    unread_count: 3,
+    chat_id: "686ede5b2333cb755c57d1a5",
+  });
+  // "EM ATENDI" truncado no card vira o status completo
+  assert.equal(chats[1].status, "EM ATENDIMENTO");
+  assert.equal(chats[1].unread_count, 0);
+  assert.equal(chats[1].chat_id, "");
+  // Prévia sem title cai para o texto do span
+  assert.equal(chats[2].last_message, "[Áudio]");
+  assert.equal(chats[2].chat_id, "5f1c2b3a4d5e6f7a8b9c0d1e");
+});
+
+test("extractChatCardsInPage respeita maxChats", () => {
+  const doc = loadFixture("chat-list.html");
+  const chats = extractChatCardsInPage({ selectors: SELECTORS.chatList, maxChats: 1 }, doc);
+  assert.deepEqual(chats.map((c) => c.contact_name), ["Maria Souza"]);
+});
+
+test("countMessagesInPage conta as linhas de mensagem", () => {
+  const doc = loadFixture("chat-view.html");
+  assert.equal(countMessagesInPage(SELECTORS.chatView, doc), 10);
+});
+
+test("extractMessagesInPage classifica tipos, direção e data de cada mensagem", () => {
+  const doc = loadFixture("chat-view.html");
+  const messages = extractMessagesInPage({ selectors: SELECTORS.chatView }, doc);
+
+  assert.deepEqual(
+    messages.map((m) => [m.kind, m.direction, m.data, m.horario]),
+    [
+      ["text", "in", "12/03/2026", "09:15"],
+      ["text", "out", "12/03/2026", "09:20"],
+      ["document", "out", "12/03/2026", "09:21"],
+      ["audio", "in", "Hoje", "08:01"],
+      ["image", "in", "Hoje", "08:03"],
+      ["location", "in", "Hoje", "08:04"],
+      ["note", "internal", "Hoje", "08:10"],
+      ["text", "in", "Hoje", "08:12"],
+      ["text", "in", "Hoje", "08:15"],
+      ["text", "in", "Hoje", "08:15"],
+    ]
+  );
+});
+
+test("extractMessagesInPage extrai autor, ticks, mídia, localização e citação", () => {
+  const doc = loadFixture("chat-view.html");
+  const [first, reply, pdf, audio, image, location, note, quoted] =
+    extractMessagesInPage({ selectors: SELECTORS.chatView }, doc);
+
+  assert.equal(first.remetente, "cliente");
+  assert.equal(first.status, null);
+
+  assert.equal(reply.author, "Ana (Vendas)");
+  assert.equal(reply.status, "read");
+  assert.equal(pdf.status, "sent");
+
+  assert.equal(pdf.texto, "[Documento: tabela-precos.pdf]");
+  assert.deepEqual(pdf.media, {
+    url: "https://files.example.com/files/tabela-precos.pdf",
+    filename: "tabela-precos.pdf",
+    mime_type: null,
+    duration: null,
+  });
+
+  assert.equal(audio.texto, "[Áudio]");
+  assert.equal(audio.media.url, "https://files.example.com/media/audio-123.ogg");
+  assert.equal(audio.media.filename, "audio-123.ogg");
+
+  assert.equal(image.caption, "Esse modelo aqui");
+  assert.equal(image.media.url, "https://files.example.com/media/foto.jpg");
+
+  assert.deepEqual(location.location, {
+    latitude: -8.0476,
+    longitude: -34.877,
+    url: "https://maps.google.com/?q=-8.0476,-34.8770",
+  });
+  assert.equal(location.texto, "[Localização]");
+
+  assert.equal(note.is_note, true);
+  assert.equal(note.author, "Carlos");
+  assert.equal(note.texto, "Cliente pediu desconto, verificar com gerente");
+
+  // O texto da citação não vaza para o texto da resposta
+  assert.equal(quoted.texto, "Qual o prazo?");
+  assert.deepEqual(quoted.quoted, { author: "Ana (Vendas)", texto: "Entregamos sim! Segue a tabela." });
+});
+
+test("extractMessages gera chaves estáveis e distingue mensagens repetidas", async () => {
+  const messages = await createChatViewPage(fakePage(loadFixture("chat-view.html"))).extractMessages();
+  const again = await createChatViewPage(fakePage(loadFixture("chat-view.html"))).extractMessages();
+
+  assert.equal(messages[0].key, "id:wamid.AAA1");
+  assert.match(messages[1].key, /^h:[0-9a-z]+\.0$/);
+  assert.deepEqual(messages.map((m) => m.key), again.map((m) => m.key));
+
+  const [ok1, ok2] = messages.slice(-2);
+  assert.notEqual(ok1.key, ok2.key);
+  assert.equal(ok1.key.replace(/\.\d+$/, ""), ok2.key.replace(/\.\d+$/, ""));
+
+  // Cortar as últimas não muda a chave de quem ficou
+  const last = await createChatViewPage(fakePage(loadFixture("chat-view.html"))).extractMessages(2);
+  assert.deepEqual(last.map((m) => m.key), [ok1.key, ok2.key]);
+});
+
+test("extractMessages distingue a mesma mensagem em dias diferentes", async () => {
+  const [yesterday, , today] = await createChatViewPage(fakePage(loadFixture("chat-view-days.html"))).extractMessages();
+  assert.equal(yesterday.texto, today.texto);
+  assert.equal(yesterday.horario, today.horario);
+  assert.notEqual(yesterday.key, today.key);
+  assert.equal(today.key.endsWith(".0"), true);
+
+  // Amanhã o painel mostra "Ontem" no lugar de "Hoje": a chave não muda
+  const relabeled = assignMessageKeys([{ ...today, key: null, data: "Ontem" }]);
+  assert.equal(relabeled[0].key, today.key);
+});
+
+test("extractMessagesInPage com maxMessages devolve só as últimas", () => {
+  const doc = loadFixture("chat-view.html");
+  const messages = extractMessagesInPage({ selectors: SELECTORS.chatView, maxMessages: 2 }, doc);
+  assert.deepEqual(messages.map((m) => m.texto), ["ok", "ok"]);
+});
+
+test("extractMessagesInPage sem o container de mensagens devolve lista vazia", () => {
+  const doc = loadFixture("chat-list.html");
+  assert.deepEqual(extractMessagesInPage({ selectors: SELECTORS.chatView }, doc), []);
+});
+
+test("createChatListPage.loadCards converte os horários dos cards em ISO-8601", async () => {
+  const chats = await createChatListPage(fakePage(loadFixture("chat-list.html")), { timeZone: "America/Sao_Paulo" }).loadCards(10);
+
+  assert.equal(chats.length, 3);
+  assert.match(chats[0].timestamp_iso, /^\d{4}-\d{2}-\d{2}T14:32:00-03:00$/);
+  assert.equal(chats[0].timestamp_precision, "minute");
+  assert.match(chats[1].timestamp_iso, /T00:00:00-03:00$/);
+  assert.equal(chats[1].timestamp_precision, "day");
+  assert.equal(chats[2].timestamp_precision, "approximate");
+});
+
+function probesFor(stage) {
+  return SELECTOR_PROBES.filter((p) => p.stage === stage).map(({ name }) => {
+    const [group, key] = name.split(".");
+    return { name, selector: SELECTORS[group][key] };
+  });
+}
+
+test("probeSelectorsInPage encontra todos os seletores obrigatórios nas fixtures", () => {
+  const list = loadFixture("chat-list.html");
+  const view = loadFixture("chat-view.html");
+  const results = [
+    ...probeSelectorsInPage({ probes: probesFor("panel") }, list),
+    ...probeSelectorsInPage({ probes: probesFor("card"), scope: SELECTORS.chatList.card }, list),
+    ...probeSelectorsInPage({ probes: probesFor("chat") }, view),
+    ...probeSelectorsInPage({ probes: probesFor("message"), scope: SELECTORS.chatView.row }, view),
+  ];
+
+  const required = SELECTOR_PROBES.filter((p) => p.required).map((p) => p.name);
+  const missing = results.filter((r) => required.includes(r.name) && r.found === 0).map((r) => r.name);
+  assert.deepEqual(missing, []);
+  assert.equal(results.length, SELECTOR_PROBES.length);
+});
+
+test("probeSelectorsInPage aponta o seletor que sumiu", () => {
+  const doc = loadFixture("chat-list.html");
+  doc.querySelector("#inChatsWhatsappNum").id = "inChatsPhone";
+
+  const results = probeSelectorsInPage({ probes: probesFor("panel") }, doc);
+  assert.deepEqual(results.filter((r) => r.found === 0).map((r) => r.name), ["chatList.phoneInput"]);
+});
+
+test("probeSelectorsInPage com scope inexistente devolve null", () => {
+  const doc = loadFixture("chat-list.html");
+  assert.equal(probeSelectorsInPage({ probes: probesFor("message"), scope: SELECTORS.chatView.row }, doc), null);
+});
@@ -0,0 +1,103 @@
+/**
+ * Testes do recebimento de webhooks: normalização do payload do ChatGuru,
+ * store de eventos com cursor e o listener HTTP (postando o payload de exemplo).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import { normalizeWebhookPayload, createWebhookEventStore } from "../lib/webhook-events.js";
+import { createWebhookServer, parseWebhookBody, WebhookRequestError } from "../lib/webhook-server.js";
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), "fixtures");
+const SAMPLE = JSON.parse(readFileSync(join(FIXTURES, "webhook-message.json"), "utf-8"));
+
+test("normalizeWebhookPayload converte o payload do ChatGuru", () => {
+  const event = normalizeWebhookPayload(SAMPLE, { timeZone: "America/Sao_Paulo" });
+  assert.equal(event.type, "message");
+  assert.equal(event.direction, "in");
+  assert.equal(event.kind, "text");
+  assert.equal(event.chat_id, "686ede5b2333cb755c57d1a5");
+  assert.equal(event.chat_number, "5581991095702");
+  assert.equal(event.contact_name, "Maria Souza");
+  assert.equal(event.agent_name, "Eric Luciano");
+  assert.equal(event.timestamp, "2026-03-12T14:32:05-03:00");
+  assert.deepEqual(event.tags, ["cliente", "vip"]);
+
+  const audio = normalizeWebhookPayload({ ...SAMPLE, tipo_mensagem: "ptt", texto_mensagem: "" });
+  assert.equal(audio.kind, "audio");
+  assert.throws(() => normalizeWebhookPayload({ foo: "bar" }), /chat_id/);
+});
+
+test("parseWebhookBody aceita formulário com campos JSON", () => {
+  const payload = parseWebhookBody("celular=5581991095702&campos_personalizados=%7B%22a%22%3A1%7D&texto_mensagem=%7Boi", "application/x-www-form-urlencoded");
+  assert.deepEqual(payload, { celular: "5581991095702", campos_personalizados: { a: 1 }, texto_mensagem: "{oi" });
+  assert.throws(() => parseWebhookBody("nao é json", "application/json"), WebhookRequestError);
+});
+
+test("event store: cursor incremental, deduplicação e persistência", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "chatguru-webhook-"));
+  const storePath = join(dir, "events.jsonl");
+  try {
+    const store = createWebhookEventStore({ storePath });
+    const first = store.append(normalizeWebhookPayload(SAMPLE), { profile: "vendas" });
+    assert.equal(first.event.id, 1);
+    assert.equal(store.append(normalizeWebhookPayload(SAMPLE), { profile: "vendas" }).duplicate, true);
+    store.append(normalizeWebhookPayload({ ...SAMPLE, texto_mensagem: "Alguém?", datetime_post: "2026-03-12 14:40:00" }), { profile: "suporte" });
+
+    const latest = store.list();
+    assert.equal(latest.events.length, 2);
+    assert.equal(latest.cursor, "2");
+    assert.deepEqual(store.list({ since: "1" }).events.map((e) => e.text), ["Alguém?"]);
+    assert.equal(store.list({ since: "2" }).events.length, 0);
+    assert.equal(store.list({ profile: "vendas" }).events.length, 1);
+    assert.throws(() => store.list({ since: "abc" }), /Cursor/);
+    await store.flush();
+
+    // Reinício: ids continuam a partir do último, cursor antigo segue válido
+    const reopened = createWebhookEventStore({ storePath });
+    assert.equal(reopened.append(normalizeWebhookPayload({ ...SAMPLE, datetime_post: "2026-03-12 15:00:00" })).event.id, 3);
+    assert.equal(reopened.list({ since: "2" }).events.length, 1);
+    assert.equal(reopened.list({ since: "99" }).cursor_reset, true);
+    await reopened.flush();
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("listener HTTP exige o token e entrega o payload com o perfil do caminho", async () => {
+  const received = [];
+  const server = createWebhookServer({
+    port: 0,
+    secret: "s3gredo",
+    onPayload: (payload, meta) => {
+      received.push({ payload, meta });
+      return { id: received.length };
+    },
+  });
+  const port = await server.start();
+  const url = `http://127.0.0.1:${port}/webhook/chatguru`;
+  const post = (path, headers = {}) => fetch(url + path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(SAMPLE),
+  });
+
+  try {
+    assert.equal((await post("")).status, 401);
+    const ok = await post("?token=s3gredo");
+    assert.equal(ok.status, 202);
+    assert.deepEqual(await ok.json(), { ok: true, id: 1 });
+    assert.equal((await post("/suporte", { "X-Webhook-Token": "s3gredo" })).status, 202);
+    assert.equal((await post("/a/b", { "X-Webhook-Token": "s3gredo" })).status, 404);
+
+    assert.equal(received[0].meta.profile, null);
+    assert.equal(received[1].meta.profile, "suporte");
+    assert.equal(received[1].payload.celular, "5581991095702");
+  } finally {
+    await server.close();
+  }
+});